@@ -1,43 +1,129 @@
-const { OpenAI } = require('openai');
 const { Logger } = require('../utils/logger');
-const { Validator } = require('../utils/validation');
+const { Validator, ValidationError } = require('../utils/validation');
 const { RetryHelper } = require('../utils/retry');
-const SwaggerParser = require('swagger-parser');
-const Ajv = require('ajv');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+const { LLMProviderRegistry } = require('../llm/provider-registry');
+const { FakeProvider } = require('../llm/providers/fake-provider');
+const { WorkflowSchema } = require('./workflow-schema');
+const { WorkflowGraph } = require('./workflow-graph');
+const { WorkflowRevisionStore } = require('./workflow-revisions');
+const { WorkflowDiff } = require('../utils/workflow-diff');
+const { UsageLedger } = require('../services/usage-ledger');
+const { ConversationStore } = require('../services/conversation-store');
+const { MemoryRetriever, MemoryAccessError } = require('../services/memory-retriever');
+const { ChatToolbox } = require('../services/chat-tools');
+const { UserDataArchive } = require('../services/user-data-archive');
+const { LocalMemoryManager } = require('../memory/local-memory');
+const { HybridMemoryAdapter } = require('../memory/memory-adapter');
+const { PromptRegistry } = require('./prompt-registry');
+const { ModuleCatalog } = require('./module-catalog');
+const { OpenAPIBuilder, COMMON_SCHEMAS, SECURITY_SCHEMES } = require('../openapi/openapi-builder');
+const { AnpLinter } = require('../openapi/anp-linter');
+const { OpenAPIImporter } = require('../openapi/openapi-importer');
+const { SpecVersionStore } = require('../openapi/spec-store');
+const { SpecDiff } = require('../openapi/spec-diff');
+const { OpenAPIToolset } = require('../openapi/mcp-tools');
+const { ClientGenerator } = require('../openapi/client-generator');
+const { SecurityProfiles } = require('../openapi/security-profiles');
+const { AsyncAPIBuilder } = require('../openapi/asyncapi-builder');
+const { Tarball } = require('../utils/tarball');
 
 class AgentWeaver {
     constructor(config) {
         this.config = config;
         this.logger = new Logger('AgentWeaver');
         
-        if (!config.openaiApiKey) {
-            throw new Error('OpenAI API key is required');
-        }
+        // LLM providers (OpenAI, local OpenAI-compatible, Anthropic, fake)
+        this.providers = LLMProviderRegistry.fromConfig(config);
+        
+        // Module types offered to the model and accepted in workflows
+        this.moduleCatalog = new ModuleCatalog(config.modules);
+        
+        // Rule-based OpenAPI specs built from the module catalog
+        this.openapiBuilder = new OpenAPIBuilder(this.moduleCatalog);
+        
+        // AsyncAPI 3.0 documents for AG-UI and agent webhooks
+        this.asyncapiBuilder = new AsyncAPIBuilder();
+        
+        // Security schemes and per-operation requirements of agent specs
+        this.securityProfiles = new SecurityProfiles(this.moduleCatalog, config.openapi?.security);
+        
+        // ANP compliance rules for agent specs
+        this.anpLinter = new AnpLinter(config.anpLint);
+        
+        // Existing OpenAPI documents turned into workflows
+        this.openapiImporter = new OpenAPIImporter(config.openapi?.import);
+        
+        // Published spec versions per agent, with breaking-change detection
+        this.specVersions = new SpecVersionStore(config.specs);
+        
+        // Typed JavaScript clients generated from agent specs
+        this.clientGenerator = new ClientGenerator();
+        
+        // Versioned prompt templates (src/prompts + config.prompts.directories)
+        this.prompts = new PromptRegistry(config.prompts);
+        
+        // Token usage, cost estimates and per-user budgets for every LLM call
+        this.usageLedger = new UsageLedger(config.usage);
+        
+        // Chat sessions with token-budgeted history and running summaries
+        this.conversations = new ConversationStore(config.conversations);
+        
+        // Memories retrieved for each chat message
+        this.memoryRetriever = new MemoryRetriever(config.retrieval);
         
-        this.openai = new OpenAI({
-            apiKey: config.openaiApiKey
+        // AutoWeave operations the chat model can call (registered by AutoWeave)
+        this.chatTools = new ChatToolbox(config.chatTools);
+        
+        // Revision history of generated and refined workflows
+        this.revisions = new WorkflowRevisionStore(config.revisions);
+        
+        // Export, import and erasure of everything stored about a user
+        this.userData = new UserDataArchive({
+            conversations: this.conversations,
+            usageLedger: this.usageLedger,
+            revisions: this.revisions,
+            specVersions: this.specVersions,
+            chatTools: this.chatTools
         });
+        
+        // File-backed memory with BM25 search, until setMemoryManager() provides the hybrid memory
+        this.memoryManager = config.localMemory?.enabled === false ? null : new LocalMemoryManager(config.localMemory);
     }
 
     async initialize() {
         this.logger.info('Initializing Agent Weaver...');
         
-        // Skip OpenAI test in test environment
-        if (process.env.NODE_ENV === 'test') {
+        const provider = this.providers.getDefault();
+        
+        // The fake provider is deterministic, so tests exercise the real code paths
+        if (provider.type === 'fake') {
+            this.logger.info(`Using fake LLM provider "${provider.name}"`);
+            return;
+        }
+        
+        // Cassette replays are deterministic and offline as well
+        if (provider.replaying) {
+            this.logger.info(`Replaying recorded responses for LLM provider "${provider.name}"`);
+            return;
+        }
+        
+        // Skip provider test in test environment, unless recording a cassette
+        if (process.env.NODE_ENV === 'test' && !provider.recording) {
             this.logger.warn('Using mock OpenAI for tests');
             this.mockMode = true;
             return;
         }
         
-        // Test OpenAI connection
+        // Test provider connection
         try {
-            await this.openai.models.list();
-            this.logger.success('OpenAI connection verified');
+            await provider.healthCheck();
+            this.logger.success(`LLM provider "${provider.name}" connection verified`);
         } catch (error) {
-            this.logger.error('Failed to connect to OpenAI:', error);
+            this.logger.error(`Failed to connect to LLM provider "${provider.name}":`, error);
             
             // If it's an invalid API key, use mock mode for development
-            if (error.code === 'invalid_api_key' || this.config.openaiApiKey.includes('test')) {
+            if (error.code === 'invalid_api_key' || (this.config.openaiApiKey || '').includes('test')) {
                 this.logger.warn('Using mock mode for OpenAI due to invalid API key');
                 this.mockMode = true;
                 return;
@@ -47,7 +133,7 @@ class AgentWeaver {
         }
     }
 
-    async generateWorkflow(description) {
+    async generateWorkflow(description, options = {}) {
         this.logger.info(`Generating workflow from description: "${description}"`);
         
         // Validate input
@@ -55,12 +141,14 @@ class AgentWeaver {
         
         // Use mock workflow in test mode
         if (this.mockMode) {
-            return this.generateMockWorkflow(description);
+            const workflow = { ...this.generateMockWorkflow(description), owner: options.userId || null };
+            this.revisions.record(workflow, { source: 'generate' });
+            return workflow;
         }
         
         try {
             const workflow = await RetryHelper.withRetry(
-                () => this.processDescription(description),
+                () => this.processDescription(description, options),
                 {
                     maxAttempts: 3,
                     delay: 1000,
@@ -68,6 +156,9 @@ class AgentWeaver {
                 }
             );
             
+            // The user the agent is generated for owns it (chat tools, data erasure)
+            workflow.owner = options.userId || null;
+            this.revisions.record(workflow, { source: 'generate' });
             this.logger.success(`Generated workflow: ${workflow.name}`);
             return workflow;
             
@@ -77,88 +168,233 @@ class AgentWeaver {
         }
     }
 
-    async processDescription(description) {
-        const prompt = this.buildPrompt(description);
+    async processDescription(description, options = {}) {
+        const prompt = this.prompts.render('workflow-generation', {
+            description,
+            moduleTypes: this.moduleCatalog.describeTypes()
+        }, { version: options.promptVersion });
         
-        const response = await this.openai.chat.completions.create({
-            model: this.config.model,
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are an expert AI agent architect that converts natural language descriptions into structured agent workflows for Kubernetes deployment via kagent.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: this.config.temperature,
-            max_tokens: this.config.maxTokens
+        const messages = [
+            {
+                role: 'system',
+                content: prompt.system
+            },
+            {
+                role: 'user',
+                content: prompt.user
+            }
+        ];
+        
+        // Assign the id up front so every LLM call of this generation is attributed to the agent
+        return await this.generateValidatedWorkflow(messages, description, {
+            ...options,
+            agentId: options.agentId || this.generateWorkflowId(),
+            promptId: prompt.id
         });
+    }
 
-        const result = response.choices[0].message.content;
+    /**
+     * Calls the model until its output matches the workflow schema and step graph, sending
+     * validation errors back for up to `maxRepairAttempts` repair attempts.
+     */
+    async generateValidatedWorkflow(messages, description, options = {}) {
+        const maxRepairAttempts = this.config.maxRepairAttempts ?? 2;
+        const { provider } = this.resolveProvider(options);
+        
+        let errors = [];
+        
+        for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+            const response = await this.complete(messages, {
+                operation: 'generate-workflow',
+                ...options,
+                temperature: this.config.temperature,
+                maxTokens: this.config.maxTokens,
+                responseFormat: provider.capabilities.jsonMode ? 'json' : undefined
+            });
+            
+            const result = response.content;
+            let workflow;
+            
+            try {
+                workflow = this.parseJSONResponse(result);
+                errors = this.validateWorkflowStructure(workflow);
+            } catch (error) {
+                errors = [{ path: '/', message: `response is not valid JSON (${error.message})` }];
+            }
+            
+            if (errors.length === 0) {
+                if (options.agentId) {
+                    workflow.id = options.agentId;
+                }
+                
+                // Trace every workflow back to the prompt template that produced it
+                workflow.metadata = {
+                    ...workflow.metadata,
+                    promptVersion: options.promptId
+                };
+                
+                return this.validateAndEnhanceWorkflow(workflow, description);
+            }
+            
+            this.logger.warn(`Generated workflow failed validation (attempt ${attempt + 1}/${maxRepairAttempts + 1}): ${WorkflowSchema.formatErrors(errors)}`);
+            
+            // Send the validation errors back to the model for a repair attempt
+            messages.push(
+                { role: 'assistant', content: result },
+                { role: 'user', content: this.buildRepairPrompt(errors, options) }
+            );
+        }
         
+        this.logger.error('Failed to parse LLM response:', errors);
+        throw new ValidationError(
+            `Invalid workflow structure generated: ${WorkflowSchema.formatErrors(errors)}`,
+            'workflow'
+        );
+    }
+
+    /**
+     * Schema errors first; the step graph (dependencies, references,
+     * modules), the module catalog and the Kubernetes name are only checked
+     * once the shape is valid, so each error can go into a repair prompt.
+     */
+    validateWorkflowStructure(workflow) {
+        const schema = WorkflowSchema.validate(workflow);
+        if (schema.errors.length > 0) {
+            return schema.errors;
+        }
+
+        const graph = WorkflowGraph.validate(workflow);
+        if (graph.errors.length > 0) {
+            return graph.errors;
+        }
+
+        const errors = this.moduleCatalog.validateModules(workflow.requiredModules).errors
+            .map(message => ({ path: '/requiredModules', message }));
+
         try {
-            const workflow = JSON.parse(result);
-            return this.validateAndEnhanceWorkflow(workflow, description);
+            Validator.validateKubernetesName(this.sanitizeName(workflow.name));
         } catch (error) {
-            this.logger.error('Failed to parse OpenAI response:', error);
-            throw new Error('Invalid workflow structure generated');
+            errors.push({ path: '/name', message: `"${workflow.name}": ${error.message}` });
         }
+
+        return errors;
     }
 
-    buildPrompt(description) {
-        return `
-Convert the following natural language description into a structured agent workflow.
+    parseJSONResponse(content) {
+        // Strip markdown code fences that some models add despite instructions
+        const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+        return JSON.parse((fenced ? fenced[1] : content).trim());
+    }
 
-Description: "${description}"
+    buildRepairPrompt(errors, options = {}) {
+        return this.prompts.render('workflow-repair', {
+            errors: errors.map(error => `- ${error.path}: ${error.message}`).join('\n')
+        }, { version: options.repairPromptVersion }).user;
+    }
+
+    buildPrompt(description, options = {}) {
+        return this.prompts.render('workflow-generation', {
+            description,
+            moduleTypes: this.moduleCatalog.describeTypes()
+        }, { version: options.promptVersion }).user;
+    }
 
-Return a JSON object with this exact structure:
-{
-    "id": "unique-id",
-    "name": "agent-name",
-    "description": "detailed description",
-    "requiredModules": [
-        {
-            "name": "module-name",
-            "type": "module-type",
-            "description": "what this module does"
+    /**
+     * Revises an existing workflow from natural-language feedback
+     * ("drop the kubernetes module, add monitoring") and records the result
+     * as a new revision. Returns { workflow, diff, revision }.
+     *
+     * The revision keeps the recorded owner of the agent; options.userId only
+     * owns workflows refined here for the first time. Callers check that the
+     * user owns known agents (ownsAgent) before refining them.
+     */
+    async refineWorkflow(workflow, feedback, options = {}) {
+        this.logger.info(`Refining workflow ${workflow?.name}: "${feedback}"`);
+        
+        if (!workflow || !workflow.id) {
+            throw new ValidationError('Workflow with an id is required', 'workflow');
+        }
+        
+        if (!feedback || typeof feedback !== 'string' || !feedback.trim()) {
+            throw new ValidationError('Feedback is required and must be a string', 'feedback');
         }
-    ],
-    "steps": [
-        {
-            "action": "action-name",
-            "description": "what this step does"
+        
+        // Workflows refined before they were ever recorded start their history
+        // here, owned by the refining user
+        if (!this.revisions.has(workflow.id)) {
+            this.revisions.record({ ...workflow, owner: options.userId ?? workflow.owner ?? null }, { source: 'import' });
+        }
+        
+        try {
+            const revised = this.mockMode
+                ? this.generateMockRefinement(workflow, feedback)
+                : await RetryHelper.withRetry(
+                    () => this.processRefinement(workflow, feedback, options),
+                    {
+                        maxAttempts: 3,
+                        delay: 1000,
+                        shouldRetry: (error) => error.message.includes('rate limit')
+                    }
+                );
+            
+            // A refinement revises the same agent: keep its identity and the
+            // recorded owner, whatever owner the submitted workflow claims
+            revised.id = workflow.id;
+            revised.owner = this.getAgentOwner(workflow.id);
+            
+            const diff = WorkflowDiff.compare(workflow, revised);
+            const revision = this.revisions.record(revised, { source: 'refine', feedback, diff });
+            
+            this.logger.success(`Workflow ${revised.name} refined to revision ${revision.revision}`);
+            return { workflow: revised, diff, revision: revision.revision };
+            
+        } catch (error) {
+            this.logger.error('Failed to refine workflow:', error);
+            throw error;
         }
-    ],
-    "modelConfig": {
-        "name": "gpt-4",
-        "temperature": 0.7
     }
-}
 
-Available module types:
-- file_system: For reading/writing files
-- kubernetes: For Kubernetes operations
-- coding_assistant: For code analysis and generation
-- monitoring: For system monitoring
-- mcp_server: For custom MCP server integration
+    async processRefinement(workflow, feedback, options = {}) {
+        const prompt = this.prompts.render('workflow-refinement', { workflow, feedback }, {
+            version: options.promptVersion
+        });
+        
+        const messages = [
+            {
+                role: 'system',
+                content: prompt.system
+            },
+            {
+                role: 'user',
+                content: prompt.user
+            }
+        ];
+        
+        return await this.generateValidatedWorkflow(messages, workflow.description, {
+            ...options,
+            modelConfig: options.modelConfig || workflow.modelConfig,
+            agentId: workflow.id,
+            operation: 'refine-workflow',
+            promptId: prompt.id
+        });
+    }
 
-Guidelines:
-1. Generate a unique ID using timestamp
-2. Create a descriptive but concise name (lowercase, hyphens only)
-3. Break down the task into logical steps
-4. Choose appropriate modules based on the description
-5. Ensure the workflow is executable and complete
+    buildRefinementPrompt(workflow, feedback, options = {}) {
+        return this.prompts.render('workflow-refinement', { workflow, feedback }, {
+            version: options.promptVersion
+        }).user;
+    }
 
-Return only the JSON object, no additional text.
-        `;
+    generateMockRefinement(workflow, feedback) {
+        const revised = WorkflowRevisionStore.clone(workflow);
+        revised.description = `${workflow.description} (${feedback})`;
+        return revised;
     }
 
     validateAndEnhanceWorkflow(workflow, originalDescription) {
         // Generate ID if not provided
         if (!workflow.id) {
-            workflow.id = `agent-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+            workflow.id = this.generateWorkflowId();
         }
 
         // Validate required fields
@@ -193,9 +429,37 @@ Return only the JSON object, no additional text.
         // Validate Kubernetes naming
         Validator.validateKubernetesName(workflow.name);
 
+        const { valid, errors } = WorkflowSchema.validate(workflow);
+        if (!valid) {
+            throw new ValidationError(`Workflow does not match schema: ${WorkflowSchema.formatErrors(errors)}`, 'workflow');
+        }
+
+        const graph = WorkflowGraph.validate(workflow);
+        if (!graph.valid) {
+            throw new ValidationError(`Invalid workflow steps: ${WorkflowSchema.formatErrors(graph.errors)}`, 'steps');
+        }
+
+        // Check module types and configs against the catalog
+        const moduleCheck = this.moduleCatalog.validateModules(workflow.requiredModules);
+        if (moduleCheck.errors.length > 0) {
+            throw new ValidationError(`Invalid workflow modules: ${moduleCheck.errors.join('; ')}`, 'requiredModules');
+        }
+
+        if (moduleCheck.warnings.length > 0) {
+            moduleCheck.warnings.forEach(warning => this.logger.warn(warning));
+            workflow.metadata = {
+                ...workflow.metadata,
+                warnings: moduleCheck.warnings
+            };
+        }
+
         return workflow;
     }
 
+    generateWorkflowId() {
+        return `agent-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    }
+
     sanitizeName(name) {
         return name.toLowerCase()
                   .replace(/[^a-z0-9-]/g, '-')
@@ -210,26 +474,13 @@ Return only the JSON object, no additional text.
     }
 
     generateMockWorkflow(description) {
-        const id = `agent-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
-        const name = this.sanitizeName(description.split(' ').slice(0, 3).join('-'));
+        // Same keyword matching as the fake provider, so the modules follow the description
+        const workflow = new FakeProvider('mock', { model: 'gpt-4' }).workflowFor(description);
         
         return {
-            id,
-            name,
-            description,
-            requiredModules: [
-                {
-                    name: 'file-reader',
-                    type: 'file_system',
-                    description: 'Read files from filesystem'
-                }
-            ],
-            steps: [
-                {
-                    action: 'process_files',
-                    description: 'Process files based on description'
-                }
-            ],
+            ...workflow,
+            id: this.generateWorkflowId(),
+            name: this.sanitizeName(description.split(' ').slice(0, 3).join('-')),
             modelConfig: {
                 name: 'gpt-4',
                 temperature: 0.7
@@ -237,42 +488,33 @@ Return only the JSON object, no additional text.
         };
     }
 
+    /**
+     * With `options.sessionId` the message is answered in the context of
+     * that conversation session, and both turns are added to it. The
+     * memories retrieved for the message are listed in `memories`
+     * (`options.memory: false` skips retrieval).
+     */
     async processMessage(message, options = {}) {
         this.logger.info(`Processing message: "${message}"`);
 
+        const memories = await this.retrieveChatMemories(message, options);
+
         // Use mock response in test mode
         if (this.mockMode) {
-            return this.generateMockMessageResponse(message);
+            const response = this.generateMockMessageResponse(message);
+            await this.recordConversationTurn(message, response.content, options);
+            return { ...response, memories: MemoryRetriever.report(memories, response.content) };
         }
 
         try {
-            const response = await RetryHelper.withRetry(async () => {
-                const completion = await this.openai.chat.completions.create({
-                    model: options.model || 'gpt-4',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are AutoWeave, an AI assistant that helps users manage and create autonomous agents. You can create, deploy, and manage agents using natural language commands. Be helpful, concise, and actionable in your responses.'
-                        },
-                        {
-                            role: 'user',
-                            content: message
-                        }
-                    ],
-                    max_tokens: options.maxTokens || 1000,
-                    temperature: options.temperature || 0.7
-                });
+            const messages = this.buildChatMessages(message, { ...options, conversationContext: null, memories });
 
-                return {
-                    content: completion.choices[0].message.content,
-                    promptTokens: completion.usage.prompt_tokens,
-                    completionTokens: completion.usage.completion_tokens,
-                    totalTokens: completion.usage.total_tokens
-                };
-            }, { maxAttempts: 3 });
+            const response = await this.completeChat(messages, options);
+
+            await this.recordConversationTurn(message, response.content, options);
 
             this.logger.success('Message processed successfully');
-            return response;
+            return { ...response, memories: MemoryRetriever.report(memories, response.content) };
 
         } catch (error) {
             this.logger.error('Failed to process message:', error);
@@ -293,51 +535,29 @@ Return only the JSON object, no additional text.
     async processChatMessage(message, options = {}) {
         this.logger.info(`Processing chat message: "${message}"`);
         
-        // Extract conversation context if provided
-        const conversationContext = options.conversationContext || [];
+        // Streaming requests are consumed here; use streamChatMessage() for the iterator
+        if (options.stream) {
+            return await this.collectChatStream(message, options);
+        }
+        
+        const memories = await this.retrieveChatMemories(message, options);
         
         // Use mock response in test mode
         if (this.mockMode) {
-            return this.generateMockMessageResponse(message);
+            const response = this.generateMockMessageResponse(message);
+            await this.recordConversationTurn(message, response.content, options);
+            return { ...response, memories: MemoryRetriever.report(memories, response.content) };
         }
 
         try {
-            const messages = [
-                {
-                    role: 'system',
-                    content: 'You are AutoWeave, an AI assistant that helps users manage and create autonomous agents. You can create, deploy, and manage agents using natural language commands. Be helpful, concise, and actionable in your responses.'
-                }
-            ];
-            
-            // Add conversation context if available
-            if (conversationContext.length > 0) {
-                messages.push(...conversationContext);
-            } else {
-                messages.push({
-                    role: 'user',
-                    content: message
-                });
-            }
+            const messages = this.buildChatMessages(message, { ...options, memories });
 
-            const response = await RetryHelper.withRetry(async () => {
-                const completion = await this.openai.chat.completions.create({
-                    model: options.model || 'gpt-4',
-                    messages,
-                    max_tokens: options.max_tokens || options.maxTokens || 1000,
-                    temperature: options.temperature || 0.7,
-                    stream: options.stream || false
-                });
+            const response = await this.completeChat(messages, options);
 
-                return {
-                    content: completion.choices[0].message.content,
-                    promptTokens: completion.usage.prompt_tokens,
-                    completionTokens: completion.usage.completion_tokens,
-                    totalTokens: completion.usage.total_tokens
-                };
-            }, { maxAttempts: 3 });
+            await this.recordConversationTurn(message, response.content, options);
 
             this.logger.success('Chat message processed successfully');
-            return response;
+            return { ...response, memories: MemoryRetriever.report(memories, response.content) };
 
         } catch (error) {
             this.logger.error('Failed to process chat message:', error);
@@ -345,6 +565,469 @@ Return only the JSON object, no additional text.
         }
     }
 
+    /**
+     * Streams a chat answer token by token.
+     * Yields { type: 'delta', content } chunks, one { type: 'tool', name,
+     * arguments, status, result, error, confirmationId } chunk per tool call,
+     * then one { type: 'done', content, promptTokens, completionTokens,
+     * totalTokens, cancelled, memories, toolCalls } chunk. As with
+     * completeChat, the done content (and the recorded turn) is the text of
+     * the last model round, not the text the model wrote before its tool calls.
+     * Pass an AbortSignal as options.signal to cancel the generation.
+     */
+    async *streamChatMessage(message, options = {}) {
+        this.logger.info(`Streaming chat message: "${message}"`);
+        
+        const memories = await this.retrieveChatMemories(message, options);
+        const messages = this.buildChatMessages(message, { ...options, memories });
+        const tools = this.getChatTools(options);
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        const toolCalls = [];
+        
+        let content = '';
+        
+        try {
+            for (let round = 0; ; round++) {
+                content = '';
+                const stream = this.mockMode
+                    ? this.streamMockMessageResponse(message, options.signal)
+                    : this.stream(messages, {
+                        ...this.buildChatCallOptions(options),
+                        tools: round < this.chatTools.maxRounds ? tools : undefined,
+                        signal: options.signal
+                    });
+                let completion = null;
+                
+                for await (const chunk of stream) {
+                    if (chunk.type === 'delta') {
+                        content += chunk.content;
+                        yield chunk;
+                    } else if (chunk.type === 'done') {
+                        completion = chunk;
+                    }
+                }
+                
+                // The provider stopped without a result: the stream was cancelled
+                if (!completion) {
+                    break;
+                }
+                
+                AgentWeaver.addUsage(usage, completion.usage);
+                
+                if (!completion.toolCalls?.length) {
+                    const done = {
+                        type: 'done',
+                        ...this.formatCompletion({ content, usage }),
+                        cancelled: false,
+                        memories: MemoryRetriever.report(memories, content),
+                        toolCalls
+                    };
+                    await this.recordConversationTurn(message, done.content, options);
+                    yield done;
+                    return;
+                }
+                
+                messages.push({ role: 'assistant', content: completion.content || '', toolCalls: completion.toolCalls });
+                for (const call of completion.toolCalls) {
+                    const outcome = await this.runChatToolCall(messages, call, options);
+                    toolCalls.push(outcome);
+                    yield { type: 'tool', ...outcome };
+                }
+            }
+        } catch (error) {
+            if (!options.signal?.aborted) {
+                this.logger.error('Failed to stream chat message:', error);
+                throw error;
+            }
+        }
+        
+        this.logger.info('Chat stream cancelled');
+        
+        // Keep what the user already saw of a cancelled answer
+        await this.recordConversationTurn(message, content, options);
+        yield {
+            type: 'done',
+            content,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cancelled: true,
+            memories: MemoryRetriever.report(memories, content),
+            toolCalls
+        };
+    }
+
+    /**
+     * Chat completion with the AutoWeave tools: tool calls run as the caller
+     * and their results go back to the model until it answers in text. The
+     * last round offers no tools, so a looping model still has to answer.
+     */
+    async completeChat(messages, options = {}) {
+        const tools = this.getChatTools(options);
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        const toolCalls = [];
+        
+        for (let round = 0; ; round++) {
+            const completion = await RetryHelper.withRetry(() => this.complete(messages, {
+                ...this.buildChatCallOptions(options),
+                tools: round < this.chatTools.maxRounds ? tools : undefined
+            }), { maxAttempts: 3 });
+            
+            AgentWeaver.addUsage(usage, completion.usage);
+            
+            if (!completion.toolCalls?.length) {
+                return { ...this.formatCompletion({ content: completion.content, usage }), toolCalls };
+            }
+            
+            messages.push({ role: 'assistant', content: completion.content || '', toolCalls: completion.toolCalls });
+            for (const call of completion.toolCalls) {
+                toolCalls.push(await this.runChatToolCall(messages, call, options));
+            }
+        }
+    }
+
+    async runChatToolCall(messages, call, options = {}) {
+        const outcome = await this.chatTools.execute(call, this.getChatCaller(options));
+        
+        messages.push({
+            role: 'tool',
+            toolCallId: call.id,
+            name: call.name,
+            content: ChatToolbox.serialize(outcome)
+        });
+        
+        return { id: call.id, name: call.name, arguments: call.arguments, ...outcome };
+    }
+
+    /**
+     * Tool definitions offered to the model for this caller, or undefined
+     * when tools are off (`options.tools: false`) or the provider has none
+     */
+    getChatTools(options = {}) {
+        if (!this.canCallChatTools(options)) {
+            return undefined;
+        }
+        
+        const tools = this.chatTools.definitions(this.getChatCaller(options));
+        return tools.length > 0 ? tools : undefined;
+    }
+
+    /**
+     * Whether chat can offer the AutoWeave tools: not in mock mode nor with
+     * providers without tool calling, where AutoWeave falls back to keyword
+     * commands
+     */
+    canCallChatTools(options = {}) {
+        if (this.mockMode || options.tools === false || !this.chatTools.enabled || this.chatTools.size === 0) {
+            return false;
+        }
+        
+        return this.resolveProvider(options).provider.capabilities.tools === true;
+    }
+
+    /**
+     * User the agent was generated for (workflow.owner of its current
+     * revision), null when unknown
+     */
+    getAgentOwner(agentId) {
+        return this.revisions.has(agentId) ? (this.revisions.getCurrent(agentId).workflow.owner ?? null) : null;
+    }
+
+    /**
+     * Records the owner on every revision of the agent's workflow, for
+     * workflows generated without a userId
+     */
+    setAgentOwner(agentId, userId) {
+        if (!this.revisions.has(agentId)) {
+            return false;
+        }
+        
+        this.revisions.getHistory(agentId).revisions.forEach(revision => {
+            revision.workflow.owner = userId || null;
+        });
+        return true;
+    }
+
+    ownsAgent(agentId, userId) {
+        return Boolean(userId) && this.getAgentOwner(agentId) === userId;
+    }
+
+    getChatCaller(options = {}) {
+        return {
+            userId: options.userId || options.user_id || 'anonymous',
+            sessionId: options.sessionId
+        };
+    }
+
+    /**
+     * Runs a destructive tool call the user approved; the outcome is noted
+     * in the conversation session it was requested from
+     */
+    async confirmChatTool(confirmationId, caller = {}) {
+        const outcome = await this.chatTools.confirm(confirmationId, caller);
+        const { call, caller: requester } = outcome.confirmation;
+        
+        if (requester.sessionId && this.conversations.has(requester.sessionId)) {
+            const summary = outcome.status === 'ok' ? 'done' : `failed: ${outcome.error}`;
+            this.conversations.append(requester.sessionId, 'assistant', `Confirmed ${call.name}(${JSON.stringify(call.arguments)}): ${summary}`);
+        }
+        
+        return outcome;
+    }
+
+    static addUsage(total, usage = {}) {
+        total.promptTokens += usage.promptTokens || 0;
+        total.completionTokens += usage.completionTokens || 0;
+        total.totalTokens += usage.totalTokens || 0;
+        return total;
+    }
+
+    async collectChatStream(message, options = {}) {
+        let result = null;
+        
+        for await (const chunk of this.streamChatMessage(message, options)) {
+            if (chunk.type === 'delta' && options.onDelta) {
+                options.onDelta(chunk.content);
+            } else if (chunk.type === 'done') {
+                result = chunk;
+            }
+        }
+        
+        const { type, ...response } = result;
+        return response;
+    }
+
+    buildChatMessages(message, options = {}) {
+        // Extract conversation context if provided
+        const conversationContext = options.conversationContext || [];
+        
+        const messages = [
+            {
+                role: 'system',
+                content: this.buildChatSystemPrompt(options)
+            }
+        ];
+        
+        // A session supplies its own history; the message is the new turn
+        if (options.sessionId) {
+            messages.push(...this.conversations.buildContext(options.sessionId));
+            messages.push({
+                role: 'user',
+                content: message
+            });
+        } else if (conversationContext.length > 0) {
+            messages.push(...conversationContext);
+        } else {
+            messages.push({
+                role: 'user',
+                content: message
+            });
+        }
+        
+        return messages;
+    }
+
+    buildChatSystemPrompt(options = {}) {
+        const memories = options.memories?.length > 0 ? MemoryRetriever.format(options.memories) : undefined;
+        
+        return this.prompts.render('chat-system', { memories }, { version: options.promptVersion }).system;
+    }
+
+    /**
+     * Memories relevant to the message: the user's, the agent's
+     * (options.agentId) and past configurations, within config.retrieval.tokenBudget
+     */
+    async retrieveChatMemories(message, options = {}) {
+        if (options.memory === false) {
+            return [];
+        }
+        
+        const userId = options.userId || options.user_id;
+        
+        return await this.memoryRetriever.retrieve(this.memoryManager, message, {
+            userId,
+            agentId: options.agentId,
+            ownsAgent: (agentId) => this.ownsAgent(agentId, userId)
+        });
+    }
+
+    buildChatCallOptions(options = {}) {
+        return {
+            provider: options.provider,
+            model: options.model || this.config.chatModel,
+            maxTokens: options.max_tokens || options.maxTokens || 1000,
+            temperature: options.temperature || 0.7,
+            userId: options.userId || options.user_id,
+            agentId: options.agentId,
+            operation: 'chat'
+        };
+    }
+
+    /**
+     * Adds the user message and the answer to `options.sessionId`, then
+     * rolls older turns into the summary if the history is over budget
+     */
+    async recordConversationTurn(message, reply, options = {}) {
+        if (!options.sessionId) {
+            return;
+        }
+        
+        this.conversations.append(options.sessionId, 'user', message);
+        if (reply) {
+            this.conversations.append(options.sessionId, 'assistant', reply);
+        }
+        
+        await this.conversations.compact(options.sessionId, (summary, messages) =>
+            this.summarizeConversation(summary, messages, options));
+    }
+
+    async summarizeConversation(summary, messages, options = {}) {
+        const transcript = messages.map(entry => `${entry.role}: ${entry.content}`).join('\n');
+        
+        if (this.mockMode) {
+            return [summary, ...messages.map(entry => `${entry.role}: ${entry.content.substring(0, 80)}`)]
+                .filter(Boolean)
+                .join('\n');
+        }
+        
+        const prompt = this.prompts.render('conversation-summary', { summary, transcript });
+        const response = await this.complete([
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+        ], {
+            provider: options.provider,
+            model: options.model || this.config.chatModel,
+            temperature: 0.2,
+            maxTokens: 400,
+            userId: options.userId || options.user_id,
+            operation: 'conversation-summary'
+        });
+        
+        return response.content.trim();
+    }
+
+    async *streamMockMessageResponse(message, signal) {
+        const response = this.generateMockMessageResponse(message);
+        
+        for (const piece of response.content.match(/\S+\s*/g) || []) {
+            if (signal?.aborted) {
+                return;
+            }
+            yield { type: 'delta', content: piece };
+        }
+        
+        yield {
+            type: 'done',
+            content: response.content,
+            usage: {
+                promptTokens: response.promptTokens,
+                completionTokens: response.completionTokens,
+                totalTokens: response.totalTokens
+            }
+        };
+    }
+
+    // ========== LLM PROVIDERS ==========
+
+    /**
+     * Resolves the provider and model for a call.
+     * Precedence: options.provider > options.modelConfig.provider > default provider.
+     * The modelConfig name is only used when it also names a provider, since
+     * generated workflows always carry a default `gpt-4` model name.
+     */
+    resolveProvider(options = {}) {
+        const modelConfig = options.modelConfig || {};
+        const provider = this.providers.get(options.provider || modelConfig.provider);
+        const model = options.model ||
+            (modelConfig.provider ? modelConfig.name : null) ||
+            provider.defaultModel ||
+            this.config.model;
+
+        return { provider, model };
+    }
+
+    /**
+     * Single entry point for LLM calls: enforces the caller's budget and
+     * records the call in the usage ledger (options.userId, options.agentId,
+     * options.operation).
+     */
+    async complete(messages, options = {}) {
+        const { provider, model } = this.resolveProvider(options);
+
+        this.usageLedger.checkBudget(options.userId);
+        this.logger.debug(`LLM call via ${provider.name} (${model})`);
+
+        const result = await provider.complete({
+            model,
+            messages,
+            temperature: options.temperature,
+            maxTokens: options.maxTokens,
+            responseFormat: options.responseFormat,
+            tools: options.tools,
+            signal: options.signal
+        });
+
+        this.recordUsage(result, options);
+        return result;
+    }
+
+    async *stream(messages, options = {}) {
+        const { provider, model } = this.resolveProvider(options);
+
+        this.usageLedger.checkBudget(options.userId);
+        this.logger.debug(`LLM stream via ${provider.name} (${model})`);
+
+        const stream = provider.stream({
+            model,
+            messages,
+            temperature: options.temperature,
+            maxTokens: options.maxTokens,
+            tools: options.tools,
+            signal: options.signal
+        });
+
+        for await (const chunk of stream) {
+            if (chunk.type === 'done') {
+                this.recordUsage(chunk, options);
+            }
+            yield chunk;
+        }
+    }
+
+    recordUsage(result, options = {}) {
+        return this.usageLedger.record({
+            operation: options.operation,
+            provider: result.provider,
+            model: result.model,
+            promptTokens: result.usage.promptTokens,
+            completionTokens: result.usage.completionTokens,
+            totalTokens: result.usage.totalTokens,
+            userId: options.userId,
+            agentId: options.agentId
+        });
+    }
+
+    formatCompletion(completion) {
+        return {
+            content: completion.content,
+            promptTokens: completion.usage.promptTokens,
+            completionTokens: completion.usage.completionTokens,
+            totalTokens: completion.usage.totalTokens
+        };
+    }
+
+    getProviders() {
+        return this.providers.list();
+    }
+
+    getWorkflowSchema() {
+        return WorkflowSchema.schema;
+    }
+
+    registerModuleType(type, definition) {
+        return this.moduleCatalog.registerType(type, definition);
+    }
+
     // Memory management methods
     async addToMemory(message, userId, metadata = {}) {
         this.logger.info(`Adding to memory for user ${userId}: "${message}"`);
@@ -382,14 +1065,20 @@ Return only the JSON object, no additional text.
         }
         
         try {
-            const result = await this.memoryManager.contextualMemory.searchMemory(
-                "user history",
-                userId,
-                {
-                    type: options.type || 'all',
-                    limit: options.limit || 10
-                }
-            );
+            const contextual = this.memoryManager.contextualMemory;
+            const limit = options.limit || 10;
+            
+            // Without a query, list the latest entries when the backend can
+            const result = !options.query && typeof contextual.listMemories === 'function'
+                ? (await contextual.listMemories(userId, { type: options.type || 'all' })).slice(-limit)
+                : await contextual.searchMemory(
+                    options.query || 'user history',
+                    userId,
+                    {
+                        type: options.type || 'all',
+                        limit
+                    }
+                );
             
             this.logger.success(`Retrieved ${result.length} memories for user ${userId}`);
             return result;
@@ -399,6 +1088,60 @@ Return only the JSON object, no additional text.
         }
     }
 
+    /**
+     * Correction d'une entrée mémoire
+     *
+     * Replaces the text of one memory entry, e.g. one reported in a chat
+     * answer's `memories`. Only the entry's owner (MemoryRetriever.ownerOf)
+     * may correct it: MemoryAccessError 404 for unknown entries, 403 for
+     * entries of other users. forgetMemory() applies the same check.
+     */
+    async correctMemory(memoryId, content, userId) {
+        const contextual = this.requireMemoryEntryOperations('updateMemory');
+        await this.requireOwnedMemory(memoryId, userId);
+        
+        await contextual.updateMemory(memoryId, content);
+        this.logger.success(`Memory ${memoryId} corrected`);
+        return { id: memoryId, content };
+    }
+
+    async forgetMemory(memoryId, userId) {
+        const contextual = this.requireMemoryEntryOperations('deleteMemory');
+        await this.requireOwnedMemory(memoryId, userId);
+        
+        await contextual.deleteMemory(memoryId);
+        this.logger.success(`Memory ${memoryId} deleted`);
+        return true;
+    }
+
+    async requireOwnedMemory(memoryId, userId) {
+        const entry = await this.requireMemoryEntryOperations('getMemory').getMemory(memoryId);
+        
+        if (!entry) {
+            throw new MemoryAccessError(`Memory ${memoryId} not found`, 404);
+        }
+        if (!userId || MemoryRetriever.ownerOf(entry) !== userId) {
+            throw new MemoryAccessError(`Memory ${memoryId} does not belong to ${userId || 'an anonymous caller'}`, 403);
+        }
+        
+        return entry;
+    }
+
+    requireMemoryEntryOperations(operation) {
+        const contextual = this.memoryManager?.contextualMemory;
+        
+        if (typeof contextual?.[operation] !== 'function') {
+            throw new Error(`The memory backend does not support ${operation}`);
+        }
+        
+        return contextual;
+    }
+
+    /**
+     * Deletes the user's contextual memories; true when the backend did.
+     * eraseUserData() also covers agents, configurations and conversations
+     * and reports what was deleted.
+     */
     async clearMemory(userId) {
         this.logger.info(`Clearing memory for user ${userId}`);
         
@@ -417,25 +1160,80 @@ Return only the JSON object, no additional text.
         }
     }
 
+    // ========== USER DATA PORTABILITY ==========
+
+    /**
+     * One JSON archive of the user's memories, the memories of the agents
+     * generated for them, their generated configurations and conversations
+     */
+    async exportUserData(userId) {
+        return await this.userData.export(this.memoryManager, userId, {
+            agentIds: this.getUserAgentIds(userId)
+        });
+    }
+
+    async importUserData(archive, options = {}) {
+        return await this.userData.import(this.memoryManager, archive, options);
+    }
+
+    /**
+     * Deletes the user's data from every store; the report lists what was
+     * deleted from each one and whether a second listing found it empty
+     */
+    async eraseUserData(userId) {
+        return await this.userData.erase(this.memoryManager, userId, {
+            agentIds: this.getUserAgentIds(userId)
+        });
+    }
+
+    /**
+     * Agents generated for the user (workflow.owner), the only agents whose
+     * data export and erasure reach
+     */
+    getUserAgentIds(userId) {
+        return this.revisions.workflowIds().filter(agentId => this.ownsAgent(agentId, userId));
+    }
+
     // ========== ANP OPENAPI 3.1 GENERATION ==========
 
+    /**
+     * Builds the spec from the module catalog and the workflow steps, so the
+     * same workflow always yields the same spec. The LLM is only involved
+     * when asked: `enrich` (or config.openapi.enrich) improves descriptions
+     * and examples, `generator: 'llm'` writes the whole spec. A security
+     * profile (`securityProfile`, workflow.security.profile or
+     * config.openapi.securityProfile) sets per-operation requirements.
+     */
     async generateOpenAPISpec(workflow, options = {}) {
         this.logger.info(`Generating OpenAPI 3.1 spec for workflow: ${workflow.name}`);
         
         try {
-            // Use mock in test mode
-            if (this.mockMode) {
-                return this.generateMockOpenAPISpec(workflow);
-            }
+            let spec;
             
-            const spec = await RetryHelper.withRetry(
-                () => this.processWorkflowToOpenAPI(workflow, options),
-                {
-                    maxAttempts: 3,
-                    delay: 1000,
-                    shouldRetry: (error) => error.message.includes('rate limit')
+            if (options.generator === 'llm' && !this.mockMode) {
+                spec = await RetryHelper.withRetry(
+                    () => this.processWorkflowToOpenAPI(workflow, options),
+                    {
+                        maxAttempts: 3,
+                        delay: 1000,
+                        shouldRetry: (error) => error.message.includes('rate limit')
+                    }
+                );
+            } else {
+                spec = this.openapiBuilder.build(workflow, {
+                    baseUrl: this.config.openapi?.baseUrl,
+                    ...options
+                });
+                
+                if ((options.enrich ?? this.config.openapi?.enrich) && !this.mockMode) {
+                    spec = await this.enrichOpenAPISpec(spec, workflow, options);
                 }
-            );
+            }
+            
+            const securityProfile = options.securityProfile || workflow.security?.profile || this.config.openapi?.securityProfile;
+            if (securityProfile) {
+                this.securityProfiles.apply(spec, securityProfile);
+            }
             
             // Validate the generated spec
             await this.validateOpenAPISpec(spec);
@@ -449,26 +1247,197 @@ Return only the JSON object, no additional text.
         }
     }
 
-    async processWorkflowToOpenAPI(workflow, options = {}) {
-        const prompt = this.buildOpenAPIPrompt(workflow, options);
+    /**
+     * Generates (or takes `options.spec`) and records the agent's spec,
+     * returning { spec, published, version, revision, diff }. The version
+     * defaults to the last published one, so a breaking change is refused
+     * with a BreakingChangeError until `options.version` is bumped.
+     */
+    async publishOpenAPISpec(workflow, options = {}) {
+        const previous = this.specVersions.latest(workflow.id);
+        const spec = options.spec || await this.generateOpenAPISpec(workflow, {
+            ...options,
+            version: options.version || previous?.version
+        });
         
-        const response = await this.openai.chat.completions.create({
-            model: this.config.model,
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are an expert API architect that converts agent workflows into valid OpenAPI 3.1 specifications. Generate complete, valid OpenAPI specs that describe agent capabilities as RESTful APIs.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
+        const { published, entry, diff } = this.specVersions.publish(workflow.id, spec, { force: options.force });
+        
+        if (diff) {
+            const log = diff.hasBreakingChanges ? 'warn' : 'info';
+            this.logger[log](`Spec of ${workflow.name} ${diff.fromVersion} -> ${diff.toVersion}: ${diff.breaking.length} breaking, ${diff.nonBreaking.length} non-breaking change(s)`);
+            SpecDiff.summarize(diff).forEach(line => this.logger.debug(line));
+        }
+        
+        return { spec, published, version: entry.version, revision: entry.revision, diff };
+    }
+
+    /**
+     * Typed client package of an agent spec: { name, version, files, tarball }.
+     * The tarball is an npm-installable .tgz.
+     */
+    generateClientPackage(spec, options = {}) {
+        const clientPackage = this.clientGenerator.generate(spec, options);
+        this.logger.info(`Generated client package ${clientPackage.name}@${clientPackage.version}`);
+        
+        return { ...clientPackage, tarball: Tarball.create(clientPackage.files) };
+    }
+
+    /**
+     * AsyncAPI 3.0 document of the platform: the AG-UI channel plus the
+     * webhook channels of the given agent specs.
+     */
+    generateAsyncAPISpec(agentSpecs = [], options = {}) {
+        const document = this.asyncapiBuilder.buildPlatform(agentSpecs, {
+            baseUrl: this.config.openapi?.baseUrl,
+            ...options
+        });
+        
+        this.validateAsyncAPISpec(document);
+        return document;
+    }
+
+    /**
+     * AsyncAPI 3.0 document of one agent's webhook channels, from its OpenAPI spec
+     */
+    generateAgentAsyncAPISpec(spec) {
+        const document = this.asyncapiBuilder.buildAgent(spec);
+        
+        this.validateAsyncAPISpec(document);
+        return document;
+    }
+
+    validateAsyncAPISpec(document) {
+        this.logger.debug('Validating AsyncAPI 3.0 document...');
+        
+        const errors = AsyncAPIBuilder.validate(document);
+        if (errors.length > 0) {
+            this.logger.error('AsyncAPI document validation failed:', errors);
+            throw new Error(`Invalid AsyncAPI document: ${errors.map(error => `${error.path} ${error.message}`).join(', ')}`);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Asks the model for better summaries, descriptions and examples. Paths
+     * and schemas are never changed; on any failure the rule-based spec is
+     * returned as is.
+     */
+    async enrichOpenAPISpec(spec, workflow, options = {}) {
+        const includeExamples = options.includeExamples !== false;
+        const operations = [];
+        
+        for (const [path, pathItem] of Object.entries(spec.paths)) {
+            for (const [method, operation] of Object.entries(pathItem)) {
+                operations.push({
+                    operationId: operation.operationId,
+                    method: method.toUpperCase(),
+                    path,
+                    summary: operation.summary,
+                    requestSchema: this.resolveSchemaRef(spec, operation.requestBody?.content?.['application/json']?.schema),
+                    responseSchema: this.resolveSchemaRef(spec, operation.responses?.['200']?.content?.['application/json']?.schema)
+                });
+            }
+        }
+        
+        const prompt = this.prompts.render('openapi-enrichment', {
+            name: workflow.name,
+            description: workflow.description,
+            operations,
+            includeExamples
+        }, { version: options.enrichmentPromptVersion });
+        
+        try {
+            const { provider } = this.resolveProvider({ provider: options.provider, modelConfig: workflow.modelConfig });
+            const response = await this.complete([
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
+            ], {
+                provider: options.provider,
+                modelConfig: workflow.modelConfig,
+                temperature: 0.3,
+                maxTokens: this.config.maxTokens,
+                responseFormat: provider.capabilities.jsonMode ? 'json' : undefined,
+                userId: options.userId,
+                agentId: workflow.id,
+                operation: 'enrich-openapi'
+            });
+            
+            const enrichment = this.parseJSONResponse(response.content);
+            return this.applyOpenAPIEnrichment(spec, enrichment, includeExamples);
+        } catch (error) {
+            if (error.name === 'BudgetExceededError') {
+                throw error;
+            }
+            this.logger.warn(`OpenAPI enrichment failed, keeping rule-based spec: ${error.message}`);
+            return spec;
+        }
+    }
+    
+    applyOpenAPIEnrichment(spec, enrichment, includeExamples) {
+        const enriched = JSON.parse(JSON.stringify(spec));
+        const updates = enrichment.operations || {};
+        
+        if (typeof enrichment.description === 'string') {
+            enriched.info.description = enrichment.description;
+        }
+        
+        for (const pathItem of Object.values(enriched.paths)) {
+            for (const operation of Object.values(pathItem)) {
+                const update = updates[operation.operationId];
+                if (!update) {
+                    continue;
+                }
+                
+                if (typeof update.summary === 'string') {
+                    operation.summary = update.summary;
+                }
+                if (typeof update.description === 'string') {
+                    operation.description = update.description;
+                }
+                
+                const request = operation.requestBody?.content?.['application/json'];
+                const response = operation.responses?.['200']?.content?.['application/json'];
+                if (includeExamples && request && update.requestExample !== undefined) {
+                    request.example = update.requestExample;
                 }
-            ],
+                if (includeExamples && response && update.responseExample !== undefined) {
+                    response.example = update.responseExample;
+                }
+            }
+        }
+        
+        return enriched;
+    }
+    
+    resolveSchemaRef(spec, schema) {
+        const ref = schema?.$ref?.match(/^#\/components\/schemas\/(.+)$/);
+        return ref ? spec.components.schemas[ref[1]] : schema;
+    }
+
+    async processWorkflowToOpenAPI(workflow, options = {}) {
+        const prompt = this.renderOpenAPIPrompt(workflow, options);
+        
+        const response = await this.complete([
+            {
+                role: 'system',
+                content: prompt.system
+            },
+            {
+                role: 'user',
+                content: prompt.user
+            }
+        ], {
+            provider: options.provider,
+            modelConfig: workflow.modelConfig,
             temperature: 0.3, // Lower temperature for more structured output
-            max_tokens: this.config.maxTokens
+            maxTokens: this.config.maxTokens,
+            userId: options.userId,
+            agentId: workflow.id,
+            operation: 'generate-openapi'
         });
 
-        const result = response.choices[0].message.content;
+        const result = response.content;
         
         try {
             const spec = JSON.parse(result);
@@ -479,48 +1448,20 @@ Return only the JSON object, no additional text.
         }
     }
 
-    buildOpenAPIPrompt(workflow, options = {}) {
-        const includeExamples = options.includeExamples !== false;
-        const includeWebhooks = options.includeWebhooks === true;
-        
-        return `
-Convert the following agent workflow into a valid OpenAPI 3.1 specification.
-
-Workflow Details:
-- Name: ${workflow.name}
-- Description: ${workflow.description}
-- Required Modules: ${JSON.stringify(workflow.requiredModules, null, 2)}
-- Steps: ${JSON.stringify(workflow.steps, null, 2)}
-
-Generate a complete OpenAPI 3.1 specification with:
-
-1. **Info Section**: title, version, description
-2. **Server**: Base URL for the agent API
-3. **Paths**: REST endpoints for each workflow step/capability
-4. **Components**: Schemas for request/response models
-5. **Security**: API key authentication
-${includeExamples ? '6. **Examples**: Request/response examples for each endpoint' : ''}
-${includeWebhooks ? '7. **Webhooks**: Callback endpoints for async operations' : ''}
-
-For each required module, create appropriate REST endpoints:
-- file_system: /files (GET, POST, PUT, DELETE)
-- kubernetes: /k8s/resources (GET, POST, PUT, DELETE)
-- coding_assistant: /code/analyze, /code/generate
-- monitoring: /metrics, /health
-- mcp_server: /mcp/tools, /mcp/execute
-
-For each workflow step, create an execution endpoint:
-- POST /execute/{step-action}
-
-Ensure the specification is:
-- Valid OpenAPI 3.1 format
-- Uses proper HTTP methods and status codes
-- Includes comprehensive schema definitions
-- Has security schemes defined
-- Contains detailed descriptions
+    renderOpenAPIPrompt(workflow, options = {}) {
+        return this.prompts.render('openapi-generation', {
+            name: workflow.name,
+            description: workflow.description,
+            requiredModules: workflow.requiredModules,
+            steps: workflow.steps,
+            includeExamples: options.includeExamples !== false,
+            includeWebhooks: options.includeWebhooks === true,
+            moduleEndpoints: this.moduleCatalog.describeEndpoints()
+        }, { version: options.promptVersion });
+    }
 
-Return only the JSON specification, no additional text.
-        `;
+    buildOpenAPIPrompt(workflow, options = {}) {
+        return this.renderOpenAPIPrompt(workflow, options).user;
     }
 
     enhanceOpenAPISpec(spec, workflow) {
@@ -560,18 +1501,7 @@ Return only the JSON specification, no additional text.
         }
         
         if (!spec.components.securitySchemes) {
-            spec.components.securitySchemes = {
-                apiKey: {
-                    type: 'apiKey',
-                    in: 'header',
-                    name: 'X-API-Key'
-                },
-                bearerAuth: {
-                    type: 'http',
-                    scheme: 'bearer',
-                    bearerFormat: 'JWT'
-                }
-            };
+            spec.components.securitySchemes = OpenAPIBuilder.clone(SECURITY_SCHEMES);
         }
         
         // Add global security
@@ -587,45 +1517,7 @@ Return only the JSON specification, no additional text.
             spec.components.schemas = {};
         }
         
-        spec.components.schemas.Error = {
-            type: 'object',
-            properties: {
-                error: {
-                    type: 'string',
-                    description: 'Error message'
-                },
-                code: {
-                    type: 'integer',
-                    description: 'Error code'
-                },
-                timestamp: {
-                    type: 'string',
-                    format: 'date-time',
-                    description: 'Error timestamp'
-                }
-            },
-            required: ['error', 'timestamp']
-        };
-        
-        spec.components.schemas.Success = {
-            type: 'object',
-            properties: {
-                success: {
-                    type: 'boolean',
-                    description: 'Operation success status'
-                },
-                data: {
-                    type: 'object',
-                    description: 'Response data'
-                },
-                timestamp: {
-                    type: 'string',
-                    format: 'date-time',
-                    description: 'Response timestamp'
-                }
-            },
-            required: ['success', 'timestamp']
-        };
+        Object.assign(spec.components.schemas, OpenAPIBuilder.clone(COMMON_SCHEMAS));
         
         return spec;
     }
@@ -634,8 +1526,8 @@ Return only the JSON specification, no additional text.
         this.logger.debug('Validating OpenAPI 3.1 specification...');
         
         try {
-            // Use swagger-parser to validate the spec
-            await SwaggerParser.validate(spec);
+            // swagger-parser dereferences what it validates, so give it a copy
+            await SwaggerParser.validate(OpenAPIBuilder.clone(spec));
             
             // Additional ANP-specific validation
             this.validateANPCompliance(spec);
@@ -649,180 +1541,54 @@ Return only the JSON specification, no additional text.
         }
     }
 
+    /**
+     * Runs the ANP rule set; returns { valid, errorCount, warningCount, infoCount, results }.
+     * `options.format: 'text'` returns the human-readable report instead.
+     */
+    lintOpenAPISpec(spec, options = {}) {
+        const report = this.anpLinter.lint(spec, options);
+        return options.format === 'text' ? AnpLinter.formatText(report) : report;
+    }
+
     validateANPCompliance(spec) {
-        // ANP-specific validation rules
-        const errors = [];
+        const report = this.anpLinter.lint(spec);
         
-        // Check for required ANP metadata
-        if (!spec.info['x-agent-id']) {
-            errors.push('Missing x-agent-id in info section');
-        }
+        report.results
+            .filter(result => result.severity === 'warning')
+            .forEach(result => this.logger.warn(`${result.code} ${result.path}: ${result.message}`));
         
-        if (!spec.info['x-agent-name']) {
-            errors.push('Missing x-agent-name in info section');
+        if (!report.valid) {
+            const errors = report.results
+                .filter(result => result.severity === 'error')
+                .map(result => `${result.code} ${result.message}`);
+            throw new Error(`ANP compliance validation failed: ${errors.join(', ')}`);
         }
         
-        if (!spec.info['x-anp-version']) {
-            errors.push('Missing x-anp-version in info section');
-        }
+        return report;
+    }
+
+    /**
+     * Builds a workflow from an existing OpenAPI 3.x document (file path, URL
+     * or object) without calling the model: one `mcp_server` module per
+     * capability and one step per operation, keeping the auth schemes.
+     */
+    async importOpenAPISpec(source, options = {}) {
+        this.logger.info(`Importing OpenAPI spec: ${typeof source === 'string' ? source : source?.info?.title}`);
         
-        // Check for required endpoints
-        if (!spec.paths) {
-            errors.push('No paths defined in specification');
-        }
+        const workflow = await this.openapiImporter.import(source, options);
+        workflow.id = options.agentId || this.generateWorkflowId();
         
-        // Check for security schemes
-        if (!spec.components?.securitySchemes) {
-            errors.push('No security schemes defined');
-        }
+        const validated = this.validateAndEnhanceWorkflow(workflow, workflow.description);
+        this.revisions.record(validated, { source: 'openapi-import' });
         
-        if (errors.length > 0) {
-            throw new Error(`ANP compliance validation failed: ${errors.join(', ')}`);
-        }
-    }
-
-    generateMockOpenAPISpec(workflow) {
-        return {
-            openapi: '3.1.0',
-            info: {
-                title: `${workflow.name} Agent API`,
-                version: '1.0.0',
-                description: workflow.description,
-                'x-agent-id': workflow.id,
-                'x-agent-name': workflow.name,
-                'x-agent-type': 'autoweave-agent',
-                'x-anp-version': '1.0.0'
-            },
-            servers: [
-                {
-                    url: `http://localhost:3000/api/agents/${workflow.id}`,
-                    description: 'AutoWeave Agent API (Mock)'
-                }
-            ],
-            paths: {
-                '/health': {
-                    get: {
-                        summary: 'Health check',
-                        operationId: 'getHealth',
-                        responses: {
-                            '200': {
-                                description: 'Agent is healthy',
-                                content: {
-                                    'application/json': {
-                                        schema: {
-                                            '$ref': '#/components/schemas/Success'
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                },
-                '/execute': {
-                    post: {
-                        summary: 'Execute agent workflow',
-                        operationId: 'executeWorkflow',
-                        requestBody: {
-                            content: {
-                                'application/json': {
-                                    schema: {
-                                        type: 'object',
-                                        properties: {
-                                            input: {
-                                                type: 'string',
-                                                description: 'Input data for the workflow'
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        },
-                        responses: {
-                            '200': {
-                                description: 'Workflow executed successfully',
-                                content: {
-                                    'application/json': {
-                                        schema: {
-                                            '$ref': '#/components/schemas/Success'
-                                        }
-                                    }
-                                }
-                            },
-                            '400': {
-                                description: 'Invalid input',
-                                content: {
-                                    'application/json': {
-                                        schema: {
-                                            '$ref': '#/components/schemas/Error'
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            },
-            components: {
-                securitySchemes: {
-                    apiKey: {
-                        type: 'apiKey',
-                        in: 'header',
-                        name: 'X-API-Key'
-                    },
-                    bearerAuth: {
-                        type: 'http',
-                        scheme: 'bearer',
-                        bearerFormat: 'JWT'
-                    }
-                },
-                schemas: {
-                    Success: {
-                        type: 'object',
-                        properties: {
-                            success: {
-                                type: 'boolean',
-                                description: 'Operation success status'
-                            },
-                            data: {
-                                type: 'object',
-                                description: 'Response data'
-                            },
-                            timestamp: {
-                                type: 'string',
-                                format: 'date-time',
-                                description: 'Response timestamp'
-                            }
-                        },
-                        required: ['success', 'timestamp']
-                    },
-                    Error: {
-                        type: 'object',
-                        properties: {
-                            error: {
-                                type: 'string',
-                                description: 'Error message'
-                            },
-                            code: {
-                                type: 'integer',
-                                description: 'Error code'
-                            },
-                            timestamp: {
-                                type: 'string',
-                                format: 'date-time',
-                                description: 'Error timestamp'
-                            }
-                        },
-                        required: ['error', 'timestamp']
-                    }
-                }
-            },
-            security: [
-                { apiKey: [] },
-                { bearerAuth: [] }
-            ]
-        };
+        this.logger.success(`Imported ${validated.steps.length} operations as workflow ${validated.name}`);
+        return validated;
     }
 
+    /**
+     * Endpoints and operations of the workflow's spec; `tools` holds one MCP
+     * tool definition per operation.
+     */
     async getOpenAPICapabilities(workflow) {
         this.logger.debug(`Getting OpenAPI capabilities for workflow: ${workflow.name}`);
         
@@ -834,7 +1600,8 @@ Return only the JSON specification, no additional text.
                 endpoints: [],
                 schemas: Object.keys(spec.components?.schemas || {}),
                 security: spec.security || [],
-                operations: []
+                operations: [],
+                tools: OpenAPIToolset.fromSpec(spec).tools
             };
             
             // Parse paths to extract endpoints and operations
@@ -862,9 +1629,14 @@ Return only the JSON specification, no additional text.
         }
     }
 
-    // Method to set memory manager after initialization
+    /**
+     * Remplacement du gestionnaire mémoire après l'initialisation
+     *
+     * Managers without the entry operations (list, get, update, delete) are
+     * seen through a HybridMemoryAdapter
+     */
     setMemoryManager(manager) {
-        this.memoryManager = manager;
+        this.memoryManager = HybridMemoryAdapter.wrap(manager);
         this.logger.info('Memory manager set successfully');
     }
 }
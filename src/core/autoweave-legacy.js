@@ -2,6 +2,7 @@ const { AgentWeaver } = require('./agent-weaver');
 const { MCPDiscovery } = require('../mcp/discovery');
 const { Logger } = require('../utils/logger');
 const HybridMemoryManager = require('../memory/hybrid-memory');
+const { UserAuthenticator } = require('../services/user-auth');
 const express = require('express');
 
 class AutoWeave {
@@ -15,10 +16,36 @@ class AutoWeave {
         this.mcpDiscovery = new MCPDiscovery(config.mcp);
         this.memoryManager = new HybridMemoryManager(config.memory);
 
+        // Identity of the chat callers (config.auth)
+        this.authenticator = new UserAuthenticator(config.auth);
+
         // State
         this.createdWorkflows = new Map();
         this.deployedAgents = new Map();
         this.server = null;
+
+        // Agent operations the chat model can call, limited to the caller's agents
+        this.agentWeaver.chatTools.registerAutoWeaveOperations({
+            createAgent: async ({ description }, caller) => {
+                const result = await this.createAndDeployAgent(description, caller.userId);
+                return { id: result.workflow.id, name: result.workflow.name, status: result.status };
+            },
+            listAgents: async (args, caller) => await this.listAgents({ owner: caller.userId }),
+            getAgent: async ({ agentId }, caller) => {
+                const status = this.agentWeaver.ownsAgent(agentId, caller.userId) ? await this.getAgentStatus(agentId) : null;
+                if (!status) {
+                    throw new Error(`Agent ${agentId} not found`);
+                }
+                return status;
+            },
+            deleteAgent: async ({ agentId }, caller) => {
+                if (!this.agentWeaver.ownsAgent(agentId, caller.userId)) {
+                    throw new Error(`Agent ${agentId} not found`);
+                }
+                await this.deleteAgent(agentId);
+                return { deleted: agentId };
+            }
+        });
     }
 
     async initialize() {
@@ -48,7 +75,7 @@ class AutoWeave {
 
         try {
             // 1. Generate workflow with Agent Weaver
-            const workflow = await this.agentWeaver.generateWorkflow(description);
+            const workflow = await this.agentWeaver.generateWorkflow(description, { userId });
             this.createdWorkflows.set(workflow.id, workflow);
 
             // 2. Enhance workflow with kagent tools
@@ -117,13 +144,16 @@ class AutoWeave {
     }
 
     findMatchingKagentTools(module) {
+        const hints = this.agentWeaver.moduleCatalog.getToolHints(module.type);
+
         return this.availableKagentTools.filter(tool => {
             const toolName = tool.metadata.name.toLowerCase();
             const moduleType = module.type.toLowerCase();
 
-            // Simple matching logic - can be enhanced
+            // Simple matching logic, plus the kagent tool hints declared in the module catalog
             return toolName.includes(moduleType) ||
                    moduleType.includes(toolName) ||
+                   hints.some(hint => toolName.includes(hint)) ||
                    (module.keywords && module.keywords.some(k => toolName.includes(k)));
         });
     }
@@ -149,32 +179,60 @@ class AutoWeave {
         };
     }
 
+    /**
+     * filters: { owner } keeps the agents generated for that user
+     */
+    async listAgents(filters = {}) {
+        const agents = [];
+        for (const id of this.createdWorkflows.keys()) {
+            if (filters.owner && !this.agentWeaver.ownsAgent(id, filters.owner)) {
+                continue;
+            }
+            const status = await this.getAgentStatus(id);
+            if (status) {
+                agents.push(status);
+            }
+        }
+        return agents;
+    }
+
+    async deleteAgent(agentId) {
+        await this.kagentBridge.deleteAgent(agentId);
+        this.createdWorkflows.delete(agentId);
+        this.deployedAgents.delete(agentId);
+    }
+
     async processChatMessage(message, options = {}) {
         this.logger.info(`Processing chat message: "${message}"`);
 
         try {
-            // Check if the message is an agent creation request
-            if (this.isAgentCreationRequest(message)) {
-                return await this.handleAgentCreationFromChat(message, options);
-            }
+            // Agent creation and management are tool calls of the model; without a
+            // tool-capable provider (mock mode included) keywords select them
+            if (!this.agentWeaver.canCallChatTools()) {
+                if (this.isAgentCreationRequest(message)) {
+                    return await this.handleAgentCreationFromChat(message, options);
+                }
 
-            // Check if the message is about agent management
-            if (this.isAgentManagementRequest(message)) {
-                return await this.handleAgentManagementFromChat(message, options);
+                if (this.isAgentManagementRequest(message)) {
+                    return await this.handleAgentManagementFromChat(message, options);
+                }
             }
 
             // Default: Use AgentWeaver to process the message
             const response = await this.agentWeaver.processMessage(message, {
                 maxTokens: options.max_tokens,
                 temperature: options.temperature,
-                context: options.conversationContext
+                context: options.conversationContext,
+                userId: options.userId
             });
 
             return {
                 content: response.content || response,
                 promptTokens: response.promptTokens || 0,
                 completionTokens: response.completionTokens || 0,
-                totalTokens: response.totalTokens || 0
+                totalTokens: response.totalTokens || 0,
+                memories: response.memories || [],
+                toolCalls: response.toolCalls || []
             };
 
         } catch (error) {
@@ -193,13 +251,23 @@ class AutoWeave {
         return keywords.some(keyword => message.toLowerCase().includes(keyword));
     }
 
+    /**
+     * Keyword commands run with the permissions of the matching chat tools
+     */
     async handleAgentCreationFromChat(message, options) {
         try {
+            if (!this.agentWeaver.chatTools.permits(options.userId, 'createAgent')) {
+                throw new Error('Permission agents:write is required to create agents');
+            }
+
             // Extract agent description from the message
             const description = this.extractAgentDescription(message);
             
             // Create and deploy the agent
-            const result = await this.createAndDeployAgent(description);
+            const result = await this.createAndDeployAgent(description, options.userId);
+            
+            // Report the tokens actually spent generating this agent
+            const usage = this.agentWeaver.usageLedger.summarize({ agentId: result.workflow.id });
             
             return {
                 content: `✅ Agent "${result.workflow.name}" created successfully!\n\n` +
@@ -208,16 +276,16 @@ class AutoWeave {
                         `**Status:** ${result.status}\n` +
                         `**Capabilities:** ${result.workflow.requiredModules.map(m => m.type).join(', ')}\n\n` +
                         `The agent is now deployed and ready to use.`,
-                promptTokens: 50,
-                completionTokens: 100,
-                totalTokens: 150
+                promptTokens: usage.promptTokens,
+                completionTokens: usage.completionTokens,
+                totalTokens: usage.totalTokens
             };
         } catch (error) {
             return {
                 content: `❌ Failed to create agent: ${error.message}\n\nPlease check the description and try again.`,
-                promptTokens: 20,
-                completionTokens: 30,
-                totalTokens: 50
+                promptTokens: 0,
+                completionTokens: 0,
+                totalTokens: 0
             };
         }
     }
@@ -225,20 +293,18 @@ class AutoWeave {
     async handleAgentManagementFromChat(message, options) {
         try {
             if (message.toLowerCase().includes('list') || message.toLowerCase().includes('show')) {
-                const agents = [];
-                for (const [id, workflow] of this.createdWorkflows) {
-                    const status = await this.getAgentStatus(id);
-                    if (status) {
-                        agents.push(status);
-                    }
+                if (!this.agentWeaver.chatTools.permits(options.userId, 'listAgents')) {
+                    throw new Error('Permission agents:read is required to list agents');
                 }
 
+                const agents = await this.listAgents({ owner: options.userId });
+
                 if (agents.length === 0) {
                     return {
                         content: "📋 No agents found. Use 'create agent' to create your first agent.",
-                        promptTokens: 10,
-                        completionTokens: 20,
-                        totalTokens: 30
+                        promptTokens: 0,
+                        completionTokens: 0,
+                        totalTokens: 0
                     };
                 }
 
@@ -248,9 +314,9 @@ class AutoWeave {
 
                 return {
                     content: `📋 **Active Agents (${agents.length}):**\n\n${agentList}`,
-                    promptTokens: 20,
-                    completionTokens: agents.length * 20,
-                    totalTokens: 20 + agents.length * 20
+                    promptTokens: 0,
+                    completionTokens: 0,
+                    totalTokens: 0
                 };
             }
 
@@ -261,17 +327,17 @@ class AutoWeave {
                         "• `create agent [description]` - Create a new agent\n" +
                         "• `agent status [id]` - Get agent status\n" +
                         "• `delete agent [id]` - Remove an agent",
-                promptTokens: 15,
-                completionTokens: 40,
-                totalTokens: 55
+                promptTokens: 0,
+                completionTokens: 0,
+                totalTokens: 0
             };
 
         } catch (error) {
             return {
                 content: `❌ Error managing agents: ${error.message}`,
-                promptTokens: 10,
-                completionTokens: 20,
-                totalTokens: 30
+                promptTokens: 0,
+                completionTokens: 0,
+                totalTokens: 0
             };
         }
     }
@@ -390,14 +456,7 @@ class AutoWeave {
         // List agents endpoint
         app.get('/api/agents', async (req, res) => {
             try {
-                const agents = [];
-                for (const [id, workflow] of this.createdWorkflows) {
-                    const status = await this.getAgentStatus(id);
-                    if (status) {
-                        agents.push(status);
-                    }
-                }
-                res.json(agents);
+                res.json(await this.listAgents());
             } catch (error) {
                 this.logger.error('API error listing agents:', error);
                 res.status(500).json({ error: error.message });
@@ -407,9 +466,7 @@ class AutoWeave {
         // Delete agent endpoint
         app.delete('/api/agents/:id', async (req, res) => {
             try {
-                await this.kagentBridge.deleteAgent(req.params.id);
-                this.createdWorkflows.delete(req.params.id);
-                this.deployedAgents.delete(req.params.id);
+                await this.deleteAgent(req.params.id);
                 res.json({ message: 'Agent deleted successfully' });
             } catch (error) {
                 this.logger.error('API error deleting agent:', error);
@@ -417,8 +474,9 @@ class AutoWeave {
             }
         });
 
-        // Chat endpoint for SillyTavern integration (OpenAI-compatible)
-        app.post('/api/chat', async (req, res) => {
+        // Chat endpoint for SillyTavern integration (OpenAI-compatible). The
+        // caller is the authenticated user, never the OpenAI `user` field
+        app.post('/api/chat', this.authenticator.middleware(), async (req, res) => {
             try {
                 const { messages, model = 'autoweave-agent', max_tokens = 1000, temperature = 0.7 } = req.body;
                 
@@ -439,7 +497,8 @@ class AutoWeave {
                     model,
                     max_tokens,
                     temperature,
-                    conversationContext: messages
+                    conversationContext: messages,
+                    userId: req.userId
                 });
 
                 // Return OpenAI-compatible response
@@ -460,7 +519,9 @@ class AutoWeave {
                         prompt_tokens: response.promptTokens || 0,
                         completion_tokens: response.completionTokens || 0,
                         total_tokens: response.totalTokens || 0
-                    }
+                    },
+                    memories: response.memories || [],
+                    toolCalls: response.toolCalls || []
                 });
 
             } catch (error) {
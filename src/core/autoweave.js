@@ -10,6 +10,21 @@ const { AutoWeaveMCPServer } = require('../mcp/autoweave-mcp-server');
 const { ConfigurationIntelligence } = require('./config-intelligence');
 const { DebuggingAgent } = require('../agents/debugging-agent');
 const { FreshSourcesService } = require('../services/fresh-sources-service');
+const { createWorkflowRoutes } = require('../routes/workflows');
+const { createUsageRoutes } = require('../routes/usage');
+const { createConversationRoutes } = require('../routes/conversations');
+const { createMemoryRoutes } = require('../routes/memories');
+const { createChatToolRoutes } = require('../routes/chat-tools');
+const { createUserDataRoutes } = require('../routes/user-data');
+const { createOpenAPIRoutes } = require('../routes/openapi');
+const { createSpecRoutes } = require('../routes/specs');
+const { UsageLedger } = require('../services/usage-ledger');
+const { UserAuthenticator } = require('../services/user-auth');
+const { WorkflowExecutor } = require('./workflow-executor');
+const { AgentApiGateway } = require('../openapi/agent-api-gateway');
+const { OpenAPIToolset } = require('../openapi/mcp-tools');
+const { ContractTester } = require('../openapi/contract-tester');
+const crypto = require('crypto');
 const express = require('express');
 const WebSocket = require('ws');
 
@@ -40,11 +55,77 @@ class AutoWeave {
         this.debuggingAgent = null; // Initialized after core components
         this.freshSources = new FreshSourcesService(config.freshSources);
         
+        // In-process workflow runs for development without a cluster
+        this.workflowExecutor = new WorkflowExecutor(config.executor);
+        
+        // Per-agent APIs served from their OpenAPI specs under /api/agents/:agentId
+        this.agentApiGateway = new AgentApiGateway(config.agentApi);
+        this.agentToolsets = new WeakMap(); // served spec -> { prefix, toolset }
+        
+        // Contract tests of agent APIs, run after each deployment
+        this.contractTester = new ContractTester(config.contractTests);
+        this.contractReports = new Map(); // agentId -> last report
+        
+        // Identity of the callers of user-scoped APIs and AG-UI clients
+        this.authenticator = new UserAuthenticator(config.auth);
+        
         // AG-UI WebSocket clients
         this.aguiClients = new Map(); // clientId -> WebSocket connection
+        this.aguiStreams = new Map(); // clientId -> { streamId, controller }
+        this.aguiSessions = new Map(); // clientId -> { owner, sessionId }
         
         // UI Agent for enhanced AG-UI event generation
         this.uiAgent = new UIAgent(config, this);
+        
+        // AutoWeave operations the chat model can call
+        this.registerChatTools();
+    }
+
+    /**
+     * Tool handlers run with the permissions of the chat caller and only see
+     * the agents generated for the caller; results are trimmed to what the
+     * model needs to answer
+     */
+    registerChatTools() {
+        const requireOwnAgent = (agentId, caller) => {
+            if (!this.agentWeaver.ownsAgent(agentId, caller.userId)) {
+                throw new Error(`Agent ${agentId} not found`);
+            }
+        };
+
+        this.agentWeaver.chatTools.registerAutoWeaveOperations({
+            createAgent: async ({ description }, caller) => {
+                const result = await this.createAgent(description, caller.userId);
+                const workflow = result?.workflow || result || {};
+                return { id: workflow.id, name: workflow.name, status: result?.status || workflow.status };
+            },
+            listAgents: async (args, caller) => await this.listAgents({ owner: caller.userId }),
+            getAgent: async ({ agentId }, caller) => {
+                requireOwnAgent(agentId, caller);
+                return await this.getAgent(agentId);
+            },
+            deleteAgent: async ({ agentId }, caller) => {
+                requireOwnAgent(agentId, caller);
+                await this.deleteAgent(agentId);
+                return { deleted: agentId };
+            },
+            getMetrics: async () => {
+                // Chat callers get the usage totals, not the usage of every user
+                const metrics = await this.getMetrics();
+                const usage = Object.fromEntries(Object.entries(metrics.usage).map(([period, summary]) => {
+                    const totals = { ...summary };
+                    delete totals.byUser;
+                    return [period, totals];
+                }));
+                return { ...metrics, usage };
+            },
+            generateConfiguration: async ({ intent, ...options }, caller) => {
+                if (!this.configIntelligence) {
+                    throw new Error('Configuration intelligence not initialized');
+                }
+                return await this.configIntelligence.generateConfiguration(intent, { ...options, userId: caller.userId });
+            }
+        });
     }
 
     async initialize() {
@@ -65,10 +146,19 @@ class AutoWeave {
             await this.agentWeaver.initialize();
 
             // 3. Initialize Memory System
-            await this.memoryManager.initialize();
-            
-            // 3.1. Pass memory manager to agent weaver
-            this.agentWeaver.setMemoryManager(this.memoryManager);
+            try {
+                await this.memoryManager.initialize();
+            } catch (error) {
+                this.logger.warn('Hybrid memory failed, continuing:', error.message);
+            }
+
+            // 3.1. Pass memory manager to agent weaver, which keeps its local
+            // memory when the hybrid memory is not ready
+            if (this.memoryManager.isInitialized) {
+                this.agentWeaver.setMemoryManager(this.memoryManager);
+            } else {
+                this.logger.warn('Hybrid memory not initialized, agent weaver keeps its local memory');
+            }
             
             // 3.5. Initialize UI Agent
             await this.uiAgent.initialize();
@@ -135,6 +225,9 @@ class AutoWeave {
         // CORS middleware
         this.setupCORS(app);
 
+        // Agent APIs first, so /api/agents/:agentId/<spec path> reaches the agent's router
+        app.use('/api/agents/:agentId', this.agentApiGateway.middleware());
+
         // Configure routes with services
         routesIndex.configure(app, {
             memoryManager: this.memoryManager,
@@ -148,6 +241,30 @@ class AutoWeave {
             debuggingAgent: this.debuggingAgent
         });
 
+        // Workflow refinement and revision history
+        app.use('/api/workflows', createWorkflowRoutes({ agentWeaver: this.agentWeaver, authenticator: this.authenticator }));
+
+        // LLM token usage, cost estimates and budgets
+        app.use('/api/usage', createUsageRoutes({ usageLedger: this.agentWeaver.usageLedger, authenticator: this.authenticator }));
+
+        // Conversation sessions (list, fork, delete)
+        app.use('/api/conversations', createConversationRoutes({ agentWeaver: this.agentWeaver, authenticator: this.authenticator }));
+
+        // Memory entries retrieved during chat (search, correct, forget)
+        app.use('/api/memories', createMemoryRoutes({ agentWeaver: this.agentWeaver, authenticator: this.authenticator }));
+
+        // Tools offered to the chat model and pending confirmations
+        app.use('/api/chat-tools', createChatToolRoutes({ agentWeaver: this.agentWeaver, authenticator: this.authenticator }));
+
+        // Data-subject requests: export, import and erasure of a user's data
+        app.use('/api/users', createUserDataRoutes({ agentWeaver: this.agentWeaver, authenticator: this.authenticator }));
+
+        // OpenAPI tooling (ANP compliance linter, spec import)
+        app.use('/api/openapi', createOpenAPIRoutes({ agentWeaver: this.agentWeaver, autoweave: this }));
+
+        // Published spec versions and breaking-change diffs per agent
+        app.use('/api/specs', createSpecRoutes({ agentWeaver: this.agentWeaver, autoweave: this }));
+
         // Error handling middleware
         this.setupErrorHandling(app);
 
@@ -219,8 +336,16 @@ class AutoWeave {
         this.logger.info('🚀 AutoWeave API Endpoints:');
         this.logger.info('  📋 Main API: http://localhost:' + this.config.port + '/api');
         this.logger.info('  🤖 Agents: http://localhost:' + this.config.port + '/api/agents');
+        this.logger.info('  🧵 Workflows: http://localhost:' + this.config.port + '/api/workflows');
+        this.logger.info('  💰 Usage: http://localhost:' + this.config.port + '/api/usage');
+        this.logger.info('  📐 OpenAPI: http://localhost:' + this.config.port + '/api/openapi');
+        this.logger.info('  🗂️ Specs: http://localhost:' + this.config.port + '/api/specs');
         this.logger.info('  💬 Chat: http://localhost:' + this.config.port + '/api/chat');
+        this.logger.info('  🗨️ Conversations: http://localhost:' + this.config.port + '/api/conversations');
         this.logger.info('  🧠 Memory: http://localhost:' + this.config.port + '/api/memory');
+        this.logger.info('  🔎 Memory entries: http://localhost:' + this.config.port + '/api/memories');
+        this.logger.info('  🛠️ Chat tools: http://localhost:' + this.config.port + '/api/chat-tools');
+        this.logger.info('  📦 User data: http://localhost:' + this.config.port + '/api/users/:userId/archive');
         this.logger.info('  ☸️  Kagent: http://localhost:' + this.config.port + '/api/kagent');
         this.logger.info('  ❤️  Health: http://localhost:' + this.config.port + '/api/health');
         this.logger.info('');
@@ -357,6 +482,12 @@ class AutoWeave {
             agui: {
                 connected_clients: this.aguiClients.size,
                 clients: Array.from(this.aguiClients.keys())
+            },
+            usage: {
+                total: this.agentWeaver.usageLedger.summarize(),
+                today: this.agentWeaver.usageLedger.summarize({
+                    from: UsageLedger.periodStart('daily').toISOString()
+                })
             }
         };
     }
@@ -369,8 +500,27 @@ class AutoWeave {
 
     // ========== AG-UI WEBSOCKET METHODS ==========
 
-    addAGUIClient(clientId, ws) {
+    /**
+     * options: { userId, sessionId }, where userId is the identity the
+     * authenticator resolved for the connection. Chat turns go to
+     * `sessionId` when the user owns it, or to the latest session of the
+     * user, so a reconnecting user continues the conversation. Anonymous
+     * clients get a new session of their own, owned by a random
+     * `anonymous:<id>` that no other connection can claim.
+     */
+    addAGUIClient(clientId, ws, options = {}) {
+        const binding = options.userId
+            ? { owner: options.userId, anonymous: false, sessionId: null }
+            : AutoWeave.anonymousBinding();
+        const conversations = this.agentWeaver.conversations;
+
+        if (!binding.anonymous && options.sessionId && conversations.has(options.sessionId) &&
+            conversations.get(options.sessionId).owner === binding.owner) {
+            binding.sessionId = options.sessionId;
+        }
+
         this.aguiClients.set(clientId, ws);
+        this.aguiSessions.set(clientId, binding);
         this.logger.debug(`AG-UI client added: ${clientId}`);
         
         // Send enhanced welcome sequence using UI Agent
@@ -378,10 +528,31 @@ class AutoWeave {
     }
 
     removeAGUIClient(clientId) {
+        this.cancelAGUIStream(clientId);
         this.aguiClients.delete(clientId);
+        this.aguiSessions.delete(clientId);
         this.logger.debug(`AG-UI client removed: ${clientId}`);
     }
 
+    getAGUISession(clientId) {
+        const conversations = this.agentWeaver.conversations;
+        const binding = this.aguiSessions.get(clientId) || AutoWeave.anonymousBinding();
+
+        if (!binding.sessionId || !conversations.has(binding.sessionId)) {
+            // Only authenticated users continue earlier sessions
+            binding.sessionId = binding.anonymous
+                ? conversations.create(binding.owner).id
+                : conversations.resume(binding.owner).id;
+            this.aguiSessions.set(clientId, binding);
+        }
+
+        return { owner: binding.owner, sessionId: binding.sessionId };
+    }
+
+    static anonymousBinding() {
+        return { owner: `anonymous:${crypto.randomUUID()}`, anonymous: true, sessionId: null };
+    }
+
     handleAGUIInput(clientId, event) {
         this.logger.debug(`Processing AG-UI input from ${clientId}:`, event);
         
@@ -451,25 +622,13 @@ class AutoWeave {
         }, clientId);
 
         try {
-            // Check if it's an agent creation request
-            if (message.toLowerCase().includes('create') && message.toLowerCase().includes('agent')) {
+            // Agent operations are model tool calls; without a tool-capable
+            // provider (mock mode included) agent creation goes through a form
+            if (!this.agentWeaver.canCallChatTools() && this.isAgentCreationRequest(message)) {
                 await this.handleAgentCreationRequest(clientId, message);
             } else {
-                // General chat response
-                const response = await this.agentWeaver.processMessage(message, {
-                    user_id: clientId,
-                    context: 'agui'
-                });
-                
-                this.sendAGUIEvent({
-                    type: 'chat',
-                    content: {
-                        text: response.content,
-                        timestamp: new Date().toISOString(),
-                        sender: 'autoweave',
-                        tokens: response.totalTokens
-                    }
-                }, clientId);
+                // General chat response, streamed as start/delta/end chat events
+                await this.streamAGUIChatResponse(clientId, message);
             }
             
         } catch (error) {
@@ -486,6 +645,102 @@ class AutoWeave {
         }
     }
 
+    async streamAGUIChatResponse(clientId, message) {
+        // A new message supersedes any answer still streaming to this client
+        this.cancelAGUIStream(clientId);
+        
+        const streamId = `stream-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const controller = new AbortController();
+        this.aguiStreams.set(clientId, { streamId, controller });
+        
+        this.sendAGUIEvent({
+            type: 'chat',
+            content: {
+                stream: 'start',
+                streamId,
+                timestamp: new Date().toISOString(),
+                sender: 'autoweave'
+            }
+        }, clientId);
+        
+        try {
+            const { owner, sessionId } = this.getAGUISession(clientId);
+            const stream = this.agentWeaver.streamChatMessage(message, {
+                user_id: owner,
+                sessionId,
+                context: 'agui',
+                signal: controller.signal
+            });
+            
+            for await (const chunk of stream) {
+                if (chunk.type === 'delta') {
+                    this.sendAGUIEvent({
+                        type: 'chat',
+                        content: {
+                            stream: 'delta',
+                            streamId,
+                            text: chunk.content,
+                            timestamp: new Date().toISOString(),
+                            sender: 'autoweave'
+                        }
+                    }, clientId);
+                } else if (chunk.type === 'tool' && chunk.status === 'confirmation-required') {
+                    this.sendAGUIToolConfirmation(clientId, chunk);
+                } else if (chunk.type === 'done') {
+                    this.sendAGUIEvent({
+                        type: 'chat',
+                        content: {
+                            stream: 'end',
+                            streamId,
+                            text: chunk.content,
+                            timestamp: new Date().toISOString(),
+                            sender: 'autoweave',
+                            tokens: chunk.totalTokens,
+                            cancelled: chunk.cancelled,
+                            memories: chunk.memories,
+                            toolCalls: chunk.toolCalls
+                        }
+                    }, clientId);
+                }
+            }
+        } catch (error) {
+            // Close the frame so the client stops waiting for deltas
+            this.sendAGUIEvent({
+                type: 'chat',
+                content: {
+                    stream: 'end',
+                    streamId,
+                    timestamp: new Date().toISOString(),
+                    sender: 'autoweave',
+                    error: true
+                }
+            }, clientId);
+            throw error;
+        } finally {
+            if (this.aguiStreams.get(clientId)?.streamId === streamId) {
+                this.aguiStreams.delete(clientId);
+            }
+        }
+    }
+
+    cancelAGUIStream(clientId) {
+        const active = this.aguiStreams.get(clientId);
+        
+        if (!active) {
+            return false;
+        }
+        
+        active.controller.abort();
+        this.aguiStreams.delete(clientId);
+        this.logger.debug(`AG-UI stream ${active.streamId} cancelled for ${clientId}`);
+        return true;
+    }
+
+    isAgentCreationRequest(message) {
+        const text = message.toLowerCase();
+        return text.includes('create') && text.includes('agent');
+    }
+
     async handleAgentCreationRequest(clientId, message) {
         // Send a form to get more details
         this.sendAGUIEvent({
@@ -516,11 +771,99 @@ class AutoWeave {
         }, clientId);
     }
 
+    /**
+     * Destructive tool calls wait for the user: the form confirms or cancels
+     * the pending call
+     */
+    sendAGUIToolConfirmation(clientId, toolCall) {
+        this.sendAGUIEvent({
+            type: 'display',
+            content: {
+                type: 'form',
+                title: `Confirm ${toolCall.name}`,
+                message: `AutoWeave wants to run ${toolCall.name}(${JSON.stringify(toolCall.arguments)}). This cannot be undone.`,
+                schema: {
+                    type: 'object',
+                    properties: {
+                        confirmationId: {
+                            type: 'string',
+                            title: 'Confirmation ID',
+                            default: toolCall.confirmationId,
+                            readOnly: true
+                        }
+                    },
+                    required: ['confirmationId']
+                },
+                data: {
+                    confirmationId: toolCall.confirmationId,
+                    tool: toolCall.name,
+                    arguments: toolCall.arguments
+                },
+                action: 'confirm-tool',
+                secondaryAction: 'cancel-tool',
+                timestamp: new Date().toISOString()
+            }
+        }, clientId);
+    }
+
+    async handleAGUIToolConfirmation(clientId, action, confirmationId) {
+        const { owner, sessionId } = this.getAGUISession(clientId);
+        
+        try {
+            if (action === 'cancel-tool') {
+                const confirmation = this.agentWeaver.chatTools.cancel(confirmationId, { userId: owner });
+                this.sendAGUIEvent({
+                    type: 'chat',
+                    content: {
+                        text: `Cancelled ${confirmation.call.name}`,
+                        timestamp: new Date().toISOString(),
+                        sender: 'autoweave'
+                    }
+                }, clientId);
+                return;
+            }
+            
+            const outcome = await this.agentWeaver.confirmChatTool(confirmationId, { userId: owner, sessionId });
+            if (outcome.status !== 'ok') {
+                throw new Error(outcome.error);
+            }
+            
+            this.sendAGUIEvent({
+                type: 'display',
+                content: {
+                    type: 'success',
+                    title: `${outcome.confirmation.call.name} completed`,
+                    data: outcome.result,
+                    timestamp: new Date().toISOString()
+                }
+            }, clientId);
+            
+        } catch (error) {
+            this.logger.error(`Error confirming tool call for ${clientId}:`, error);
+            this.sendAGUIEvent({
+                type: 'display',
+                content: {
+                    type: 'error',
+                    title: 'Tool Call Failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            }, clientId);
+        }
+    }
+
     async handleAGUIUserInput(clientId, event) {
         const { action, values } = event.content || {};
         
         if (action === 'create-agent' && values?.description) {
             try {
+                // Submitting the form is the user's own action: the interactive
+                // permissions (agents:write by default) apply on top of theirs
+                const { owner } = this.getAGUISession(clientId);
+                if (!this.agentWeaver.chatTools.permits(owner, 'createAgent', { interactive: true })) {
+                    throw new Error('Permission agents:write is required to create agents');
+                }
+                
                 this.sendAGUIEvent({
                     type: 'chat',
                     content: {
@@ -531,10 +874,7 @@ class AutoWeave {
                 }, clientId);
                 
                 // Create the agent
-                const agent = await this.agentService.createAndDeployAgent(
-                    values.description,
-                    clientId
-                );
+                const agent = await this.createAgent(values.description, owner);
                 
                 this.sendAGUIEvent({
                     type: 'display',
@@ -560,6 +900,10 @@ class AutoWeave {
                     }
                 }, clientId);
                 
+                if (this.agentWeaver.revisions.has(agent.id)) {
+                    this.sendAGUIRefinementForm(clientId, agent.id);
+                }
+                
             } catch (error) {
                 this.logger.error(`Error creating agent for ${clientId}:`, error);
                 this.sendAGUIEvent({
@@ -572,6 +916,118 @@ class AutoWeave {
                     }
                 }, clientId);
             }
+        } else if (action === 'refine-agent' && values?.workflowId && values?.feedback) {
+            await this.handleAGUIRefinement(clientId, values.workflowId, values.feedback);
+        } else if (action === 'revert-agent' && values?.workflowId) {
+            this.handleAGUIRevert(clientId, values.workflowId);
+        } else if ((action === 'confirm-tool' || action === 'cancel-tool') && values?.confirmationId) {
+            await this.handleAGUIToolConfirmation(clientId, action, values.confirmationId);
+        }
+    }
+
+    sendAGUIRefinementForm(clientId, workflowId) {
+        const current = this.agentWeaver.revisions.getCurrent(workflowId);
+        
+        this.sendAGUIEvent({
+            type: 'display',
+            content: {
+                type: 'form',
+                title: `Refine Agent (revision ${current.revision})`,
+                schema: {
+                    type: 'object',
+                    properties: {
+                        workflowId: {
+                            type: 'string',
+                            title: 'Workflow ID',
+                            default: workflowId,
+                            readOnly: true
+                        },
+                        feedback: {
+                            type: 'string',
+                            title: 'Corrections',
+                            description: 'e.g. "drop the kubernetes module, add monitoring"'
+                        }
+                    },
+                    required: ['workflowId', 'feedback']
+                },
+                action: 'refine-agent',
+                secondaryAction: current.revision > 1 ? 'revert-agent' : undefined,
+                timestamp: new Date().toISOString()
+            }
+        }, clientId);
+    }
+
+    async handleAGUIRefinement(clientId, workflowId, feedback) {
+        try {
+            if (!this.agentWeaver.revisions.has(workflowId)) {
+                throw new Error(`No revision history for workflow ${workflowId}`);
+            }
+            
+            const { owner } = this.getAGUISession(clientId);
+            if (!this.agentWeaver.ownsAgent(workflowId, owner)) {
+                throw new Error(`Workflow ${workflowId} does not belong to ${owner}`);
+            }
+            
+            const current = this.agentWeaver.revisions.getCurrent(workflowId);
+            const result = await this.agentWeaver.refineWorkflow(current.workflow, feedback, { userId: owner });
+            
+            this.sendAGUIEvent({
+                type: 'display',
+                content: {
+                    type: 'json',
+                    title: `Workflow Revision ${result.revision}`,
+                    data: {
+                        changes: result.diff.summary,
+                        workflow: result.workflow
+                    },
+                    timestamp: new Date().toISOString()
+                }
+            }, clientId);
+            
+            this.sendAGUIRefinementForm(clientId, workflowId);
+            
+        } catch (error) {
+            this.logger.error(`Error refining workflow for ${clientId}:`, error);
+            this.sendAGUIEvent({
+                type: 'display',
+                content: {
+                    type: 'error',
+                    title: 'Workflow Refinement Failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            }, clientId);
+        }
+    }
+
+    handleAGUIRevert(clientId, workflowId) {
+        try {
+            const { owner } = this.getAGUISession(clientId);
+            if (this.agentWeaver.revisions.has(workflowId) && !this.agentWeaver.ownsAgent(workflowId, owner)) {
+                throw new Error(`Workflow ${workflowId} does not belong to ${owner}`);
+            }
+            
+            const revision = this.agentWeaver.revisions.stepBack(workflowId);
+            
+            this.sendAGUIEvent({
+                type: 'chat',
+                content: {
+                    text: `↩️ Workflow "${revision.workflow.name}" reverted to revision ${revision.revision}`,
+                    timestamp: new Date().toISOString(),
+                    sender: 'autoweave'
+                }
+            }, clientId);
+            
+            this.sendAGUIRefinementForm(clientId, workflowId);
+            
+        } catch (error) {
+            this.sendAGUIEvent({
+                type: 'error',
+                content: {
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            }, clientId);
         }
     }
 
@@ -580,7 +1036,7 @@ class AutoWeave {
         
         switch (command) {
             case 'list-agents':
-                const agents = await this.agentService.listAgents();
+                const agents = await this.listAgents({ owner: this.getAGUISession(clientId).owner });
                 this.sendAGUIEvent({
                     type: 'display',
                     content: {
@@ -593,6 +1049,12 @@ class AutoWeave {
                 }, clientId);
                 break;
                 
+            case 'stop':
+                if (!this.cancelAGUIStream(clientId)) {
+                    this.logger.debug(`No active AG-UI stream to stop for ${clientId}`);
+                }
+                break;
+                
             case 'get-metrics':
                 const metrics = await this.getMetrics();
                 this.sendAGUIEvent({
@@ -655,14 +1117,34 @@ class AutoWeave {
         if (!this.agentService) {
             throw new Error('Agent service not initialized');
         }
-        return await this.agentService.createAndDeployAgent(description, userId);
+        const result = await this.agentService.createAndDeployAgent(description, userId);
+
+        if (result?.workflow) {
+            if (!this.agentWeaver.getAgentOwner(result.workflow.id)) {
+                this.agentWeaver.setAgentOwner(result.workflow.id, userId);
+            }
+            await this.tryMountAgentApi(result.workflow, result.deployment);
+        }
+
+        return result;
     }
 
-    async listAgents() {
+    /**
+     * filters: { owner } keeps the agents generated for that user
+     */
+    async listAgents(filters = {}) {
         if (!this.agentService) {
             throw new Error('Agent service not initialized');
         }
-        return await this.agentService.listAgents();
+        const result = await this.agentService.listAgents();
+
+        if (!filters.owner) {
+            return result;
+        }
+        return {
+            ...result,
+            agents: (result?.agents || []).filter(agent => this.agentWeaver.ownsAgent(agent.id, filters.owner))
+        };
     }
 
     async getAgent(agentId) {
@@ -676,9 +1158,209 @@ class AutoWeave {
         if (!this.agentService) {
             throw new Error('Agent service not initialized');
         }
+        this.agentApiGateway.unmount(agentId);
+        this.agentWeaver.specVersions.remove(agentId);
+        this.contractReports.delete(agentId);
         return await this.agentService.deleteAgent(agentId);
     }
 
+    /**
+     * Serves the agent's API at the URL advertised in its spec. Requests are
+     * forwarded to `options.upstream` (or config.agentApi.upstreams), and
+     * answered from the spec examples when there is no upstream. The spec is
+     * published first, so a breaking regeneration keeps the previous API up.
+     */
+    async mountAgentApi(workflow, options = {}) {
+        const { spec, diff } = await this.agentWeaver.publishOpenAPISpec(workflow, options);
+        const mount = this.agentApiGateway.mount(workflow.id, spec, {
+            asyncapi: (served) => this.agentWeaver.generateAgentAsyncAPISpec(served),
+            ...options
+        });
+        return { ...mount, diff };
+    }
+
+    /**
+     * AsyncAPI 3.0 document of the AG-UI channel and the webhooks of every
+     * mounted agent API
+     */
+    getAsyncAPISpec() {
+        const specs = this.agentApiGateway.list().map(({ agentId }) => this.agentApiGateway.getSpec(agentId));
+        return this.agentWeaver.generateAsyncAPISpec(specs);
+    }
+
+    async tryMountAgentApi(workflow, deployment) {
+        try {
+            await this.mountAgentApi(workflow, { upstream: deployment?.endpoint || deployment?.url });
+        } catch (error) {
+            this.logger.warn(`Agent ${workflow.id} deployed without an API: ${error.message}`);
+            return;
+        }
+        
+        if (this.config.contractTests?.afterDeploy !== false) {
+            // Runs in the background so deployments do not wait on the agent;
+            // AutoWeave calls its own gateway, so no credentials are needed
+            this.runContractTests(workflow.id, { trusted: true })
+                .then(report => this.announceContractReport(report))
+                .catch(error => this.logger.warn(`Contract tests of ${workflow.id} could not run: ${error.message}`));
+        }
+    }
+
+    /**
+     * Checks an agent API against its spec. The target is, in order:
+     * `options.baseUrl` over HTTP, the local mock server when `options.mock`
+     * is set or the agent API is not mounted, and the mounted agent API
+     * (forwarding, mock or custom handlers) otherwise, with
+     * `options.credentials` unless `options.trusted`.
+     */
+    async runContractTests(agentId, options = {}) {
+        const spec = options.spec ||
+            this.agentApiGateway.getSpec(agentId) ||
+            this.agentWeaver.specVersions.latest(agentId)?.spec;
+        
+        if (!spec) {
+            throw new Error(`No OpenAPI spec found for agent ${agentId}`);
+        }
+        
+        let invoke = null;
+        if (!options.baseUrl) {
+            const gateway = options.mock || !this.agentApiGateway.has(agentId)
+                ? new AgentApiGateway({ mock: true })
+                : this.agentApiGateway;
+            
+            // The private mock gateway has no credentials configured; the served
+            // one checks them unless AutoWeave itself runs the tests
+            const trusted = gateway !== this.agentApiGateway || options.trusted === true;
+            if (gateway !== this.agentApiGateway) {
+                gateway.mount(agentId, spec, { mock: true });
+            }
+            invoke = (request) => gateway.invoke(agentId, request.operationId, request, { trusted });
+        }
+        
+        const report = await this.contractTester.run(spec, { ...options, agentId, invoke });
+        this.contractReports.set(agentId, report);
+        
+        return report;
+    }
+
+    getContractReport(agentId) {
+        return this.contractReports.get(agentId) || null;
+    }
+
+    announceContractReport(report) {
+        const log = report.success ? 'success' : 'warn';
+        this.logger[log](`Contract tests of ${report.agentId}: ${report.passed}/${report.total} passed, ${report.failed} failed`);
+        
+        this.sendAGUIEvent({
+            type: 'display',
+            content: {
+                type: 'table',
+                title: `Contract tests of ${report.agentId}: ${report.passed}/${report.total} passed`,
+                data: report.results.map(result => ({
+                    ...result,
+                    violations: result.violations.map(violation => `${violation.path} ${violation.message}`).join('; ')
+                })),
+                columns: ['operationId', 'case', 'status', 'httpStatus', 'violations'],
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * MCP tool definitions of every mounted agent API, one per operation,
+     * named "<agent-name>_<operationId>" (served at /api/openapi/tools)
+     */
+    listAgentTools() {
+        return this.getAgentToolsets().flatMap(({ toolset }) => toolset.tools);
+    }
+
+    /**
+     * Returns an MCP tool result: the JSON response as text content, plus
+     * structuredContent when the operation declares an object response.
+     * `credentials` ({ headers, query, socket }) must satisfy the operation's
+     * security like an HTTP call to the agent API.
+     */
+    async callAgentTool(name, args = {}, credentials = {}) {
+        const entry = this.getAgentToolsets().find(({ toolset }) => toolset.has(name));
+
+        if (!entry) {
+            throw new Error(`Unknown agent tool: ${name}`);
+        }
+
+        const request = entry.toolset.toRequest(name, args);
+        const result = await this.agentApiGateway.invoke(entry.agentId, request.operationId, {
+            ...request,
+            headers: { ...credentials.headers, ...request.headers },
+            query: { ...credentials.query, ...request.query },
+            socket: credentials.socket
+        });
+        const payload = result.error ? { error: result.error, status: result.status } : result.body;
+        const tool = entry.toolset.tools.find(candidate => candidate.name === name);
+
+        return {
+            content: [{ type: 'text', text: JSON.stringify(payload ?? null) }],
+            ...(tool.outputSchema && !result.error ? { structuredContent: payload } : {}),
+            isError: Boolean(result.error)
+        };
+    }
+
+    /**
+     * Toolsets are cached per served spec; agents sharing a name are told
+     * apart by their id
+     */
+    getAgentToolsets() {
+        const prefixes = new Set();
+
+        return this.agentApiGateway.list().map(({ agentId }) => {
+            const spec = this.agentApiGateway.getSpec(agentId);
+            const name = spec.info?.['x-agent-name'] || agentId;
+            const prefix = prefixes.has(name) ? agentId : name;
+            prefixes.add(prefix);
+
+            const cached = this.agentToolsets.get(spec);
+            if (cached?.prefix === prefix) {
+                return { agentId, toolset: cached.toolset };
+            }
+
+            const toolset = OpenAPIToolset.fromSpec(spec, { prefix });
+            this.agentToolsets.set(spec, { prefix, toolset });
+            return { agentId, toolset };
+        });
+    }
+
+    /**
+     * Creates an agent wrapping an existing API from its OpenAPI spec,
+     * deploying it unless `options.deploy` is false.
+     */
+    async createAgentFromOpenAPI(source, options = {}) {
+        const workflow = await this.agentWeaver.importOpenAPISpec(source, options);
+
+        if (options.deploy === false) {
+            return { workflow, deployment: null, status: 'created' };
+        }
+
+        const deployment = await this.kagentBridge.deployAgent(workflow);
+        await this.tryMountAgentApi(workflow, deployment);
+        this.logger.success(`Agent ${workflow.name} created from OpenAPI spec and deployed`);
+
+        return { workflow, deployment, status: 'deployed' };
+    }
+
+    async refineWorkflow(workflow, feedback, options = {}) {
+        return await this.agentWeaver.refineWorkflow(workflow, feedback, options);
+    }
+
+    /**
+     * Runs a workflow in-process instead of deploying it to kagent.
+     * Steps use the handlers registered per module type, or are simulated.
+     */
+    async runWorkflowLocally(workflow, input = {}, options = {}) {
+        return await this.workflowExecutor.run(workflow, input, options);
+    }
+
+    registerStepHandler(moduleType, handler) {
+        this.workflowExecutor.registerHandler(moduleType, handler);
+    }
+
     async processChat(message, options = {}) {
         return await this.agentWeaver.processMessage(message, options);
     }
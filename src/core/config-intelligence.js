@@ -11,7 +11,8 @@ class ConfigurationIntelligence {
         this.logger = new Logger('ConfigIntelligence');
         this.config = config;
         this.agentWeaver = agentWeaver;
-        this.memoryManager = memoryManager;
+        // Falls back to AgentWeaver's local memory when no hybrid memory is given
+        this.memoryManager = memoryManager || agentWeaver?.memoryManager || null;
         this.freshSources = new FreshSourcesService(config.freshSources);
         
         // Patterns de configuration connus
@@ -75,7 +76,7 @@ class ConfigurationIntelligence {
             const finalConfig = await this.validateAndOptimize(configuration);
             
             // 7. Sauvegarder dans la mémoire pour apprentissage
-            await this.saveToMemory(intent, finalConfig);
+            await this.saveToMemory(intent, finalConfig, options.userId);
             
             return finalConfig;
             
@@ -229,8 +230,9 @@ class ConfigurationIntelligence {
         // Utiliser l'agent weaver avec le contexte enrichi
         const config = await this.agentWeaver.generateWorkflow(enrichedDescription);
         
-        // Ajouter les métadonnées de versioning
+        // Ajouter les métadonnées de versioning (en gardant promptVersion)
         config.metadata = {
+            ...config.metadata,
             generatedAt: new Date().toISOString(),
             versions: freshVersions,
             intent: intent,
@@ -293,7 +295,7 @@ class ConfigurationIntelligence {
     /**
      * Sauvegarde dans la mémoire pour apprentissage
      */
-    async saveToMemory(intent, configuration) {
+    async saveToMemory(intent, configuration, userId = null) {
         if (!this.memoryManager) return;
         
         try {
@@ -306,6 +308,7 @@ class ConfigurationIntelligence {
                         type: 'configuration',
                         intent: intent,
                         configuration: configuration,
+                        userId: userId,
                         timestamp: new Date().toISOString(),
                         success: true
                     }
@@ -0,0 +1,234 @@
+const Ajv = require('ajv');
+const { Logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const BUILTIN_MODULE_TYPES = {
+    file_system: {
+        description: 'For reading/writing files',
+        capabilities: ['read', 'write', 'list', 'delete'],
+        configSchema: {
+            type: 'object',
+            properties: {
+                rootPath: { type: 'string' },
+                readOnly: { type: 'boolean' }
+            }
+        },
+        openapi: {
+            paths: { '/files': ['get', 'post', 'put', 'delete'] }
+        },
+        scopePrefix: 'files',
+        kagentToolHints: ['file', 'filesystem', 'fs']
+    },
+    kubernetes: {
+        description: 'For Kubernetes operations',
+        capabilities: ['get', 'apply', 'delete', 'watch', 'logs'],
+        configSchema: {
+            type: 'object',
+            properties: {
+                namespace: { type: 'string' },
+                resources: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        openapi: {
+            paths: { '/k8s/resources': ['get', 'post', 'put', 'delete'] }
+        },
+        scopePrefix: 'k8s',
+        kagentToolHints: ['k8s', 'kubernetes', 'kubectl', 'helm']
+    },
+    coding_assistant: {
+        description: 'For code analysis and generation',
+        capabilities: ['analyze', 'generate', 'review'],
+        configSchema: {
+            type: 'object',
+            properties: {
+                languages: { type: 'array', items: { type: 'string' } },
+                repository: { type: 'string' }
+            }
+        },
+        openapi: {
+            paths: { '/code/analyze': ['post'], '/code/generate': ['post'] }
+        },
+        scopePrefix: 'code',
+        kagentToolHints: ['code', 'git', 'github']
+    },
+    monitoring: {
+        description: 'For system monitoring',
+        capabilities: ['metrics', 'health', 'alerts'],
+        configSchema: {
+            type: 'object',
+            properties: {
+                interval: { type: 'string' },
+                targets: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        openapi: {
+            paths: { '/metrics': ['get'], '/health': ['get'] }
+        },
+        scopePrefix: 'monitoring',
+        kagentToolHints: ['prometheus', 'grafana', 'metrics', 'monitor']
+    },
+    mcp_server: {
+        description: 'For custom MCP server integration',
+        capabilities: ['list-tools', 'execute'],
+        configSchema: {
+            type: 'object',
+            properties: {
+                url: { type: 'string' },
+                tools: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        openapi: {
+            paths: { '/mcp/tools': ['get'], '/mcp/execute': ['post'] }
+        },
+        scopePrefix: 'mcp',
+        kagentToolHints: ['mcp']
+    }
+};
+
+/**
+ * ModuleCatalog - Catalogue extensible des types de modules de workflow
+ *
+ * Each type declares its description, capabilities, a JSON Schema for the
+ * module `config`, default OpenAPI paths, the prefix of its OAuth2 scopes
+ * ("k8s" -> k8s:read, k8s:write) and the kagent tool hints used to match
+ * deployed tools. Teams register their own types at startup through
+ * `config.modules.types` or registerType().
+ *
+ * Config (AgentWeaver config.modules):
+ *   {
+ *     strict: false,   // reject unknown module types instead of flagging them
+ *     types: { my_queue: { description, capabilities, configSchema, openapi, scopePrefix, kagentToolHints } }
+ *   }
+ */
+class ModuleCatalog {
+    constructor(config = {}) {
+        this.logger = new Logger('ModuleCatalog');
+        this.strict = config.strict === true;
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        this.types = new Map();
+
+        for (const [type, definition] of Object.entries(BUILTIN_MODULE_TYPES)) {
+            this.registerType(type, definition);
+        }
+
+        for (const [type, definition] of Object.entries(config.types || {})) {
+            this.registerType(type, definition);
+        }
+    }
+
+    registerType(type, definition = {}) {
+        if (!/^[a-z][a-z0-9_]*$/.test(type)) {
+            throw new ValidationError(`Invalid module type "${type}": use lowercase letters, digits and underscores`, 'type');
+        }
+
+        if (!definition.description) {
+            throw new ValidationError(`Module type "${type}" requires a description`, 'description');
+        }
+
+        for (const [path, methods] of Object.entries(definition.openapi?.paths || {})) {
+            const invalid = methods.filter(method => !HTTP_METHODS.includes(method));
+            if (!path.startsWith('/') || invalid.length > 0) {
+                throw new ValidationError(`Module type "${type}" has an invalid OpenAPI path ${path}`, 'openapi');
+            }
+        }
+
+        const entry = {
+            type,
+            description: definition.description,
+            capabilities: definition.capabilities || [],
+            configSchema: definition.configSchema || { type: 'object' },
+            openapi: { paths: definition.openapi?.paths || {} },
+            scopePrefix: definition.scopePrefix || type.replace(/_/g, '-'),
+            kagentToolHints: definition.kagentToolHints || [type],
+            validateConfig: this.ajv.compile(definition.configSchema || { type: 'object' })
+        };
+
+        if (this.types.has(type)) {
+            this.logger.info(`Overriding module type: ${type}`);
+        }
+
+        this.types.set(type, entry);
+        return entry;
+    }
+
+    has(type) {
+        return this.types.has(type);
+    }
+
+    get(type) {
+        return this.types.get(type) || null;
+    }
+
+    list() {
+        return Array.from(this.types.values()).map(({ validateConfig, ...entry }) => entry);
+    }
+
+    /**
+     * OAuth2 scopes of a module type: { read: 'k8s:read', write: 'k8s:write' }
+     */
+    getScopes(type) {
+        const prefix = this.get(type)?.scopePrefix || type.replace(/_/g, '-');
+        return { read: `${prefix}:read`, write: `${prefix}:write` };
+    }
+
+    getToolHints(type) {
+        return this.get(type)?.kagentToolHints || [];
+    }
+
+    /**
+     * "- file_system: For reading/writing files" lines for the generation prompt
+     */
+    describeTypes() {
+        return this.list()
+            .map(entry => `- ${entry.type}: ${entry.description}`)
+            .join('\n');
+    }
+
+    /**
+     * "- file_system: /files (GET, POST, PUT, DELETE)" lines for the OpenAPI prompt
+     */
+    describeEndpoints() {
+        return this.list()
+            .filter(entry => Object.keys(entry.openapi.paths).length > 0)
+            .map(entry => {
+                const paths = Object.entries(entry.openapi.paths).map(([path, methods]) =>
+                    methods.length > 1 ? `${path} (${methods.map(m => m.toUpperCase()).join(', ')})` : path
+                );
+                return `- ${entry.type}: ${paths.join(', ')}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Checks every module of a workflow against the catalog.
+     * Returns { errors, warnings }; unknown types are errors in strict mode,
+     * warnings otherwise.
+     */
+    validateModules(modules = []) {
+        const errors = [];
+        const warnings = [];
+
+        for (const module of modules) {
+            const entry = this.get(module.type);
+
+            if (!entry) {
+                (this.strict ? errors : warnings).push(
+                    `Module ${module.name} uses unknown type "${module.type}"`
+                );
+                continue;
+            }
+
+            if (module.config !== undefined && !entry.validateConfig(module.config)) {
+                errors.push(`Module ${module.name} config is invalid: ${entry.validateConfig.errors
+                    .map(error => `${error.instancePath || '/'} ${error.message}`)
+                    .join(', ')}`);
+            }
+        }
+
+        return { errors, warnings };
+    }
+}
+
+module.exports = { ModuleCatalog, BUILTIN_MODULE_TYPES };
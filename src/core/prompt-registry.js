@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+const { Versions } = require('../utils/versions');
+
+const BUILTIN_DIRECTORY = path.join(__dirname, '../prompts');
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+
+/**
+ * PromptRegistry - Registre de templates de prompts nommés et versionnés
+ *
+ * Templates live in `.prompt` files: a JSON header between `---` lines
+ * (name, version, description, variables) followed by `## system` and
+ * `## user` sections. Sections use `{{variable}}` placeholders and
+ * `{{#if variable}}...{{/if}}` blocks.
+ *
+ * Config (AgentWeaver config.prompts):
+ *   {
+ *     directories: ['./prompts'],                 // loaded after the built-in templates
+ *     versions: { 'workflow-generation': '1.1.0' } // pinned versions, latest otherwise
+ *   }
+ */
+class PromptRegistry {
+    constructor(config = {}) {
+        this.logger = new Logger('PromptRegistry');
+        this.versions = { ...(config.versions || {}) };
+        this.templates = new Map(); // name -> Map(version -> template)
+
+        this.loadDirectory(BUILTIN_DIRECTORY);
+        for (const directory of config.directories || []) {
+            this.loadDirectory(directory);
+        }
+    }
+
+    loadDirectory(directory) {
+        if (!fs.existsSync(directory)) {
+            this.logger.warn(`Prompt directory not found: ${directory}`);
+            return 0;
+        }
+
+        const files = fs.readdirSync(directory, { withFileTypes: true });
+        let loaded = 0;
+
+        for (const file of files) {
+            const filePath = path.join(directory, file.name);
+
+            if (file.isDirectory()) {
+                loaded += this.loadDirectory(filePath);
+            } else if (file.name.endsWith('.prompt')) {
+                this.register(PromptRegistry.parse(fs.readFileSync(filePath, 'utf8'), filePath));
+                loaded++;
+            }
+        }
+
+        this.logger.debug(`Loaded ${loaded} prompt templates from ${directory}`);
+        return loaded;
+    }
+
+    register(template) {
+        if (!template.name || !template.version) {
+            throw new ValidationError('Prompt template requires a name and a version', 'prompt');
+        }
+
+        for (const [variable, definition] of Object.entries(template.variables || {})) {
+            if (!VARIABLE_TYPES.includes(definition.type)) {
+                throw new ValidationError(
+                    `Prompt ${template.name}@${template.version}: unknown type "${definition.type}" for variable ${variable}`,
+                    variable
+                );
+            }
+        }
+
+        if (!this.templates.has(template.name)) {
+            this.templates.set(template.name, new Map());
+        }
+
+        this.templates.get(template.name).set(template.version, template);
+        return template;
+    }
+
+    /**
+     * Returns a template by name; the version defaults to the configured
+     * pin, then to the highest registered version.
+     */
+    get(name, version = null) {
+        const versions = this.templates.get(name);
+
+        if (!versions) {
+            throw new Error(`Prompt template not found: ${name}`);
+        }
+
+        const selected = version || this.versions[name] || PromptRegistry.latest([...versions.keys()]);
+        const template = versions.get(selected);
+
+        if (!template) {
+            throw new Error(`Prompt template version not found: ${name}@${selected}`);
+        }
+
+        return template;
+    }
+
+    render(name, variables = {}, options = {}) {
+        const template = this.get(name, options.version);
+        const values = this.checkVariables(template, variables);
+
+        return {
+            id: `${template.name}@${template.version}`,
+            name: template.name,
+            version: template.version,
+            system: PromptRegistry.interpolate(template.system, values),
+            user: PromptRegistry.interpolate(template.user, values)
+        };
+    }
+
+    checkVariables(template, variables) {
+        const values = {};
+
+        for (const [variable, definition] of Object.entries(template.variables || {})) {
+            const value = variables[variable];
+
+            if (value === undefined || value === null) {
+                if (definition.required) {
+                    throw new ValidationError(
+                        `Prompt ${template.name}@${template.version} requires variable ${variable}`,
+                        variable
+                    );
+                }
+                values[variable] = definition.default ?? '';
+                continue;
+            }
+
+            const actualType = Array.isArray(value) ? 'array' : typeof value;
+            if (actualType !== definition.type) {
+                throw new ValidationError(
+                    `Prompt variable ${variable} must be of type ${definition.type}, got ${actualType}`,
+                    variable
+                );
+            }
+
+            values[variable] = value;
+        }
+
+        return values;
+    }
+
+    setVersion(name, version) {
+        this.get(name, version);
+        this.versions[name] = version;
+    }
+
+    list() {
+        return Array.from(this.templates.entries()).map(([name, versions]) => ({
+            name,
+            versions: [...versions.keys()].sort(Versions.compare),
+            active: this.get(name).version
+        }));
+    }
+
+    static parse(source, origin = 'inline') {
+        const match = source.match(/^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/);
+
+        if (!match) {
+            throw new ValidationError(`Invalid prompt file ${origin}: missing JSON header`, 'prompt');
+        }
+
+        const header = JSON.parse(match[1]);
+        const sections = {};
+        let current = null;
+
+        for (const line of match[2].split('\n')) {
+            const heading = line.match(/^## (system|user)\s*$/);
+            if (heading) {
+                current = heading[1];
+                sections[current] = [];
+            } else if (current) {
+                sections[current].push(line);
+            }
+        }
+
+        return {
+            ...header,
+            system: (sections.system || []).join('\n').trim(),
+            user: (sections.user || []).join('\n').trim(),
+            source: origin
+        };
+    }
+
+    static interpolate(text, values) {
+        return text
+            .replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (_, variable, body) => values[variable] ? body : '')
+            .replace(/\{\{(\w+)\}\}/g, (_, variable) => {
+                const value = values[variable];
+                return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value ?? '');
+            });
+    }
+
+    static latest(versions) {
+        return versions.sort(Versions.compare)[versions.length - 1];
+    }
+}
+
+module.exports = { PromptRegistry };
@@ -0,0 +1,269 @@
+const { Logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+const { RetryHelper } = require('../utils/retry');
+const { WorkflowSchema } = require('./workflow-schema');
+const { WorkflowGraph } = require('./workflow-graph');
+
+const PLACEHOLDER_VALUES = {
+    string: '',
+    number: 0,
+    boolean: false,
+    object: {},
+    array: []
+};
+
+/**
+ * Default handler: runs nothing and returns a placeholder for every
+ * declared output so downstream steps can still be exercised.
+ */
+async function simulateStep({ step }) {
+    const outputs = {};
+
+    for (const [name, output] of Object.entries(step.outputs || {})) {
+        outputs[name] = PLACEHOLDER_VALUES[output.type] ?? null;
+    }
+
+    return outputs;
+}
+
+/**
+ * WorkflowExecutor - Exécution locale des workflows, sans kagent
+ *
+ * Steps run in dependency order (WorkflowGraph). Each step is dispatched to
+ * the handler registered for the type of its module; steps without a
+ * handler are simulated. A handler is
+ *
+ *   async ({ step, module, inputs, input, workflow, signal, logger }) => outputs
+ *
+ * and returns an object keyed by the step's declared outputs.
+ *
+ * Config (AutoWeave config.executor):
+ *   {
+ *     handlers: { kubernetes: async (context) => ({ pods: [] }) },
+ *     simulateUnhandled: true   // false fails steps whose module type has no handler
+ *   }
+ */
+class WorkflowExecutor {
+    constructor(config = {}) {
+        this.logger = new Logger('WorkflowExecutor');
+        this.simulateUnhandled = config.simulateUnhandled !== false;
+        this.handlers = new Map();
+
+        for (const [type, handler] of Object.entries(config.handlers || {})) {
+            this.registerHandler(type, handler);
+        }
+    }
+
+    registerHandler(moduleType, handler) {
+        if (typeof handler !== 'function') {
+            throw new ValidationError(`Step handler for ${moduleType} must be a function`, 'handler');
+        }
+
+        this.handlers.set(moduleType, handler);
+    }
+
+    /**
+     * Runs every step of the workflow with the given input values.
+     * Returns { runId, workflowId, status, input, outputs, steps, startedAt, completedAt, duration };
+     * `options.onStep(result)` is called as each step finishes.
+     */
+    async run(workflow, input = {}, options = {}) {
+        const { errors } = WorkflowSchema.validate(workflow);
+        const graph = errors.length === 0 ? WorkflowGraph.validate(workflow) : { errors };
+
+        if (graph.errors.length > 0) {
+            throw new ValidationError(`Cannot run workflow: ${WorkflowSchema.formatErrors(graph.errors)}`, 'workflow');
+        }
+
+        const workflowId = workflow.id || workflow.name;
+        const values = this.resolveWorkflowInput(workflow, input);
+        const stepsByKey = new Map((workflow.steps || []).map(step => [WorkflowGraph.keyOf(step), step]));
+        const results = new Map();
+        const startTime = Date.now();
+
+        this.logger.workflow(workflowId, 'run', 'started', { steps: graph.order.length });
+
+        for (const key of graph.order) {
+            if (options.signal?.aborted) {
+                results.set(key, this.skipped(stepsByKey.get(key), 'run cancelled'));
+                continue;
+            }
+
+            const result = await this.runStep(workflow, stepsByKey.get(key), values, results, options);
+            results.set(key, result);
+            this.logger.workflow(workflowId, key, result.status, result.error ? { error: result.error } : null);
+
+            if (options.onStep) {
+                options.onStep(result);
+            }
+        }
+
+        const steps = graph.order.map(key => results.get(key));
+        const status = steps.some(step => step.status === 'failed') ? 'failed'
+            : options.signal?.aborted ? 'cancelled'
+                : 'completed';
+
+        this.logger.workflow(workflowId, 'run', status, { duration: Date.now() - startTime });
+
+        return {
+            runId: `run-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+            workflowId,
+            status,
+            input: values,
+            outputs: Object.fromEntries(steps
+                .filter(step => step.status === 'completed')
+                .map(step => [step.id, step.outputs])),
+            steps,
+            startedAt: new Date(startTime).toISOString(),
+            completedAt: new Date().toISOString(),
+            duration: Date.now() - startTime
+        };
+    }
+
+    async runStep(workflow, step, values, results, options) {
+        const key = WorkflowGraph.keyOf(step);
+        const blocked = WorkflowGraph.dependenciesOf(step)
+            .find(dependency => results.get(dependency)?.status === 'failed' || results.get(dependency)?.blocked);
+
+        if (blocked) {
+            return { ...this.skipped(step, `dependency ${blocked} did not complete`), blocked: true };
+        }
+
+        if (step.condition && !WorkflowExecutor.evaluateCondition(step.condition, this.lookup(step.condition.ref, values, results))) {
+            return this.skipped(step, `condition on ${step.condition.ref} not met`);
+        }
+
+        const module = this.findModule(workflow, step);
+        const handler = this.handlers.get(module?.type) || (this.simulateUnhandled ? simulateStep : null);
+        const inputs = this.resolveStepInputs(step, values, results);
+        const startTime = Date.now();
+        let attempts = 0;
+
+        this.logger.workflow(workflow.id || workflow.name, key, 'running', { module: module?.name });
+
+        try {
+            if (!handler) {
+                throw new Error(`No step handler registered for module type ${module?.type}`);
+            }
+
+            const outputs = await RetryHelper.withRetry(async () => {
+                attempts++;
+                return await handler({
+                    step,
+                    module,
+                    inputs,
+                    input: values,
+                    workflow,
+                    signal: options.signal,
+                    logger: this.logger.child(key)
+                });
+            }, {
+                maxAttempts: step.retry?.maxAttempts || 1,
+                delay: step.retry?.backoffMs ?? 1000,
+                shouldRetry: (error) => error.retryable !== false && !options.signal?.aborted
+            });
+
+            return {
+                id: key,
+                action: step.action,
+                module: module?.name || null,
+                status: 'completed',
+                attempts,
+                inputs,
+                outputs: outputs || {},
+                simulated: handler === simulateStep,
+                duration: Date.now() - startTime
+            };
+        } catch (error) {
+            return {
+                id: key,
+                action: step.action,
+                module: module?.name || null,
+                status: 'failed',
+                attempts,
+                inputs,
+                error: error.message,
+                duration: Date.now() - startTime
+            };
+        }
+    }
+
+    skipped(step, reason) {
+        return {
+            id: WorkflowGraph.keyOf(step),
+            action: step.action,
+            module: step.module || null,
+            status: 'skipped',
+            reason
+        };
+    }
+
+    /**
+     * Flat steps without `module` run on the workflow's only module, if any
+     */
+    findModule(workflow, step) {
+        if (step.module) {
+            return workflow.requiredModules.find(module => module.name === step.module);
+        }
+
+        return workflow.requiredModules.length === 1 ? workflow.requiredModules[0] : null;
+    }
+
+    resolveWorkflowInput(workflow, input) {
+        const values = { ...input };
+
+        for (const [name, definition] of Object.entries(workflow.inputs || {})) {
+            if (values[name] === undefined && definition.required) {
+                throw new ValidationError(`Missing workflow input: ${name}`, name);
+            }
+        }
+
+        return values;
+    }
+
+    resolveStepInputs(step, values, results) {
+        const inputs = {};
+
+        for (const [name, definition] of Object.entries(step.inputs || {})) {
+            inputs[name] = definition.from
+                ? this.lookup(definition.from, values, results)
+                : definition.value;
+        }
+
+        return inputs;
+    }
+
+    lookup(ref, values, results) {
+        const parsed = WorkflowGraph.parseReference(ref);
+
+        if (parsed.source === 'inputs') {
+            return values[parsed.name];
+        }
+
+        return results.get(parsed.step)?.outputs?.[parsed.name];
+    }
+
+    static evaluateCondition(condition, actual) {
+        switch (condition.operator) {
+            case 'equals':
+                return JSON.stringify(actual) === JSON.stringify(condition.value);
+            case 'notEquals':
+                return JSON.stringify(actual) !== JSON.stringify(condition.value);
+            case 'greaterThan':
+                return Number(actual) > Number(condition.value);
+            case 'lessThan':
+                return Number(actual) < Number(condition.value);
+            case 'contains':
+                return Array.isArray(actual) || typeof actual === 'string'
+                    ? actual.includes(condition.value)
+                    : false;
+            case 'exists':
+                return actual !== undefined && actual !== null &&
+                    !(Array.isArray(actual) && actual.length === 0);
+            default:
+                return false;
+        }
+    }
+}
+
+module.exports = { WorkflowExecutor };
@@ -0,0 +1,168 @@
+const REFERENCE_PATTERN = /^(?:inputs\.([A-Za-z0-9_-]+)|([a-z0-9][a-z0-9_-]*)\.outputs\.([A-Za-z0-9_-]+))$/;
+
+/**
+ * WorkflowGraph - Validation du graphe de dataflow entre les étapes
+ *
+ * Steps are keyed by `id` (falling back to `action` for flat steps). Edges
+ * come from `dependsOn` and from the step references used in `inputs.*.from`
+ * and `condition.ref`. References are `inputs.<name>` for workflow inputs or
+ * `<stepId>.outputs.<name>` for step outputs.
+ *
+ * Errors use the { path, message } shape of WorkflowSchema so both can be
+ * reported together and sent back to the model for repair.
+ */
+class WorkflowGraph {
+    static validate(workflow) {
+        const steps = workflow.steps || [];
+        const errors = [];
+        const stepsByKey = new Map();
+        const moduleNames = new Set((workflow.requiredModules || []).map(module => module.name));
+
+        steps.forEach((step, index) => {
+            const key = WorkflowGraph.keyOf(step);
+            if (stepsByKey.has(key)) {
+                errors.push({ path: `/steps/${index}/id`, message: `duplicate step id "${key}"` });
+            } else {
+                stepsByKey.set(key, step);
+            }
+        });
+
+        steps.forEach((step, index) => {
+            const path = `/steps/${index}`;
+
+            if (step.module && !moduleNames.has(step.module)) {
+                errors.push({ path: `${path}/module`, message: `module "${step.module}" is not declared in requiredModules` });
+            }
+
+            for (const dependency of step.dependsOn || []) {
+                if (!stepsByKey.has(dependency)) {
+                    errors.push({ path: `${path}/dependsOn`, message: `depends on unknown step "${dependency}"` });
+                }
+            }
+
+            for (const [name, input] of Object.entries(step.inputs || {})) {
+                if (input.from) {
+                    const error = WorkflowGraph.checkReference(workflow, stepsByKey, input.from, input.type);
+                    if (error) {
+                        errors.push({ path: `${path}/inputs/${name}/from`, message: error });
+                    }
+                }
+            }
+
+            if (step.condition) {
+                const error = WorkflowGraph.checkReference(workflow, stepsByKey, step.condition.ref);
+                if (error) {
+                    errors.push({ path: `${path}/condition/ref`, message: error });
+                }
+            }
+        });
+
+        const { order, cycle } = WorkflowGraph.sort(steps);
+        if (cycle.length > 0) {
+            errors.push({ path: '/steps', message: `dependency cycle between steps ${cycle.join(', ')}` });
+        }
+
+        return { valid: errors.length === 0, errors, order };
+    }
+
+    static checkReference(workflow, stepsByKey, ref, expectedType) {
+        const parsed = WorkflowGraph.parseReference(ref);
+
+        if (!parsed) {
+            return `invalid reference "${ref}"`;
+        }
+
+        let declared;
+        if (parsed.source === 'inputs') {
+            declared = workflow.inputs?.[parsed.name];
+            if (!declared) {
+                return `unbound reference "${ref}": workflow input "${parsed.name}" is not declared`;
+            }
+        } else {
+            const step = stepsByKey.get(parsed.step);
+            if (!step) {
+                return `unbound reference "${ref}": unknown step "${parsed.step}"`;
+            }
+            declared = step.outputs?.[parsed.name];
+            if (!declared) {
+                return `unbound reference "${ref}": step "${parsed.step}" has no output "${parsed.name}"`;
+            }
+        }
+
+        if (expectedType && declared.type && declared.type !== expectedType) {
+            return `reference "${ref}" is of type ${declared.type}, expected ${expectedType}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Parses "inputs.<name>" or "<stepId>.outputs.<name>";
+     * returns { source: 'inputs'|'step', step, name } or null.
+     */
+    static parseReference(ref) {
+        const match = typeof ref === 'string' ? ref.match(REFERENCE_PATTERN) : null;
+
+        if (!match) {
+            return null;
+        }
+
+        return match[1]
+            ? { source: 'inputs', step: null, name: match[1] }
+            : { source: 'step', step: match[2], name: match[3] };
+    }
+
+    static keyOf(step) {
+        return step.id || step.action;
+    }
+
+    /**
+     * Step keys a step waits for: explicit `dependsOn` plus the steps
+     * referenced by its inputs and condition.
+     */
+    static dependenciesOf(step) {
+        const refs = Object.values(step.inputs || {})
+            .map(input => input.from)
+            .concat(step.condition ? [step.condition.ref] : []);
+
+        const referenced = refs
+            .map(ref => WorkflowGraph.parseReference(ref))
+            .filter(parsed => parsed && parsed.source === 'step')
+            .map(parsed => parsed.step);
+
+        return [...new Set([...(step.dependsOn || []), ...referenced])];
+    }
+
+    /**
+     * Topological order of the step keys (Kahn's algorithm, ties kept in
+     * declaration order). Steps left over form the `cycle`.
+     */
+    static sort(steps = []) {
+        const keys = steps.map(step => WorkflowGraph.keyOf(step));
+        const known = new Set(keys);
+        const pending = new Map(steps.map(step => [
+            WorkflowGraph.keyOf(step),
+            new Set(WorkflowGraph.dependenciesOf(step).filter(key => known.has(key)))
+        ]));
+
+        const order = [];
+        let progressed = true;
+
+        while (pending.size > 0 && progressed) {
+            progressed = false;
+
+            for (const key of keys) {
+                const waitingOn = pending.get(key);
+                if (waitingOn && [...waitingOn].every(dependency => order.includes(dependency))) {
+                    order.push(key);
+                    pending.delete(key);
+                    progressed = true;
+                }
+            }
+        }
+
+        return { order, cycle: [...pending.keys()] };
+    }
+}
+
+module.exports = { WorkflowGraph };
@@ -0,0 +1,130 @@
+const { Logger } = require('../utils/logger');
+
+/**
+ * WorkflowRevisionStore - Historique des révisions de workflows
+ *
+ * Revisions are append-only per workflow id. A cursor marks the current
+ * revision so users can step back and forth without losing later revisions.
+ */
+class WorkflowRevisionStore {
+    constructor(options = {}) {
+        this.logger = new Logger('WorkflowRevisions');
+        this.maxRevisions = options.maxRevisions || 50;
+        this.histories = new Map(); // workflowId -> { revisions: [], current: index }
+    }
+
+    record(workflow, details = {}) {
+        if (!this.histories.has(workflow.id)) {
+            this.histories.set(workflow.id, { revisions: [], current: -1 });
+        }
+
+        const history = this.histories.get(workflow.id);
+        const previous = history.revisions[history.revisions.length - 1];
+
+        const revision = {
+            revision: previous ? previous.revision + 1 : 1,
+            workflow: WorkflowRevisionStore.clone(workflow),
+            source: details.source || 'generate',
+            feedback: details.feedback || null,
+            diff: details.diff || null,
+            createdAt: new Date().toISOString()
+        };
+
+        history.revisions.push(revision);
+
+        if (history.revisions.length > this.maxRevisions) {
+            history.revisions.shift();
+        }
+
+        history.current = history.revisions.length - 1;
+        this.logger.debug(`Recorded revision ${revision.revision} of workflow ${workflow.id}`);
+
+        return revision;
+    }
+
+    has(workflowId) {
+        return this.histories.has(workflowId);
+    }
+
+    list(workflowId) {
+        const history = this.getHistory(workflowId);
+        const current = history.revisions[history.current];
+
+        return history.revisions.map(revision => ({
+            revision: revision.revision,
+            source: revision.source,
+            feedback: revision.feedback,
+            summary: revision.diff?.summary || [],
+            createdAt: revision.createdAt,
+            current: revision === current
+        }));
+    }
+
+    get(workflowId, revisionNumber) {
+        const history = this.getHistory(workflowId);
+        const revision = history.revisions.find(r => r.revision === Number(revisionNumber));
+
+        if (!revision) {
+            throw new Error(`Revision ${revisionNumber} not found for workflow ${workflowId}`);
+        }
+
+        return revision;
+    }
+
+    getCurrent(workflowId) {
+        const history = this.getHistory(workflowId);
+        return history.revisions[history.current];
+    }
+
+    stepBack(workflowId) {
+        return this.moveCursor(workflowId, -1);
+    }
+
+    stepForward(workflowId) {
+        return this.moveCursor(workflowId, 1);
+    }
+
+    checkout(workflowId, revisionNumber) {
+        const history = this.getHistory(workflowId);
+        const revision = this.get(workflowId, revisionNumber);
+
+        history.current = history.revisions.indexOf(revision);
+        return revision;
+    }
+
+    moveCursor(workflowId, offset) {
+        const history = this.getHistory(workflowId);
+        const target = history.current + offset;
+
+        if (target < 0 || target >= history.revisions.length) {
+            throw new Error(`No ${offset < 0 ? 'previous' : 'next'} revision for workflow ${workflowId}`);
+        }
+
+        history.current = target;
+        return history.revisions[target];
+    }
+
+    workflowIds() {
+        return Array.from(this.histories.keys());
+    }
+
+    remove(workflowId) {
+        return this.histories.delete(workflowId);
+    }
+
+    getHistory(workflowId) {
+        const history = this.histories.get(workflowId);
+
+        if (!history) {
+            throw new Error(`No revision history for workflow ${workflowId}`);
+        }
+
+        return history;
+    }
+
+    static clone(workflow) {
+        return JSON.parse(JSON.stringify(workflow));
+    }
+}
+
+module.exports = { WorkflowRevisionStore };
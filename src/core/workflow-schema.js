@@ -0,0 +1,38 @@
+const Ajv = require('ajv');
+const workflowSchema = require('../schemas/workflow.schema.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+let compiledValidator = null;
+
+/**
+ * WorkflowSchema - Validation des workflows contre le JSON Schema publié
+ * (src/schemas/workflow.schema.json)
+ */
+class WorkflowSchema {
+    static get schema() {
+        return workflowSchema;
+    }
+
+    static validate(workflow) {
+        if (!compiledValidator) {
+            compiledValidator = ajv.compile(workflowSchema);
+        }
+
+        const valid = compiledValidator(workflow);
+
+        return {
+            valid,
+            errors: valid ? [] : compiledValidator.errors.map(error => ({
+                path: error.instancePath || '/',
+                message: error.message,
+                params: error.params
+            }))
+        };
+    }
+
+    static formatErrors(errors) {
+        return errors.map(error => `${error.path}: ${error.message}`).join('; ');
+    }
+}
+
+module.exports = { WorkflowSchema };
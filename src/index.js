@@ -4,23 +4,42 @@ const { AutoWeave } = require('./core/autoweave');
 const { KagentBridge } = require('./kagent/bridge');
 const { Logger } = require('./utils/logger');
 const config = require('../config/autoweave/config');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 
 function setupAGUIWebSocketServer(server, autoweave, logger) {
     logger.info('Setting up AG-UI WebSocket server...');
     
+    // The user is resolved from the upgrade request (bearer token,
+    // ?access_token= or the authenticating proxy's header); clients without
+    // one connect anonymously
     const wss = new WebSocket.Server({ 
         server: server,
-        path: '/ws'
+        path: '/ws',
+        verifyClient: (info, done) => {
+            autoweave.authenticator.identify(info.req)
+                .then(userId => {
+                    info.req.userId = userId;
+                    done(true);
+                })
+                .catch(() => done(false, 401));
+        }
     });
 
     wss.on('connection', (ws, req) => {
-        const clientId = req.headers['x-forwarded-for'] || req.connection.remoteAddress || `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        // One id per connection: addresses are shared and x-forwarded-for is client-controlled
+        const clientId = `client-${crypto.randomUUID()}`;
+        
+        // ws://host/ws?sessionId=... continues one of the user's conversation sessions
+        const query = new URL(req.url, 'http://localhost').searchParams;
         
         // Add client to AutoWeave
-        autoweave.addAGUIClient(clientId, ws);
+        autoweave.addAGUIClient(clientId, ws, {
+            userId: req.userId,
+            sessionId: query.get('sessionId')
+        });
         
-        logger.info(`AG-UI client connected: ${clientId}`);
+        logger.info(`AG-UI client connected: ${clientId} (${req.headers['x-forwarded-for'] || req.socket.remoteAddress})`);
 
         ws.on('message', (message) => {
             try {
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LLMProvider } = require('./providers/base-provider');
+const { Logger } = require('../utils/logger');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Values that change on every run and would otherwise break replay keys
+const VOLATILE_PATTERNS = [
+    [/\bagent-\d{13}-[a-z0-9]+\b/g, 'agent-<id>'],
+    [/\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z\b/g, '<timestamp>']
+];
+
+class CassetteMissError extends Error {
+    constructor(key, request, file) {
+        const preview = (request.messages?.[request.messages.length - 1]?.content || '').substring(0, 80);
+        super(`No recorded LLM response for request ${key.substring(0, 12)} in ${file} ("${preview}..."). Re-record with cassette mode "record".`);
+        this.name = 'CassetteMissError';
+        this.retryable = false;
+        this.key = key;
+    }
+}
+
+/**
+ * Cassette - Fichier d'enregistrements requête/réponse LLM
+ *
+ * Interactions are keyed by the sha256 of the normalized request (model,
+ * messages, temperature, maxTokens, responseFormat, tool names). Normalization collapses
+ * whitespace and masks generated agent ids and ISO timestamps.
+ */
+class Cassette {
+    constructor(file) {
+        this.file = file;
+        this.logger = new Logger('Cassette');
+        this.interactions = {};
+
+        if (fs.existsSync(file)) {
+            this.interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions || {};
+            this.logger.debug(`Loaded ${Object.keys(this.interactions).length} interactions from ${file}`);
+        }
+    }
+
+    get(key) {
+        return this.interactions[key] || null;
+    }
+
+    put(key, request, response) {
+        this.interactions[key] = {
+            request: Cassette.normalize(request),
+            response: {
+                content: response.content,
+                usage: response.usage,
+                model: response.model,
+                finishReason: response.finishReason,
+                ...(response.toolCalls ? { toolCalls: response.toolCalls } : {})
+            },
+            recordedAt: new Date().toISOString()
+        };
+        this.save();
+    }
+
+    save() {
+        const sorted = Object.fromEntries(Object.keys(this.interactions).sort()
+            .map(key => [key, this.interactions[key]]));
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({ version: 1, interactions: sorted }, null, 2) + '\n');
+    }
+
+    static normalize(request) {
+        const normalized = {
+            model: request.model || null,
+            messages: (request.messages || []).map(message => Cassette.normalizeMessage(message)),
+            temperature: request.temperature ?? null,
+            maxTokens: request.maxTokens ?? null,
+            responseFormat: request.responseFormat || null
+        };
+
+        // Only tool-calling requests carry tool fields, so older keys still match
+        if (request.tools?.length > 0) {
+            normalized.tools = request.tools.map(tool => tool.name);
+        }
+
+        return normalized;
+    }
+
+    static normalizeMessage(message) {
+        const normalized = {
+            role: message.role,
+            content: Cassette.normalizeText(message.content ?? '')
+        };
+
+        if (message.toolCalls?.length > 0) {
+            normalized.toolCalls = message.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }));
+        }
+        if (message.role === 'tool') {
+            normalized.name = message.name;
+        }
+
+        return normalized;
+    }
+
+    static normalizeText(text = '') {
+        let normalized = String(text).replace(/\s+/g, ' ').trim();
+
+        for (const [pattern, replacement] of VOLATILE_PATTERNS) {
+            normalized = normalized.replace(pattern, replacement);
+        }
+
+        return normalized;
+    }
+
+    static keyOf(request) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(Cassette.normalize(request)))
+            .digest('hex');
+    }
+}
+
+/**
+ * CassetteProvider - Enregistre ou rejoue les appels d'un fournisseur LLM
+ *
+ * "record" forwards every call to the wrapped provider and stores the
+ * response; "replay" serves stored responses only and throws
+ * CassetteMissError for any request that was not recorded.
+ */
+class CassetteProvider extends LLMProvider {
+    constructor(inner, cassette, mode) {
+        super(inner.name, inner.config);
+        this.inner = inner;
+        this.cassette = cassette;
+        this.mode = mode;
+        this.defaultModel = inner.defaultModel;
+    }
+
+    get type() {
+        return this.inner.type;
+    }
+
+    get capabilities() {
+        return this.inner.capabilities;
+    }
+
+    get replaying() {
+        return this.mode === 'replay';
+    }
+
+    get recording() {
+        return this.mode === 'record';
+    }
+
+    async complete(request) {
+        const key = Cassette.keyOf(this.withModel(request));
+
+        if (this.replaying) {
+            return this.replay(key, request);
+        }
+
+        const result = await this.inner.complete(request);
+        this.cassette.put(key, this.withModel(request), result);
+        return result;
+    }
+
+    async *stream(request) {
+        const key = Cassette.keyOf(this.withModel(request));
+
+        if (this.replaying) {
+            const result = this.replay(key, request);
+            if (result.content) {
+                yield { type: 'delta', content: result.content };
+            }
+            yield { type: 'done', ...result };
+            return;
+        }
+
+        for await (const chunk of this.inner.stream(request)) {
+            if (chunk.type === 'done' && !chunk.cancelled) {
+                const { type, ...result } = chunk;
+                this.cassette.put(key, this.withModel(request), result);
+            }
+            yield chunk;
+        }
+    }
+
+    async healthCheck() {
+        return this.replaying ? true : this.inner.healthCheck();
+    }
+
+    replay(key, request) {
+        const interaction = this.cassette.get(key);
+
+        if (!interaction) {
+            throw new CassetteMissError(key, request, this.cassette.file);
+        }
+
+        this.logger.debug(`Replaying ${key.substring(0, 12)}`);
+        return { ...interaction.response, provider: this.name };
+    }
+
+    // Keys use the model actually sent, so defaults recorded once still match
+    withModel(request) {
+        return { ...request, model: request.model || this.defaultModel };
+    }
+}
+
+/**
+ * Wraps every provider of a registry according to the cassette config:
+ *   { mode: 'record' | 'replay' | 'off', file: './test/cassettes/llm.json' }
+ * The mode can also come from the LLM_CASSETTE environment variable.
+ */
+function applyCassette(registry, config = {}) {
+    const mode = process.env.LLM_CASSETTE || config.mode || 'off';
+
+    if (!CASSETTE_MODES.includes(mode)) {
+        throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+
+    if (mode === 'off') {
+        return registry;
+    }
+
+    const cassette = new Cassette(config.file || path.join(process.cwd(), 'cassettes', 'llm.json'));
+
+    for (const [name, provider] of registry.providers) {
+        registry.providers.set(name, new CassetteProvider(provider, cassette, mode));
+    }
+
+    new Logger('Cassette').info(`LLM cassette ${mode} mode: ${cassette.file}`);
+    return registry;
+}
+
+module.exports = { Cassette, CassetteProvider, CassetteMissError, applyCassette, CASSETTE_MODES };
@@ -0,0 +1,20 @@
+const { LLMProvider } = require('./providers/base-provider');
+const { OpenAIProvider } = require('./providers/openai-provider');
+const { OpenAICompatibleProvider } = require('./providers/openai-compatible-provider');
+const { AnthropicProvider } = require('./providers/anthropic-provider');
+const { FakeProvider } = require('./providers/fake-provider');
+const { LLMProviderRegistry, PROVIDER_TYPES } = require('./provider-registry');
+const { Cassette, CassetteProvider, CassetteMissError } = require('./cassette');
+
+module.exports = {
+    LLMProvider,
+    OpenAIProvider,
+    OpenAICompatibleProvider,
+    AnthropicProvider,
+    FakeProvider,
+    LLMProviderRegistry,
+    PROVIDER_TYPES,
+    Cassette,
+    CassetteProvider,
+    CassetteMissError
+};
@@ -0,0 +1,116 @@
+const { OpenAIProvider } = require('./providers/openai-provider');
+const { OpenAICompatibleProvider } = require('./providers/openai-compatible-provider');
+const { AnthropicProvider } = require('./providers/anthropic-provider');
+const { FakeProvider } = require('./providers/fake-provider');
+const { applyCassette } = require('./cassette');
+
+const PROVIDER_TYPES = {
+    'openai': OpenAIProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    'ollama': OpenAICompatibleProvider,
+    'vllm': OpenAICompatibleProvider,
+    'llamacpp': OpenAICompatibleProvider,
+    'anthropic': AnthropicProvider,
+    'fake': FakeProvider
+};
+
+/**
+ * LLMProviderRegistry - Registre des fournisseurs LLM nommés
+ *
+ * Config shape (AgentWeaver config):
+ *   {
+ *     openaiApiKey: '...',               // shorthand for an `openai` provider
+ *     defaultProvider: 'openai',
+ *     providers: {
+ *       local: { type: 'ollama', baseURL: 'http://localhost:11434/v1', model: 'llama3' },
+ *       claude: { type: 'anthropic', apiKey: '...', model: 'claude-3-5-sonnet-latest' },
+ *       ci: { type: 'fake' }
+ *     },
+ *     cassette: { mode: 'replay', file: './test/cassettes/llm.json' } // record/replay every provider
+ *   }
+ */
+class LLMProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.defaultName = null;
+    }
+
+    static fromConfig(config = {}) {
+        const registry = new LLMProviderRegistry();
+        const providers = { ...(config.providers || {}) };
+
+        if (config.openaiApiKey && !providers.openai) {
+            providers.openai = {
+                type: 'openai',
+                apiKey: config.openaiApiKey,
+                model: config.model
+            };
+        }
+
+        for (const [name, providerConfig] of Object.entries(providers)) {
+            registry.register(name, LLMProviderRegistry.createProvider(name, providerConfig));
+        }
+
+        registry.defaultName = config.defaultProvider ||
+            (registry.providers.has('openai') ? 'openai' : registry.providers.keys().next().value);
+
+        if (!registry.defaultName) {
+            throw new Error('OpenAI API key is required');
+        }
+
+        if (!registry.providers.has(registry.defaultName)) {
+            throw new Error(`Default LLM provider "${registry.defaultName}" is not configured`);
+        }
+
+        return applyCassette(registry, config.cassette);
+    }
+
+    static createProvider(name, providerConfig = {}) {
+        const type = providerConfig.type || name;
+        const ProviderClass = PROVIDER_TYPES[type];
+
+        if (!ProviderClass) {
+            throw new Error(`Unknown LLM provider type: ${type}`);
+        }
+
+        return new ProviderClass(name, providerConfig);
+    }
+
+    register(name, provider) {
+        this.providers.set(name, provider);
+        if (!this.defaultName) {
+            this.defaultName = name;
+        }
+        return provider;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    get(name = null) {
+        const providerName = name || this.defaultName;
+        const provider = this.providers.get(providerName);
+
+        if (!provider) {
+            throw new Error(`LLM provider not configured: ${providerName}`);
+        }
+
+        return provider;
+    }
+
+    getDefault() {
+        return this.get(this.defaultName);
+    }
+
+    list() {
+        return Array.from(this.providers.values()).map(provider => ({
+            name: provider.name,
+            type: provider.type,
+            model: provider.defaultModel,
+            default: provider.name === this.defaultName
+        }));
+    }
+}
+
+module.exports = { LLMProviderRegistry, PROVIDER_TYPES };
@@ -0,0 +1,220 @@
+const { LLMProvider } = require('./base-provider');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_API_VERSION = '2023-06-01';
+
+/**
+ * AnthropicProvider - Adaptateur pour les APIs de type Anthropic Messages
+ * Le prompt système est extrait des messages et envoyé séparément.
+ */
+class AnthropicProvider extends LLMProvider {
+    constructor(name, config = {}) {
+        super(name, config);
+
+        if (!config.apiKey) {
+            throw new Error(`Provider ${name} requires an apiKey`);
+        }
+
+        this.baseURL = (config.baseURL || DEFAULT_BASE_URL).replace(/\/$/, '');
+        this.apiVersion = config.apiVersion || DEFAULT_API_VERSION;
+    }
+
+    get type() {
+        return 'anthropic';
+    }
+
+    get capabilities() {
+        return {
+            jsonMode: false,
+            streaming: true,
+            tools: true
+        };
+    }
+
+    async complete(request) {
+        const response = await fetch(`${this.baseURL}/v1/messages`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(this.buildPayload(request)),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            throw await this.readError(response);
+        }
+
+        const body = await response.json();
+        const content = (body.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return this.buildResult(request, content, {
+            promptTokens: body.usage?.input_tokens,
+            completionTokens: body.usage?.output_tokens
+        }, {
+            finishReason: body.stop_reason,
+            toolCalls: (body.content || [])
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+        });
+    }
+
+    async *stream(request) {
+        const response = await fetch(`${this.baseURL}/v1/messages`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify({ ...this.buildPayload(request), stream: true }),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            throw await this.readError(response);
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let content = '';
+        let finishReason = 'stop';
+        const usage = {};
+        const toolCalls = {}; // content block index -> { id, name, json }
+
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+
+            // Server-sent events are separated by a blank line
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const event of events) {
+                const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+                if (!dataLine) continue;
+
+                const data = JSON.parse(dataLine.slice(5).trim());
+
+                if (data.type === 'message_start') {
+                    usage.promptTokens = data.message?.usage?.input_tokens;
+                } else if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                    content += data.delta.text;
+                    yield { type: 'delta', content: data.delta.text };
+                } else if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
+                    toolCalls[data.index] = { id: data.content_block.id, name: data.content_block.name, json: '' };
+                } else if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+                    toolCalls[data.index].json += data.delta.partial_json;
+                } else if (data.type === 'message_delta') {
+                    usage.completionTokens = data.usage?.output_tokens;
+                    finishReason = data.delta?.stop_reason || finishReason;
+                } else if (data.type === 'error') {
+                    throw new Error(data.error?.message || 'Anthropic stream error');
+                }
+            }
+        }
+
+        yield {
+            type: 'done',
+            ...this.buildResult(request, content, usage, {
+                finishReason,
+                toolCalls: Object.values(toolCalls).map(call => ({
+                    id: call.id,
+                    name: call.name,
+                    arguments: LLMProvider.parseArguments(call.json)
+                }))
+            })
+        };
+    }
+
+    /**
+     * Error for a failed response; gateways and proxies may answer with a
+     * body that is not JSON, which is then kept as the error detail
+     */
+    async readError(response) {
+        const text = await response.text().catch(() => '');
+        let body = {};
+
+        try {
+            body = JSON.parse(text);
+        } catch (parseError) {
+            body = {};
+        }
+
+        const detail = body.error?.message || text.trim().slice(0, 200);
+        const error = new Error(`Anthropic API error (${response.status})${detail ? `: ${detail}` : ''}`);
+        error.status = response.status;
+        error.code = body.error?.type;
+        return error;
+    }
+
+    buildHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.config.apiKey,
+            'anthropic-version': this.apiVersion
+        };
+    }
+
+    buildPayload(request) {
+        const system = request.messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const payload = {
+            model: request.model || this.defaultModel,
+            messages: AnthropicProvider.toAnthropicMessages(request.messages.filter(message => message.role !== 'system')),
+            max_tokens: request.maxTokens || 1024
+        };
+
+        if (system) {
+            payload.system = system;
+        }
+
+        if (request.tools?.length > 0) {
+            payload.tools = request.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+        }
+
+        if (request.temperature !== undefined) {
+            payload.temperature = request.temperature;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Tool calls become tool_use blocks; consecutive tool results are sent as
+     * tool_result blocks of a single user message
+     */
+    static toAnthropicMessages(messages) {
+        const converted = [];
+
+        for (const message of messages) {
+            if (message.role === 'tool') {
+                const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+                const previous = converted[converted.length - 1];
+
+                if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content[0]?.type === 'tool_result') {
+                    previous.content.push(block);
+                } else {
+                    converted.push({ role: 'user', content: [block] });
+                }
+            } else if (message.toolCalls?.length > 0) {
+                converted.push({
+                    role: 'assistant',
+                    content: [
+                        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                        ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+                    ]
+                });
+            } else {
+                converted.push({ role: message.role, content: message.content });
+            }
+        }
+
+        return converted;
+    }
+}
+
+module.exports = { AnthropicProvider };
@@ -0,0 +1,99 @@
+const { Logger } = require('../../utils/logger');
+
+/**
+ * LLMProvider - Interface commune des fournisseurs LLM
+ *
+ * Every provider receives a normalized request:
+ *   { model, messages, temperature, maxTokens, responseFormat, tools, signal }
+ * and resolves to a normalized result:
+ *   { content, usage: { promptTokens, completionTokens, totalTokens }, model, provider, finishReason, toolCalls }
+ *
+ * Tool calling (capabilities.tools): `tools` is [{ name, description, parameters }]
+ * with JSON Schema parameters. The result's `toolCalls` is [{ id, name, arguments }];
+ * they are answered with an assistant message carrying `toolCalls`, then one
+ * { role: 'tool', toolCallId, name, content } message per call.
+ *
+ * stream() yields { type: 'delta', content } chunks followed by a single
+ * { type: 'done', ...result } chunk carrying the full content and usage.
+ */
+class LLMProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        this.defaultModel = config.model || null;
+        this.logger = new Logger(`LLM:${name}`);
+    }
+
+    get type() {
+        return 'base';
+    }
+
+    get capabilities() {
+        return {
+            jsonMode: false,
+            streaming: false,
+            tools: false
+        };
+    }
+
+    async complete(request) {
+        throw new Error(`Provider ${this.name} does not implement complete()`);
+    }
+
+    /**
+     * Fallback for providers without native streaming: one delta with the full answer
+     */
+    async *stream(request) {
+        const result = await this.complete(request);
+
+        if (result.content) {
+            yield { type: 'delta', content: result.content };
+        }
+
+        yield { type: 'done', ...result };
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    buildResult(request, content, usage = {}, extra = {}) {
+        const promptTokens = usage.promptTokens || 0;
+        const completionTokens = usage.completionTokens || 0;
+
+        const result = {
+            content: content || '',
+            usage: {
+                promptTokens,
+                completionTokens,
+                totalTokens: usage.totalTokens || promptTokens + completionTokens
+            },
+            model: request.model || this.defaultModel,
+            provider: this.name,
+            finishReason: extra.finishReason || 'stop'
+        };
+
+        if (extra.toolCalls?.length > 0) {
+            result.toolCalls = extra.toolCalls;
+        }
+
+        return result;
+    }
+
+    /**
+     * Tool arguments arrive as JSON text; invalid JSON is kept so the caller can report it
+     */
+    static parseArguments(text) {
+        if (!text) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return { _invalidJson: text };
+        }
+    }
+}
+
+module.exports = { LLMProvider };
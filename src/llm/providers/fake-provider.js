@@ -0,0 +1,230 @@
+const { LLMProvider } = require('./base-provider');
+
+const MODULE_KEYWORDS = {
+    file_system: ['file', 'files', 'directory', 'folder', 'disk'],
+    kubernetes: ['kubernetes', 'k8s', 'pod', 'pods', 'deployment', 'cluster'],
+    coding_assistant: ['code', 'review', 'refactor', 'lint', 'repository'],
+    monitoring: ['monitor', 'monitoring', 'metrics', 'alert', 'logs', 'health'],
+    mcp_server: ['mcp', 'tool', 'api', 'integration']
+};
+
+/**
+ * FakeProvider - Fournisseur déterministe en mémoire pour la CI
+ *
+ * Responses are resolved in order from `config.responses` rules
+ * ({ match: string|RegExp, response: string|object|function }), then from
+ * built-in generators for workflow, OpenAPI and enrichment prompts, then by
+ * echoing the last user message. The same request always yields the same result.
+ *
+ * `config.toolCalls` rules ({ match, calls: [{ name, arguments }] | function })
+ * make the model call tools when the request offers them and the last
+ * message is the user's; once tool results follow, it answers in text.
+ */
+class FakeProvider extends LLMProvider {
+    constructor(name, config = {}) {
+        super(name, config);
+        this.defaultModel = config.model || 'fake-model';
+        this.responses = config.responses || [];
+        this.toolCallRules = config.toolCalls || [];
+        this.calls = [];
+    }
+
+    get type() {
+        return 'fake';
+    }
+
+    get capabilities() {
+        return {
+            jsonMode: true,
+            streaming: true,
+            tools: true
+        };
+    }
+
+    async complete(request) {
+        this.calls.push(request);
+
+        const promptText = request.messages.map(message => message.content || '').join('\n');
+        const toolCalls = this.resolveToolCalls(request);
+
+        if (toolCalls.length > 0) {
+            return this.buildResult(request, '', {
+                promptTokens: FakeProvider.estimateTokens(promptText),
+                completionTokens: FakeProvider.estimateTokens(JSON.stringify(toolCalls))
+            }, { finishReason: 'tool_calls', toolCalls });
+        }
+
+        const content = this.resolveContent(request);
+
+        return this.buildResult(request, content, {
+            promptTokens: FakeProvider.estimateTokens(promptText),
+            completionTokens: FakeProvider.estimateTokens(content)
+        });
+    }
+
+    async *stream(request) {
+        const result = await this.complete(request);
+
+        // Word-sized chunks, keeping the separators so deltas concatenate back exactly
+        for (const piece of result.content.match(/\S+\s*|\s+/g) || []) {
+            if (request.signal?.aborted) {
+                return;
+            }
+            yield { type: 'delta', content: piece };
+        }
+
+        yield { type: 'done', ...result };
+    }
+
+    resolveToolCalls(request) {
+        const lastMessage = request.messages[request.messages.length - 1];
+
+        if (!request.tools?.length || lastMessage?.role !== 'user') {
+            return [];
+        }
+
+        const offered = new Set(request.tools.map(tool => tool.name));
+        const rule = this.toolCallRules.find(candidate => candidate.match instanceof RegExp
+            ? candidate.match.test(lastMessage.content)
+            : lastMessage.content.includes(candidate.match));
+        const calls = typeof rule?.calls === 'function' ? rule.calls(request) : (rule?.calls || []);
+
+        return calls
+            .filter(call => offered.has(call.name))
+            .map((call, index) => ({
+                id: `call-${FakeProvider.hash(`${lastMessage.content}:${index}`)}`,
+                name: call.name,
+                arguments: call.arguments || {}
+            }));
+    }
+
+    resolveContent(request) {
+        const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user');
+        const text = lastUserMessage?.content || '';
+
+        for (const rule of this.responses) {
+            const matches = rule.match instanceof RegExp
+                ? rule.match.test(text)
+                : text.includes(rule.match);
+
+            if (matches) {
+                return FakeProvider.serialize(
+                    typeof rule.response === 'function' ? rule.response(request) : rule.response
+                );
+            }
+        }
+
+        if (text.includes('"requiredModules"')) {
+            return JSON.stringify(this.generateWorkflow(text));
+        }
+
+        if (text.includes('Enrich the documentation of the following OpenAPI operations')) {
+            return JSON.stringify(this.generateOpenAPIEnrichment(text));
+        }
+
+        if (text.includes('OpenAPI 3.1 specification')) {
+            return JSON.stringify(this.generateOpenAPISpec(text));
+        }
+
+        return `Fake response to: "${text}"`;
+    }
+
+    generateWorkflow(prompt) {
+        const description = (prompt.match(/Description:\s*"([\s\S]*?)"/) || [])[1] || 'fake agent';
+        return this.workflowFor(description);
+    }
+
+    /**
+     * Workflow with one module and one step per module type whose keywords
+     * appear in the description (mcp_server when none does)
+     */
+    workflowFor(description) {
+        const words = description.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+        const types = Object.keys(MODULE_KEYWORDS).filter(type =>
+            MODULE_KEYWORDS[type].some(keyword => words.includes(keyword))
+        );
+
+        if (types.length === 0) {
+            types.push('mcp_server');
+        }
+
+        return {
+            id: `agent-fake-${FakeProvider.hash(description)}`,
+            name: words.slice(0, 3).join('-') || 'fake-agent',
+            description,
+            requiredModules: types.map(type => ({
+                name: `${type.replace(/_/g, '-')}-module`,
+                type,
+                description: `Handles ${type.replace(/_/g, ' ')} operations`
+            })),
+            steps: types.map((type, index) => ({
+                id: `run-${type.replace(/_/g, '-')}`,
+                action: `run_${type}`,
+                description: `Run ${type.replace(/_/g, ' ')} tasks`,
+                module: `${type.replace(/_/g, '-')}-module`,
+                ...(index > 0 ? { dependsOn: [`run-${types[index - 1].replace(/_/g, '-')}`] } : {})
+            })),
+            modelConfig: {
+                name: this.defaultModel,
+                temperature: 0
+            }
+        };
+    }
+
+    generateOpenAPIEnrichment(prompt) {
+        const operationIds = [...prompt.matchAll(/"operationId":\s*"([^"]+)"/g)].map(match => match[1]);
+
+        return {
+            description: 'Fake enriched API description',
+            operations: Object.fromEntries(operationIds.map(operationId => [operationId, {
+                description: `Fake description of ${operationId}`
+            }]))
+        };
+    }
+
+    generateOpenAPISpec(prompt) {
+        const name = (prompt.match(/- Name:\s*(.+)/) || [])[1] || 'fake-agent';
+
+        return {
+            openapi: '3.1.0',
+            info: {
+                title: `${name.trim()} Agent API`,
+                version: '1.0.0'
+            },
+            paths: {
+                '/health': {
+                    get: {
+                        summary: 'Health check',
+                        operationId: 'getHealth',
+                        responses: {
+                            '200': { description: 'Agent is healthy' }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    reset() {
+        this.calls = [];
+    }
+
+    static serialize(value) {
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    static hash(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+        }
+        return Math.abs(hash).toString(36);
+    }
+}
+
+module.exports = { FakeProvider };
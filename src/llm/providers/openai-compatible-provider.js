@@ -0,0 +1,45 @@
+const { OpenAIProvider } = require('./openai-provider');
+
+/**
+ * OpenAICompatibleProvider - Endpoints locaux compatibles OpenAI
+ * (Ollama, vLLM, serveur llama.cpp). Seule l'URL de base change.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(name, config = {}) {
+        if (!config.baseURL) {
+            throw new Error(`Provider ${name} requires a baseURL`);
+        }
+
+        // Local servers usually ignore the key but the SDK requires one
+        super(name, {
+            ...config,
+            apiKey: config.apiKey || 'not-needed'
+        });
+    }
+
+    get type() {
+        return 'openai-compatible';
+    }
+
+    get capabilities() {
+        return {
+            // Most local servers reject response_format unless explicitly enabled
+            jsonMode: this.config.jsonMode === true,
+            streaming: true,
+            // Tool calling depends on the model and server; opt in explicitly
+            tools: this.config.tools === true
+        };
+    }
+
+    async healthCheck() {
+        try {
+            await this.client.models.list();
+        } catch (error) {
+            // llama.cpp server does not always expose /models
+            this.logger.warn(`Model listing unavailable on ${this.config.baseURL}:`, error.message);
+        }
+        return true;
+    }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,158 @@
+const { OpenAI } = require('openai');
+const { LLMProvider } = require('./base-provider');
+
+/**
+ * OpenAIProvider - Adaptateur pour l'API OpenAI Chat Completions
+ */
+class OpenAIProvider extends LLMProvider {
+    constructor(name, config = {}) {
+        super(name, config);
+
+        if (!config.apiKey) {
+            throw new Error('OpenAI API key is required');
+        }
+
+        this.client = new OpenAI({
+            apiKey: config.apiKey,
+            baseURL: config.baseURL,
+            organization: config.organization
+        });
+    }
+
+    get type() {
+        return 'openai';
+    }
+
+    get capabilities() {
+        return {
+            jsonMode: this.config.jsonMode !== false,
+            streaming: true,
+            tools: this.config.tools !== false
+        };
+    }
+
+    async complete(request) {
+        const completion = await this.client.chat.completions.create(
+            this.buildPayload(request),
+            { signal: request.signal }
+        );
+        const choice = completion.choices[0];
+
+        return this.buildResult(request, choice.message.content, {
+            promptTokens: completion.usage?.prompt_tokens,
+            completionTokens: completion.usage?.completion_tokens,
+            totalTokens: completion.usage?.total_tokens
+        }, {
+            finishReason: choice.finish_reason,
+            toolCalls: (choice.message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: LLMProvider.parseArguments(call.function.arguments)
+            }))
+        });
+    }
+
+    async *stream(request) {
+        const stream = await this.client.chat.completions.create({
+            ...this.buildPayload(request),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { signal: request.signal });
+
+        let content = '';
+        let usage = {};
+        let finishReason = 'stop';
+        const toolCalls = []; // accumulated by index from the argument fragments
+
+        for await (const chunk of stream) {
+            const choice = chunk.choices?.[0];
+            const delta = choice?.delta?.content;
+
+            if (delta) {
+                content += delta;
+                yield { type: 'delta', content: delta };
+            }
+
+            for (const fragment of choice?.delta?.tool_calls || []) {
+                const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: null, name: '', arguments: '' });
+                call.id = fragment.id || call.id;
+                call.name += fragment.function?.name || '';
+                call.arguments += fragment.function?.arguments || '';
+            }
+
+            if (choice?.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+
+            // With include_usage the last chunk has no choices and carries the totals
+            if (chunk.usage) {
+                usage = {
+                    promptTokens: chunk.usage.prompt_tokens,
+                    completionTokens: chunk.usage.completion_tokens,
+                    totalTokens: chunk.usage.total_tokens
+                };
+            }
+        }
+
+        yield {
+            type: 'done',
+            ...this.buildResult(request, content, usage, {
+                finishReason,
+                toolCalls: toolCalls.filter(Boolean).map(call => ({
+                    id: call.id,
+                    name: call.name,
+                    arguments: LLMProvider.parseArguments(call.arguments)
+                }))
+            })
+        };
+    }
+
+    buildPayload(request) {
+        const payload = {
+            model: request.model || this.defaultModel,
+            messages: request.messages.map(message => OpenAIProvider.toOpenAIMessage(message)),
+            temperature: request.temperature,
+            max_tokens: request.maxTokens
+        };
+
+        if (request.responseFormat === 'json' && this.capabilities.jsonMode) {
+            payload.response_format = { type: 'json_object' };
+        }
+
+        if (request.tools?.length > 0) {
+            payload.tools = request.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
+        }
+
+        return payload;
+    }
+
+    static toOpenAIMessage(message) {
+        if (message.role === 'tool') {
+            return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+        }
+
+        if (message.toolCalls?.length > 0) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                }))
+            };
+        }
+
+        return { role: message.role, content: message.content };
+    }
+
+    async healthCheck() {
+        await this.client.models.list();
+        return true;
+    }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+// BM25 parameters: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const DEFAULT_FILE = './data/memory.json';
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of',
+    'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with', 'le', 'la', 'les', 'de', 'des', 'du', 'et', 'un', 'une'
+]);
+
+/**
+ * LocalMemoryStore - Mémoire contextuelle locale (fichier JSON + BM25)
+ *
+ * Implements the contextual memory surface used by AgentWeaver,
+ * ConfigurationIntelligence and the memory retriever (addMemory,
+ * addUserMemory, addAgentMemory, searchMemory, listMemories, getMemory,
+ * updateMemory, deleteMemory, deleteUserMemory) without vector or graph stores. Search
+ * ranks entries by BM25 over their text; results use the mem0 shape
+ * { id, memory, score, metadata, user_id, agent_id, created_at }.
+ *
+ * Entries are kept in memory and written to `file` (./data/memory.json
+ * by default) after every change; `file: null` keeps them in memory only.
+ */
+class LocalMemoryStore {
+    constructor(config = {}) {
+        this.logger = new Logger('LocalMemory');
+        this.file = config.file === undefined ? DEFAULT_FILE : (config.file || null);
+        this.maxEntries = config.maxEntries || 10000;
+        this.entries = new Map(); // id -> { id, memory, userId, agentId, metadata, createdAt, updatedAt }
+
+        this.load();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    async addMemory(content, userId, metadata = {}) {
+        return this.insert({ memory: content, userId, agentId: metadata.agentId || null, metadata });
+    }
+
+    async addUserMemory(userId, content, metadata = {}) {
+        return this.insert({ memory: content, userId, agentId: null, metadata: { ...metadata, type: 'user' } });
+    }
+
+    async addAgentMemory(agentId, content, metadata = {}) {
+        // Agent memories belong to the agent; metadata.userId only records who created it
+        return this.insert({ memory: content, userId: null, agentId, metadata: { ...metadata, type: 'agent' } });
+    }
+
+    /**
+     * options: { type: 'user' | 'agent' | 'configuration' | 'all', agentId, limit }
+     * Returns the matching entries ranked by BM25, best first.
+     */
+    async searchMemory(query, userId, options = {}) {
+        const candidates = this.select(userId, options);
+        const scores = LocalMemoryStore.bm25(query, candidates.map(entry => entry.memory));
+
+        return candidates
+            .map((entry, index) => ({ entry, score: scores[index] }))
+            .filter(hit => hit.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, options.limit || 10)
+            .map(hit => LocalMemoryStore.toResult(hit.entry, hit.score));
+    }
+
+    async listMemories(userId, options = {}) {
+        return this.select(userId, options).map(entry => LocalMemoryStore.toResult(entry));
+    }
+
+    /**
+     * The entry, or null when there is none with this id
+     */
+    async getMemory(memoryId) {
+        const entry = this.entries.get(memoryId);
+        return entry ? LocalMemoryStore.toResult(entry) : null;
+    }
+
+    async updateMemory(memoryId, content) {
+        const entry = this.getEntry(memoryId);
+
+        entry.memory = String(content);
+        entry.updatedAt = new Date().toISOString();
+        this.save();
+
+        return LocalMemoryStore.toResult(entry);
+    }
+
+    async deleteMemory(memoryId) {
+        this.getEntry(memoryId);
+        this.entries.delete(memoryId);
+        this.save();
+
+        return true;
+    }
+
+    /**
+     * Deletes every entry stored under the user; returns how many were removed
+     */
+    async deleteUserMemory(userId) {
+        let removed = 0;
+
+        for (const [id, entry] of this.entries) {
+            if (entry.userId === userId) {
+                this.entries.delete(id);
+                removed++;
+            }
+        }
+
+        this.save();
+        return removed;
+    }
+
+    insert({ memory, userId, agentId, metadata }) {
+        const now = new Date().toISOString();
+        const entry = {
+            id: `mem-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+            memory: String(memory ?? ''),
+            userId: userId || null,
+            agentId,
+            metadata: { type: 'user', ...metadata },
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.entries.set(entry.id, entry);
+        this.evict();
+        this.save();
+
+        return LocalMemoryStore.toResult(entry);
+    }
+
+    /**
+     * Entries a search or listing covers: agent memories of one agent
+     * (none without options.agentId), user memories by user, other types
+     * (configuration...) by type and user. Callers check that the user may
+     * read the agent's memories.
+     */
+    select(userId, options = {}) {
+        const type = options.type && options.type !== 'all' ? options.type : null;
+
+        return Array.from(this.entries.values()).filter(entry => {
+            if (type === 'agent') {
+                return entry.metadata.type === 'agent' && Boolean(options.agentId) && entry.agentId === options.agentId;
+            }
+            if (type) {
+                return entry.metadata.type === type && (!userId || entry.userId === userId);
+            }
+            return entry.userId === userId && (!options.agentId || entry.agentId === options.agentId);
+        });
+    }
+
+    getEntry(memoryId) {
+        const entry = this.entries.get(memoryId);
+
+        if (!entry) {
+            throw new Error(`Memory ${memoryId} not found`);
+        }
+
+        return entry;
+    }
+
+    evict() {
+        const excess = this.entries.size - this.maxEntries;
+
+        if (excess > 0) {
+            Array.from(this.entries.keys()).slice(0, excess).forEach(id => this.entries.delete(id));
+        }
+    }
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) {
+            return;
+        }
+
+        try {
+            const { entries = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            entries.forEach(entry => this.entries.set(entry.id, entry));
+            this.logger.info(`Loaded ${this.entries.size} memories from ${this.file}`);
+        } catch (error) {
+            this.logger.warn('Failed to load local memory:', error.message);
+        }
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify({ version: 1, entries: Array.from(this.entries.values()) }, null, 2));
+        } catch (error) {
+            this.logger.warn('Failed to persist local memory:', error.message);
+        }
+    }
+
+    /**
+     * BM25 score of each document for the query; 0 when no term matches
+     */
+    static bm25(query, documents) {
+        const terms = [...new Set(LocalMemoryStore.tokenize(query))];
+        const tokenized = documents.map(document => LocalMemoryStore.tokenize(document));
+        const averageLength = tokenized.reduce((sum, tokens) => sum + tokens.length, 0) / (tokenized.length || 1);
+
+        const idf = Object.fromEntries(terms.map(term => {
+            const frequency = tokenized.filter(tokens => tokens.includes(term)).length;
+            return [term, Math.log(1 + (tokenized.length - frequency + 0.5) / (frequency + 0.5))];
+        }));
+
+        return tokenized.map(tokens => terms.reduce((score, term) => {
+            const frequency = tokens.filter(token => token === term).length;
+            if (frequency === 0) {
+                return score;
+            }
+            const norm = K1 * (1 - B + B * tokens.length / (averageLength || 1));
+            return score + idf[term] * (frequency * (K1 + 1)) / (frequency + norm);
+        }, 0));
+    }
+
+    static tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    static toResult(entry, score) {
+        return {
+            id: entry.id,
+            memory: entry.memory,
+            ...(score !== undefined ? { score } : {}),
+            metadata: entry.metadata,
+            user_id: entry.userId,
+            agent_id: entry.agentId,
+            created_at: entry.createdAt,
+            updated_at: entry.updatedAt
+        };
+    }
+}
+
+/**
+ * LocalMemoryManager - Remplaçant local du HybridMemoryManager
+ *
+ * Used by AgentWeaver until setMemoryManager() provides the hybrid memory,
+ * so memory features work in development and tests.
+ *
+ * Config (AgentWeaver config.localMemory):
+ *   {
+ *     enabled: true,
+ *     file: './data/memory.json',   // default; null keeps memories in memory only
+ *     maxEntries: 10000             // oldest entries are dropped
+ *   }
+ */
+class LocalMemoryManager {
+    constructor(config = {}) {
+        this.logger = new Logger('LocalMemoryManager');
+        this.contextualMemory = new LocalMemoryStore(config);
+        this.structuralMemory = null;
+        this.isInitialized = true;
+    }
+
+    async initialize() {
+        this.logger.info(`Local memory ready (${this.contextualMemory.size} entries)`);
+    }
+
+    async intelligentSearch(query, userId, options = {}) {
+        return { results: await this.contextualMemory.searchMemory(query, userId, options) };
+    }
+
+    async createAgentWithMemory(agentData, userId) {
+        return await this.contextualMemory.addAgentMemory(
+            agentData.id,
+            `Agent ${agentData.name} created: ${agentData.description}`,
+            { action: 'creation', status: agentData.status, userId, timestamp: new Date().toISOString() }
+        );
+    }
+
+    async shutdown() {
+        this.contextualMemory.save();
+    }
+}
+
+module.exports = { LocalMemoryManager, LocalMemoryStore, DEFAULT_FILE };
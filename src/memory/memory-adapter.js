@@ -0,0 +1,127 @@
+const { Logger } = require('../utils/logger');
+
+// Calls AgentWeaver and ConfigurationIntelligence make on every backend
+const FORWARDED = ['addMemory', 'addUserMemory', 'addAgentMemory', 'searchMemory', 'deleteUserMemory'];
+
+// Calls on single entries, which not every backend offers
+const ENTRY_OPERATIONS = ['listMemories', 'getMemory', 'updateMemory', 'deleteMemory'];
+
+/**
+ * ContextualMemoryAdapter - Opérations par entrée sur la mémoire contextuelle
+ *
+ * Memory correction, ownership checks and user data export and erasure
+ * need listMemories, getMemory, updateMemory and deleteMemory. A backend
+ * that has them is used as is. Otherwise each one maps to the mem0 client
+ * method (getAll, get, update, delete) when the backend has it, and is left
+ * undefined when it has neither, so callers keep their typeof checks and
+ * report the operation as unsupported.
+ */
+class ContextualMemoryAdapter {
+    constructor(backend) {
+        this.backend = backend;
+
+        for (const name of FORWARDED) {
+            if (typeof backend[name] === 'function') {
+                this[name] = backend[name].bind(backend);
+            }
+        }
+
+        const pick = (operation, mem0Method, fallback) => {
+            if (typeof backend[operation] === 'function') {
+                return backend[operation].bind(backend);
+            }
+            return typeof backend[mem0Method] === 'function' ? fallback.bind(this) : undefined;
+        };
+
+        this.listMemories = pick('listMemories', 'getAll', this.mem0List);
+        this.getMemory = pick('getMemory', 'get', this.mem0Get);
+        this.updateMemory = pick('updateMemory', 'update', this.mem0Update);
+        this.deleteMemory = pick('deleteMemory', 'delete', this.mem0Delete);
+    }
+
+    /**
+     * mem0 lists by user or by agent; the type and agent filters of
+     * listMemories are applied to the results
+     */
+    async mem0List(userId, options = {}) {
+        const type = options.type && options.type !== 'all' ? options.type : null;
+        const filters = type === 'agent' ? { agent_id: options.agentId } : { user_id: userId };
+        const result = await this.backend.getAll(filters);
+        const hits = Array.isArray(result) ? result : (result?.results || []);
+
+        return hits.filter(hit =>
+            (!type || (hit.metadata?.type || 'user') === type) &&
+            (!options.agentId || (hit.agent_id ?? hit.agentId) === options.agentId));
+    }
+
+    async mem0Get(memoryId) {
+        try {
+            return (await this.backend.get(memoryId)) || null;
+        } catch (error) {
+            // mem0 throws for unknown ids; callers expect null
+            return null;
+        }
+    }
+
+    async mem0Update(memoryId, content) {
+        return await this.backend.update(memoryId, content);
+    }
+
+    async mem0Delete(memoryId) {
+        await this.backend.delete(memoryId);
+        return true;
+    }
+}
+
+/**
+ * HybridMemoryAdapter - Vue du HybridMemoryManager pour AgentWeaver
+ *
+ * setMemoryManager() wraps managers whose contextual memory lacks one of
+ * the entry operations. The manager keeps its own contextual memory; only
+ * AgentWeaver sees the adapted one.
+ */
+class HybridMemoryAdapter {
+    constructor(manager) {
+        this.logger = new Logger('HybridMemoryAdapter');
+        this.manager = manager;
+        this.contextualMemory = new ContextualMemoryAdapter(manager.contextualMemory);
+        this.structuralMemory = manager.structuralMemory || null;
+
+        const missing = ENTRY_OPERATIONS.filter(operation => !this.contextualMemory[operation]);
+        if (missing.length > 0) {
+            this.logger.warn(`The memory backend does not support ${missing.join(', ')}`);
+        }
+    }
+
+    static wrap(manager) {
+        const contextual = manager?.contextualMemory;
+
+        if (!contextual || ENTRY_OPERATIONS.every(operation => typeof contextual[operation] === 'function')) {
+            return manager;
+        }
+
+        return new HybridMemoryAdapter(manager);
+    }
+
+    get isInitialized() {
+        return this.manager.isInitialized;
+    }
+
+    async initialize() {
+        return await this.manager.initialize();
+    }
+
+    async intelligentSearch(query, userId, options = {}) {
+        return await this.manager.intelligentSearch(query, userId, options);
+    }
+
+    async createAgentWithMemory(agentData, userId) {
+        return await this.manager.createAgentWithMemory(agentData, userId);
+    }
+
+    async shutdown() {
+        return await this.manager.shutdown?.();
+    }
+}
+
+module.exports = { HybridMemoryAdapter, ContextualMemoryAdapter };
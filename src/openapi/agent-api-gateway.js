@@ -0,0 +1,540 @@
+const express = require('express');
+const Ajv = require('ajv');
+const { Logger } = require('../utils/logger');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+const SPEC_SCHEMA_ID = 'agent-spec';
+
+/**
+ * AgentApiGateway - Sert l'API d'un agent à partir de sa spec OpenAPI
+ *
+ * Each mounted agent gets an express router built from its spec, served
+ * under /api/agents/{agentId} (the URL advertised in `servers`). For each
+ * operation the router:
+ *   1. enforces the declared security requirements (apiKey, http bearer,
+ *      OAuth2 scopes, mutual TLS),
+ *   2. validates parameters and the JSON body against the spec schemas (Ajv),
+ *   3. dispatches the operationId to a handler (custom, forwarding or mock),
+ *   4. validates the handler's response against the declared response schema.
+ *
+ * Config (AutoWeave config.agentApi):
+ *   {
+ *     apiKeys: ['key-1'],                                // accepted for apiKey schemes
+ *     bearerTokens: ['token-1'],                         // accepted for http bearer schemes
+ *     oauth2Tokens: { 'token-2': ['k8s:read'] },         // granted scopes per OAuth2 token
+ *     verifyToken: async (token) => ['k8s:read'],        // or resolve them (e.g. introspection)
+ *     mtls: { verifiedHeader: 'X-SSL-Client-Verify' },   // set by a TLS-terminating proxy
+ *     upstreams: { 'agent-123': 'http://agent-123.kagent-system.svc:8080' },
+ *     upstreamTimeout: 30000,                            // ms before a forwarded call fails with 504
+ *     mock: false                                        // answer with spec examples instead of forwarding
+ *   }
+ */
+class AgentApiGateway {
+    constructor(config = {}) {
+        this.logger = new Logger('AgentApiGateway');
+        this.config = config;
+        this.agents = new Map(); // agentId -> { spec, router, options, mountedAt, mode }
+    }
+
+    /**
+     * Builds and registers the router of an agent, replacing any previous one.
+     * options: { upstream, mock, handlers: { operationId: async (context) => ({ status, body }) },
+     *            asyncapi: (spec) => document served at /asyncapi.json }
+     */
+    mount(agentId, spec, options = {}) {
+        const upstream = options.upstream || this.config.upstreams?.[agentId] || null;
+        const mock = options.mock ?? this.config.mock ?? !upstream;
+        const router = this.buildRouter(agentId, spec, { ...options, upstream, mock });
+
+        this.agents.set(agentId, {
+            spec,
+            router,
+            options,
+            mode: mock ? 'mock' : 'forward',
+            upstream,
+            mountedAt: new Date().toISOString()
+        });
+
+        this.logger.info(`Mounted API of agent ${agentId} (${mock ? 'mock' : `forwarding to ${upstream}`})`);
+        return this.describe(agentId);
+    }
+
+    /**
+     * Serves a new spec with the options the agent was mounted with
+     */
+    remount(agentId, spec) {
+        const agent = this.agents.get(agentId);
+
+        if (!agent) {
+            throw new Error(`No API mounted for agent ${agentId}`);
+        }
+
+        return this.mount(agentId, spec, agent.options);
+    }
+
+    unmount(agentId) {
+        return this.agents.delete(agentId);
+    }
+
+    has(agentId) {
+        return this.agents.has(agentId);
+    }
+
+    describe(agentId) {
+        const agent = this.agents.get(agentId);
+
+        if (!agent) {
+            return null;
+        }
+
+        return {
+            agentId,
+            mode: agent.mode,
+            upstream: agent.upstream,
+            mountedAt: agent.mountedAt,
+            operations: AgentApiGateway.operations(agent.spec).map(({ method, path, operation }) => ({
+                operationId: operation.operationId,
+                method: method.toUpperCase(),
+                path
+            }))
+        };
+    }
+
+    getSpec(agentId) {
+        return this.agents.get(agentId)?.spec || null;
+    }
+
+    list() {
+        return Array.from(this.agents.keys()).map(agentId => this.describe(agentId));
+    }
+
+    /**
+     * Express middleware to mount at /api/agents/:agentId; requests for
+     * agents without a mounted API fall through to the next routes.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const agent = this.agents.get(req.params.agentId);
+            return agent ? agent.router(req, res, next) : next();
+        };
+    }
+
+    buildRouter(agentId, spec, options) {
+        const router = express.Router();
+        const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+        const paramsAjv = new Ajv({ allErrors: true, strict: false, validateFormats: false, coerceTypes: true });
+        const operations = new Map(); // operationId -> compiled operation
+
+        ajv.addSchema({ components: spec.components || {} }, SPEC_SCHEMA_ID);
+        paramsAjv.addSchema({ components: spec.components || {} }, SPEC_SCHEMA_ID);
+
+        router.get('/openapi.json', (req, res) => res.json(spec));
+
+        if (options.asyncapi) {
+            router.get('/asyncapi.json', (req, res) => {
+                try {
+                    res.json(options.asyncapi(spec));
+                } catch (error) {
+                    AgentApiGateway.sendError(res, 500, error.message);
+                }
+            });
+        }
+
+        for (const { method, path, pathItem, operation } of AgentApiGateway.operations(spec)) {
+            const route = path.replace(/\{([^}]+)\}/g, ':$1');
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+            const security = operation.security ?? spec.security ?? [];
+            const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+            const compiled = {
+                agentId,
+                method,
+                path,
+                operation,
+                validateParams: this.compileParameters(paramsAjv, parameters),
+                validateBody: bodySchema ? ajv.compile(AgentApiGateway.rewriteRefs(bodySchema)) : null,
+                validateResponses: this.compileResponses(ajv, operation),
+                handler: this.resolveHandler(operation, spec, options),
+                security,
+                securitySchemes: spec.components?.securitySchemes || {}
+            };
+
+            operations.set(operation.operationId, compiled);
+
+            router[method](route, async (req, res) => {
+                const authError = await this.authenticate(req, security, compiled.securitySchemes);
+                if (authError) {
+                    return AgentApiGateway.sendError(res, 401, authError);
+                }
+
+                const result = await this.dispatch(compiled, {
+                    params: req.params,
+                    query: req.query,
+                    headers: req.headers,
+                    body: req.body
+                });
+
+                if (result.error) {
+                    return AgentApiGateway.sendError(res, result.status, result.error);
+                }
+
+                res.status(result.status).json(result.body);
+            });
+        }
+
+        router.operations = operations;
+        return router;
+    }
+
+    /**
+     * Validates the request, runs the handler and checks its response.
+     * Returns { status, body } or { status, error }.
+     */
+    async dispatch(compiled, request) {
+        const { agentId, method, path, operation } = compiled;
+
+        const paramErrors = compiled.validateParams({ path: request.params, query: request.query, header: request.headers });
+        if (paramErrors) {
+            return { status: 400, error: `Invalid parameters: ${paramErrors}` };
+        }
+
+        if (compiled.validateBody && request.body !== undefined && !compiled.validateBody(request.body)) {
+            return { status: 400, error: `Invalid request body: ${AgentApiGateway.formatErrors(compiled.validateBody.errors)}` };
+        }
+
+        try {
+            const result = await compiled.handler({
+                agentId,
+                operationId: operation.operationId,
+                method: method.toUpperCase(),
+                path,
+                operation,
+                params: request.params,
+                query: request.query,
+                headers: request.headers,
+                body: request.body
+            });
+
+            const status = result.status || 200;
+            const responseError = compiled.validateResponses(status, result.body);
+            if (responseError) {
+                this.logger.warn(`Agent ${agentId} ${operation.operationId} response does not match the spec: ${responseError}`);
+                return { status: 502, error: `Agent response does not match the spec: ${responseError}` };
+            }
+
+            return { status, body: result.body };
+        } catch (error) {
+            this.logger.error(`Agent ${agentId} ${operation.operationId} failed:`, error);
+            return { status: error.status || 500, error: error.message };
+        }
+    }
+
+    /**
+     * Calls an operation of a mounted agent without going through HTTP,
+     * e.g. for MCP tool calls. The request must carry the same credentials
+     * as an HTTP call (headers, query, socket for mutual TLS);
+     * `options.trusted` skips the check for callers that own the gateway.
+     * request: { params, query, headers, body, socket }
+     */
+    async invoke(agentId, operationId, request = {}, options = {}) {
+        const compiled = this.agents.get(agentId)?.router.operations.get(operationId);
+
+        if (!compiled) {
+            throw new Error(`Operation ${operationId} is not served for agent ${agentId}`);
+        }
+
+        if (!options.trusted) {
+            const authError = await this.authenticate({
+                headers: request.headers || {},
+                query: request.query || {},
+                socket: request.socket
+            }, compiled.security, compiled.securitySchemes);
+
+            if (authError) {
+                return { status: 401, error: authError };
+            }
+        }
+
+        return await this.dispatch(compiled, {
+            params: request.params || {},
+            query: request.query || {},
+            headers: request.headers || {},
+            body: request.body
+        });
+    }
+
+    resolveHandler(operation, spec, options) {
+        if (options.handlers?.[operation.operationId]) {
+            return options.handlers[operation.operationId];
+        }
+
+        return options.mock
+            ? (context) => AgentApiGateway.mockResponse(context.operation, spec)
+            : (context) => AgentApiGateway.forward(options.upstream, context, { timeout: this.config.upstreamTimeout });
+    }
+
+    /**
+     * A request passes when it satisfies one of the security requirements;
+     * an empty list (or an empty requirement) means the operation is public.
+     * Returns an error message or null.
+     */
+    async authenticate(req, security, schemes) {
+        if (security.length === 0 || security.some(requirement => Object.keys(requirement).length === 0)) {
+            return null;
+        }
+
+        for (const requirement of security) {
+            let satisfied = true;
+
+            for (const [name, scopes] of Object.entries(requirement)) {
+                if (!await this.checkScheme(req, schemes[name], scopes)) {
+                    satisfied = false;
+                    break;
+                }
+            }
+
+            if (satisfied) {
+                return null;
+            }
+        }
+
+        return 'Missing or invalid credentials';
+    }
+
+    async checkScheme(req, scheme, scopes = []) {
+        if (scheme?.type === 'apiKey') {
+            const source = scheme.in === 'query' ? req.query : scheme.in === 'cookie' ? {} : req.headers;
+            const key = source[scheme.in === 'header' ? scheme.name.toLowerCase() : scheme.name];
+            return Boolean(key) && (this.config.apiKeys || []).includes(key);
+        }
+
+        const token = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+
+        if (scheme?.type === 'http' && scheme.scheme?.toLowerCase() === 'bearer') {
+            return Boolean(token) && (this.config.bearerTokens || []).includes(token);
+        }
+
+        if (scheme?.type === 'oauth2' || scheme?.type === 'openIdConnect') {
+            if (!token) {
+                return false;
+            }
+
+            const granted = this.config.verifyToken
+                ? await this.config.verifyToken(token)
+                : this.config.oauth2Tokens?.[token];
+
+            return Array.isArray(granted) && scopes.every(scope => granted.includes(scope));
+        }
+
+        if (scheme?.type === 'mutualTLS') {
+            const header = this.config.mtls?.verifiedHeader;
+            return req.socket?.authorized === true ||
+                Boolean(header && req.headers[header.toLowerCase()] === (this.config.mtls.verifiedValue || 'SUCCESS'));
+        }
+
+        // Other scheme types are not enforced by the gateway
+        return false;
+    }
+
+    compileParameters(ajv, parameters) {
+        const validators = ['path', 'query', 'header'].map(location => {
+            const declared = parameters.filter(parameter => parameter.in === location);
+            if (declared.length === 0) {
+                return null;
+            }
+
+            const name = (parameter) => location === 'header' ? parameter.name.toLowerCase() : parameter.name;
+            const validate = ajv.compile({
+                type: 'object',
+                properties: Object.fromEntries(declared.map(parameter => [
+                    name(parameter),
+                    AgentApiGateway.rewriteRefs(parameter.schema || {})
+                ])),
+                required: declared.filter(parameter => parameter.required).map(name)
+            });
+
+            return { location, validate };
+        }).filter(Boolean);
+
+        return (values) => {
+            for (const { location, validate } of validators) {
+                if (!validate(values[location] || {})) {
+                    return AgentApiGateway.formatErrors(validate.errors, location);
+                }
+            }
+            return null;
+        };
+    }
+
+    /**
+     * Response validators by status code ("200", "4XX", "default")
+     */
+    compileResponses(ajv, operation) {
+        const validators = {};
+
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+            const schema = response?.content?.['application/json']?.schema;
+            if (schema) {
+                validators[status.toUpperCase()] = ajv.compile(AgentApiGateway.rewriteRefs(schema));
+            }
+        }
+
+        return (status, body) => {
+            const validate = validators[String(status)] || validators[`${String(status)[0]}XX`] || validators.DEFAULT;
+            return !validate || validate(body) ? null : AgentApiGateway.formatErrors(validate.errors);
+        };
+    }
+
+    /**
+     * Forwards the call to the agent's upstream. A timeout gives 504; a
+     * body that is not JSON gives 502, since responses are checked against
+     * the spec's JSON schemas.
+     */
+    static async forward(upstream, context, options = {}) {
+        const timeout = options.timeout || 30000;
+        const url = new URL(`${upstream.replace(/\/$/, '')}${AgentApiGateway.expandPath(context.path, context.params)}`);
+        Object.entries(context.query || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        const headers = { 'Content-Type': 'application/json' };
+        ['authorization', 'x-api-key'].forEach(header => {
+            if (context.headers[header]) {
+                headers[header] = context.headers[header];
+            }
+        });
+
+        let response;
+        let text;
+        try {
+            response = await fetch(url, {
+                method: context.method,
+                headers,
+                body: ['GET', 'HEAD'].includes(context.method) ? undefined : JSON.stringify(context.body ?? {}),
+                signal: AbortSignal.timeout(timeout)
+            });
+            text = await response.text();
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError';
+            throw AgentApiGateway.upstreamError(timedOut ? 504 : 502, timedOut
+                ? `Upstream did not answer within ${timeout}ms`
+                : `Upstream request failed: ${error.message}`);
+        }
+
+        if (!text) {
+            return { status: response.status, body: null };
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!/[/+]json\b/i.test(contentType)) {
+            throw AgentApiGateway.upstreamError(502, `Upstream answered ${response.status} with ${contentType || 'no content type'} instead of JSON`);
+        }
+
+        try {
+            return { status: response.status, body: JSON.parse(text) };
+        } catch (error) {
+            throw AgentApiGateway.upstreamError(502, `Upstream answered ${response.status} with invalid JSON`);
+        }
+    }
+
+    static upstreamError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * First 2xx response of the operation, using its example when present
+     * and a value generated from its schema otherwise.
+     */
+    static mockResponse(operation, spec) {
+        const status = Object.keys(operation.responses || {}).find(code => /^2/.test(code)) || '200';
+        const media = operation.responses?.[status]?.content?.['application/json'];
+
+        if (!media) {
+            return { status: Number(status), body: null };
+        }
+
+        const example = media.example ?? Object.values(media.examples || {})[0]?.value;
+        return {
+            status: Number(status),
+            body: example !== undefined ? example : AgentApiGateway.sample(media.schema, spec)
+        };
+    }
+
+    static sample(schema = {}, spec = {}, depth = 0) {
+        if (depth > 5) {
+            return null;
+        }
+        if (schema.$ref) {
+            const name = schema.$ref.match(/^#\/components\/schemas\/(.+)$/)?.[1];
+            return AgentApiGateway.sample(spec.components?.schemas?.[name] || {}, spec, depth + 1);
+        }
+        if (schema.example !== undefined) {
+            return schema.example;
+        }
+        if (schema.enum) {
+            return schema.enum[0];
+        }
+        if (schema.allOf) {
+            return Object.assign({}, ...schema.allOf.map(part => AgentApiGateway.sample(part, spec, depth + 1)));
+        }
+
+        switch (schema.type) {
+            case 'object':
+                return Object.fromEntries(Object.entries(schema.properties || {})
+                    .map(([name, property]) => [name, AgentApiGateway.sample(property, spec, depth + 1)]));
+            case 'array':
+                return [];
+            case 'string':
+                return schema.format === 'date-time' ? new Date().toISOString() : 'string';
+            case 'integer':
+            case 'number':
+                return 0;
+            case 'boolean':
+                return true;
+            default:
+                return null;
+        }
+    }
+
+    static operations(spec) {
+        const result = [];
+
+        for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+            for (const method of HTTP_METHODS) {
+                if (pathItem[method]) {
+                    result.push({ method, path, pathItem, operation: pathItem[method] });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Local refs point into the spec registered in Ajv under SPEC_SCHEMA_ID
+    static rewriteRefs(schema) {
+        return JSON.parse(JSON.stringify(schema), (key, value) =>
+            key === '$ref' && typeof value === 'string' && value.startsWith('#/')
+                ? `${SPEC_SCHEMA_ID}${value}`
+                : value
+        );
+    }
+
+    static expandPath(path, params) {
+        return path.replace(/\{([^}]+)\}/g, (_, name) => encodeURIComponent(params[name]));
+    }
+
+    static formatErrors(errors, prefix = '') {
+        return errors
+            .map(error => `${prefix}${error.instancePath || (prefix ? '' : '/')} ${error.message}`.trim())
+            .join(', ');
+    }
+
+    static sendError(res, status, message) {
+        res.status(status).json({
+            error: message,
+            code: status,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = { AgentApiGateway, SPEC_SCHEMA_ID };
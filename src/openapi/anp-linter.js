@@ -0,0 +1,254 @@
+const { Validator } = require('../utils/validation');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+const LOCAL_HOSTS = /^(?:[a-z]+:)?\/\/(?:localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[::1\])(?::\d+)?(?:\/|$)/i;
+const ERROR_SCHEMA_REF = '#/components/schemas/Error';
+
+/**
+ * Each rule has a stable code, a default severity and a check returning
+ * { message, path } findings. Paths are JSON pointers into the spec.
+ */
+const RULES = [
+    {
+        code: 'ANP001',
+        name: 'agent-id',
+        severity: 'error',
+        description: 'info.x-agent-id is required',
+        check: (spec) => spec.info?.['x-agent-id']
+            ? []
+            : [{ message: 'Missing x-agent-id in info section', path: '/info' }]
+    },
+    {
+        code: 'ANP002',
+        name: 'agent-name',
+        severity: 'error',
+        description: 'info.x-agent-name is required and must be a valid Kubernetes name',
+        check: (spec) => {
+            const name = spec.info?.['x-agent-name'];
+            if (!name) {
+                return [{ message: 'Missing x-agent-name in info section', path: '/info' }];
+            }
+            try {
+                Validator.validateKubernetesName(name);
+                return [];
+            } catch (error) {
+                return [{ message: `x-agent-name "${name}" is not a valid Kubernetes name`, path: '/info/x-agent-name' }];
+            }
+        }
+    },
+    {
+        code: 'ANP003',
+        name: 'anp-version',
+        severity: 'error',
+        description: 'info.x-anp-version is required and must be semver',
+        check: (spec) => {
+            const version = spec.info?.['x-anp-version'];
+            if (!version) {
+                return [{ message: 'Missing x-anp-version in info section', path: '/info' }];
+            }
+            return SEMVER_PATTERN.test(version)
+                ? []
+                : [{ message: `x-anp-version "${version}" is not a valid semantic version`, path: '/info/x-anp-version' }];
+        }
+    },
+    {
+        code: 'ANP004',
+        name: 'paths',
+        severity: 'error',
+        description: 'The spec must define at least one path',
+        check: (spec) => Object.keys(spec.paths || {}).length > 0
+            ? []
+            : [{ message: 'No paths defined in specification', path: '/paths' }]
+    },
+    {
+        code: 'ANP005',
+        name: 'security-schemes',
+        severity: 'error',
+        description: 'components.securitySchemes must be defined',
+        check: (spec) => Object.keys(spec.components?.securitySchemes || {}).length > 0
+            ? []
+            : [{ message: 'No security schemes defined', path: '/components/securitySchemes' }]
+    },
+    {
+        code: 'ANP006',
+        name: 'operation-id',
+        severity: 'error',
+        description: 'Every operation has an operationId',
+        check: (spec) => operations(spec)
+            .filter(({ operation }) => !operation.operationId)
+            .map(({ path, method, pointer }) => ({ message: `${method.toUpperCase()} ${path} has no operationId`, path: pointer }))
+    },
+    {
+        code: 'ANP007',
+        name: 'operation-id-unique',
+        severity: 'error',
+        description: 'operationIds are unique across the spec',
+        check: (spec) => {
+            const seen = new Map();
+            const findings = [];
+
+            for (const { operation, path, method, pointer } of operations(spec)) {
+                if (!operation.operationId) {
+                    continue;
+                }
+                if (seen.has(operation.operationId)) {
+                    findings.push({
+                        message: `operationId "${operation.operationId}" of ${method.toUpperCase()} ${path} is already used by ${seen.get(operation.operationId)}`,
+                        path: `${pointer}/operationId`
+                    });
+                } else {
+                    seen.set(operation.operationId, `${method.toUpperCase()} ${path}`);
+                }
+            }
+
+            return findings;
+        }
+    },
+    {
+        code: 'ANP008',
+        name: 'error-schema',
+        severity: 'warning',
+        description: '4xx and 5xx responses reference the Error schema',
+        check: (spec) => {
+            const findings = [];
+
+            for (const { operation, path, method, pointer } of operations(spec)) {
+                for (const [status, response] of Object.entries(operation.responses || {})) {
+                    if (!/^[45]/.test(status)) {
+                        continue;
+                    }
+                    const schemas = Object.values(response.content || {}).map(media => media.schema?.$ref);
+                    if (!schemas.includes(ERROR_SCHEMA_REF)) {
+                        findings.push({
+                            message: `${status} response of ${method.toUpperCase()} ${path} does not reference ${ERROR_SCHEMA_REF}`,
+                            path: `${pointer}/responses/${status}`
+                        });
+                    }
+                }
+            }
+
+            return findings;
+        }
+    },
+    {
+        code: 'ANP009',
+        name: 'production-servers',
+        severity: 'error',
+        description: 'Servers must not point at localhost in production',
+        check: (spec, context) => context.environment !== 'production'
+            ? []
+            : (spec.servers || [])
+                .map((server, index) => ({ server, index }))
+                .filter(({ server }) => LOCAL_HOSTS.test(server.url || ''))
+                .map(({ server, index }) => ({ message: `Server ${server.url} points at localhost`, path: `/servers/${index}/url` }))
+    },
+    {
+        code: 'ANP010',
+        name: 'agent-type',
+        severity: 'warning',
+        description: 'info.x-agent-type identifies the agent runtime',
+        check: (spec) => spec.info?.['x-agent-type']
+            ? []
+            : [{ message: 'Missing x-agent-type in info section', path: '/info' }]
+    },
+    {
+        code: 'ANP011',
+        name: 'operation-summary',
+        severity: 'info',
+        description: 'Operations have a summary or a description',
+        check: (spec) => operations(spec)
+            .filter(({ operation }) => !operation.summary && !operation.description)
+            .map(({ path, method, pointer }) => ({ message: `${method.toUpperCase()} ${path} is undocumented`, path: pointer }))
+    }
+];
+
+function operations(spec) {
+    const result = [];
+
+    for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+        for (const method of HTTP_METHODS) {
+            if (pathItem?.[method]) {
+                result.push({
+                    path,
+                    method,
+                    operation: pathItem[method],
+                    pointer: `/paths/${path.replace(/~/g, '~0').replace(/\//g, '~1')}/${method}`
+                });
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * AnpLinter - Linter de conformité ANP pour les specs OpenAPI des agents
+ *
+ * Config (AgentWeaver config.anpLint):
+ *   {
+ *     environment: 'production',                   // defaults to NODE_ENV
+ *     rules: { ANP008: 'error', ANP011: 'off' }    // severity overrides by code
+ *   }
+ */
+class AnpLinter {
+    constructor(config = {}) {
+        this.environment = config.environment || process.env.NODE_ENV || 'development';
+        this.overrides = config.rules || {};
+    }
+
+    static get rules() {
+        return RULES.map(({ check, ...rule }) => rule);
+    }
+
+    lint(spec, options = {}) {
+        const context = { environment: options.environment || this.environment };
+        const overrides = { ...this.overrides, ...(options.rules || {}) };
+        const results = [];
+
+        for (const rule of RULES) {
+            const severity = overrides[rule.code] || rule.severity;
+            if (severity === 'off') {
+                continue;
+            }
+            if (!SEVERITIES.includes(severity)) {
+                throw new Error(`Unknown severity "${severity}" for rule ${rule.code}`);
+            }
+
+            for (const finding of rule.check(spec || {}, context)) {
+                results.push({ code: rule.code, rule: rule.name, severity, ...finding });
+            }
+        }
+
+        const count = (severity) => results.filter(result => result.severity === severity).length;
+
+        return {
+            valid: count('error') === 0,
+            environment: context.environment,
+            errorCount: count('error'),
+            warningCount: count('warning'),
+            infoCount: count('info'),
+            results
+        };
+    }
+
+    /**
+     * Human-readable report, one line per finding:
+     *   error    ANP007  /paths/~1files/get/operationId  operationId "getFiles" ...
+     */
+    static formatText(report) {
+        const lines = report.results.map(result =>
+            `${result.severity.padEnd(8)} ${result.code}  ${result.path}  ${result.message}`
+        );
+
+        lines.push(
+            '',
+            `${report.valid ? 'PASS' : 'FAIL'}: ${report.errorCount} error(s), ${report.warningCount} warning(s), ${report.infoCount} info (${report.environment})`
+        );
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = { AnpLinter };
@@ -0,0 +1,390 @@
+const Ajv = require('ajv');
+const { OpenAPIBuilder } = require('./openapi-builder');
+
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+
+/**
+ * AG-UI messages exchanged over /ws; every message is { type, content }
+ */
+const AGUI_MESSAGES = {
+    ChatInput: {
+        direction: 'receive',
+        name: 'chat',
+        summary: 'User chat message',
+        content: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Message text' },
+                message: { type: 'string', description: 'Alias of text' }
+            }
+        }
+    },
+    Input: {
+        direction: 'receive',
+        name: 'input',
+        summary: 'Submitted form values',
+        content: {
+            type: 'object',
+            properties: {
+                action: { type: 'string', enum: ['create-agent', 'refine-agent', 'revert-agent', 'confirm-tool', 'cancel-tool'] },
+                values: {
+                    type: 'object',
+                    properties: {
+                        description: { type: 'string' },
+                        name: { type: 'string' },
+                        workflowId: { type: 'string' },
+                        feedback: { type: 'string' },
+                        confirmationId: { type: 'string' }
+                    }
+                }
+            },
+            required: ['action']
+        }
+    },
+    Command: {
+        direction: 'receive',
+        name: 'command',
+        summary: 'UI command',
+        content: {
+            type: 'object',
+            properties: {
+                command: { type: 'string', enum: ['list-agents', 'stop', 'get-metrics'] },
+                args: { type: 'object' }
+            },
+            required: ['command']
+        }
+    },
+    ChatOutput: {
+        direction: 'send',
+        name: 'chat',
+        summary: 'AutoWeave chat message, or a start/delta/end frame of a streamed answer',
+        content: {
+            type: 'object',
+            properties: {
+                text: { type: 'string' },
+                sender: { type: 'string' },
+                stream: { type: 'string', enum: ['start', 'delta', 'end'] },
+                streamId: { type: 'string' },
+                tokens: { type: 'integer' },
+                cancelled: { type: 'boolean' },
+                error: { type: 'boolean' },
+                memories: {
+                    type: 'array',
+                    description: 'Memories given to the model for this answer (end frame)',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            tag: { type: 'string' },
+                            id: { type: 'string' },
+                            source: { type: 'string', enum: ['user', 'agent', 'configuration'] },
+                            content: { type: 'string' },
+                            score: { type: ['number', 'null'] },
+                            cited: { type: 'boolean' }
+                        }
+                    }
+                },
+                toolCalls: {
+                    type: 'array',
+                    description: 'AutoWeave operations the model called for this answer (end frame)',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            arguments: { type: 'object' },
+                            status: { type: 'string', enum: ['ok', 'error', 'denied', 'confirmation-required'] },
+                            result: {},
+                            error: { type: 'string' },
+                            confirmationId: { type: 'string' }
+                        }
+                    }
+                },
+                timestamp: TIMESTAMP
+            },
+            required: ['timestamp']
+        }
+    },
+    Display: {
+        direction: 'send',
+        name: 'display',
+        summary: 'Rich content to render: form, table, JSON, success or error',
+        content: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ['form', 'table', 'json', 'success', 'error'] },
+                title: { type: 'string' },
+                message: { type: 'string' },
+                schema: { type: 'object', description: 'JSON Schema of a form' },
+                action: { type: 'string', description: 'input action sent back when a form is submitted' },
+                secondaryAction: { type: 'string' },
+                data: { description: 'Table rows or JSON data' },
+                columns: { type: 'array', items: { type: 'string' } },
+                timestamp: TIMESTAMP
+            },
+            required: ['type', 'timestamp']
+        }
+    },
+    Error: {
+        direction: 'send',
+        name: 'error',
+        summary: 'Error processing a client message',
+        content: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                error: { type: 'string' },
+                timestamp: TIMESTAMP
+            },
+            required: ['message', 'timestamp']
+        }
+    }
+};
+
+/**
+ * AsyncAPIBuilder - Génération de documents AsyncAPI 3.0
+ *
+ * Describes the asynchronous surface of AutoWeave: the AG-UI WebSocket
+ * channel (/ws) and the webhook callbacks of agents, taken from the
+ * `webhooks` of their OpenAPI specs (or the standard workflowCompleted
+ * callback). Webhook channels have a null address: the callback URL is
+ * chosen by the subscriber.
+ */
+class AsyncAPIBuilder {
+    /**
+     * Platform document: AG-UI plus the webhooks of every given agent spec
+     */
+    buildPlatform(agentSpecs = [], options = {}) {
+        const document = this.skeleton({
+            title: 'AutoWeave Events',
+            version: options.version || '1.0.0',
+            description: 'AG-UI WebSocket messages and agent webhook callbacks'
+        });
+
+        document.servers = {
+            agui: {
+                host: AsyncAPIBuilder.host(options.baseUrl),
+                protocol: String(options.baseUrl || '').startsWith('https') ? 'wss' : 'ws',
+                pathname: '/ws',
+                description: 'AG-UI WebSocket endpoint'
+            }
+        };
+
+        this.addAGUI(document);
+        for (const spec of agentSpecs) {
+            this.addWebhooks(document, spec, AsyncAPIBuilder.channelPrefix(spec));
+        }
+
+        return document;
+    }
+
+    /**
+     * Agent document: the webhook callbacks of one agent spec
+     */
+    buildAgent(spec) {
+        const document = this.skeleton({
+            title: `${spec.info?.['x-agent-name'] || spec.info?.title} Agent Events`,
+            version: spec.info?.version || '1.0.0',
+            description: `Callbacks sent by the ${spec.info?.['x-agent-name'] || spec.info?.title} agent`,
+            'x-agent-id': spec.info?.['x-agent-id']
+        });
+
+        this.addWebhooks(document, spec, '');
+        return document;
+    }
+
+    skeleton(info) {
+        return {
+            asyncapi: '3.0.0',
+            info,
+            defaultContentType: 'application/json',
+            channels: {},
+            operations: {},
+            components: { messages: {}, schemas: {} }
+        };
+    }
+
+    addAGUI(document) {
+        const channelMessages = {};
+
+        for (const [name, message] of Object.entries(AGUI_MESSAGES)) {
+            document.components.schemas[`AGUI${name}`] = {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', const: message.name },
+                    content: message.content
+                },
+                required: ['type', 'content']
+            };
+            document.components.messages[`AGUI${name}`] = {
+                name: message.name,
+                title: `AG-UI ${message.name}`,
+                summary: message.summary,
+                payload: { $ref: `#/components/schemas/AGUI${name}` }
+            };
+            channelMessages[name] = { $ref: `#/components/messages/AGUI${name}` };
+        }
+
+        document.channels.agui = {
+            address: '/ws',
+            title: 'AG-UI',
+            description: 'Bidirectional UI channel; every message is { type, content }',
+            servers: [{ $ref: '#/servers/agui' }],
+            messages: channelMessages
+        };
+
+        for (const direction of ['receive', 'send']) {
+            document.operations[`${direction}AGUIMessages`] = {
+                action: direction,
+                channel: { $ref: '#/channels/agui' },
+                summary: direction === 'receive' ? 'Messages sent by UI clients' : 'Messages pushed to UI clients',
+                messages: Object.entries(AGUI_MESSAGES)
+                    .filter(([, message]) => message.direction === direction)
+                    .map(([name]) => ({ $ref: `#/channels/agui/messages/${name}` }))
+            };
+        }
+    }
+
+    addWebhooks(document, spec, prefix) {
+        const webhooks = spec.webhooks || OpenAPIBuilder.buildWebhooks();
+        const schemas = spec.components?.schemas || {};
+
+        for (const [webhook, pathItem] of Object.entries(webhooks)) {
+            const operation = pathItem.post || Object.values(pathItem)[0];
+            const payload = AsyncAPIBuilder.inline(operation?.requestBody?.content?.['application/json']?.schema || {}, schemas);
+            const id = `${prefix}${OpenAPIBuilder.pascalCase(webhook)}`;
+            const channelId = prefix ? `${prefix}.${webhook}` : webhook;
+
+            document.components.messages[id] = {
+                name: webhook,
+                summary: operation?.summary || webhook,
+                payload
+            };
+            document.channels[channelId] = {
+                address: null,
+                title: `${spec.info?.['x-agent-name'] || ''} ${webhook}`.trim(),
+                description: 'Webhook callback; the subscriber provides the URL',
+                messages: { [webhook]: { $ref: `#/components/messages/${id}` } },
+                bindings: { http: { method: 'POST' } }
+            };
+            document.operations[`send${id}`] = {
+                action: 'send',
+                channel: { $ref: `#/channels/${AsyncAPIBuilder.escape(channelId)}` },
+                summary: operation?.summary || `${webhook} callback`,
+                messages: [{ $ref: `#/channels/${AsyncAPIBuilder.escape(channelId)}/messages/${webhook}` }]
+            };
+        }
+    }
+
+    /**
+     * Structural checks of an AsyncAPI 3.0 document. Returns [{ path, message }].
+     */
+    static validate(document) {
+        const errors = [];
+        const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+
+        if (document?.asyncapi !== '3.0.0') {
+            errors.push({ path: '/asyncapi', message: 'must be 3.0.0' });
+        }
+        if (!document?.info?.title || !document?.info?.version) {
+            errors.push({ path: '/info', message: 'title and version are required' });
+        }
+
+        for (const [id, channel] of Object.entries(document?.channels || {})) {
+            for (const [name, message] of Object.entries(channel.messages || {})) {
+                const resolved = AsyncAPIBuilder.resolve(document, message);
+                const path = `/channels/${AsyncAPIBuilder.escape(id)}/messages/${name}`;
+
+                if (!resolved) {
+                    errors.push({ path, message: `unresolved reference ${message.$ref}` });
+                    continue;
+                }
+
+                try {
+                    ajv.compile(AsyncAPIBuilder.inline(AsyncAPIBuilder.resolve(document, resolved.payload) || {}, document.components?.schemas || {}));
+                } catch (error) {
+                    errors.push({ path: `${path}/payload`, message: error.message });
+                }
+            }
+        }
+
+        for (const [id, operation] of Object.entries(document?.operations || {})) {
+            const path = `/operations/${id}`;
+
+            if (!['send', 'receive'].includes(operation.action)) {
+                errors.push({ path: `${path}/action`, message: 'must be send or receive' });
+            }
+
+            const channel = AsyncAPIBuilder.resolve(document, operation.channel);
+            if (!channel) {
+                errors.push({ path: `${path}/channel`, message: `unresolved reference ${operation.channel?.$ref}` });
+                continue;
+            }
+
+            // Operation messages must be messages of the operation's channel
+            const channelRef = operation.channel.$ref;
+            for (const message of operation.messages || []) {
+                if (!message.$ref?.startsWith(`${channelRef}/messages/`) || !AsyncAPIBuilder.resolve(document, message)) {
+                    errors.push({ path: `${path}/messages`, message: `${message.$ref} is not a message of ${channelRef}` });
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Follows a local "#/..." reference (JSON pointer); non-references are returned as is
+     */
+    static resolve(document, value, depth = 0) {
+        if (!value?.$ref || depth > 10) {
+            return value;
+        }
+        if (!value.$ref.startsWith('#/')) {
+            return null;
+        }
+
+        const target = value.$ref.substring(2).split('/')
+            .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, key) => node?.[key], document);
+
+        return target === undefined ? null : AsyncAPIBuilder.resolve(document, target, depth + 1);
+    }
+
+    /**
+     * Copies OpenAPI component references into the payload so it stands alone
+     */
+    static inline(schema, schemas, depth = 0) {
+        if (!schema || typeof schema !== 'object' || depth > 8) {
+            return schema;
+        }
+        if (Array.isArray(schema)) {
+            return schema.map(item => AsyncAPIBuilder.inline(item, schemas, depth));
+        }
+        if (schema.$ref?.startsWith('#/components/schemas/')) {
+            return AsyncAPIBuilder.inline(schemas[schema.$ref.split('/').pop()] || {}, schemas, depth + 1);
+        }
+
+        return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+            key,
+            ['enum', 'required', 'const', 'example', 'default'].includes(key) ? value : AsyncAPIBuilder.inline(value, schemas, depth)
+        ]));
+    }
+
+    static channelPrefix(spec) {
+        return OpenAPIBuilder.pascalCase(spec.info?.['x-agent-name'] || spec.info?.['x-agent-id'] || 'agent');
+    }
+
+    static host(baseUrl) {
+        try {
+            return new URL(baseUrl).host;
+        } catch (error) {
+            return 'localhost:3000';
+        }
+    }
+
+    static escape(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+}
+
+module.exports = { AsyncAPIBuilder };
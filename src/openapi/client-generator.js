@@ -0,0 +1,429 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Schema names that would shadow TypeScript globals used by the client
+const RESERVED_TYPES = ['Error', 'Object', 'Array', 'String', 'Number', 'Boolean', 'Date', 'Record', 'Promise', 'Map', 'Set'];
+
+/**
+ * ClientGenerator - Génération d'un package client JavaScript typé depuis une spec
+ *
+ * The package has one method per operationId taking a single request object
+ * ({ ...parameters, body }), TypeScript declarations for every schema of
+ * `components.schemas`, credentials per declared security scheme, and an
+ * `ApiError` thrown for non-2xx responses (fields of the `Error` schema).
+ * Returns { name, version, files: [{ path, content }] }.
+ */
+class ClientGenerator {
+    generate(spec, options = {}) {
+        const agentName = spec.info?.['x-agent-name'] || spec.info?.title || 'agent';
+        const className = `${ClientGenerator.pascalCase(agentName)}Client`;
+        const name = options.packageName || `${ClientGenerator.kebabCase(agentName)}-client`;
+        const version = options.packageVersion || spec.info?.version || '1.0.0';
+        const operations = this.collectOperations(spec);
+
+        return {
+            name,
+            version,
+            files: [
+                { path: 'package.json', content: this.renderPackage(spec, name, version) },
+                { path: 'index.js', content: this.renderClient(spec, className, operations) },
+                { path: 'index.d.ts', content: this.renderTypes(spec, className, operations) },
+                { path: 'README.md', content: this.renderReadme(spec, name, className, operations) }
+            ]
+        };
+    }
+
+    collectOperations(spec) {
+        const operations = [];
+        const usedNames = new Set();
+
+        for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem[method];
+                if (!operation) {
+                    continue;
+                }
+
+                let methodName = ClientGenerator.camelCase(operation.operationId || `${method} ${path}`);
+                for (let suffix = 2; usedNames.has(methodName); suffix++) {
+                    methodName = `${ClientGenerator.camelCase(operation.operationId || `${method} ${path}`)}${suffix}`;
+                }
+                usedNames.add(methodName);
+
+                const successStatus = Object.keys(operation.responses || {}).find(status => /^2/.test(status));
+
+                operations.push({
+                    methodName,
+                    typeName: ClientGenerator.pascalCase(methodName),
+                    method: method.toUpperCase(),
+                    path,
+                    summary: operation.summary || operation.description || `${method.toUpperCase()} ${path}`,
+                    parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])]
+                        .filter(parameter => ['path', 'query', 'header'].includes(parameter.in)),
+                    requestBody: operation.requestBody?.content?.['application/json'] ? operation.requestBody : null,
+                    responseSchema: operation.responses?.[successStatus]?.content?.['application/json']?.schema || null,
+                    security: operation.security ?? spec.security ?? []
+                });
+            }
+        }
+
+        return operations;
+    }
+
+    renderPackage(spec, name, version) {
+        return JSON.stringify({
+            name,
+            version,
+            description: `Client for the ${spec.info?.title || name} (generated by AutoWeave)`,
+            main: 'index.js',
+            types: 'index.d.ts',
+            files: ['index.js', 'index.d.ts', 'README.md'],
+            engines: { node: '>=18.0.0' },
+            license: 'MIT'
+        }, null, 2) + '\n';
+    }
+
+    renderClient(spec, className, operations) {
+        const schemes = spec.components?.securitySchemes || {};
+        const metadata = Object.fromEntries(operations.map(operation => [operation.methodName, {
+            method: operation.method,
+            path: operation.path,
+            parameters: operation.parameters.map(parameter => ({ name: parameter.name, in: parameter.in })),
+            body: Boolean(operation.requestBody),
+            security: operation.security
+        }]));
+
+        const methods = operations.map(operation => [
+            '    /**',
+            `     * ${ClientGenerator.comment(operation.summary)}`,
+            `     * ${operation.method} ${operation.path}`,
+            '     */',
+            `    ${operation.methodName}(request = {}) {`,
+            `        return this.request('${operation.methodName}', request);`,
+            '    }'
+        ].join('\n')).join('\n\n');
+
+        return `'use strict';
+
+// Generated by AutoWeave from ${ClientGenerator.comment(spec.info?.title || 'an OpenAPI spec')} ${spec.info?.version || ''}
+// Do not edit: regenerate the client when the spec changes.
+
+const SECURITY_SCHEMES = ${JSON.stringify(schemes, null, 4)};
+
+const OPERATIONS = ${JSON.stringify(metadata, null, 4)};
+
+class ApiError extends Error {
+    constructor(status, body) {
+        super(body && typeof body === 'object' && body.error ? body.error : \`HTTP \${status}\`);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = body && typeof body === 'object' ? body.code : undefined;
+        this.timestamp = body && typeof body === 'object' ? body.timestamp : undefined;
+        this.body = body;
+    }
+}
+
+class ${className} {
+    /**
+     * options: { baseUrl, credentials: { <security scheme name>: value }, headers, fetch }
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || ${JSON.stringify(spec.servers?.[0]?.url || '')}).replace(/\\/$/, '');
+        this.credentials = options.credentials || {};
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || globalThis.fetch;
+
+        if (!this.baseUrl) {
+            throw new Error('baseUrl is required');
+        }
+    }
+
+${methods}
+
+    async request(name, request) {
+        const operation = OPERATIONS[name];
+        const headers = { Accept: 'application/json', ...this.headers };
+        const query = new URLSearchParams();
+        let path = operation.path;
+
+        for (const parameter of operation.parameters) {
+            const value = request[parameter.name];
+            if (value === undefined) {
+                continue;
+            }
+            if (parameter.in === 'path') {
+                path = path.replace(\`{\${parameter.name}}\`, encodeURIComponent(value));
+            } else if (parameter.in === 'query') {
+                [].concat(value).forEach(item => query.append(parameter.name, String(item)));
+            } else {
+                headers[parameter.name] = String(value);
+            }
+        }
+
+        this.authenticate(operation.security, headers, query);
+
+        const init = { method: operation.method, headers };
+        if (operation.body && request.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(request.body);
+        }
+
+        const search = query.toString();
+        const response = await this.fetch(\`\${this.baseUrl}\${path}\${search ? \`?\${search}\` : ''}\`, init);
+        const text = await response.text();
+        let body = null;
+
+        if (text) {
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                body = text;
+            }
+        }
+
+        if (!response.ok) {
+            throw new ApiError(response.status, body);
+        }
+
+        return body;
+    }
+
+    /**
+     * Applies the first security requirement the credentials can satisfy
+     */
+    authenticate(security, headers, query) {
+        if (security.length === 0 || security.some(requirement => Object.keys(requirement).length === 0)) {
+            return;
+        }
+
+        // Client certificates are configured on the fetch implementation, not per request
+        const available = (scheme) => this.credentials[scheme] !== undefined || (SECURITY_SCHEMES[scheme] || {}).type === 'mutualTLS';
+        const requirement = security.find(candidate => Object.keys(candidate).every(available));
+        if (!requirement) {
+            throw new Error(\`Missing credentials, one of: \${security.map(candidate => Object.keys(candidate).join(' + ')).join(', ')}\`);
+        }
+
+        for (const name of Object.keys(requirement)) {
+            const scheme = SECURITY_SCHEMES[name] || {};
+            const value = this.credentials[name];
+
+            if (scheme.type === 'mutualTLS') {
+                continue;
+            } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+                query.set(scheme.name, value);
+            } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+                headers.Cookie = [headers.Cookie, \`\${scheme.name}=\${encodeURIComponent(value)}\`].filter(Boolean).join('; ');
+            } else if (scheme.type === 'apiKey') {
+                headers[scheme.name] = value;
+            } else if (scheme.type === 'http' && String(scheme.scheme).toLowerCase() === 'basic') {
+                headers.Authorization = \`Basic \${btoa(value)}\`;
+            } else {
+                // http bearer, oauth2 and openIdConnect all send a bearer token
+                headers.Authorization = \`Bearer \${value}\`;
+            }
+        }
+    }
+}
+
+module.exports = { ${className}, ApiError };
+`;
+    }
+
+    renderTypes(spec, className, operations) {
+        const schemas = spec.components?.schemas || {};
+        const schemeNames = Object.keys(spec.components?.securitySchemes || {});
+        const lines = [
+            `// Generated by AutoWeave from ${ClientGenerator.comment(spec.info?.title || 'an OpenAPI spec')} ${spec.info?.version || ''}`,
+            ''
+        ];
+
+        for (const [name, schema] of Object.entries(schemas)) {
+            if (schema.description) {
+                lines.push(`/** ${ClientGenerator.comment(schema.description)} */`);
+            }
+            lines.push(`export type ${ClientGenerator.typeName(name)} = ${this.typeOf(schema)};`, '');
+        }
+
+        for (const operation of operations) {
+            const fields = operation.parameters.map(parameter =>
+                `    ${ClientGenerator.propertyName(parameter.name)}${parameter.required || parameter.in === 'path' ? '' : '?'}: ${this.typeOf(parameter.schema || { type: 'string' }, 1)};`
+            );
+            if (operation.requestBody) {
+                const bodySchema = operation.requestBody.content['application/json'].schema || {};
+                fields.push(`    body${operation.requestBody.required ? '' : '?'}: ${this.typeOf(bodySchema, 1)};`);
+            }
+
+            lines.push(
+                `export interface ${operation.typeName}Request {`,
+                ...fields,
+                '}',
+                '',
+                `export type ${operation.typeName}Response = ${operation.responseSchema ? this.typeOf(operation.responseSchema) : 'unknown'};`,
+                ''
+            );
+        }
+
+        const credentials = schemeNames
+            .filter(name => spec.components.securitySchemes[name].type !== 'mutualTLS')
+            .map(name => `        ${ClientGenerator.propertyName(name)}?: string;`);
+
+        lines.push(
+            'export class ApiError extends Error {',
+            '    status: number;',
+            '    code?: number | string;',
+            '    timestamp?: string;',
+            '    body: unknown;',
+            '}',
+            '',
+            `export interface ${className}Options {`,
+            '    baseUrl?: string;',
+            credentials.length > 0 ? `    credentials?: {\n${credentials.join('\n')}\n    };` : '    credentials?: Record<string, string>;',
+            '    headers?: Record<string, string>;',
+            '    fetch?: typeof fetch;',
+            '}',
+            '',
+            `export class ${className} {`,
+            `    constructor(options?: ${className}Options);`,
+            ...operations.map(operation => [
+                `    /** ${ClientGenerator.comment(operation.summary)} */`,
+                `    ${operation.methodName}(request${this.isOptional(operation) ? '?' : ''}: ${operation.typeName}Request): Promise<${operation.typeName}Response>;`
+            ].join('\n')),
+            '}',
+            ''
+        );
+
+        return lines.join('\n');
+    }
+
+    isOptional(operation) {
+        return !operation.parameters.some(parameter => parameter.required || parameter.in === 'path') &&
+            !operation.requestBody?.required;
+    }
+
+    /**
+     * JSON Schema -> TypeScript type expression
+     */
+    typeOf(schema, depth = 0) {
+        if (!schema || depth > 10) {
+            return 'unknown';
+        }
+
+        const nullable = schema.nullable ? ' | null' : '';
+
+        if (schema.$ref) {
+            return ClientGenerator.typeName(schema.$ref.split('/').pop()) + nullable;
+        }
+        if (schema.const !== undefined) {
+            return JSON.stringify(schema.const);
+        }
+        if (schema.enum) {
+            return schema.enum.map(value => JSON.stringify(value)).join(' | ') + nullable;
+        }
+        if (schema.oneOf || schema.anyOf) {
+            return (schema.oneOf || schema.anyOf).map(part => this.typeOf(part, depth + 1)).join(' | ') + nullable;
+        }
+        if (schema.allOf) {
+            return schema.allOf.map(part => this.typeOf(part, depth + 1)).join(' & ') + nullable;
+        }
+        if (Array.isArray(schema.type)) {
+            return schema.type.map(type => this.typeOf({ ...schema, type }, depth + 1)).join(' | ');
+        }
+
+        switch (schema.type) {
+            case 'string':
+                return 'string' + nullable;
+            case 'integer':
+            case 'number':
+                return 'number' + nullable;
+            case 'boolean':
+                return 'boolean' + nullable;
+            case 'null':
+                return 'null';
+            case 'array':
+                return `Array<${this.typeOf(schema.items, depth + 1)}>` + nullable;
+            case 'object':
+            case undefined:
+                return schema.properties || schema.additionalProperties !== undefined || schema.type === 'object'
+                    ? this.objectType(schema, depth) + nullable
+                    : 'unknown';
+            default:
+                return 'unknown';
+        }
+    }
+
+    objectType(schema, depth) {
+        const required = new Set(schema.required || []);
+        const indent = '    '.repeat(depth + 1);
+        const fields = Object.entries(schema.properties || {}).map(([name, property]) => {
+            const doc = property.description ? `${indent}/** ${ClientGenerator.comment(property.description)} */\n` : '';
+            return `${doc}${indent}${ClientGenerator.propertyName(name)}${required.has(name) ? '' : '?'}: ${this.typeOf(property, depth + 1)};`;
+        });
+
+        if (schema.additionalProperties) {
+            const valueType = schema.additionalProperties === true ? 'unknown' : this.typeOf(schema.additionalProperties, depth + 1);
+            fields.push(`${indent}[key: string]: ${fields.length > 0 ? 'unknown' : valueType};`);
+        }
+
+        return fields.length > 0
+            ? `{\n${fields.join('\n')}\n${'    '.repeat(depth)}}`
+            : 'Record<string, unknown>';
+    }
+
+    renderReadme(spec, name, className, operations) {
+        return [
+            `# ${name}`,
+            '',
+            `Client for ${spec.info?.title || 'the agent API'} ${spec.info?.version || ''}, generated by AutoWeave.`,
+            '',
+            '```javascript',
+            `const { ${className}, ApiError } = require('${name}');`,
+            '',
+            `const client = new ${className}({ credentials: { ${Object.keys(spec.components?.securitySchemes || {})[0] || 'apiKey'}: process.env.AGENT_API_KEY } });`,
+            '```',
+            '',
+            '| Method | Endpoint | Description |',
+            '|--------|----------|-------------|',
+            ...operations.map(operation =>
+                `| \`${operation.methodName}\` | \`${operation.method} ${operation.path}\` | ${ClientGenerator.comment(operation.summary).replace(/\|/g, '\\|')} |`
+            ),
+            ''
+        ].join('\n');
+    }
+
+    static typeName(schemaName) {
+        const name = ClientGenerator.pascalCase(schemaName);
+        return RESERVED_TYPES.includes(name) ? `${name}Schema` : name;
+    }
+
+    static propertyName(name) {
+        return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+    }
+
+    static comment(text) {
+        return String(text).replace(/\*\//g, '*\\/').replace(/\s+/g, ' ').trim();
+    }
+
+    static pascalCase(value) {
+        const pascal = String(value)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+        return /^[0-9]/.test(pascal) ? `_${pascal}` : pascal || 'Agent';
+    }
+
+    static camelCase(value) {
+        const pascal = ClientGenerator.pascalCase(value);
+        return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+    }
+
+    static kebabCase(value) {
+        return String(value)
+            .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '') || 'agent';
+    }
+}
+
+module.exports = { ClientGenerator };
@@ -0,0 +1,277 @@
+const Ajv = require('ajv');
+const { Logger } = require('../utils/logger');
+const { AgentApiGateway, SPEC_SCHEMA_ID } = require('./agent-api-gateway');
+
+/**
+ * ContractTester - Tests de contrat des APIs d'agents
+ *
+ * Test cases are derived from the spec: for every operation, one `example`
+ * case sending the documented examples (or values generated from the
+ * schemas) and expecting a declared 2xx response whose body matches the
+ * response schema; and, when the JSON body has required fields, one
+ * `missing-required-fields` case expecting a 4xx.
+ *
+ * Cases run over HTTP against `baseUrl`, or through `invoke(request)` for
+ * in-process targets such as the mock gateway.
+ */
+class ContractTester {
+    constructor(config = {}) {
+        this.logger = new Logger('ContractTester');
+        this.timeout = config.timeout || 10000;
+        this.credentials = config.credentials || {};
+    }
+
+    deriveCases(spec, options = {}) {
+        const cases = [];
+
+        for (const { method, path, pathItem, operation } of AgentApiGateway.operations(spec)) {
+            if (options.operations && !options.operations.includes(operation.operationId)) {
+                continue;
+            }
+
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+            const media = operation.requestBody?.content?.['application/json'];
+            const request = { params: {}, query: {}, headers: {}, body: undefined };
+
+            for (const parameter of parameters) {
+                const value = parameter.example ?? parameter.schema?.example ?? AgentApiGateway.sample(parameter.schema, spec);
+                const target = { path: request.params, query: request.query, header: request.headers }[parameter.in];
+                if (target && (parameter.required || parameter.in === 'path' || parameter.example !== undefined)) {
+                    target[parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name] = value;
+                }
+            }
+
+            if (media) {
+                request.body = media.example ?? Object.values(media.examples || {})[0]?.value ?? AgentApiGateway.sample(media.schema, spec);
+            }
+
+            const base = {
+                operationId: operation.operationId,
+                method: method.toUpperCase(),
+                path,
+                security: operation.security ?? spec.security ?? []
+            };
+
+            cases.push({
+                ...base,
+                name: 'example',
+                request,
+                expect: { statuses: Object.keys(operation.responses || {}).filter(status => /^2/.test(status)) }
+            });
+
+            const required = this.resolve(spec, media?.schema)?.required || [];
+            if (options.negative !== false && required.length > 0) {
+                cases.push({
+                    ...base,
+                    name: 'missing-required-fields',
+                    request: { ...request, body: {} },
+                    expect: { clientError: true }
+                });
+            }
+        }
+
+        return cases;
+    }
+
+    /**
+     * options: { baseUrl, invoke, credentials, operations, negative, agentId }
+     * Returns { agentId, target, passed, failed, skipped, total, success, results, ... }
+     */
+    async run(spec, options = {}) {
+        const startedAt = new Date();
+        const validateResponse = this.compileResponses(spec);
+        const credentials = { ...this.credentials, ...(options.credentials || {}) };
+        const target = options.invoke ? 'in-process' : (options.baseUrl || spec.servers?.[0]?.url);
+        const results = [];
+
+        if (!options.invoke && !target) {
+            throw new Error('A baseUrl is required to run contract tests');
+        }
+
+        for (const testCase of this.deriveCases(spec, options)) {
+            results.push(await this.runCase(spec, testCase, { ...options, credentials, target, validateResponse }));
+        }
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        const report = {
+            agentId: options.agentId || spec.info?.['x-agent-id'] || null,
+            specVersion: spec.info?.version || null,
+            target,
+            startedAt: startedAt.toISOString(),
+            completedAt: new Date().toISOString(),
+            duration: Date.now() - startedAt.getTime(),
+            total: results.length,
+            passed: count('passed'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            success: count('failed') === 0,
+            results
+        };
+
+        this.logger.info(`Contract tests of ${report.agentId || target}: ${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped`);
+        return report;
+    }
+
+    async runCase(spec, testCase, context) {
+        const result = {
+            operationId: testCase.operationId,
+            method: testCase.method,
+            path: testCase.path,
+            case: testCase.name,
+            status: 'passed',
+            httpStatus: null,
+            expected: testCase.expect.clientError ? '4xx' : testCase.expect.statuses.join(' | ') || '2xx',
+            violations: [],
+            duration: 0
+        };
+        const started = Date.now();
+
+        try {
+            const request = { ...testCase.request, headers: { ...testCase.request.headers } };
+            const query = { ...testCase.request.query };
+
+            // In-process calls go through the gateway's credentials check too, so credentials apply to both
+            const authenticated = this.authenticate(spec, testCase.security, context.credentials, request.headers, query);
+
+            if (!context.invoke && !authenticated) {
+                result.status = 'skipped';
+                result.reason = `No credentials for ${testCase.security.map(requirement => Object.keys(requirement).join(' + ')).join(' or ')}`;
+                return result;
+            }
+
+            const response = context.invoke
+                ? await context.invoke({ ...request, query, operationId: testCase.operationId })
+                : await this.send(context.target, testCase, { ...request, query });
+
+            result.httpStatus = response.status;
+
+            if (testCase.expect.clientError) {
+                if (response.status < 400 || response.status >= 500) {
+                    result.violations.push({ path: '/', message: `expected a 4xx status, got ${response.status}` });
+                }
+            } else {
+                const declared = testCase.expect.statuses;
+                if (declared.length > 0 ? !declared.includes(String(response.status)) : !/^2/.test(String(response.status))) {
+                    result.violations.push({ path: '/', message: `expected status ${result.expected}, got ${response.status}` });
+                }
+                result.violations.push(...context.validateResponse(testCase.operationId, response.status, response.body));
+            }
+        } catch (error) {
+            result.violations.push({ path: '/', message: error.message });
+        } finally {
+            result.duration = Date.now() - started;
+        }
+
+        if (result.violations.length > 0) {
+            result.status = 'failed';
+        }
+
+        return result;
+    }
+
+    async send(baseUrl, testCase, request) {
+        const url = new URL(`${baseUrl.replace(/\/$/, '')}${AgentApiGateway.expandPath(testCase.path, request.params)}`);
+        Object.entries(request.query).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        const response = await fetch(url, {
+            method: testCase.method,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...request.headers },
+            body: request.body === undefined || ['GET', 'HEAD'].includes(testCase.method) ? undefined : JSON.stringify(request.body),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        const text = await response.text();
+        let body = null;
+
+        if (text) {
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                body = text;
+            }
+        }
+
+        return { status: response.status, body };
+    }
+
+    /**
+     * Fills headers and query from the first requirement the credentials
+     * satisfy; returns false when none can be satisfied
+     */
+    authenticate(spec, security, credentials, headers, query) {
+        if (security.length === 0 || security.some(requirement => Object.keys(requirement).length === 0)) {
+            return true;
+        }
+
+        const schemes = spec.components?.securitySchemes || {};
+        const usable = (name) => credentials[name] !== undefined || schemes[name]?.type === 'mutualTLS';
+        const requirement = security.find(candidate => Object.keys(candidate).every(usable));
+
+        if (!requirement) {
+            return false;
+        }
+
+        for (const name of Object.keys(requirement)) {
+            const scheme = schemes[name] || {};
+            const value = credentials[name];
+
+            if (scheme.type === 'mutualTLS') {
+                continue;
+            } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+                query[scheme.name] = value;
+            } else if (scheme.type === 'apiKey') {
+                headers[scheme.name.toLowerCase()] = value;
+            } else {
+                headers.authorization = `Bearer ${value}`;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns (operationId, status, body) -> [{ path, message }]
+     */
+    compileResponses(spec) {
+        const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+        const validators = new Map();
+
+        ajv.addSchema({ components: spec.components || {} }, SPEC_SCHEMA_ID);
+
+        for (const { operation } of AgentApiGateway.operations(spec)) {
+            const byStatus = {};
+            for (const [status, response] of Object.entries(operation.responses || {})) {
+                const schema = response?.content?.['application/json']?.schema;
+                if (schema) {
+                    byStatus[status.toUpperCase()] = ajv.compile(AgentApiGateway.rewriteRefs(schema));
+                }
+            }
+            validators.set(operation.operationId, byStatus);
+        }
+
+        return (operationId, status, body) => {
+            const byStatus = validators.get(operationId) || {};
+            const validate = byStatus[String(status)] || byStatus[`${String(status)[0]}XX`] || byStatus.DEFAULT;
+
+            if (!validate || validate(body)) {
+                return [];
+            }
+
+            return validate.errors.map(error => ({
+                path: error.instancePath || '/',
+                message: error.message
+            }));
+        };
+    }
+
+    resolve(spec, schema, depth = 0) {
+        if (!schema?.$ref || depth > 10) {
+            return schema;
+        }
+
+        const name = schema.$ref.match(/^#\/components\/schemas\/(.+)$/)?.[1];
+        return this.resolve(spec, spec.components?.schemas?.[name], depth + 1);
+    }
+}
+
+module.exports = { ContractTester };
@@ -0,0 +1,203 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * OpenAPIToolset - Conversion des opérations OpenAPI en outils MCP
+ *
+ * Each operation becomes one tool named after its operationId (prefixed
+ * with `options.prefix`). The tool input schema merges the parameters and
+ * the JSON request body: body properties sit next to the parameters, or
+ * under `body` when the body is not an object or a name collides. Schemas
+ * are inlined, since MCP clients do not resolve spec references.
+ */
+class OpenAPIToolset {
+    constructor(spec, options = {}) {
+        this.spec = spec;
+        this.prefix = options.prefix ? OpenAPIToolset.sanitize(options.prefix) : '';
+        this.tools = [];
+        this.bindings = new Map(); // tool name -> { operationId, method, path, parameters, body }
+
+        for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+            for (const method of HTTP_METHODS) {
+                if (pathItem[method]) {
+                    this.addOperation(path, method, pathItem, pathItem[method]);
+                }
+            }
+        }
+    }
+
+    static fromSpec(spec, options = {}) {
+        return new OpenAPIToolset(spec, options);
+    }
+
+    addOperation(path, method, pathItem, operation) {
+        const operationId = operation.operationId || `${method}${path.replace(/[^A-Za-z0-9]+/g, '_')}`;
+        const name = this.uniqueName(operationId);
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+            .filter(parameter => PARAMETER_LOCATIONS.includes(parameter.in));
+
+        const properties = {};
+        const required = [];
+
+        for (const parameter of parameters) {
+            properties[parameter.name] = this.inline({
+                ...(parameter.schema || { type: 'string' }),
+                ...(parameter.description ? { description: parameter.description } : {})
+            });
+            if (parameter.required || parameter.in === 'path') {
+                required.push(parameter.name);
+            }
+        }
+
+        const body = this.mergeBody(operation.requestBody, properties, required);
+
+        const tool = {
+            name,
+            title: operation.summary || operationId,
+            description: [operation.description || operation.summary, `${method.toUpperCase()} ${path}`]
+                .filter(Boolean)
+                .join(' - '),
+            inputSchema: required.length > 0
+                ? { type: 'object', properties, required }
+                : { type: 'object', properties },
+            annotations: {
+                readOnlyHint: ['get', 'head', 'options'].includes(method),
+                destructiveHint: method === 'delete',
+                idempotentHint: ['get', 'head', 'options', 'put', 'delete'].includes(method)
+            }
+        };
+
+        const outputSchema = this.outputSchema(operation);
+        if (outputSchema) {
+            tool.outputSchema = outputSchema;
+        }
+
+        this.tools.push(tool);
+        this.bindings.set(name, {
+            operationId,
+            method: method.toUpperCase(),
+            path,
+            parameters: parameters.map(parameter => ({ name: parameter.name, in: parameter.in })),
+            body
+        });
+    }
+
+    /**
+     * Adds the request body to the input schema; returns how to rebuild it
+     * from the tool arguments: { fields: [...] }, { argument: 'body' } or null
+     */
+    mergeBody(requestBody, properties, required) {
+        const media = requestBody?.content?.['application/json'];
+        if (!media) {
+            return null;
+        }
+
+        const schema = this.inline(media.schema || { type: 'object' });
+        const fields = Object.keys(schema.properties || {});
+        const collides = fields.some(field => properties[field]);
+
+        // Free-form bodies (additionalProperties: true, no fields) stay under `body`
+        if (schema.type === 'object' && !collides && (fields.length > 0 || schema.additionalProperties !== true)) {
+            Object.assign(properties, schema.properties);
+            required.push(...(schema.required || []));
+            return { fields };
+        }
+
+        properties.body = schema;
+        if (requestBody.required) {
+            required.push('body');
+        }
+        return { argument: 'body' };
+    }
+
+    outputSchema(operation) {
+        const status = Object.keys(operation.responses || {}).find(code => /^2/.test(code));
+        const schema = operation.responses?.[status]?.content?.['application/json']?.schema;
+        const inlined = schema ? this.inline(schema) : null;
+
+        // MCP structured output must be an object
+        return inlined?.type === 'object' ? inlined : null;
+    }
+
+    has(name) {
+        return this.bindings.has(name);
+    }
+
+    /**
+     * Splits tool arguments back into the HTTP request of the operation
+     */
+    toRequest(name, args = {}) {
+        const binding = this.bindings.get(name);
+
+        if (!binding) {
+            throw new Error(`Unknown tool ${name}`);
+        }
+
+        const request = { operationId: binding.operationId, method: binding.method, path: binding.path, params: {}, query: {}, headers: {}, body: undefined };
+        const targets = { path: request.params, query: request.query, header: request.headers };
+
+        for (const parameter of binding.parameters) {
+            if (args[parameter.name] !== undefined) {
+                const key = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+                targets[parameter.in][key] = args[parameter.name];
+            }
+        }
+
+        if (binding.body?.argument) {
+            request.body = args[binding.body.argument];
+        } else if (binding.body) {
+            request.body = Object.fromEntries(binding.body.fields
+                .filter(field => args[field] !== undefined)
+                .map(field => [field, args[field]]));
+        }
+
+        return request;
+    }
+
+    /**
+     * Replaces local component references by their schema; recursive
+     * references are cut at `maxDepth`
+     */
+    inline(schema, depth = 0, maxDepth = 8) {
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+        if (depth > maxDepth) {
+            return {};
+        }
+        if (Array.isArray(schema)) {
+            return schema.map(item => this.inline(item, depth, maxDepth));
+        }
+        if (schema.$ref) {
+            const name = schema.$ref.match(/^#\/components\/schemas\/(.+)$/)?.[1];
+            return this.inline(this.spec.components?.schemas?.[name] || {}, depth + 1, maxDepth);
+        }
+
+        return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+            key,
+            // Enum values, examples and defaults are data, not schemas
+            ['enum', 'required', 'example', 'examples', 'default', 'const'].includes(key) ? value : this.inline(value, depth, maxDepth)
+        ]));
+    }
+
+    uniqueName(operationId) {
+        const base = OpenAPIToolset.sanitize(this.prefix ? `${this.prefix}_${operationId}` : operationId);
+        let name = base;
+
+        for (let suffix = 2; this.bindings.has(name); suffix++) {
+            name = `${base.substring(0, MAX_NAME_LENGTH - String(suffix).length - 1)}_${suffix}`;
+        }
+
+        return name;
+    }
+
+    /**
+     * MCP tool names: letters, digits, "_" and "-", at most 64 characters
+     */
+    static sanitize(name) {
+        return String(name).replace(/[^A-Za-z0-9_-]+/g, '_').substring(0, MAX_NAME_LENGTH);
+    }
+}
+
+module.exports = { OpenAPIToolset };
@@ -0,0 +1,370 @@
+const { WorkflowGraph } = require('../core/workflow-graph');
+
+const EXAMPLE_VALUES = {
+    string: 'example',
+    number: 1,
+    boolean: true,
+    object: {},
+    array: []
+};
+
+const COMMON_SCHEMAS = {
+    Success: {
+        type: 'object',
+        properties: {
+            success: {
+                type: 'boolean',
+                description: 'Operation success status'
+            },
+            data: {
+                type: 'object',
+                description: 'Response data'
+            },
+            timestamp: {
+                type: 'string',
+                format: 'date-time',
+                description: 'Response timestamp'
+            }
+        },
+        required: ['success', 'timestamp']
+    },
+    Error: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'string',
+                description: 'Error message'
+            },
+            code: {
+                type: 'integer',
+                description: 'Error code'
+            },
+            timestamp: {
+                type: 'string',
+                format: 'date-time',
+                description: 'Error timestamp'
+            }
+        },
+        required: ['error', 'timestamp']
+    }
+};
+
+const SECURITY_SCHEMES = {
+    apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key'
+    },
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT'
+    }
+};
+
+const METHOD_SUMMARIES = {
+    get: 'Read',
+    post: 'Create or run',
+    put: 'Update',
+    patch: 'Patch',
+    delete: 'Delete'
+};
+
+/**
+ * OpenAPIBuilder - Génération déterministe de specs OpenAPI 3.1 depuis un workflow
+ *
+ * Paths come from the module catalog (`openapi.paths` of each required
+ * module type), plus `POST /execute` for the whole workflow and
+ * `POST /execute/{action}` for every step, with request and response
+ * schemas built from the step inputs and outputs. The same workflow always
+ * produces the same spec.
+ */
+class OpenAPIBuilder {
+    constructor(moduleCatalog) {
+        this.moduleCatalog = moduleCatalog;
+    }
+
+    build(workflow, options = {}) {
+        const includeExamples = options.includeExamples !== false;
+        const schemas = OpenAPIBuilder.clone(COMMON_SCHEMAS);
+        const paths = {
+            '/health': {
+                get: {
+                    summary: 'Health check',
+                    operationId: 'getHealth',
+                    tags: ['agent'],
+                    security: [],
+                    responses: {
+                        '200': OpenAPIBuilder.jsonResponse('Agent is healthy', { $ref: '#/components/schemas/Success' })
+                    }
+                }
+            }
+        };
+
+        this.addModulePaths(workflow, paths);
+        this.addWorkflowPath(workflow, paths, schemas, includeExamples);
+        this.addStepPaths(workflow, paths, schemas, includeExamples);
+
+        const spec = {
+            openapi: '3.1.0',
+            info: {
+                title: `${workflow.name} Agent API`,
+                version: options.version || '1.0.0',
+                description: workflow.description || `API of the ${workflow.name} agent`,
+                'x-agent-id': workflow.id,
+                'x-agent-name': workflow.name,
+                'x-agent-type': 'autoweave-agent',
+                'x-anp-version': '1.0.0'
+            },
+            servers: [
+                {
+                    url: `${options.baseUrl || 'http://localhost:3000'}/api/agents/${workflow.id}`,
+                    description: 'AutoWeave Agent API'
+                }
+            ],
+            tags: this.buildTags(workflow),
+            paths,
+            components: {
+                securitySchemes: OpenAPIBuilder.clone(SECURITY_SCHEMES),
+                schemas
+            },
+            security: [
+                { apiKey: [] },
+                { bearerAuth: [] }
+            ]
+        };
+
+        if (options.includeWebhooks) {
+            spec.webhooks = OpenAPIBuilder.buildWebhooks();
+        }
+
+        return spec;
+    }
+
+    addModulePaths(workflow, paths) {
+        for (const module of workflow.requiredModules || []) {
+            const entry = this.moduleCatalog.get(module.type);
+
+            for (const [path, methods] of Object.entries(entry?.openapi.paths || {})) {
+                paths[path] = paths[path] || {};
+
+                for (const method of methods) {
+                    // Several modules of one type share the type's paths;
+                    // agent endpoints such as /health take precedence
+                    const existing = paths[path][method];
+                    if (existing) {
+                        existing['x-modules']?.push(module.name);
+                        continue;
+                    }
+
+                    paths[path][method] = this.buildModuleOperation(module, path, method);
+                }
+            }
+        }
+    }
+
+    buildModuleOperation(module, path, method) {
+        const operation = {
+            summary: `${METHOD_SUMMARIES[method]} ${path.split('/').filter(Boolean).join(' ')}`,
+            description: module.description || this.moduleCatalog.get(module.type).description,
+            operationId: OpenAPIBuilder.operationId(method, path),
+            tags: [module.type],
+            'x-modules': [module.name],
+            responses: {
+                '200': OpenAPIBuilder.jsonResponse('Operation succeeded', { $ref: '#/components/schemas/Success' }),
+                ...OpenAPIBuilder.errorResponses(method)
+            }
+        };
+
+        if (['post', 'put', 'patch'].includes(method)) {
+            operation.requestBody = {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: { type: 'object', additionalProperties: true }
+                    }
+                }
+            };
+        }
+
+        return operation;
+    }
+
+    addWorkflowPath(workflow, paths, schemas, includeExamples) {
+        schemas.WorkflowInput = OpenAPIBuilder.objectSchema(workflow.inputs || {});
+
+        paths['/execute'] = {
+            post: {
+                summary: 'Execute agent workflow',
+                description: `Runs every step of ${workflow.name} in dependency order`,
+                operationId: 'executeWorkflow',
+                tags: ['agent'],
+                requestBody: OpenAPIBuilder.jsonBody(
+                    { $ref: '#/components/schemas/WorkflowInput' },
+                    includeExamples ? OpenAPIBuilder.example(workflow.inputs || {}) : undefined
+                ),
+                responses: {
+                    '200': OpenAPIBuilder.jsonResponse('Workflow executed successfully', { $ref: '#/components/schemas/Success' }),
+                    ...OpenAPIBuilder.errorResponses('post')
+                }
+            }
+        };
+    }
+
+    addStepPaths(workflow, paths, schemas, includeExamples) {
+        for (const step of workflow.steps || []) {
+            const name = OpenAPIBuilder.pascalCase(WorkflowGraph.keyOf(step));
+            const inputs = Object.fromEntries(Object.entries(step.inputs || {})
+                .map(([input, definition]) => [input, { type: definition.type, required: definition.value === undefined }]));
+
+            schemas[`${name}Input`] = OpenAPIBuilder.objectSchema(inputs);
+            schemas[`${name}Output`] = OpenAPIBuilder.objectSchema(step.outputs || {});
+
+            // Steps sharing an action are told apart by their id
+            const path = paths[`/execute/${step.action}`]
+                ? `/execute/${WorkflowGraph.keyOf(step)}`
+                : `/execute/${step.action}`;
+
+            paths[path] = {
+                post: {
+                    summary: `Execute ${step.action}`,
+                    description: step.description || `Runs the ${step.action} step`,
+                    operationId: `execute${OpenAPIBuilder.pascalCase(path.substring('/execute/'.length))}`,
+                    tags: [workflow.requiredModules.find(module => module.name === step.module)?.type || 'agent'],
+                    'x-step-id': WorkflowGraph.keyOf(step),
+                    requestBody: OpenAPIBuilder.jsonBody(
+                        { $ref: `#/components/schemas/${name}Input` },
+                        includeExamples ? OpenAPIBuilder.example(step.inputs || {}) : undefined
+                    ),
+                    responses: {
+                        '200': OpenAPIBuilder.jsonResponse('Step executed successfully', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                data: { $ref: `#/components/schemas/${name}Output` },
+                                timestamp: { type: 'string', format: 'date-time' }
+                            },
+                            required: ['success', 'timestamp']
+                        }, includeExamples ? {
+                            success: true,
+                            data: OpenAPIBuilder.example(step.outputs || {}),
+                            timestamp: '2024-01-01T00:00:00.000Z'
+                        } : undefined),
+                        ...OpenAPIBuilder.errorResponses('post')
+                    }
+                }
+            };
+        }
+    }
+
+    buildTags(workflow) {
+        const types = [...new Set((workflow.requiredModules || []).map(module => module.type))];
+
+        return [
+            { name: 'agent', description: 'Agent lifecycle and workflow execution' },
+            ...types.map(type => ({
+                name: type,
+                description: this.moduleCatalog.get(type)?.description || `${type} operations`
+            }))
+        ];
+    }
+
+    static buildWebhooks() {
+        return {
+            workflowCompleted: {
+                post: {
+                    summary: 'Workflow run finished',
+                    operationId: 'onWorkflowCompleted',
+                    requestBody: OpenAPIBuilder.jsonBody({
+                        type: 'object',
+                        properties: {
+                            runId: { type: 'string' },
+                            workflowId: { type: 'string' },
+                            status: { type: 'string', enum: ['completed', 'failed', 'cancelled'] },
+                            outputs: { type: 'object' }
+                        },
+                        required: ['runId', 'workflowId', 'status']
+                    }),
+                    responses: {
+                        '200': { description: 'Notification received' }
+                    }
+                }
+            }
+        };
+    }
+
+    static objectSchema(parameters) {
+        const properties = {};
+        const required = [];
+
+        for (const [name, definition] of Object.entries(parameters)) {
+            properties[name] = { type: definition.type };
+            if (definition.description) {
+                properties[name].description = definition.description;
+            }
+            if (definition.required === true) {
+                required.push(name);
+            }
+        }
+
+        return required.length > 0
+            ? { type: 'object', properties, required }
+            : { type: 'object', properties };
+    }
+
+    static example(parameters) {
+        return Object.fromEntries(Object.entries(parameters)
+            .map(([name, definition]) => [name, definition.value ?? EXAMPLE_VALUES[definition.type] ?? null]));
+    }
+
+    static jsonBody(schema, example) {
+        const media = { schema };
+        if (example !== undefined) {
+            media.example = example;
+        }
+        return { required: true, content: { 'application/json': media } };
+    }
+
+    static jsonResponse(description, schema, example) {
+        const media = { schema };
+        if (example !== undefined) {
+            media.example = example;
+        }
+        return { description, content: { 'application/json': media } };
+    }
+
+    static errorResponses(method) {
+        const errorSchema = { $ref: '#/components/schemas/Error' };
+        const responses = {
+            '401': OpenAPIBuilder.jsonResponse('Missing or invalid credentials', errorSchema),
+            '500': OpenAPIBuilder.jsonResponse('Internal error', errorSchema)
+        };
+
+        if (method !== 'get') {
+            responses['400'] = OpenAPIBuilder.jsonResponse('Invalid input', errorSchema);
+        }
+
+        return responses;
+    }
+
+    /**
+     * "get" + "/k8s/resources" -> "getK8sResources"
+     */
+    static operationId(method, path) {
+        return `${method}${OpenAPIBuilder.pascalCase(path)}`;
+    }
+
+    static pascalCase(value) {
+        return String(value)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+    }
+
+    static clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+module.exports = { OpenAPIBuilder, COMMON_SCHEMAS, SECURITY_SCHEMES };
@@ -0,0 +1,286 @@
+const dns = require('dns');
+const net = require('net');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+const { Logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const VALUE_TYPES = {
+    string: 'string',
+    number: 'number',
+    integer: 'number',
+    boolean: 'boolean',
+    object: 'object',
+    array: 'array'
+};
+
+// Loopback, private, carrier-grade NAT, link-local and unique local ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+    .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * OpenAPIImporter - Conversion d'une spec OpenAPI 3.x existante en workflow
+ *
+ * Operations are grouped into capabilities by their first tag (or first
+ * path segment). Each capability becomes an `mcp_server` module whose
+ * config carries the server URL, the operations it exposes and the auth
+ * schemes they require; each operation becomes a step with typed inputs
+ * (parameters and request body) and a typed `response` output.
+ *
+ * Config (AgentWeaver config.openapi.import), applied to untrusted sources:
+ *   {
+ *     allowedHosts: ['specs.example.com'],   // only these hosts when set
+ *     allowPrivateHosts: false,              // loopback, private and link-local addresses
+ *     timeout: 10000                         // ms to download a remote spec
+ *   }
+ */
+class OpenAPIImporter {
+    constructor(config = {}) {
+        this.logger = new Logger('OpenAPIImporter');
+        this.allowedHosts = config.allowedHosts || [];
+        this.allowPrivateHosts = config.allowPrivateHosts === true;
+        this.timeout = config.timeout || 10000;
+    }
+
+    /**
+     * `source` is a file path, a URL or a spec object. With
+     * `options.untrusted` (sources sent to the API) it must be a spec object
+     * or an http(s) URL on a public, allowed host; local files and external
+     * $refs are never read.
+     */
+    async import(source, options = {}) {
+        const input = typeof source === 'object' ? JSON.parse(JSON.stringify(source)) : source;
+        let spec;
+
+        if (options.untrusted) {
+            await this.checkUntrustedSource(source);
+        }
+
+        try {
+            spec = await SwaggerParser.dereference(input, options.untrusted ? {
+                resolve: {
+                    external: false,
+                    file: false,
+                    http: { timeout: this.timeout, redirects: 0 }
+                }
+            } : undefined);
+        } catch (error) {
+            throw new ValidationError(`Cannot read OpenAPI spec: ${error.message}`, 'spec');
+        }
+
+        if (!spec.openapi || !spec.openapi.startsWith('3.')) {
+            throw new ValidationError('Only OpenAPI 3.x documents can be imported', 'spec');
+        }
+
+        const serverUrl = options.serverUrl || spec.servers?.[0]?.url || null;
+        const capabilities = this.groupOperations(spec);
+
+        if (capabilities.size === 0) {
+            throw new ValidationError('The OpenAPI spec has no operations to import', 'spec');
+        }
+
+        const requiredModules = [];
+        const steps = [];
+        const usedStepIds = new Set();
+
+        for (const [capability, operations] of capabilities) {
+            const moduleName = `${OpenAPIImporter.kebabCase(capability)}-api`;
+
+            requiredModules.push({
+                name: moduleName,
+                type: 'mcp_server',
+                description: `${capability} operations of ${spec.info.title}`,
+                config: {
+                    url: serverUrl,
+                    tools: operations.map(({ operationId }) => operationId),
+                    operations: Object.fromEntries(operations.map(({ operationId, method, path, operation }) => [
+                        operationId,
+                        { method: method.toUpperCase(), path, security: operation.security || spec.security || [] }
+                    ])),
+                    auth: this.buildAuth(spec, operations)
+                }
+            });
+
+            for (const entry of operations) {
+                steps.push(this.buildStep(entry, moduleName, usedStepIds));
+            }
+        }
+
+        const title = spec.info.title || 'imported-api';
+
+        return {
+            name: options.name || OpenAPIImporter.kebabCase(title).substring(0, 63),
+            description: options.description || spec.info.description || `Agent wrapping the ${title} API`,
+            requiredModules,
+            steps,
+            modelConfig: {
+                name: 'gpt-4',
+                temperature: 0.7
+            },
+            metadata: {
+                source: {
+                    type: 'openapi',
+                    title,
+                    version: spec.info.version,
+                    location: typeof source === 'string' ? source : null,
+                    serverUrl
+                }
+            }
+        };
+    }
+
+    async checkUntrustedSource(source) {
+        if (source && typeof source === 'object') {
+            return;
+        }
+
+        let url;
+        try {
+            url = new URL(String(source));
+        } catch (error) {
+            throw new ValidationError('The spec must be an object or an http(s) URL', 'url');
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new ValidationError(`Unsupported spec URL protocol: ${url.protocol}`, 'url');
+        }
+
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+
+        if (this.allowedHosts.length > 0 && !this.allowedHosts.includes(host)) {
+            throw new ValidationError(`Host ${host} is not allowed for spec imports`, 'url');
+        }
+
+        if (this.allowPrivateHosts) {
+            return;
+        }
+
+        let addresses;
+        try {
+            addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+        } catch (error) {
+            throw new ValidationError(`Cannot resolve spec host ${host}`, 'url');
+        }
+
+        if (addresses.some(({ address }) => OpenAPIImporter.isPrivateAddress(address))) {
+            throw new ValidationError(`Host ${host} is a private address`, 'url');
+        }
+    }
+
+    groupOperations(spec) {
+        const capabilities = new Map();
+
+        for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem[method];
+                if (!operation) {
+                    continue;
+                }
+
+                const capability = operation.tags?.[0] || path.split('/').filter(Boolean)[0] || 'default';
+                const operationId = operation.operationId || OpenAPIImporter.camelCase(`${method} ${path}`);
+
+                if (!capabilities.has(capability)) {
+                    capabilities.set(capability, []);
+                }
+
+                capabilities.get(capability).push({
+                    operationId,
+                    method,
+                    path,
+                    operation,
+                    parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])]
+                });
+            }
+        }
+
+        return capabilities;
+    }
+
+    buildStep({ operationId, method, path, operation, parameters }, moduleName, usedStepIds) {
+        let id = OpenAPIImporter.kebabCase(operationId);
+        for (let suffix = 2; usedStepIds.has(id); suffix++) {
+            id = `${OpenAPIImporter.kebabCase(operationId)}-${suffix}`;
+        }
+        usedStepIds.add(id);
+
+        const inputs = {};
+        for (const parameter of parameters) {
+            inputs[parameter.name] = { type: OpenAPIImporter.valueType(parameter.schema, 'string') };
+        }
+
+        const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+        if (operation.requestBody) {
+            inputs.body = { type: OpenAPIImporter.valueType(bodySchema, 'object') };
+        }
+
+        const successStatus = Object.keys(operation.responses || {}).find(status => /^2/.test(status));
+        const responseSchema = operation.responses?.[successStatus]?.content?.['application/json']?.schema;
+
+        return {
+            id,
+            action: OpenAPIImporter.snakeCase(operationId),
+            description: operation.summary || operation.description || `${method.toUpperCase()} ${path}`,
+            module: moduleName,
+            inputs,
+            outputs: {
+                response: {
+                    type: OpenAPIImporter.valueType(responseSchema, 'object'),
+                    description: operation.responses?.[successStatus]?.description || `${method.toUpperCase()} ${path} response`
+                }
+            }
+        };
+    }
+
+    /**
+     * Keeps the security schemes used by the capability's operations
+     */
+    buildAuth(spec, operations) {
+        const schemes = spec.components?.securitySchemes || {};
+        const used = new Set();
+
+        for (const { operation } of operations) {
+            for (const requirement of operation.security || spec.security || []) {
+                Object.keys(requirement).forEach(name => used.add(name));
+            }
+        }
+
+        return {
+            schemes: Object.fromEntries([...used].filter(name => schemes[name]).map(name => [name, schemes[name]])),
+            security: spec.security || []
+        };
+    }
+
+    static isPrivateAddress(address) {
+        return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    static valueType(schema, fallback) {
+        // OpenAPI 3.1 writes nullable types as ['string', 'null']
+        const type = Array.isArray(schema?.type) ? schema.type.find(name => name !== 'null') : schema?.type;
+        return VALUE_TYPES[type] || (schema?.properties ? 'object' : fallback);
+    }
+
+    static kebabCase(value) {
+        return String(value)
+            .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '') || 'api';
+    }
+
+    static snakeCase(value) {
+        return OpenAPIImporter.kebabCase(value).replace(/-/g, '_');
+    }
+
+    static camelCase(value) {
+        return OpenAPIImporter.kebabCase(value)
+            .replace(/-([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+    }
+}
+
+module.exports = { OpenAPIImporter };
@@ -0,0 +1,145 @@
+const { ValidationError } = require('../utils/validation');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const READ_METHODS = ['get', 'head', 'options'];
+const PUBLIC_PATHS = ['/health'];
+
+const API_KEY_SCHEME = {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-API-Key'
+};
+
+/**
+ * Each profile declares the security schemes of the spec and the
+ * requirement of one operation, given its method and OAuth2 scopes.
+ */
+const PROFILES = {
+    'public-readonly': {
+        description: 'Read operations are public, everything else requires an API key',
+        schemes: () => ({ apiKey: { ...API_KEY_SCHEME } }),
+        requirement: ({ read }) => read ? [] : [{ apiKey: [] }]
+    },
+    'internal-apikey': {
+        description: 'Every operation requires an API key',
+        schemes: () => ({ apiKey: { ...API_KEY_SCHEME } }),
+        requirement: () => [{ apiKey: [] }]
+    },
+    'oauth2-scoped': {
+        description: 'OAuth2 bearer tokens with scopes derived from the module types',
+        schemes: (scopes, config) => {
+            if (!config.oauth2?.tokenUrl) {
+                throw new ValidationError('The oauth2-scoped profile requires openapi.security.oauth2.tokenUrl', 'securityProfile');
+            }
+
+            const flows = {
+                clientCredentials: { tokenUrl: config.oauth2.tokenUrl, scopes }
+            };
+            if (config.oauth2.authorizationUrl) {
+                flows.authorizationCode = {
+                    authorizationUrl: config.oauth2.authorizationUrl,
+                    tokenUrl: config.oauth2.tokenUrl,
+                    scopes
+                };
+            }
+
+            return { oauth2: { type: 'oauth2', description: 'OAuth2 access token', flows } };
+        },
+        requirement: ({ scopes }) => [{ oauth2: scopes }]
+    },
+    mtls: {
+        description: 'Client certificates (mutual TLS) for every operation',
+        schemes: () => ({ mutualTLS: { type: 'mutualTLS', description: 'Client certificate issued by the cluster CA' } }),
+        requirement: () => [{ mutualTLS: [] }]
+    }
+};
+
+/**
+ * SecurityProfiles - Profils de sécurité des specs d'agents
+ *
+ * A profile replaces the spec's security schemes and its global `security`
+ * with one requirement per operation. /health stays public. OAuth2 scopes
+ * come from the module type of each operation (its first tag):
+ * `k8s:read` for GET, `k8s:write` otherwise; agent-level operations use
+ * `agent:read` / `agent:execute`.
+ *
+ * Config (AgentWeaver config.openapi.security):
+ *   {
+ *     oauth2: { tokenUrl, authorizationUrl }     // required by oauth2-scoped
+ *   }
+ */
+class SecurityProfiles {
+    constructor(moduleCatalog, config = {}) {
+        this.moduleCatalog = moduleCatalog;
+        this.config = config;
+    }
+
+    static get names() {
+        return Object.keys(PROFILES);
+    }
+
+    list() {
+        return Object.entries(PROFILES).map(([name, profile]) => ({ name, description: profile.description }));
+    }
+
+    apply(spec, profileName) {
+        const profile = PROFILES[profileName];
+
+        if (!profile) {
+            throw new ValidationError(`Unknown security profile "${profileName}" (expected one of ${SecurityProfiles.names.join(', ')})`, 'securityProfile');
+        }
+
+        const usedScopes = {};
+
+        for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem[method];
+                if (!operation) {
+                    continue;
+                }
+
+                if (PUBLIC_PATHS.includes(path)) {
+                    operation.security = [];
+                    continue;
+                }
+
+                const read = READ_METHODS.includes(method);
+                const scopes = this.scopesOf(operation, read);
+                scopes.forEach(scope => { usedScopes[scope] = this.describeScope(scope); });
+
+                operation.security = profile.requirement({ method, path, read, scopes });
+            }
+        }
+
+        spec.components = spec.components || {};
+        spec.components.securitySchemes = profile.schemes(usedScopes, this.config);
+        delete spec.security;
+        spec.info['x-security-profile'] = profileName;
+
+        return spec;
+    }
+
+    scopesOf(operation, read) {
+        const type = (operation.tags || []).find(tag => this.moduleCatalog.has(tag));
+
+        if (!type) {
+            return [read ? 'agent:read' : 'agent:execute'];
+        }
+
+        const scopes = this.moduleCatalog.getScopes(type);
+        return [read ? scopes.read : scopes.write];
+    }
+
+    describeScope(scope) {
+        const [prefix, access] = scope.split(':');
+
+        if (prefix === 'agent') {
+            return access === 'read' ? 'Read agent information' : 'Execute the agent workflow';
+        }
+
+        const entry = this.moduleCatalog.list().find(candidate => candidate.scopePrefix === prefix);
+        return `${access === 'read' ? 'Read' : 'Write'} access to ${entry?.type || prefix} modules`;
+    }
+}
+
+module.exports = { SecurityProfiles };
@@ -0,0 +1,314 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * SpecDiff - Différence entre deux versions d'une spec OpenAPI
+ *
+ * Changes are classified from the consumer's point of view:
+ *   breaking     - removed paths/operations/success responses, new required
+ *                  parameters or request fields, narrowed request enums,
+ *                  changed types, removed response fields, stricter security
+ *                  (new schemes or OAuth2 scopes to present, OAuth2 scopes
+ *                  no longer offered)
+ *   non-breaking - additions, relaxed requirements, widened request enums
+ * Each change is { code, path, message }.
+ */
+class SpecDiff {
+    static compare(before, after) {
+        const diff = new SpecDiff(before, after);
+        diff.comparePaths();
+        diff.compareSecuritySchemes();
+
+        return {
+            breaking: diff.breaking,
+            nonBreaking: diff.nonBreaking,
+            hasBreakingChanges: diff.breaking.length > 0,
+            hasChanges: diff.breaking.length + diff.nonBreaking.length > 0,
+            fromVersion: before.info?.version || null,
+            toVersion: after.info?.version || null
+        };
+    }
+
+    constructor(before, after) {
+        this.before = before;
+        this.after = after;
+        this.breaking = [];
+        this.nonBreaking = [];
+    }
+
+    add(breaking, code, path, message) {
+        (breaking ? this.breaking : this.nonBreaking).push({ code, path, message });
+    }
+
+    comparePaths() {
+        const beforePaths = this.before.paths || {};
+        const afterPaths = this.after.paths || {};
+
+        for (const path of Object.keys(beforePaths)) {
+            if (!afterPaths[path]) {
+                this.add(true, 'path-removed', path, `Path ${path} was removed`);
+                continue;
+            }
+
+            for (const method of HTTP_METHODS) {
+                const oldOperation = beforePaths[path][method];
+                const newOperation = afterPaths[path][method];
+                const location = `${method.toUpperCase()} ${path}`;
+
+                if (oldOperation && !newOperation) {
+                    this.add(true, 'operation-removed', location, `Operation ${location} was removed`);
+                } else if (!oldOperation && newOperation) {
+                    this.add(false, 'operation-added', location, `Operation ${location} was added`);
+                } else if (oldOperation && newOperation) {
+                    this.compareOperation(location, beforePaths[path], oldOperation, afterPaths[path], newOperation);
+                }
+            }
+        }
+
+        for (const path of Object.keys(afterPaths)) {
+            if (!beforePaths[path]) {
+                this.add(false, 'path-added', path, `Path ${path} was added`);
+            }
+        }
+    }
+
+    compareOperation(location, oldPathItem, oldOperation, newPathItem, newOperation) {
+        this.compareParameters(
+            location,
+            [...(oldPathItem.parameters || []), ...(oldOperation.parameters || [])],
+            [...(newPathItem.parameters || []), ...(newOperation.parameters || [])]
+        );
+
+        const oldBody = oldOperation.requestBody;
+        const newBody = newOperation.requestBody;
+        if (!oldBody?.required && newBody?.required) {
+            this.add(true, 'request-body-required', location, `${location} now requires a request body`);
+        }
+        if (oldBody && newBody) {
+            this.compareSchema(
+                `${location} request`,
+                this.resolve(this.before, SpecDiff.jsonSchema(oldBody)),
+                this.resolve(this.after, SpecDiff.jsonSchema(newBody)),
+                'request'
+            );
+        }
+
+        for (const [status, oldResponse] of Object.entries(oldOperation.responses || {})) {
+            const newResponse = newOperation.responses?.[status];
+
+            if (!newResponse) {
+                this.add(/^2/.test(status), 'response-removed', `${location} ${status}`, `${location} no longer returns ${status}`);
+                continue;
+            }
+
+            this.compareSchema(
+                `${location} ${status} response`,
+                this.resolve(this.before, SpecDiff.jsonSchema(oldResponse)),
+                this.resolve(this.after, SpecDiff.jsonSchema(newResponse)),
+                'response'
+            );
+        }
+
+        this.compareSecurity(
+            location,
+            oldOperation.security ?? this.before.security ?? [],
+            newOperation.security ?? this.after.security ?? []
+        );
+    }
+
+    compareParameters(location, oldParameters, newParameters) {
+        const key = (parameter) => `${parameter.in}:${parameter.name}`;
+        const oldByKey = new Map(oldParameters.map(parameter => [key(parameter), parameter]));
+        const newByKey = new Map(newParameters.map(parameter => [key(parameter), parameter]));
+
+        for (const [name, parameter] of newByKey) {
+            const previous = oldByKey.get(name);
+            const where = `${location} ${parameter.in} parameter ${parameter.name}`;
+
+            if (!previous) {
+                this.add(Boolean(parameter.required), parameter.required ? 'required-parameter-added' : 'parameter-added', where,
+                    `${where} was added${parameter.required ? ' as required' : ''}`);
+            } else {
+                if (!previous.required && parameter.required) {
+                    this.add(true, 'parameter-now-required', where, `${where} is now required`);
+                }
+                this.compareSchema(where, this.resolve(this.before, previous.schema), this.resolve(this.after, parameter.schema), 'request');
+            }
+        }
+
+        for (const [name, parameter] of oldByKey) {
+            if (!newByKey.has(name)) {
+                const where = `${location} ${parameter.in} parameter ${parameter.name}`;
+                this.add(false, 'parameter-removed', where, `${where} was removed`);
+            }
+        }
+    }
+
+    /**
+     * `direction` is 'request' (what consumers send) or 'response' (what they read)
+     */
+    compareSchema(where, oldSchema, newSchema, direction, depth = 0) {
+        if (!oldSchema || !newSchema || depth > 8) {
+            return;
+        }
+
+        if (oldSchema.type && newSchema.type && JSON.stringify(oldSchema.type) !== JSON.stringify(newSchema.type)) {
+            this.add(true, 'type-changed', where, `${where} changed type from ${oldSchema.type} to ${newSchema.type}`);
+            return;
+        }
+
+        if (oldSchema.enum || newSchema.enum) {
+            this.compareEnum(where, oldSchema.enum, newSchema.enum, direction);
+        }
+
+        const oldProperties = oldSchema.properties || {};
+        const newProperties = newSchema.properties || {};
+        const oldRequired = new Set(oldSchema.required || []);
+        const newRequired = new Set(newSchema.required || []);
+
+        for (const [name, property] of Object.entries(newProperties)) {
+            const field = `${where}.${name}`;
+
+            if (!oldProperties[name]) {
+                const required = newRequired.has(name);
+                this.add(direction === 'request' && required, required ? 'required-field-added' : 'field-added', field,
+                    `${field} was added${required ? ' as required' : ''}`);
+                continue;
+            }
+
+            if (direction === 'request' && !oldRequired.has(name) && newRequired.has(name)) {
+                this.add(true, 'field-now-required', field, `${field} is now required`);
+            }
+            if (direction === 'response' && oldRequired.has(name) && !newRequired.has(name)) {
+                this.add(true, 'field-now-optional', field, `${field} may no longer be returned`);
+            }
+
+            this.compareSchema(field, this.resolve(this.before, oldProperties[name]), this.resolve(this.after, property), direction, depth + 1);
+        }
+
+        for (const name of Object.keys(oldProperties)) {
+            if (!newProperties[name]) {
+                const field = `${where}.${name}`;
+                this.add(direction === 'response', 'field-removed', field, `${field} was removed`);
+            }
+        }
+
+        if (oldSchema.items && newSchema.items) {
+            this.compareSchema(`${where}[]`, this.resolve(this.before, oldSchema.items), this.resolve(this.after, newSchema.items), direction, depth + 1);
+        }
+    }
+
+    compareEnum(where, oldValues, newValues, direction) {
+        if (!newValues) {
+            this.add(direction === 'response', 'enum-removed', where, `${where} no longer restricts its values`);
+            return;
+        }
+        if (!oldValues) {
+            this.add(direction === 'request', 'enum-added', where, `${where} now only accepts ${newValues.join(', ')}`);
+            return;
+        }
+
+        const removed = oldValues.filter(value => !newValues.includes(value));
+        const added = newValues.filter(value => !oldValues.includes(value));
+
+        // Requests break when accepted values disappear, responses when new values appear
+        if (removed.length > 0) {
+            this.add(direction === 'request', 'enum-narrowed', where, `${where} no longer allows ${removed.join(', ')}`);
+        }
+        if (added.length > 0) {
+            this.add(direction === 'response', 'enum-widened', where, `${where} now allows ${added.join(', ')}`);
+        }
+    }
+
+    /**
+     * Credentials that met an old requirement must still meet a new one:
+     * same schemes, and no OAuth2 scope the old requirement did not ask for
+     */
+    compareSecurity(location, oldSecurity, newSecurity) {
+        const describe = (security) => security.map(SpecDiff.describeRequirement).sort();
+        const oldRequirements = describe(oldSecurity);
+        const newRequirements = describe(newSecurity);
+
+        if (JSON.stringify(oldRequirements) === JSON.stringify(newRequirements)) {
+            return;
+        }
+
+        const isPublic = (security) => security.length === 0 || security.some(requirement => Object.keys(requirement).length === 0);
+        const stillAccepted = (requirement) => newSecurity.some(candidate => SpecDiff.satisfies(requirement, candidate));
+        const breaking = !isPublic(newSecurity) && (isPublic(oldSecurity) || !oldSecurity.every(stillAccepted));
+
+        this.add(breaking, 'security-changed', location,
+            `${location} security changed from [${oldRequirements.join(', ') || 'none'}] to [${newRequirements.join(', ') || 'none'}]`);
+    }
+
+    /**
+     * OAuth2 scopes a flow no longer offers cannot be requested by consumers anymore
+     */
+    compareSecuritySchemes() {
+        const oldSchemes = this.before.components?.securitySchemes || {};
+        const newSchemes = this.after.components?.securitySchemes || {};
+
+        for (const [name, scheme] of Object.entries(oldSchemes)) {
+            if (scheme.type !== 'oauth2' || newSchemes[name]?.type !== 'oauth2') {
+                continue;
+            }
+
+            for (const [flow, definition] of Object.entries(scheme.flows || {})) {
+                const where = `securitySchemes.${name}.flows.${flow}`;
+                const next = newSchemes[name].flows?.[flow];
+
+                if (!next) {
+                    this.add(true, 'oauth2-flow-removed', where, `${where} was removed`);
+                    continue;
+                }
+
+                const oldScopes = Object.keys(definition.scopes || {});
+                const newScopes = Object.keys(next.scopes || {});
+                const removed = oldScopes.filter(scope => !newScopes.includes(scope));
+                const added = newScopes.filter(scope => !oldScopes.includes(scope));
+
+                if (removed.length > 0) {
+                    this.add(true, 'oauth2-scope-removed', where, `${where} no longer offers ${removed.join(', ')}`);
+                }
+                if (added.length > 0) {
+                    this.add(false, 'oauth2-scope-added', where, `${where} now offers ${added.join(', ')}`);
+                }
+            }
+        }
+    }
+
+    resolve(spec, schema, seen = 0) {
+        if (!schema?.$ref || seen > 10) {
+            return schema;
+        }
+
+        const name = schema.$ref.match(/^#\/components\/schemas\/(.+)$/)?.[1];
+        return this.resolve(spec, spec.components?.schemas?.[name], seen + 1);
+    }
+
+    static describeRequirement(requirement) {
+        return Object.keys(requirement).sort()
+            .map(name => requirement[name]?.length > 0 ? `${name}(${[...requirement[name]].sort().join(' ')})` : name)
+            .join('+');
+    }
+
+    // Credentials meeting `held` also meet `required`: same schemes, no extra scopes
+    static satisfies(held, required) {
+        const names = Object.keys(held).sort();
+
+        return JSON.stringify(names) === JSON.stringify(Object.keys(required).sort()) &&
+            names.every(name => (required[name] || []).every(scope => (held[name] || []).includes(scope)));
+    }
+
+    static jsonSchema(bodyOrResponse) {
+        return bodyOrResponse?.content?.['application/json']?.schema;
+    }
+
+    static summarize(diff) {
+        return [
+            ...diff.breaking.map(change => `! ${change.message}`),
+            ...diff.nonBreaking.map(change => `+ ${change.message}`)
+        ];
+    }
+}
+
+module.exports = { SpecDiff };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { Versions } = require('../utils/versions');
+const { SpecDiff } = require('./spec-diff');
+
+class BreakingChangeError extends Error {
+    constructor(agentId, version, diff) {
+        super(`Spec ${version} of agent ${agentId} has ${diff.breaking.length} breaking change(s) but info.version was not bumped from ${diff.fromVersion}`);
+        this.name = 'BreakingChangeError';
+        this.status = 409;
+        this.retryable = false;
+        this.agentId = agentId;
+        this.version = version;
+        this.diff = diff;
+    }
+}
+
+/**
+ * SpecVersionStore - Historique des specs OpenAPI publiées par agent
+ *
+ * Every published spec is compared with the previous one. Unchanged specs
+ * are not stored again; a breaking change is refused unless info.version
+ * is greater than the previously published version.
+ *
+ * Config (AgentWeaver config.specs):
+ *   {
+ *     directory: './data/specs',     // optional, one JSON file per agent
+ *     maxVersions: 50
+ *   }
+ */
+class SpecVersionStore {
+    constructor(config = {}) {
+        this.logger = new Logger('SpecVersionStore');
+        this.directory = config.directory || null;
+        this.maxVersions = config.maxVersions || 50;
+        this.histories = new Map(); // agentId -> [{ revision, version, hash, spec, diff, publishedAt }]
+    }
+
+    /**
+     * Returns { published, entry, diff }. `options.force` publishes a
+     * breaking change without a version bump.
+     */
+    publish(agentId, spec, options = {}) {
+        const history = this.getHistory(agentId);
+        const previous = history[history.length - 1];
+        const version = spec.info?.version || '0.0.0';
+        const hash = SpecVersionStore.hash(spec);
+
+        if (previous && previous.hash === hash) {
+            return { published: false, entry: previous, diff: null };
+        }
+
+        const diff = previous ? SpecDiff.compare(previous.spec, spec) : null;
+
+        if (diff?.hasBreakingChanges && Versions.compare(version, previous.version) <= 0) {
+            if (!options.force) {
+                throw new BreakingChangeError(agentId, version, diff);
+            }
+            this.logger.warn(`Forcing ${diff.breaking.length} breaking change(s) into ${agentId} ${version}`);
+        }
+
+        const entry = {
+            revision: previous ? previous.revision + 1 : 1,
+            version,
+            hash,
+            spec: JSON.parse(JSON.stringify(spec)),
+            diff,
+            publishedAt: new Date().toISOString()
+        };
+
+        history.push(entry);
+        if (history.length > this.maxVersions) {
+            history.shift();
+        }
+
+        this.save(agentId);
+        this.logger.debug(`Published spec ${version} (revision ${entry.revision}) of agent ${agentId}`);
+
+        return { published: true, entry, diff };
+    }
+
+    has(agentId) {
+        return this.getHistory(agentId).length > 0;
+    }
+
+    list(agentId) {
+        return this.getHistory(agentId).map(entry => ({
+            revision: entry.revision,
+            version: entry.version,
+            publishedAt: entry.publishedAt,
+            breaking: entry.diff?.breaking.length || 0,
+            nonBreaking: entry.diff?.nonBreaking.length || 0
+        }));
+    }
+
+    latest(agentId) {
+        const history = this.getHistory(agentId);
+        return history[history.length - 1] || null;
+    }
+
+    /**
+     * `ref` is a revision number or an info.version (latest revision with
+     * that version wins)
+     */
+    get(agentId, ref) {
+        const history = this.getHistory(agentId);
+        const entry = /^\d+$/.test(String(ref))
+            ? history.find(candidate => candidate.revision === Number(ref))
+            : [...history].reverse().find(candidate => candidate.version === ref);
+
+        if (!entry) {
+            throw new Error(`Spec ${ref} not found for agent ${agentId}`);
+        }
+
+        return entry;
+    }
+
+    diff(agentId, from, to) {
+        const target = to === undefined ? this.latest(agentId) : this.get(agentId, to);
+        return SpecDiff.compare(this.get(agentId, from).spec, target.spec);
+    }
+
+    remove(agentId) {
+        this.histories.delete(agentId);
+
+        if (this.directory) {
+            fs.rmSync(this.fileOf(agentId), { force: true });
+        }
+    }
+
+    getHistory(agentId) {
+        if (!this.histories.has(agentId)) {
+            this.histories.set(agentId, this.load(agentId));
+        }
+
+        return this.histories.get(agentId);
+    }
+
+    load(agentId) {
+        if (!this.directory || !fs.existsSync(this.fileOf(agentId))) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.fileOf(agentId), 'utf8')).versions || [];
+        } catch (error) {
+            this.logger.warn(`Failed to load spec history of ${agentId}:`, error.message);
+            return [];
+        }
+    }
+
+    save(agentId) {
+        if (!this.directory) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.writeFileSync(this.fileOf(agentId), JSON.stringify({ agentId, versions: this.histories.get(agentId) }, null, 2));
+        } catch (error) {
+            this.logger.warn(`Failed to persist spec history of ${agentId}:`, error.message);
+        }
+    }
+
+    fileOf(agentId) {
+        return path.join(this.directory, `${agentId.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+    }
+
+    static hash(spec) {
+        return crypto.createHash('sha256').update(JSON.stringify(spec)).digest('hex');
+    }
+}
+
+module.exports = { SpecVersionStore, BreakingChangeError };
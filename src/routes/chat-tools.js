@@ -0,0 +1,56 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Chat tool routes - Outils du chat et confirmations en attente
+ *
+ * Every route needs an authenticated user (UserAuthenticator) and acts as
+ * that user.
+ *
+ *   GET    /api/chat-tools                                tools, with `allowed` for the user
+ *   GET    /api/chat-tools/confirmations                  destructive calls waiting for the user
+ *   POST   /api/chat-tools/confirmations/:confirmationId  runs the call
+ *   DELETE /api/chat-tools/confirmations/:confirmationId
+ */
+function createChatToolRoutes({ agentWeaver, authenticator }) {
+    const router = express.Router();
+    const logger = new Logger('ChatToolRoutes');
+    const chatTools = agentWeaver.chatTools;
+
+    router.use(authenticator.middleware());
+
+    const sendError = (res, error) => {
+        logger.error('API error on chat tool confirmation:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    };
+
+    router.get('/', (req, res) => {
+        res.json({ enabled: chatTools.enabled, tools: chatTools.list({ userId: req.userId }) });
+    });
+
+    router.get('/confirmations', (req, res) => {
+        res.json({ confirmations: chatTools.listPending(req.userId) });
+    });
+
+    router.post('/confirmations/:confirmationId', async (req, res) => {
+        try {
+            const outcome = await agentWeaver.confirmChatTool(req.params.confirmationId, { userId: req.userId });
+            res.status(outcome.status === 'ok' ? 200 : 422).json(outcome);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/confirmations/:confirmationId', (req, res) => {
+        try {
+            const confirmation = chatTools.cancel(req.params.confirmationId, { userId: req.userId });
+            res.json({ cancelled: confirmation.id });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createChatToolRoutes };
@@ -0,0 +1,93 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Conversation routes - Sessions de conversation
+ *
+ * Every route needs an authenticated user (UserAuthenticator) and only
+ * sees that user's sessions; other sessions answer 404.
+ *
+ *   GET    /api/conversations                        the user's sessions, most recent first
+ *   POST   /api/conversations                        { title }
+ *   GET    /api/conversations/:sessionId             transcript and running summary
+ *   POST   /api/conversations/:sessionId/messages    { message } -> answer in the session
+ *   POST   /api/conversations/:sessionId/fork        { messageCount, title }
+ *   DELETE /api/conversations/:sessionId
+ */
+function createConversationRoutes({ agentWeaver, authenticator }) {
+    const router = express.Router();
+    const logger = new Logger('ConversationRoutes');
+    const conversations = agentWeaver.conversations;
+
+    router.use(authenticator.middleware());
+
+    const owns = (req) => conversations.has(req.params.sessionId) &&
+        conversations.get(req.params.sessionId).owner === req.userId;
+
+    const notFound = (res, sessionId) => res.status(404).json({ error: `Conversation session ${sessionId} not found` });
+
+    router.get('/', (req, res) => {
+        res.json({ sessions: conversations.list({ owner: req.userId }) });
+    });
+
+    router.post('/', (req, res) => {
+        res.status(201).json(conversations.create(req.userId, { title: req.body.title }));
+    });
+
+    router.get('/:sessionId', (req, res) => {
+        if (!owns(req)) {
+            return notFound(res, req.params.sessionId);
+        }
+
+        res.json(conversations.get(req.params.sessionId));
+    });
+
+    router.post('/:sessionId/messages', async (req, res) => {
+        const { sessionId } = req.params;
+
+        if (!owns(req)) {
+            return notFound(res, sessionId);
+        }
+        if (!req.body.message) {
+            return res.status(400).json({ error: 'A message is required' });
+        }
+
+        try {
+            const response = await agentWeaver.processMessage(req.body.message, {
+                sessionId,
+                userId: req.userId
+            });
+            res.json({ sessionId, ...response });
+        } catch (error) {
+            logger.error('API error processing session message:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    router.post('/:sessionId/fork', (req, res) => {
+        const { messageCount, title } = req.body;
+
+        if (!owns(req)) {
+            return notFound(res, req.params.sessionId);
+        }
+
+        try {
+            res.status(201).json(conversations.fork(req.params.sessionId, { owner: req.userId, messageCount, title }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.delete('/:sessionId', (req, res) => {
+        if (!owns(req)) {
+            return notFound(res, req.params.sessionId);
+        }
+
+        conversations.remove(req.params.sessionId);
+        res.json({ deleted: req.params.sessionId });
+    });
+
+    return router;
+}
+
+module.exports = { createConversationRoutes };
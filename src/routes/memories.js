@@ -0,0 +1,69 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Memory entry routes - Ce dont AutoWeave se souvient pendant le chat
+ *
+ * Every route needs an authenticated user (UserAuthenticator). Entries of
+ * other users answer 403, unknown entries 404, and so does searching the
+ * memories of an agent the user does not own.
+ *
+ *   GET    /api/memories/search?q=&agentId=   memories a chat message of the user would retrieve
+ *   PUT    /api/memories/:memoryId            { content } corrects an entry
+ *   DELETE /api/memories/:memoryId            forgets an entry
+ */
+function createMemoryRoutes({ agentWeaver, authenticator }) {
+    const router = express.Router();
+    const logger = new Logger('MemoryRoutes');
+
+    router.use(authenticator.middleware());
+
+    const sendError = (res, error) => {
+        logger.error('API error on memory entry:', error);
+        res.status(error.status || (error.message.includes('does not support') ? 501 : 500)).json({ error: error.message });
+    };
+
+    router.get('/search', async (req, res) => {
+        const { q, agentId } = req.query;
+
+        if (!q) {
+            return res.status(400).json({ error: 'The q query parameter is required' });
+        }
+
+        if (agentId && !agentWeaver.ownsAgent(agentId, req.userId)) {
+            return res.status(403).json({ error: `Agent ${agentId} does not belong to ${req.userId}` });
+        }
+
+        try {
+            const memories = await agentWeaver.retrieveChatMemories(q, { userId: req.userId, agentId });
+            res.json({ memories });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.put('/:memoryId', async (req, res) => {
+        if (typeof req.body.content !== 'string' || !req.body.content.trim()) {
+            return res.status(400).json({ error: 'The corrected content is required' });
+        }
+
+        try {
+            res.json(await agentWeaver.correctMemory(req.params.memoryId, req.body.content.trim(), req.userId));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:memoryId', async (req, res) => {
+        try {
+            await agentWeaver.forgetMemory(req.params.memoryId, req.userId);
+            res.json({ deleted: req.params.memoryId });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMemoryRoutes };
@@ -0,0 +1,156 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { AnpLinter } = require('../openapi/anp-linter');
+const { sendClientPackage } = require('./specs');
+
+/**
+ * OpenAPI routes - Outils autour des specs OpenAPI des agents
+ *
+ *   GET  /api/openapi/lint/rules
+ *   POST /api/openapi/lint?format=json|text     { spec, environment, rules }
+ *   GET  /api/openapi/security-profiles
+ *   POST /api/openapi/import                    { spec | url, name, serverUrl, deploy }
+ *   POST /api/openapi/client                    { spec, packageName } -> client .tgz
+ *   GET  /api/openapi/agents                    agent APIs served under /api/agents/:agentId
+ *   GET  /api/openapi/asyncapi                  AsyncAPI 3.0 document of AG-UI and agent webhooks
+ *   GET  /api/openapi/tools                     MCP tool definitions of the agent APIs
+ *   POST /api/openapi/tools/:name/call          { arguments }, with the agent API's credentials
+ *   POST /api/openapi/contract-tests/:agentId   { baseUrl, mock, credentials, operations, negative }
+ *   GET  /api/openapi/contract-tests/:agentId   last report
+ */
+function createOpenAPIRoutes({ agentWeaver, autoweave }) {
+    const router = express.Router();
+    const logger = new Logger('OpenAPIRoutes');
+
+    router.get('/lint/rules', (req, res) => {
+        res.json({ rules: AnpLinter.rules });
+    });
+
+    router.get('/security-profiles', (req, res) => {
+        res.json({ profiles: agentWeaver.securityProfiles.list() });
+    });
+
+    router.post('/lint', (req, res) => {
+        const { spec, environment, rules } = req.body;
+
+        if (!spec || typeof spec !== 'object') {
+            return res.status(400).json({ error: 'An OpenAPI spec object is required' });
+        }
+
+        try {
+            const report = agentWeaver.lintOpenAPISpec(spec, { environment, rules });
+
+            if (req.query.format === 'text') {
+                return res.type('text/plain').send(AnpLinter.formatText(report));
+            }
+
+            res.json(report);
+        } catch (error) {
+            logger.error('API error linting spec:', error);
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.post('/import', async (req, res) => {
+        const { spec, url, name, serverUrl, deploy } = req.body;
+
+        if (!spec && !url) {
+            return res.status(400).json({ error: 'An OpenAPI spec or url is required' });
+        }
+
+        // A string spec would be read as a file path on this server
+        if (spec ? typeof spec !== 'object' : typeof url !== 'string') {
+            return res.status(400).json({ error: 'spec must be an OpenAPI object and url an http(s) URL' });
+        }
+
+        try {
+            const result = await autoweave.createAgentFromOpenAPI(spec || url, {
+                name,
+                serverUrl,
+                deploy: deploy !== false,
+                untrusted: true
+            });
+            res.status(201).json(result);
+        } catch (error) {
+            logger.error('API error importing spec:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+        }
+    });
+
+    router.post('/client', (req, res) => {
+        const { spec, packageName, packageVersion } = req.body;
+
+        if (!spec || typeof spec !== 'object' || !spec.paths) {
+            return res.status(400).json({ error: 'An OpenAPI spec object is required' });
+        }
+
+        try {
+            sendClientPackage(res, agentWeaver.generateClientPackage(spec, { packageName, packageVersion }));
+        } catch (error) {
+            logger.error('API error generating client:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/agents', (req, res) => {
+        res.json({ agents: autoweave.agentApiGateway.list() });
+    });
+
+    router.get('/asyncapi', (req, res) => {
+        try {
+            res.json(autoweave.getAsyncAPISpec());
+        } catch (error) {
+            logger.error('API error generating AsyncAPI document:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/tools', (req, res) => {
+        res.json({ tools: autoweave.listAgentTools() });
+    });
+
+    router.post('/tools/:name/call', async (req, res) => {
+        try {
+            // The caller's own credentials are checked against the operation's security
+            res.json(await autoweave.callAgentTool(req.params.name, req.body.arguments || {}, {
+                headers: req.headers,
+                socket: req.socket
+            }));
+        } catch (error) {
+            logger.error('API error calling agent tool:', error);
+            res.status(error.message.startsWith('Unknown agent tool') ? 404 : 500).json({ error: error.message });
+        }
+    });
+
+    router.post('/contract-tests/:agentId', async (req, res) => {
+        const { baseUrl, mock, credentials, operations, negative } = req.body;
+
+        try {
+            const report = await autoweave.runContractTests(req.params.agentId, {
+                baseUrl,
+                mock: mock === true,
+                credentials,
+                operations,
+                negative
+            });
+            res.json(report);
+        } catch (error) {
+            logger.error('API error running contract tests:', error);
+            res.status(error.message.startsWith('No OpenAPI spec') ? 404 : 500).json({ error: error.message });
+        }
+    });
+
+    router.get('/contract-tests/:agentId', (req, res) => {
+        const report = autoweave.getContractReport(req.params.agentId);
+
+        if (!report) {
+            return res.status(404).json({ error: 'No contract test report for this agent' });
+        }
+
+        res.json(report);
+    });
+
+    return router;
+}
+
+module.exports = { createOpenAPIRoutes };
@@ -0,0 +1,133 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Spec routes - Versions publiées des specs OpenAPI des agents
+ *
+ *   GET  /api/specs/:agentId                        published versions
+ *   GET  /api/specs/:agentId/diff?from=&to=         revision numbers or info.version
+ *   GET  /api/specs/:agentId/client.tgz?version=    typed client package of a published spec
+ *   GET  /api/specs/:agentId/asyncapi?version=      AsyncAPI 3.0 document of the agent's webhooks
+ *   GET  /api/specs/:agentId/:ref                   spec of one revision or version
+ *   POST /api/specs/:agentId                        { spec | workflow, version, force }
+ *
+ * Publishing a breaking change without bumping info.version answers 409
+ * with the diff.
+ */
+function createSpecRoutes({ agentWeaver, autoweave }) {
+    const router = express.Router();
+    const logger = new Logger('SpecRoutes');
+    const specVersions = agentWeaver.specVersions;
+
+    router.get('/:agentId', (req, res) => {
+        if (!specVersions.has(req.params.agentId)) {
+            return res.status(404).json({ error: 'No published spec for this agent' });
+        }
+
+        res.json({
+            agentId: req.params.agentId,
+            versions: specVersions.list(req.params.agentId)
+        });
+    });
+
+    router.get('/:agentId/diff', (req, res) => {
+        const { from, to } = req.query;
+
+        if (!from) {
+            return res.status(400).json({ error: 'The from query parameter is required' });
+        }
+
+        try {
+            res.json(specVersions.diff(req.params.agentId, from, to));
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+
+    router.get('/:agentId/client.tgz', (req, res) => {
+        try {
+            const entry = req.query.version
+                ? specVersions.get(req.params.agentId, req.query.version)
+                : specVersions.latest(req.params.agentId);
+
+            if (!entry) {
+                return res.status(404).json({ error: 'No published spec for this agent' });
+            }
+
+            sendClientPackage(res, agentWeaver.generateClientPackage(entry.spec));
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+
+    router.get('/:agentId/asyncapi', (req, res) => {
+        let entry;
+
+        try {
+            entry = req.query.version
+                ? specVersions.get(req.params.agentId, req.query.version)
+                : specVersions.latest(req.params.agentId);
+        } catch (error) {
+            return res.status(404).json({ error: error.message });
+        }
+
+        if (!entry) {
+            return res.status(404).json({ error: 'No published spec for this agent' });
+        }
+
+        try {
+            res.json(agentWeaver.generateAgentAsyncAPISpec(entry.spec));
+        } catch (error) {
+            logger.error('API error generating AsyncAPI document:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/:agentId/:ref', (req, res) => {
+        try {
+            const entry = specVersions.get(req.params.agentId, req.params.ref);
+            res.json(entry.spec);
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+
+    router.post('/:agentId', async (req, res) => {
+        const { spec, workflow, version, force } = req.body;
+        const agentId = req.params.agentId;
+
+        if (!spec && !workflow) {
+            return res.status(400).json({ error: 'A spec or a workflow is required' });
+        }
+
+        try {
+            const target = { ...(workflow || {}), id: agentId, name: workflow?.name || spec?.info?.['x-agent-name'] || agentId };
+            const { spec: published, ...result } = await agentWeaver.publishOpenAPISpec(target, { spec, version, force: force === true });
+
+            // A mounted agent API starts serving the new version right away
+            if (result.published && autoweave.agentApiGateway.has(agentId)) {
+                autoweave.agentApiGateway.remount(agentId, published);
+            }
+
+            res.status(result.published ? 201 : 200).json(result);
+        } catch (error) {
+            if (error.name === 'BreakingChangeError') {
+                return res.status(409).json({ error: error.message, diff: error.diff });
+            }
+            logger.error('API error publishing spec:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+function sendClientPackage(res, clientPackage) {
+    const filename = `${clientPackage.name}-${clientPackage.version}.tgz`.replace(/[^A-Za-z0-9._-]/g, '_');
+
+    res.set('Content-Type', 'application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(clientPackage.tarball);
+}
+
+module.exports = { createSpecRoutes, sendClientPackage };
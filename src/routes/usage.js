@@ -0,0 +1,52 @@
+const express = require('express');
+
+/**
+ * Usage routes - Consultation du registre d'utilisation LLM
+ *
+ *   GET /api/usage?userId=&agentId=&model=&operation=&from=&to=&limit=
+ *   GET /api/usage/budgets/:userId
+ *
+ * Callers see their own usage and budget; admins (auth.admins) may name
+ * any user, or leave out userId to see every user.
+ */
+function createUsageRoutes({ usageLedger, authenticator }) {
+    const router = express.Router();
+
+    router.use(authenticator.middleware());
+
+    const mayView = (req, userId) => userId === req.userId || authenticator.isAdmin(req.userId);
+
+    router.get('/', (req, res) => {
+        const userId = req.query.userId || (authenticator.isAdmin(req.userId) ? undefined : req.userId);
+
+        if (userId !== undefined && !mayView(req, userId)) {
+            return res.status(403).json({ error: 'Usage of other users requires admin access' });
+        }
+
+        const filters = {
+            userId,
+            agentId: req.query.agentId,
+            model: req.query.model,
+            operation: req.query.operation,
+            from: req.query.from,
+            to: req.query.to
+        };
+
+        res.json({
+            summary: usageLedger.summarize(filters),
+            entries: usageLedger.query({ ...filters, limit: req.query.limit || 100 })
+        });
+    });
+
+    router.get('/budgets/:userId', (req, res) => {
+        if (!mayView(req, req.params.userId)) {
+            return res.status(403).json({ error: 'Budgets of other users require admin access' });
+        }
+
+        res.json(usageLedger.getBudgetStatus(req.params.userId));
+    });
+
+    return router;
+}
+
+module.exports = { createUsageRoutes };
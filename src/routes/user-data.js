@@ -0,0 +1,63 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+
+/**
+ * User data routes - Export, import et effacement des données d'un utilisateur
+ *
+ * Every route needs an authenticated user (UserAuthenticator) and only acts
+ * on that user's data: another :userId answers 403. Export and erasure cover
+ * the agents the user owns.
+ *
+ *   GET    /api/users/:userId/archive   JSON archive (memories, agents, configurations, conversations)
+ *   POST   /api/users/:userId/archive   archive body, imported for :userId
+ *   DELETE /api/users/:userId/data      erasure report per store
+ */
+function createUserDataRoutes({ agentWeaver, authenticator }) {
+    const router = express.Router();
+    const logger = new Logger('UserDataRoutes');
+
+    router.use(authenticator.middleware());
+
+    router.param('userId', (req, res, next, userId) => {
+        if (userId !== req.userId) {
+            return res.status(403).json({ error: `The data of ${userId} is not accessible to ${req.userId}` });
+        }
+        next();
+    });
+
+    router.get('/:userId/archive', async (req, res) => {
+        try {
+            const archive = await agentWeaver.exportUserData(req.userId);
+            const filename = `autoweave-${req.userId.replace(/[^A-Za-z0-9._-]/g, '_')}.json`;
+
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.json(archive);
+        } catch (error) {
+            logger.error('API error exporting user data:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.post('/:userId/archive', async (req, res) => {
+        try {
+            const report = await agentWeaver.importUserData(req.body, { userId: req.userId });
+            res.status(201).json(report);
+        } catch (error) {
+            logger.error('API error importing user data:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+        }
+    });
+
+    router.delete('/:userId/data', async (req, res) => {
+        try {
+            res.json(await agentWeaver.eraseUserData(req.userId));
+        } catch (error) {
+            logger.error('API error erasing user data:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createUserDataRoutes };
@@ -0,0 +1,112 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Workflow routes - Raffinement itératif et historique des révisions
+ *
+ * Every route needs an authenticated user (UserAuthenticator) and only
+ * reaches the agents that user owns: others answer 403. Refining a workflow
+ * AutoWeave has never seen starts its history, owned by the user.
+ *
+ *   POST /api/workflows/refine                            { workflow, feedback }
+ *   GET  /api/workflows/:id/revisions
+ *   GET  /api/workflows/:id/revisions/:revision
+ *   POST /api/workflows/:id/revisions/back
+ *   POST /api/workflows/:id/revisions/forward
+ *   POST /api/workflows/:id/revisions/:revision/checkout
+ */
+function createWorkflowRoutes({ agentWeaver, authenticator }) {
+    const router = express.Router();
+    const logger = new Logger('WorkflowRoutes');
+    const revisions = agentWeaver.revisions;
+
+    router.use(authenticator.middleware());
+
+    const forbidden = (res, workflowId, userId) => res.status(403).json({ error: `Workflow ${workflowId} does not belong to ${userId}` });
+
+    router.post('/refine', async (req, res) => {
+        try {
+            const { workflow, workflowId, feedback } = req.body;
+            const current = workflow || (workflowId && revisions.has(workflowId)
+                ? revisions.getCurrent(workflowId).workflow
+                : null);
+
+            if (!current) {
+                return res.status(400).json({ error: 'A workflow or a known workflowId is required' });
+            }
+
+            if (!feedback) {
+                return res.status(400).json({ error: 'Feedback is required' });
+            }
+
+            if (current.id && revisions.has(current.id) && !agentWeaver.ownsAgent(current.id, req.userId)) {
+                return forbidden(res, current.id, req.userId);
+            }
+
+            const result = await agentWeaver.refineWorkflow(current, feedback, { userId: req.userId });
+            res.json(result);
+        } catch (error) {
+            logger.error('API error refining workflow:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+        }
+    });
+
+    // Known workflows of other users answer 403 on every /:id route
+    router.param('id', (req, res, next, id) => {
+        if (revisions.has(id) && !agentWeaver.ownsAgent(id, req.userId)) {
+            return forbidden(res, id, req.userId);
+        }
+        next();
+    });
+
+    router.get('/:id/revisions', (req, res) => {
+        if (!revisions.has(req.params.id)) {
+            return res.status(404).json({ error: 'Workflow not found' });
+        }
+
+        res.json({
+            workflowId: req.params.id,
+            revisions: revisions.list(req.params.id)
+        });
+    });
+
+    router.post('/:id/revisions/back', (req, res) => {
+        moveRevision(req, res, () => revisions.stepBack(req.params.id));
+    });
+
+    router.post('/:id/revisions/forward', (req, res) => {
+        moveRevision(req, res, () => revisions.stepForward(req.params.id));
+    });
+
+    router.get('/:id/revisions/:revision', (req, res) => {
+        if (!revisions.has(req.params.id)) {
+            return res.status(404).json({ error: 'Workflow not found' });
+        }
+
+        try {
+            res.json(revisions.get(req.params.id, req.params.revision));
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+
+    router.post('/:id/revisions/:revision/checkout', (req, res) => {
+        moveRevision(req, res, () => revisions.checkout(req.params.id, req.params.revision));
+    });
+
+    function moveRevision(req, res, move) {
+        if (!revisions.has(req.params.id)) {
+            return res.status(404).json({ error: 'Workflow not found' });
+        }
+
+        try {
+            res.json(move());
+        } catch (error) {
+            res.status(409).json({ error: error.message });
+        }
+    }
+
+    return router;
+}
+
+module.exports = { createWorkflowRoutes };
@@ -0,0 +1,317 @@
+const Ajv = require('ajv');
+const { Logger } = require('../utils/logger');
+
+const MAX_RESULT_LENGTH = 8000;
+
+const AGENT_ID = { type: 'string', description: 'Agent id, as returned by listAgents' };
+
+// Granted to callers the permissions config does not name; writes need an explicit grant
+const READ_ONLY_PERMISSIONS = ['agents:read', 'system:read'];
+
+// Added for operations the user starts from an AG-UI form rather than through the model
+const INTERACTIVE_PERMISSIONS = ['agents:write'];
+
+/**
+ * AutoWeave operations offered to the chat model; handlers are provided by
+ * the AutoWeave instance (registerAutoWeaveOperations)
+ */
+const AUTOWEAVE_TOOLS = {
+    createAgent: {
+        description: 'Create and deploy a new agent from a natural language description of what it should do',
+        permission: 'agents:write',
+        parameters: {
+            type: 'object',
+            properties: {
+                description: { type: 'string', minLength: 10, description: 'What the agent should do' }
+            },
+            required: ['description'],
+            additionalProperties: false
+        }
+    },
+    listAgents: {
+        description: 'List the deployed agents with their id, name, description and status',
+        permission: 'agents:read',
+        parameters: { type: 'object', properties: {}, additionalProperties: false }
+    },
+    getAgent: {
+        description: 'Get the status and details of one agent',
+        permission: 'agents:read',
+        parameters: {
+            type: 'object',
+            properties: { agentId: AGENT_ID },
+            required: ['agentId'],
+            additionalProperties: false
+        }
+    },
+    deleteAgent: {
+        description: 'Delete an agent and undeploy it. Call listAgents first to find the id of the agent the user means.',
+        permission: 'agents:delete',
+        destructive: true,
+        parameters: {
+            type: 'object',
+            properties: { agentId: AGENT_ID },
+            required: ['agentId'],
+            additionalProperties: false
+        }
+    },
+    getMetrics: {
+        description: 'Get AutoWeave system metrics: agents, memory, kagent, MCP servers, connected clients and LLM usage',
+        permission: 'system:read',
+        parameters: { type: 'object', properties: {}, additionalProperties: false }
+    },
+    generateConfiguration: {
+        description: 'Generate a deployment configuration (manifests, packages, observability) for an intent such as "a redis cache with monitoring"',
+        permission: 'config:generate',
+        parameters: {
+            type: 'object',
+            properties: {
+                intent: { type: 'string', minLength: 5, description: 'What to configure' },
+                platform: { type: 'string', description: 'Target platform, kubernetes by default' },
+                namespace: { type: 'string' }
+            },
+            required: ['intent'],
+            additionalProperties: false
+        }
+    }
+};
+
+class ToolConfirmationError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ToolConfirmationError';
+        this.status = status;
+        this.retryable = false;
+    }
+}
+
+/**
+ * ChatToolbox - Outils appelables par le modèle pendant le chat
+ *
+ * Each tool has a JSON Schema for its arguments and the permission the
+ * caller needs. Calls run as the caller (caller.userId): tools it lacks the
+ * permission for are neither offered to the model nor executed. Callers get
+ * read-only permissions unless the config grants more. Operations the user
+ * starts from a form (permits(..., { interactive: true })) also get the
+ * `interactive` permissions, so the AG-UI create-agent form works out of the
+ * box. Destructive tools are not run directly: the call is kept as a pending
+ * confirmation the user approves with confirm() (or cancel()).
+ *
+ * Config (AgentWeaver config.chatTools):
+ *   {
+ *     enabled: true,
+ *     maxRounds: 5,                                   // model/tool round trips per message
+ *     confirmationTtl: 600000,                        // ms before a pending call expires
+ *     permissions: {
+ *       default: ['agents:read', 'system:read'],      // granted to every caller (the default)
+ *       users: { alice: ['agents:*', 'system:read', 'config:generate'] },
+ *       interactive: ['agents:write']                  // added for form actions (the default), [] to disable
+ *     }
+ *   }
+ */
+class ChatToolbox {
+    constructor(config = {}) {
+        this.logger = new Logger('ChatToolbox');
+        this.enabled = config.enabled !== false;
+        this.maxRounds = config.maxRounds || 5;
+        this.confirmationTtl = config.confirmationTtl || 10 * 60 * 1000;
+        this.permissions = config.permissions || {};
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        this.tools = new Map(); // name -> { description, parameters, permission, destructive, handler, validate }
+        this.pending = new Map(); // confirmationId -> { id, call, caller, createdAt, expiresAt }
+    }
+
+    get size() {
+        return this.tools.size;
+    }
+
+    /**
+     * definition: { description, parameters, permission, destructive, handler: async (args, caller) => result }
+     */
+    register(name, definition) {
+        if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+            throw new Error(`Invalid tool name: ${name}`);
+        }
+        if (typeof definition.handler !== 'function') {
+            throw new Error(`Tool ${name} requires a handler`);
+        }
+
+        const parameters = definition.parameters || { type: 'object', properties: {} };
+        this.tools.set(name, {
+            description: definition.description || name,
+            parameters,
+            permission: definition.permission || 'tools:use',
+            destructive: definition.destructive === true,
+            handler: definition.handler,
+            validate: this.ajv.compile(parameters)
+        });
+
+        return this;
+    }
+
+    /**
+     * Registers the AutoWeave operations the instance implements
+     */
+    registerAutoWeaveOperations(handlers) {
+        for (const [name, definition] of Object.entries(AUTOWEAVE_TOOLS)) {
+            if (handlers[name]) {
+                this.register(name, { ...definition, handler: handlers[name] });
+            }
+        }
+
+        return this;
+    }
+
+    grantedTo(userId) {
+        return this.permissions.users?.[userId] || this.permissions.default || READ_ONLY_PERMISSIONS;
+    }
+
+    allows(userId, tool, options = {}) {
+        const granted = options.interactive
+            ? [...this.grantedTo(userId), ...(this.permissions.interactive || INTERACTIVE_PERMISSIONS)]
+            : this.grantedTo(userId);
+        const [resource] = tool.permission.split(':');
+
+        return granted.includes('*') || granted.includes(tool.permission) || granted.includes(`${resource}:*`);
+    }
+
+    /**
+     * Whether the user may call the registered tool `name`; pass
+     * { interactive: true } for an operation the user started from a form
+     */
+    permits(userId, name, options = {}) {
+        const tool = this.tools.get(name);
+        return Boolean(tool) && this.allows(userId, tool, options);
+    }
+
+    /**
+     * Tool definitions for the model: only those the caller may use
+     */
+    definitions(caller = {}) {
+        return Array.from(this.tools.entries())
+            .filter(([, tool]) => this.allows(caller.userId, tool))
+            .map(([name, tool]) => ({ name, description: tool.description, parameters: tool.parameters }));
+    }
+
+    list(caller = {}) {
+        return Array.from(this.tools.entries()).map(([name, tool]) => ({
+            name,
+            description: tool.description,
+            permission: tool.permission,
+            destructive: tool.destructive,
+            allowed: this.allows(caller.userId, tool),
+            parameters: tool.parameters
+        }));
+    }
+
+    /**
+     * Runs one model tool call { id, name, arguments } as the caller.
+     * Returns { status: 'ok' | 'error' | 'denied' | 'confirmation-required', result, error, confirmationId }
+     */
+    async execute(call, caller = {}, options = {}) {
+        const tool = this.tools.get(call.name);
+
+        if (!tool) {
+            return { status: 'error', error: `Unknown tool ${call.name}` };
+        }
+        if (!this.allows(caller.userId, tool)) {
+            this.logger.warn(`Tool ${call.name} denied to ${caller.userId || 'anonymous'}`);
+            return { status: 'denied', error: `Permission ${tool.permission} is required to call ${call.name}` };
+        }
+
+        const args = call.arguments || {};
+        if (args._invalidJson !== undefined) {
+            return { status: 'error', error: 'Arguments are not valid JSON' };
+        }
+        if (!tool.validate(args)) {
+            return {
+                status: 'error',
+                error: `Invalid arguments: ${tool.validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`).join(', ')}`
+            };
+        }
+
+        if (tool.destructive && !options.confirmed) {
+            const confirmation = this.requestConfirmation(call, caller);
+            return {
+                status: 'confirmation-required',
+                confirmationId: confirmation.id,
+                error: `${call.name} needs the user's confirmation; it has not been run`
+            };
+        }
+
+        try {
+            this.logger.info(`Running tool ${call.name} for ${caller.userId || 'anonymous'}`);
+            return { status: 'ok', result: await tool.handler(args, caller) };
+        } catch (error) {
+            this.logger.warn(`Tool ${call.name} failed:`, error.message);
+            return { status: 'error', error: error.message };
+        }
+    }
+
+    requestConfirmation(call, caller) {
+        const now = Date.now();
+        const confirmation = {
+            id: `confirm-${now}-${Math.random().toString(36).substring(2, 11)}`,
+            call: { name: call.name, arguments: call.arguments || {} },
+            caller: { userId: caller.userId, sessionId: caller.sessionId },
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.confirmationTtl).toISOString()
+        };
+
+        this.pending.set(confirmation.id, confirmation);
+        return confirmation;
+    }
+
+    /**
+     * Runs a pending destructive call; only its caller can confirm it
+     */
+    async confirm(confirmationId, caller = {}) {
+        const confirmation = this.takePending(confirmationId, caller);
+        const outcome = await this.execute(confirmation.call, caller, { confirmed: true });
+
+        return { ...outcome, confirmation };
+    }
+
+    cancel(confirmationId, caller = {}) {
+        return this.takePending(confirmationId, caller);
+    }
+
+    listPending(userId) {
+        this.expire();
+        return Array.from(this.pending.values()).filter(confirmation => !userId || confirmation.caller.userId === userId);
+    }
+
+    takePending(confirmationId, caller) {
+        this.expire();
+        const confirmation = this.pending.get(confirmationId);
+
+        if (!confirmation) {
+            throw new ToolConfirmationError(`Confirmation ${confirmationId} not found or expired`, 404);
+        }
+        if (confirmation.caller.userId !== caller.userId) {
+            throw new ToolConfirmationError(`Confirmation ${confirmationId} belongs to another user`, 403);
+        }
+
+        this.pending.delete(confirmationId);
+        return confirmation;
+    }
+
+    /**
+     * Tool message content sent back to the model, truncated to keep prompts bounded
+     */
+    static serialize(outcome) {
+        const text = JSON.stringify(outcome);
+        return text.length > MAX_RESULT_LENGTH ? `${text.substring(0, MAX_RESULT_LENGTH)}... (truncated)` : text;
+    }
+
+    expire() {
+        const now = new Date().toISOString();
+
+        for (const [id, confirmation] of this.pending) {
+            if (confirmation.expiresAt < now) {
+                this.pending.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = { ChatToolbox, ToolConfirmationError, AUTOWEAVE_TOOLS, READ_ONLY_PERMISSIONS, INTERACTIVE_PERMISSIONS };
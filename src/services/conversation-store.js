@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+/**
+ * ConversationStore - Sessions de conversation persistées
+ *
+ * A session belongs to an owner (user id, or a random `anonymous:<id>` for an
+ * anonymous AG-UI client) and keeps the full transcript. Only the turns
+ * after `summarizedCount` are sent to the model, together with the running
+ * summary of the older ones: when they exceed `tokenBudget`, compact() rolls
+ * the oldest into the summary, keeping at least `minRecentMessages`.
+ *
+ * Config (AgentWeaver config.conversations):
+ *   {
+ *     directory: './data/conversations',   // optional, one JSON file per session
+ *     tokenBudget: 2000,                    // history tokens sent with each message
+ *     minRecentMessages: 4,
+ *     maxSessions: 1000                     // least recently updated are dropped
+ *   }
+ */
+class ConversationStore {
+    constructor(config = {}) {
+        this.logger = new Logger('ConversationStore');
+        this.directory = config.directory || null;
+        this.tokenBudget = config.tokenBudget || 2000;
+        this.minRecentMessages = config.minRecentMessages ?? 4;
+        this.maxSessions = config.maxSessions || 1000;
+        this.sessions = new Map(); // sessionId -> session
+
+        this.load();
+    }
+
+    create(owner, options = {}) {
+        const now = new Date().toISOString();
+        const session = {
+            id: `session-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+            owner,
+            title: options.title || null,
+            forkedFrom: options.forkedFrom || null,
+            summary: options.summary || '',
+            summarizedCount: options.summarizedCount || 0,
+            messages: options.messages || [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.sessions.set(session.id, session);
+        this.evict();
+        this.save(session);
+
+        this.logger.debug(`Created conversation session ${session.id} for ${owner}`);
+        return session;
+    }
+
+    get(sessionId) {
+        const session = this.sessions.get(sessionId);
+
+        if (!session) {
+            throw new Error(`Conversation session ${sessionId} not found`);
+        }
+
+        return session;
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    /**
+     * Most recently updated session of the owner, created when there is none
+     */
+    resume(owner) {
+        const [latest] = this.list({ owner });
+        return latest ? this.get(latest.id) : this.create(owner);
+    }
+
+    list(filters = {}) {
+        return Array.from(this.sessions.values())
+            .filter(session => !filters.owner || session.owner === filters.owner)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(session => ({
+                id: session.id,
+                owner: session.owner,
+                title: session.title,
+                forkedFrom: session.forkedFrom,
+                messageCount: session.messages.length,
+                summarized: session.summarizedCount,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt
+            }));
+    }
+
+    append(sessionId, role, content) {
+        const session = this.get(sessionId);
+
+        session.messages.push({
+            role,
+            content,
+            tokens: ConversationStore.estimateTokens(content),
+            timestamp: new Date().toISOString()
+        });
+        session.title = session.title || (role === 'user' ? content.substring(0, 60) : null);
+        session.updatedAt = new Date().toISOString();
+
+        this.save(session);
+        return session;
+    }
+
+    /**
+     * Copies a session, or its first `options.messageCount` messages, into a
+     * new session (of `options.owner`, the same owner by default)
+     */
+    fork(sessionId, options = {}) {
+        const source = this.get(sessionId);
+        const messageCount = options.messageCount ?? source.messages.length;
+
+        if (!Number.isInteger(messageCount) || messageCount < 0 || messageCount > source.messages.length) {
+            throw new Error(`messageCount must be between 0 and ${source.messages.length}`);
+        }
+
+        // The summary only covers the copied messages when none of them were cut
+        const keepSummary = messageCount >= source.summarizedCount;
+
+        return this.create(options.owner || source.owner, {
+            title: options.title || source.title,
+            forkedFrom: { sessionId, messageCount },
+            summary: keepSummary ? source.summary : '',
+            summarizedCount: keepSummary ? source.summarizedCount : 0,
+            messages: source.messages.slice(0, messageCount).map(message => ({ ...message }))
+        });
+    }
+
+    remove(sessionId) {
+        const removed = this.sessions.delete(sessionId);
+
+        if (removed && this.directory) {
+            fs.rmSync(this.fileOf(sessionId), { force: true });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Messages to send before the new user message: the running summary as
+     * a system message, then the unsummarized turns that fit in the budget.
+     */
+    buildContext(sessionId) {
+        const session = this.get(sessionId);
+        const recent = this.unsummarized(session);
+        let tokens = 0;
+        let start = recent.length;
+
+        while (start > 0 && tokens + recent[start - 1].tokens <= this.tokenBudget) {
+            tokens += recent[start - 1].tokens;
+            start--;
+        }
+
+        const context = recent.slice(start).map(({ role, content }) => ({ role, content }));
+
+        if (session.summary) {
+            context.unshift({ role: 'system', content: `Summary of the earlier conversation:\n${session.summary}` });
+        }
+
+        return context;
+    }
+
+    /**
+     * Rolls the oldest turns into the summary once the unsummarized ones
+     * exceed the budget. `summarize(previousSummary, messages)` returns the
+     * new summary; when it fails the turns are left as they are and
+     * buildContext() trims them instead.
+     */
+    async compact(sessionId, summarize) {
+        const session = this.get(sessionId);
+        const recent = this.unsummarized(session);
+        const total = recent.reduce((sum, message) => sum + message.tokens, 0);
+
+        if (total <= this.tokenBudget || recent.length <= this.minRecentMessages) {
+            return false;
+        }
+
+        // Summarize until what is left fits in half the budget
+        let count = 0;
+        let remaining = total;
+        while (recent.length - count > this.minRecentMessages && remaining > this.tokenBudget / 2) {
+            remaining -= recent[count].tokens;
+            count++;
+        }
+
+        try {
+            session.summary = await summarize(session.summary, recent.slice(0, count));
+            session.summarizedCount += count;
+            session.updatedAt = new Date().toISOString();
+            this.save(session);
+
+            this.logger.debug(`Rolled ${count} message(s) of ${sessionId} into its summary`);
+            return true;
+        } catch (error) {
+            this.logger.warn(`Failed to summarize conversation ${sessionId}:`, error.message);
+            return false;
+        }
+    }
+
+    unsummarized(session) {
+        return session.messages.slice(session.summarizedCount);
+    }
+
+    evict() {
+        const excess = this.sessions.size - this.maxSessions;
+
+        if (excess > 0) {
+            this.list().slice(-excess).forEach(session => this.remove(session.id));
+        }
+    }
+
+    load() {
+        if (!this.directory || !fs.existsSync(this.directory)) {
+            return;
+        }
+
+        for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.json'))) {
+            try {
+                const session = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                this.sessions.set(session.id, session);
+            } catch (error) {
+                this.logger.warn(`Failed to load conversation ${file}:`, error.message);
+            }
+        }
+
+        this.logger.info(`Loaded ${this.sessions.size} conversation session(s) from ${this.directory}`);
+    }
+
+    save(session) {
+        if (!this.directory) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.writeFileSync(this.fileOf(session.id), JSON.stringify(session, null, 2));
+        } catch (error) {
+            this.logger.warn(`Failed to persist conversation ${session.id}:`, error.message);
+        }
+    }
+
+    fileOf(sessionId) {
+        return path.join(this.directory, `${sessionId.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+    }
+
+    /**
+     * Rough count (4 characters per token), good enough for budgeting
+     */
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+}
+
+module.exports = { ConversationStore };
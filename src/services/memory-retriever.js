@@ -0,0 +1,156 @@
+const { Logger } = require('../utils/logger');
+const { ConversationStore } = require('./conversation-store');
+
+const SOURCES = ['user', 'agent', 'configuration'];
+
+class MemoryAccessError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'MemoryAccessError';
+        this.status = status;
+        this.retryable = false;
+    }
+}
+
+/**
+ * MemoryRetriever - Mémoires pertinentes pour un message de chat
+ *
+ * Searches the hybrid memory with the message itself: the user's memories,
+ * the memories of the agent being discussed (options.agentId, searched only
+ * when options.ownsAgent(agentId) says the user owns it) and the
+ * configurations generated for the user. The best hits that fit in `tokenBudget` are tagged
+ * [M1], [M2]... for the prompt; answers citing a tag are reported as
+ * influenced by that entry.
+ *
+ * Config (AgentWeaver config.retrieval):
+ *   {
+ *     enabled: true,
+ *     sources: ['user', 'agent', 'configuration'],
+ *     limit: 5,             // hits per source
+ *     minScore: 0,
+ *     tokenBudget: 500      // memory tokens added to the prompt
+ *   }
+ */
+class MemoryRetriever {
+    constructor(config = {}) {
+        this.logger = new Logger('MemoryRetriever');
+        this.enabled = config.enabled !== false;
+        this.sources = config.sources || SOURCES;
+        this.limit = config.limit || 5;
+        this.minScore = config.minScore || 0;
+        this.tokenBudget = config.tokenBudget || 500;
+    }
+
+    /**
+     * Returns [{ tag, id, source, content, score, tokens }], best first.
+     * A failing source is skipped: chat works without memories.
+     */
+    async retrieve(memoryManager, message, options = {}) {
+        if (!this.enabled || !memoryManager || !message) {
+            return [];
+        }
+
+        const searches = this.sources
+            .filter(source => source !== 'agent' || (options.agentId && options.ownsAgent?.(options.agentId)))
+            .map(source => this.search(memoryManager, source, message, options)
+                .then(hits => hits.map(hit => MemoryRetriever.normalize(hit, source)))
+                .catch(error => {
+                    this.logger.warn(`Failed to search ${source} memories:`, error.message);
+                    return [];
+                }));
+
+        const seen = new Set();
+        const hits = (await Promise.all(searches))
+            .flat()
+            .filter(hit => hit.content && (hit.score === null || hit.score >= this.minScore))
+            .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+            .filter(hit => !seen.has(hit.id) && seen.add(hit.id));
+
+        const selected = [];
+        let tokens = 0;
+
+        for (const hit of hits) {
+            if (tokens + hit.tokens > this.tokenBudget) {
+                continue;
+            }
+            tokens += hit.tokens;
+            selected.push({ tag: `M${selected.length + 1}`, ...hit });
+        }
+
+        this.logger.debug(`Retrieved ${selected.length} of ${hits.length} memories (${tokens} tokens)`);
+        return selected;
+    }
+
+    async search(memoryManager, source, message, options) {
+        const contextual = memoryManager.contextualMemory;
+        const userId = options.userId || 'anonymous';
+
+        switch (source) {
+            case 'user':
+                return this.toArray(await contextual.searchMemory(message, userId, { type: 'user', limit: this.limit }));
+            case 'agent':
+                return this.toArray(await contextual.searchMemory(message, userId, { type: 'agent', agentId: options.agentId, limit: this.limit }));
+            case 'configuration':
+                // Configurations are stored under 'system'; metadata.userId says whose they are
+                return this.toArray(await memoryManager.intelligentSearch(message, 'system', { type: 'configuration' }))
+                    .filter(hit => hit.metadata?.userId === userId)
+                    .slice(0, this.limit);
+            default:
+                return [];
+        }
+    }
+
+    toArray(result) {
+        return Array.isArray(result) ? result : (result?.results || []);
+    }
+
+    /**
+     * Prompt block: one "[M1] (user memory) ..." line per memory
+     */
+    static format(memories) {
+        return memories
+            .map(memory => `[${memory.tag}] (${memory.source} memory) ${memory.content}`)
+            .join('\n');
+    }
+
+    /**
+     * What the answer reports: every memory given to the model, `cited`
+     * when the answer refers to its tag
+     */
+    static report(memories, answer = '') {
+        return memories.map(({ tag, id, source, content, score }) => ({
+            tag,
+            id,
+            source,
+            content,
+            score,
+            cited: new RegExp(`\\[${tag}\\]`).test(answer)
+        }));
+    }
+
+    /**
+     * User an entry belongs to: the user of a user memory, whoever the
+     * agent or configuration entry was created for otherwise
+     */
+    static ownerOf(entry) {
+        const metadata = entry.metadata || {};
+
+        return !metadata.type || metadata.type === 'user'
+            ? (entry.user_id ?? entry.userId ?? null)
+            : (metadata.userId ?? null);
+    }
+
+    static normalize(hit, source) {
+        const content = String(hit.memory ?? hit.content ?? hit.text ?? '').trim();
+
+        return {
+            id: hit.id || hit.memory_id || `${source}:${content.substring(0, 40)}`,
+            source,
+            content,
+            score: typeof hit.score === 'number' ? hit.score : null,
+            tokens: ConversationStore.estimateTokens(content)
+        };
+    }
+}
+
+module.exports = { MemoryRetriever, MemoryAccessError };
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+// USD per 1K tokens; override or extend with config.usage.prices
+const DEFAULT_PRICES = {
+    'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+    'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+    'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+    'gpt-4': { prompt: 0.03, completion: 0.06 },
+    'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+    'claude-3-5-sonnet': { prompt: 0.003, completion: 0.015 },
+    'claude-3-5-haiku': { prompt: 0.0008, completion: 0.004 },
+    'claude-3-opus': { prompt: 0.015, completion: 0.075 }
+};
+
+class BudgetExceededError extends Error {
+    constructor(userId, period, limit, spent) {
+        super(`${period} budget of $${limit} exceeded for user ${userId} (spent $${spent.toFixed(4)})`);
+        this.name = 'BudgetExceededError';
+        this.status = 429;
+        this.retryable = false;
+        this.userId = userId;
+        this.period = period;
+        this.limit = limit;
+        this.spent = spent;
+    }
+}
+
+/**
+ * UsageLedger - Registre des appels LLM (tokens, coût estimé, budgets)
+ *
+ * Config (AgentWeaver config.usage):
+ *   {
+ *     file: './data/usage.jsonl',                  // optional JSONL persistence
+ *     prices: { 'my-model': { prompt, completion } },
+ *     budgets: {
+ *       default: { daily: 5, monthly: 50 },        // USD, applies to every user
+ *       users: { alice: { daily: 20 } }
+ *     }
+ *   }
+ */
+class UsageLedger {
+    constructor(config = {}) {
+        this.logger = new Logger('UsageLedger');
+        this.config = config;
+        this.prices = { ...DEFAULT_PRICES, ...(config.prices || {}) };
+        this.budgets = config.budgets || {};
+        this.maxEntries = config.maxEntries || 10000;
+        this.file = config.file || null;
+        this.entries = [];
+
+        this.load();
+    }
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) {
+            return;
+        }
+
+        try {
+            this.entries = fs.readFileSync(this.file, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .map(line => JSON.parse(line))
+                .slice(-this.maxEntries);
+
+            this.logger.info(`Loaded ${this.entries.length} usage entries from ${this.file}`);
+        } catch (error) {
+            this.logger.warn('Failed to load usage ledger:', error.message);
+        }
+    }
+
+    record(call) {
+        const promptTokens = call.promptTokens || 0;
+        const completionTokens = call.completionTokens || 0;
+        const { cost, priced } = this.estimateCost(call.model, promptTokens, completionTokens);
+
+        const entry = {
+            id: `usage-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+            timestamp: new Date().toISOString(),
+            operation: call.operation || 'completion',
+            provider: call.provider || null,
+            model: call.model || null,
+            promptTokens,
+            completionTokens,
+            totalTokens: call.totalTokens || promptTokens + completionTokens,
+            cost,
+            priced,
+            userId: call.userId || 'system',
+            agentId: call.agentId || null
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        if (this.file) {
+            try {
+                fs.mkdirSync(path.dirname(this.file), { recursive: true });
+                fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+            } catch (error) {
+                this.logger.warn('Failed to persist usage entry:', error.message);
+            }
+        }
+
+        this.logger.debug(`Recorded ${entry.totalTokens} tokens ($${cost.toFixed(6)}) for ${entry.userId}`);
+        return entry;
+    }
+
+    /**
+     * Deletes the entries of the user and of the given agents (user data
+     * erasure), rewriting the file; returns the ids removed
+     */
+    remove({ userId, agentIds = [] }) {
+        const agents = new Set(agentIds);
+        const removed = this.entries.filter(entry => entry.userId === userId || agents.has(entry.agentId));
+
+        if (removed.length === 0) {
+            return [];
+        }
+
+        this.entries = this.entries.filter(entry => !removed.includes(entry));
+
+        if (this.file) {
+            try {
+                fs.writeFileSync(this.file, this.entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+            } catch (error) {
+                this.logger.warn('Failed to rewrite usage ledger:', error.message);
+            }
+        }
+
+        this.logger.info(`Removed ${removed.length} usage entries of ${userId}`);
+        return removed.map(entry => entry.id);
+    }
+
+    /**
+     * Looks up the price by exact model name, then by the longest matching
+     * prefix so dated variants ("gpt-4o-2024-08-06") use their family price.
+     */
+    estimateCost(model, promptTokens, completionTokens) {
+        const price = this.findPrice(model);
+
+        if (!price) {
+            return { cost: 0, priced: false };
+        }
+
+        const cost = (promptTokens / 1000) * price.prompt + (completionTokens / 1000) * price.completion;
+        return { cost: Math.round(cost * 1e6) / 1e6, priced: true };
+    }
+
+    findPrice(model) {
+        if (!model) {
+            return null;
+        }
+
+        if (this.prices[model]) {
+            return this.prices[model];
+        }
+
+        const prefix = Object.keys(this.prices)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return prefix ? this.prices[prefix] : null;
+    }
+
+    getBudget(userId) {
+        return {
+            ...(this.budgets.default || {}),
+            ...(this.budgets.users?.[userId] || {})
+        };
+    }
+
+    getBudgetStatus(userId) {
+        const budget = this.getBudget(userId);
+        const now = new Date();
+
+        const status = { userId };
+
+        for (const period of ['daily', 'monthly']) {
+            const spent = this.sumCost({ userId, from: UsageLedger.periodStart(period, now) });
+            status[period] = {
+                limit: budget[period] ?? null,
+                spent: Math.round(spent * 1e6) / 1e6,
+                remaining: budget[period] !== undefined ? Math.max(0, budget[period] - spent) : null
+            };
+        }
+
+        return status;
+    }
+
+    /**
+     * Throws BudgetExceededError when the user has used up a daily or monthly budget
+     */
+    checkBudget(userId = 'system') {
+        const status = this.getBudgetStatus(userId);
+
+        for (const period of ['daily', 'monthly']) {
+            const { limit, spent } = status[period];
+            if (limit !== null && spent >= limit) {
+                this.logger.warn(`Rejecting LLM call: ${period} budget exceeded for ${userId}`);
+                throw new BudgetExceededError(userId, period, limit, spent);
+            }
+        }
+
+        return status;
+    }
+
+    query(filters = {}) {
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+
+        const entries = this.entries.filter(entry => {
+            const timestamp = new Date(entry.timestamp);
+            return (!filters.userId || entry.userId === filters.userId) &&
+                (!filters.agentId || entry.agentId === filters.agentId) &&
+                (!filters.model || entry.model === filters.model) &&
+                (!filters.operation || entry.operation === filters.operation) &&
+                (!from || timestamp >= from) &&
+                (!to || timestamp <= to);
+        });
+
+        return filters.limit ? entries.slice(-Number(filters.limit)) : entries;
+    }
+
+    summarize(filters = {}) {
+        const entries = this.query({ ...filters, limit: undefined });
+
+        const summary = {
+            calls: entries.length,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+            byModel: {},
+            byUser: {}
+        };
+
+        for (const entry of entries) {
+            summary.promptTokens += entry.promptTokens;
+            summary.completionTokens += entry.completionTokens;
+            summary.totalTokens += entry.totalTokens;
+            summary.cost += entry.cost;
+
+            UsageLedger.accumulate(summary.byModel, entry.model || 'unknown', entry);
+            UsageLedger.accumulate(summary.byUser, entry.userId, entry);
+        }
+
+        summary.cost = Math.round(summary.cost * 1e6) / 1e6;
+        return summary;
+    }
+
+    sumCost(filters) {
+        return this.query(filters).reduce((total, entry) => total + entry.cost, 0);
+    }
+
+    static accumulate(bucket, key, entry) {
+        if (!bucket[key]) {
+            bucket[key] = { calls: 0, totalTokens: 0, cost: 0 };
+        }
+
+        bucket[key].calls++;
+        bucket[key].totalTokens += entry.totalTokens;
+        bucket[key].cost = Math.round((bucket[key].cost + entry.cost) * 1e6) / 1e6;
+    }
+
+    static periodStart(period, now = new Date()) {
+        return period === 'daily'
+            ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+            : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }
+}
+
+module.exports = { UsageLedger, BudgetExceededError, DEFAULT_PRICES };
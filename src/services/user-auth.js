@@ -0,0 +1,78 @@
+const { Logger } = require('../utils/logger');
+
+/**
+ * UserAuthenticator - Identité authentifiée des appelants
+ *
+ * Resolves the user behind a request to the user-scoped APIs
+ * (conversations, memories, chat tools, user data) and the AG-UI
+ * WebSocket, so what a user owns never depends on a user id the client
+ * chose. The identity comes from a bearer token, mapped to a user by
+ * `tokens` or resolved by `verifyToken`, or from the header set by an
+ * authenticating reverse proxy (`userHeader`, trusted only when
+ * configured). WebSocket clients, which cannot set headers from a browser,
+ * may send the token as `?access_token=`. Users listed in `admins` may see
+ * the cross-user views (usage of every user).
+ *
+ * Config (AutoWeave config.auth):
+ *   {
+ *     tokens: { 'token-1': 'alice' },
+ *     verifyToken: async (token) => 'alice',   // or null when the token is invalid
+ *     userHeader: 'X-Authenticated-User'       // only behind a proxy that sets it
+ *   }
+ */
+class UserAuthenticator {
+    constructor(config = {}) {
+        this.logger = new Logger('UserAuthenticator');
+        this.config = config;
+    }
+
+    /**
+     * User id of the request (express or WebSocket upgrade), null when it
+     * carries no valid identity
+     */
+    async identify(req) {
+        const headers = req.headers || {};
+        const token = (headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1] ||
+            new URL(req.url || '/', 'http://localhost').searchParams.get('access_token');
+
+        if (token) {
+            try {
+                const userId = this.config.verifyToken
+                    ? await this.config.verifyToken(token)
+                    : this.config.tokens?.[token];
+
+                if (userId) {
+                    return String(userId);
+                }
+            } catch (error) {
+                this.logger.warn('Token verification failed:', error.message);
+            }
+        }
+
+        const header = this.config.userHeader;
+        return (header && headers[header.toLowerCase()]) || null;
+    }
+
+    isAdmin(userId) {
+        return Boolean(userId) && (this.config.admins || []).includes(userId);
+    }
+
+    /**
+     * Express middleware setting req.userId; requests without an identity
+     * get 401
+     */
+    middleware() {
+        return async (req, res, next) => {
+            const userId = await this.identify(req);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            req.userId = userId;
+            next();
+        };
+    }
+}
+
+module.exports = { UserAuthenticator };
@@ -0,0 +1,324 @@
+const { Logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+
+const ARCHIVE_FORMAT = 'autoweave-user-archive';
+const ARCHIVE_VERSION = 1;
+const MEMORY_STORES = ['user', 'agent', 'configuration'];
+
+/**
+ * UserDataArchive - Portabilité et effacement des données d'un utilisateur
+ *
+ * A user's data lives in four exported stores: their contextual memories,
+ * the memories of the agents generated for them, the configurations
+ * generated for them (stored under 'system' with metadata.userId) and their
+ * conversation sessions. export() puts them in one JSON archive, import()
+ * loads an archive into this instance. erase() deletes them, together with
+ * the forks of the user's sessions, their usage ledger entries, the
+ * revisions and published spec versions of their agents and their pending
+ * tool confirmations. It lists the entries removed from each store, then
+ * lists each store again to verify nothing is left.
+ *
+ * Reading a memory store needs contextualMemory.listMemories(userId,
+ * { type, agentId }); stores the backend cannot list are reported in
+ * `unavailable` (export) or with `verified: false` (erase).
+ *
+ * Archive:
+ *   {
+ *     format: 'autoweave-user-archive', version: 1, userId, exportedAt,
+ *     agents: ['agent-...'],
+ *     memories: { user: [entry], agent: [entry], configuration: [entry] },
+ *     conversations: [session],
+ *     unavailable: [{ store, reason }]
+ *   }
+ *   entry: { id, content, metadata, agentId, createdAt }
+ */
+class UserDataArchive {
+    /**
+     * stores: { conversations, usageLedger, revisions, specVersions, chatTools }
+     */
+    constructor(stores = {}) {
+        this.logger = new Logger('UserDataArchive');
+        this.conversations = stores.conversations;
+        this.usageLedger = stores.usageLedger;
+        this.revisions = stores.revisions;
+        this.specVersions = stores.specVersions;
+        this.chatTools = stores.chatTools;
+    }
+
+    async export(memoryManager, userId, options = {}) {
+        const agents = options.agentIds || [];
+        const archive = {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            userId,
+            exportedAt: new Date().toISOString(),
+            agents,
+            memories: { user: [], agent: [], configuration: [] },
+            conversations: this.conversations.list({ owner: userId }).map(session => this.conversations.get(session.id)),
+            unavailable: []
+        };
+
+        for (const store of MEMORY_STORES) {
+            try {
+                archive.memories[store] = await this.listStore(memoryManager, store, userId, agents);
+            } catch (error) {
+                this.logger.warn(`Cannot export ${store} memories of ${userId}:`, error.message);
+                archive.unavailable.push({ store, reason: error.message });
+            }
+        }
+
+        this.logger.info(`Exported data of ${userId}: ${UserDataArchive.describe(UserDataArchive.count(archive))}`);
+        return archive;
+    }
+
+    /**
+     * Adds the archive's entries for `options.userId` (the archive's user by
+     * default). Sessions get new ids; memories keep their content and metadata.
+     */
+    async import(memoryManager, archive, options = {}) {
+        UserDataArchive.validate(archive);
+
+        const userId = options.userId || archive.userId;
+        const provenance = { importedFrom: archive.userId, importedAt: new Date().toISOString() };
+        const report = {
+            userId,
+            imported: { user: 0, agent: 0, configuration: 0, conversations: 0 },
+            failed: []
+        };
+
+        const contextual = memoryManager?.contextualMemory;
+        const writers = {
+            user: entry => contextual.addUserMemory(userId, entry.content, { ...entry.metadata, ...provenance }),
+            agent: entry => contextual.addAgentMemory(entry.agentId, entry.content, { ...entry.metadata, ...provenance }),
+            configuration: entry => contextual.addMemory(entry.content, 'system', {
+                ...entry.metadata,
+                ...provenance,
+                type: 'configuration',
+                userId
+            })
+        };
+
+        for (const store of MEMORY_STORES) {
+            for (const entry of archive.memories?.[store] || []) {
+                try {
+                    if (!contextual) {
+                        throw new Error('Memory manager not available');
+                    }
+                    await writers[store](entry);
+                    report.imported[store]++;
+                } catch (error) {
+                    report.failed.push({ store, id: entry.id, error: error.message });
+                }
+            }
+        }
+
+        for (const session of archive.conversations || []) {
+            this.conversations.create(userId, {
+                title: session.title,
+                summary: session.summary,
+                summarizedCount: session.summarizedCount,
+                messages: (session.messages || []).map(message => ({ ...message }))
+            });
+            report.imported.conversations++;
+        }
+
+        this.logger.info(`Imported data of ${archive.userId} as ${userId}: ${UserDataArchive.describe(report.imported)}`);
+        return report;
+    }
+
+    /**
+     * Deletes the user's data from every store. The report lists the ids
+     * deleted per store and what a second listing still finds (`remaining`);
+     * `verified` is true only when every store was listed empty afterwards.
+     */
+    async erase(memoryManager, userId, options = {}) {
+        const agents = options.agentIds || [];
+        const stores = {};
+
+        for (const store of MEMORY_STORES) {
+            stores[store] = await this.eraseStore(memoryManager, store, userId, agents);
+        }
+
+        stores.conversations = UserDataArchive.removeAll(
+            this.sessionsOf(userId),
+            id => this.conversations.remove(id),
+            id => this.conversations.has(id)
+        );
+        stores.usage = this.eraseUsage(userId, agents);
+        stores.revisions = UserDataArchive.removeAll(
+            agents.filter(id => this.revisions.has(id)),
+            id => this.revisions.remove(id),
+            id => this.revisions.has(id)
+        );
+        stores.specs = UserDataArchive.removeAll(
+            agents.filter(id => this.specVersions.has(id)),
+            id => this.specVersions.remove(id),
+            id => this.specVersions.has(id)
+        );
+        stores.confirmations = UserDataArchive.removeAll(
+            this.chatTools.listPending(userId).map(confirmation => confirmation.id),
+            id => this.chatTools.cancel(id, { userId }),
+            id => this.chatTools.listPending(userId).some(confirmation => confirmation.id === id)
+        );
+
+        const report = {
+            userId,
+            erasedAt: new Date().toISOString(),
+            agents,
+            stores,
+            verified: Object.values(stores).every(store => store.verified)
+        };
+
+        const deleted = Object.fromEntries(Object.entries(stores).map(([store, result]) => [store, result.deleted.length]));
+        this.logger.info(`Erased data of ${userId}: ${UserDataArchive.describe(deleted)}${report.verified ? '' : ' (not verified)'}`);
+        return report;
+    }
+
+    /**
+     * The user's sessions and the sessions forked from them, which copy
+     * their messages
+     */
+    sessionsOf(userId) {
+        const sessions = this.conversations.list();
+        const ids = new Set(sessions.filter(session => session.owner === userId).map(session => session.id));
+        let found = true;
+
+        while (found) {
+            found = false;
+            for (const session of sessions) {
+                if (!ids.has(session.id) && ids.has(session.forkedFrom?.sessionId)) {
+                    ids.add(session.id);
+                    found = true;
+                }
+            }
+        }
+
+        return Array.from(ids);
+    }
+
+    eraseUsage(userId, agents) {
+        const deleted = this.usageLedger.remove({ userId, agentIds: agents });
+        const remaining = this.usageLedger.query({ userId }).length +
+            agents.reduce((count, agentId) => count + this.usageLedger.query({ agentId }).length, 0);
+
+        return { deleted, remaining, verified: remaining === 0 };
+    }
+
+    async eraseStore(memoryManager, store, userId, agents) {
+        const contextual = memoryManager?.contextualMemory;
+        const result = { deleted: [], remaining: null, verified: false };
+
+        try {
+            if (!contextual) {
+                throw new Error('Memory manager not available');
+            }
+
+            // User memories go in one call, even when the backend cannot list
+            // them (the deletion is then reported unverified). Agent and
+            // configuration entries share their owner with other users, so
+            // they are deleted one by one.
+            if (store === 'user' && typeof contextual.listMemories !== 'function') {
+                await contextual.deleteUserMemory(userId);
+                result.error = 'Deleted, but the memory backend does not support listMemories to verify it';
+                return result;
+            }
+
+            const before = await this.listStore(memoryManager, store, userId, agents);
+
+            if (store === 'user') {
+                await contextual.deleteUserMemory(userId);
+            } else {
+                for (const entry of before) {
+                    await contextual.deleteMemory(entry.id);
+                }
+            }
+
+            const after = await this.listStore(memoryManager, store, userId, agents);
+            const left = new Set(after.map(entry => entry.id));
+
+            result.deleted = before.map(entry => entry.id).filter(id => !left.has(id));
+            result.remaining = after.length;
+            result.verified = after.length === 0;
+        } catch (error) {
+            this.logger.warn(`Cannot erase ${store} memories of ${userId}:`, error.message);
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    async listStore(memoryManager, store, userId, agents) {
+        const contextual = memoryManager?.contextualMemory;
+
+        if (typeof contextual?.listMemories !== 'function') {
+            throw new Error('The memory backend does not support listMemories');
+        }
+
+        switch (store) {
+            case 'user':
+                return UserDataArchive.toEntries(await contextual.listMemories(userId, { type: 'user' }));
+            case 'agent': {
+                const lists = await Promise.all(agents.map(async agentId =>
+                    UserDataArchive.toEntries(await contextual.listMemories(userId, { type: 'agent', agentId }))
+                        .map(entry => ({ ...entry, agentId: entry.agentId || agentId }))));
+                return lists.flat();
+            }
+            case 'configuration':
+                return UserDataArchive.toEntries(await contextual.listMemories('system', { type: 'configuration' }))
+                    .filter(entry => entry.metadata.userId === userId);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Removes each id, then reports those still found
+     */
+    static removeAll(ids, remove, exists) {
+        ids.forEach(id => remove(id));
+        const remaining = ids.filter(id => exists(id));
+
+        return {
+            deleted: ids.filter(id => !remaining.includes(id)),
+            remaining: remaining.length,
+            verified: remaining.length === 0
+        };
+    }
+
+    static validate(archive) {
+        if (!archive || archive.format !== ARCHIVE_FORMAT) {
+            throw new ValidationError(`Not an AutoWeave user archive (expected format "${ARCHIVE_FORMAT}")`, 'format');
+        }
+        if (archive.version !== ARCHIVE_VERSION) {
+            throw new ValidationError(`Unsupported archive version ${archive.version}`, 'version');
+        }
+        if (!archive.userId) {
+            throw new ValidationError('The archive has no userId', 'userId');
+        }
+    }
+
+    static toEntries(result) {
+        const hits = Array.isArray(result) ? result : (result?.results || []);
+
+        return hits.map(hit => ({
+            id: hit.id || hit.memory_id,
+            content: hit.memory ?? hit.content ?? hit.text ?? '',
+            metadata: hit.metadata || {},
+            agentId: hit.agentId || hit.agent_id || null,
+            createdAt: hit.createdAt || hit.created_at || null
+        }));
+    }
+
+    static count(archive) {
+        return {
+            ...Object.fromEntries(MEMORY_STORES.map(store => [store, archive.memories[store].length])),
+            conversations: archive.conversations.length
+        };
+    }
+
+    static describe(counts) {
+        return Object.entries(counts).map(([store, count]) => `${count} ${store}`).join(', ');
+    }
+}
+
+module.exports = { UserDataArchive, ARCHIVE_FORMAT, ARCHIVE_VERSION };
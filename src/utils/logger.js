@@ -140,8 +140,8 @@ class Logger {
      * Vérifie si le niveau de log doit être affiché
      */
     shouldLog(level) {
-        const currentLevel = this.levels[this.level] || 2;
-        const messageLevel = this.levels[level] || 2;
+        const currentLevel = this.levels[this.level] ?? 2;
+        const messageLevel = this.levels[level] ?? 2;
         return messageLevel <= currentLevel;
     }
 
@@ -4,7 +4,8 @@ class RetryHelper {
             maxAttempts = 3,
             delay = 1000,
             backoff = 2,
-            shouldRetry = () => true
+            // Errors flagged `retryable: false` (e.g. exhausted budgets) fail fast
+            shouldRetry = (error) => error.retryable !== false
         } = options;
 
         let lastError;
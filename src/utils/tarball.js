@@ -0,0 +1,82 @@
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Tarball - Archives .tgz (ustar + gzip) sans dépendance externe
+ *
+ * files: [{ path: 'index.js', content: string | Buffer, mode? }]
+ * Every entry is placed under `prefix/` ("package/" as npm expects).
+ */
+class Tarball {
+    static create(files, options = {}) {
+        const prefix = options.prefix ?? 'package';
+        const mtime = Math.floor((options.mtime ? new Date(options.mtime) : new Date()).getTime() / 1000);
+        const blocks = [];
+
+        for (const file of files) {
+            const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+            const name = prefix ? `${prefix}/${file.path}` : file.path;
+
+            blocks.push(Tarball.header(name, content.length, file.mode || 0o644, mtime));
+            blocks.push(content);
+
+            const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+            if (padding > 0) {
+                blocks.push(Buffer.alloc(padding));
+            }
+        }
+
+        // End of archive: two empty blocks
+        blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+        return zlib.gzipSync(Buffer.concat(blocks));
+    }
+
+    static header(name, size, mode, mtime) {
+        const block = Buffer.alloc(BLOCK_SIZE);
+        const { base, prefix } = Tarball.splitName(name);
+
+        block.write(base, 0, 100, 'utf8');
+        Tarball.writeOctal(block, mode, 100, 8);
+        Tarball.writeOctal(block, 0, 108, 8); // uid
+        Tarball.writeOctal(block, 0, 116, 8); // gid
+        Tarball.writeOctal(block, size, 124, 12);
+        Tarball.writeOctal(block, mtime, 136, 12);
+        block.fill(' ', 148, 156); // checksum is computed with this field blank
+        block.write('0', 156, 1, 'utf8'); // regular file
+        block.write('ustar\0', 257, 6, 'utf8');
+        block.write('00', 263, 2, 'utf8');
+        block.write(prefix, 345, 155, 'utf8');
+
+        let checksum = 0;
+        for (const byte of block) {
+            checksum += byte;
+        }
+        block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'utf8');
+
+        return block;
+    }
+
+    /**
+     * ustar stores names longer than 100 bytes as prefix (155) + "/" + name (100)
+     */
+    static splitName(name) {
+        if (Buffer.byteLength(name) <= 100) {
+            return { base: name, prefix: '' };
+        }
+
+        const index = name.lastIndexOf('/', 155);
+        if (index <= 0 || Buffer.byteLength(name.substring(index + 1)) > 100) {
+            throw new Error(`Path too long for a tar archive: ${name}`);
+        }
+
+        return { base: name.substring(index + 1), prefix: name.substring(0, index) };
+    }
+
+    static writeOctal(block, value, offset, length) {
+        block.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'utf8');
+    }
+}
+
+module.exports = { Tarball };
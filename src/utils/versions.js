@@ -0,0 +1,25 @@
+/**
+ * Versions - Comparaison de numéros de version
+ * Dotted numeric versions ("1.2.0"); pre-release and build suffixes are
+ * ignored, so "2.0.0-beta" counts as 2.0.0.
+ */
+class Versions {
+    static compare(a, b) {
+        const left = Versions.parts(a);
+        const right = Versions.parts(b);
+
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+        return 0;
+    }
+
+    static parts(version) {
+        return String(version).split(/[-+]/)[0].split('.').map(part => Number(part) || 0);
+    }
+}
+
+module.exports = { Versions };
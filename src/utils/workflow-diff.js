@@ -0,0 +1,70 @@
+/**
+ * WorkflowDiff - Différence structurée entre deux révisions d'un workflow
+ * Modules are matched by name and steps by id (or action for flat steps).
+ */
+class WorkflowDiff {
+    static compare(before, after) {
+        const modules = WorkflowDiff.compareCollection(
+            before.requiredModules || [],
+            after.requiredModules || [],
+            module => module.name || module.type
+        );
+
+        const steps = WorkflowDiff.compareCollection(
+            before.steps || [],
+            after.steps || [],
+            step => step.id || step.action
+        );
+
+        const fields = ['name', 'description', 'modelConfig']
+            .filter(field => !WorkflowDiff.isEqual(before[field], after[field]))
+            .map(field => ({ field, from: before[field], to: after[field] }));
+
+        return {
+            modules,
+            steps,
+            fields,
+            hasChanges: fields.length > 0 ||
+                WorkflowDiff.countChanges(modules) > 0 ||
+                WorkflowDiff.countChanges(steps) > 0,
+            summary: WorkflowDiff.summarize(modules, steps, fields)
+        };
+    }
+
+    static compareCollection(before, after, keyOf) {
+        const beforeByKey = new Map(before.map(item => [keyOf(item), item]));
+        const afterByKey = new Map(after.map(item => [keyOf(item), item]));
+
+        const added = after.filter(item => !beforeByKey.has(keyOf(item)));
+        const removed = before.filter(item => !afterByKey.has(keyOf(item)));
+        const changed = after
+            .filter(item => beforeByKey.has(keyOf(item)) && !WorkflowDiff.isEqual(beforeByKey.get(keyOf(item)), item))
+            .map(item => ({ key: keyOf(item), from: beforeByKey.get(keyOf(item)), to: item }));
+
+        return { added, removed, changed };
+    }
+
+    static countChanges(collection) {
+        return collection.added.length + collection.removed.length + collection.changed.length;
+    }
+
+    static summarize(modules, steps, fields) {
+        const parts = [];
+
+        modules.added.forEach(module => parts.push(`+ module ${module.name} (${module.type})`));
+        modules.removed.forEach(module => parts.push(`- module ${module.name} (${module.type})`));
+        modules.changed.forEach(change => parts.push(`~ module ${change.key}`));
+        steps.added.forEach(step => parts.push(`+ step ${step.action}`));
+        steps.removed.forEach(step => parts.push(`- step ${step.action}`));
+        steps.changed.forEach(change => parts.push(`~ step ${change.key}`));
+        fields.forEach(change => parts.push(`~ ${change.field}`));
+
+        return parts;
+    }
+
+    static isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+module.exports = { WorkflowDiff };
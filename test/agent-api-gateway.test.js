@@ -0,0 +1,204 @@
+const http = require('http');
+const express = require('express');
+const { AgentApiGateway } = require('../src/openapi/agent-api-gateway');
+
+const SPEC = {
+    openapi: '3.1.0',
+    info: { title: 'Pods Agent API', version: '1.0.0' },
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            bearerAuth: { type: 'http', scheme: 'bearer' },
+            oauth2: {
+                type: 'oauth2',
+                flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { 'k8s:read': '', 'k8s:write': '' } } }
+            },
+            mtls: { type: 'mutualTLS' }
+        },
+        schemas: {
+            Pod: { type: 'object', required: ['name'], properties: { name: { type: 'string' } }, example: { name: 'web-1' } }
+        }
+    },
+    paths: {
+        '/health': {
+            get: { operationId: 'getHealth', security: [], responses: { '200': { description: 'ok' } } }
+        },
+        '/pods': {
+            get: {
+                operationId: 'listPods',
+                security: [{ apiKey: [] }, { bearerAuth: [] }],
+                parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } }],
+                responses: {
+                    '200': { description: 'pods', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pod' } } } } }
+                }
+            },
+            post: {
+                operationId: 'createPod',
+                security: [{ oauth2: ['k8s:write'] }],
+                requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Pod' } } } },
+                responses: {
+                    '201': { description: 'created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pod' } } } }
+                }
+            }
+        },
+        '/pods/{name}': {
+            delete: {
+                operationId: 'deletePod',
+                security: [{ mtls: [] }],
+                parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: { '204': { description: 'deleted' } }
+            }
+        }
+    }
+};
+
+const GATEWAY_CONFIG = {
+    apiKeys: ['key-1'],
+    bearerTokens: ['bearer-1'],
+    oauth2Tokens: { 'reader-token': ['k8s:read'], 'writer-token': ['k8s:read', 'k8s:write'] },
+    mtls: { verifiedHeader: 'X-SSL-Client-Verify' }
+};
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function urlOf(server, path = '') {
+    return `http://127.0.0.1:${server.address().port}${path}`;
+}
+
+async function serveGateway(gateway) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/agents/:agentId', gateway.middleware());
+    return await listen(app);
+}
+
+describe('AgentApiGateway', () => {
+    let gateway;
+    let server;
+
+    const call = (path, options = {}) => fetch(urlOf(server, `/api/agents/agent-1${path}`), {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    beforeAll(async () => {
+        gateway = new AgentApiGateway(GATEWAY_CONFIG);
+        gateway.mount('agent-1', SPEC, { mock: true });
+        server = await serveGateway(gateway);
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('serves the spec and public operations without credentials', async () => {
+        expect((await (await call('/openapi.json')).json()).info.title).toBe('Pods Agent API');
+        expect((await call('/health')).status).toBe(200);
+    });
+
+    test('accepts any one of the apiKey or bearer requirements', async () => {
+        expect((await call('/pods')).status).toBe(401);
+        expect((await call('/pods', { headers: { 'X-API-Key': 'wrong' } })).status).toBe(401);
+        expect((await call('/pods', { headers: { 'X-API-Key': 'key-1' } })).status).toBe(200);
+        expect((await call('/pods', { headers: { Authorization: 'Bearer bearer-1' } })).status).toBe(200);
+    });
+
+    test('requires every scope of an OAuth2 requirement', async () => {
+        const create = (token) => call('/pods', {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ name: 'web-2' })
+        });
+
+        expect((await create('reader-token')).status).toBe(401);
+
+        const created = await create('writer-token');
+        expect(created.status).toBe(201);
+        expect(await created.json()).toEqual({ name: 'web-1' });
+    });
+
+    test('checks the client certificate verification header for mutual TLS', async () => {
+        expect((await call('/pods/web-1', { method: 'DELETE' })).status).toBe(401);
+        expect((await call('/pods/web-1', { method: 'DELETE', headers: { 'X-SSL-Client-Verify': 'SUCCESS' } })).status).toBe(204);
+    });
+
+    test('validates parameters and bodies against the spec', async () => {
+        const tooMany = await call('/pods?limit=50', { headers: { 'X-API-Key': 'key-1' } });
+        expect(tooMany.status).toBe(400);
+        expect((await tooMany.json()).error).toContain('Invalid parameters');
+
+        const invalid = await call('/pods', {
+            method: 'POST',
+            headers: { Authorization: 'Bearer writer-token' },
+            body: JSON.stringify({ label: 'no name' })
+        });
+        expect(invalid.status).toBe(400);
+    });
+
+    test('checks credentials on in-process calls unless trusted', async () => {
+        expect(await gateway.invoke('agent-1', 'listPods')).toEqual({ status: 401, error: 'Missing or invalid credentials' });
+        expect((await gateway.invoke('agent-1', 'listPods', { headers: { authorization: 'Bearer bearer-1' } })).status).toBe(200);
+        expect((await gateway.invoke('agent-1', 'createPod', { headers: { authorization: 'Bearer reader-token' }, body: { name: 'x' } })).status).toBe(401);
+        expect((await gateway.invoke('agent-1', 'deletePod', { params: { name: 'web-1' } }, { trusted: true })).status).toBe(204);
+    });
+
+    test('answers 502 when a handler response does not match the spec', async () => {
+        const strict = new AgentApiGateway(GATEWAY_CONFIG);
+        strict.mount('agent-2', SPEC, { handlers: { listPods: async () => ({ status: 200, body: [{ label: 'x' }] }) } });
+
+        const result = await strict.invoke('agent-2', 'listPods', { headers: { 'x-api-key': 'key-1' } });
+
+        expect(result.status).toBe(502);
+        expect(result.error).toContain('does not match the spec');
+    });
+});
+
+describe('AgentApiGateway forwarding', () => {
+    let upstream;
+    let gateway;
+
+    beforeAll(async () => {
+        upstream = http.createServer((req, res) => {
+            if (req.url.startsWith('/pods?')) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify([{ name: 'upstream-1' }]));
+            }
+            if (req.url.startsWith('/health')) {
+                return; // never answers
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<html>oops</html>');
+        });
+        await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+        gateway = new AgentApiGateway({ ...GATEWAY_CONFIG, upstreamTimeout: 200 });
+        gateway.mount('agent-1', SPEC, { upstream: urlOf(upstream) });
+    });
+
+    afterAll(() => {
+        upstream.closeAllConnections();
+        return new Promise(resolve => upstream.close(resolve));
+    });
+
+    test('forwards the call with its query', async () => {
+        const result = await gateway.invoke('agent-1', 'listPods', { query: { limit: '2' }, headers: { 'x-api-key': 'key-1' } });
+
+        expect(result).toEqual({ status: 200, body: [{ name: 'upstream-1' }] });
+    });
+
+    test('answers 502 when the upstream does not answer JSON', async () => {
+        const result = await gateway.invoke('agent-1', 'deletePod', { params: { name: 'web-1' } }, { trusted: true });
+
+        expect(result.status).toBe(502);
+        expect(result.error).toContain('text/html instead of JSON');
+    });
+
+    test('answers 504 when the upstream times out', async () => {
+        const result = await gateway.invoke('agent-1', 'getHealth');
+
+        expect(result.status).toBe(504);
+        expect(result.error).toBe('Upstream did not answer within 200ms');
+    });
+});
@@ -0,0 +1,99 @@
+const { AnpLinter } = require('../src/openapi/anp-linter');
+
+const ERROR_RESPONSE = { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+
+function compliantSpec() {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Pod watcher',
+            version: '1.0.0',
+            'x-agent-id': 'agent-1',
+            'x-agent-name': 'pod-watcher',
+            'x-anp-version': '1.0.0',
+            'x-agent-type': 'kagent'
+        },
+        servers: [{ url: 'https://agents.example.com' }],
+        paths: {
+            '/pods': {
+                get: { operationId: 'listPods', summary: 'List pods', responses: { 200: { description: 'OK' }, 500: ERROR_RESPONSE } }
+            }
+        },
+        components: {
+            securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+            schemas: { Error: { type: 'object' } }
+        }
+    };
+}
+
+const linter = new AnpLinter({ environment: 'development' });
+
+// One violation per rule: [code, change to the compliant spec, expected path]
+const VIOLATIONS = [
+    ['ANP001', spec => delete spec.info['x-agent-id'], '/info'],
+    ['ANP002', spec => delete spec.info['x-agent-name'], '/info'],
+    ['ANP002', spec => { spec.info['x-agent-name'] = 'Pod_Watcher'; }, '/info/x-agent-name'],
+    ['ANP003', spec => delete spec.info['x-anp-version'], '/info'],
+    ['ANP003', spec => { spec.info['x-anp-version'] = '1.0'; }, '/info/x-anp-version'],
+    ['ANP004', spec => { spec.paths = {}; }, '/paths'],
+    ['ANP005', spec => { spec.components.securitySchemes = {}; }, '/components/securitySchemes'],
+    ['ANP006', spec => delete spec.paths['/pods'].get.operationId, '/paths/~1pods/get'],
+    ['ANP007', spec => { spec.paths['/pods/{id}'] = { get: { ...spec.paths['/pods'].get } }; }, '/paths/~1pods~1{id}/get/operationId'],
+    ['ANP008', spec => { spec.paths['/pods'].get.responses[404] = { description: 'Not found' }; }, '/paths/~1pods/get/responses/404'],
+    ['ANP010', spec => delete spec.info['x-agent-type'], '/info'],
+    ['ANP011', spec => delete spec.paths['/pods'].get.summary, '/paths/~1pods/get']
+];
+
+describe('AnpLinter', () => {
+    test('passes a compliant spec without findings', () => {
+        expect(linter.lint(compliantSpec())).toEqual({
+            valid: true,
+            environment: 'development',
+            errorCount: 0,
+            warningCount: 0,
+            infoCount: 0,
+            results: []
+        });
+    });
+
+    test.each(VIOLATIONS)('reports %s', (code, change, path) => {
+        const spec = compliantSpec();
+        change(spec);
+
+        const { results } = linter.lint(spec);
+        const rule = AnpLinter.rules.find(entry => entry.code === code);
+
+        expect(results).toEqual([expect.objectContaining({ code, rule: rule.name, severity: rule.severity, path })]);
+    });
+
+    test('only rejects localhost servers in production', () => {
+        const spec = compliantSpec();
+        spec.servers = [{ url: 'https://agents.example.com' }, { url: 'http://localhost:3000' }];
+
+        expect(linter.lint(spec).valid).toBe(true);
+
+        const report = linter.lint(spec, { environment: 'production' });
+        expect(report.valid).toBe(false);
+        expect(report.results).toEqual([
+            expect.objectContaining({ code: 'ANP009', path: '/servers/1/url', message: 'Server http://localhost:3000 points at localhost' })
+        ]);
+    });
+
+    test('applies severity overrides and rejects unknown severities', () => {
+        const spec = compliantSpec();
+        delete spec.info['x-agent-type'];
+        delete spec.paths['/pods'].get.summary;
+
+        const report = new AnpLinter({ rules: { ANP010: 'error' } }).lint(spec, { rules: { ANP011: 'off' } });
+
+        expect(report).toMatchObject({ valid: false, errorCount: 1, warningCount: 0, infoCount: 0 });
+        expect(() => linter.lint(spec, { rules: { ANP010: 'fatal' } })).toThrow('Unknown severity "fatal" for rule ANP010');
+    });
+
+    test('formats a report with one line per finding and a summary', () => {
+        const text = AnpLinter.formatText(linter.lint({}));
+
+        expect(text).toContain('error    ANP001  /info  Missing x-agent-id in info section');
+        expect(text.split('\n').at(-1)).toBe('FAIL: 5 error(s), 1 warning(s), 0 info (development)');
+    });
+});
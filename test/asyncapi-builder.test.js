@@ -0,0 +1,97 @@
+const { AsyncAPIBuilder } = require('../src/openapi/asyncapi-builder');
+
+const AGENT_SPEC = {
+    openapi: '3.1.0',
+    info: { title: 'Pod watcher', version: '2.1.0', 'x-agent-id': 'agent-1', 'x-agent-name': 'pod-watcher' },
+    paths: {},
+    webhooks: {
+        podFailed: {
+            post: {
+                summary: 'A pod failed',
+                requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/PodEvent' } } } }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            PodEvent: {
+                type: 'object',
+                properties: { pod: { $ref: '#/components/schemas/Pod' }, reason: { type: 'string', enum: ['OOMKilled', 'Error'] } },
+                required: ['pod']
+            },
+            Pod: { type: 'object', properties: { name: { type: 'string' } } }
+        }
+    }
+};
+
+describe('AsyncAPIBuilder', () => {
+    const builder = new AsyncAPIBuilder();
+
+    test('describes the AG-UI channel with its received and sent messages', () => {
+        const document = builder.buildPlatform([], { baseUrl: 'https://autoweave.example.com' });
+
+        expect(document.asyncapi).toBe('3.0.0');
+        expect(document.servers.agui).toMatchObject({ host: 'autoweave.example.com', protocol: 'wss', pathname: '/ws' });
+        expect(document.channels.agui.address).toBe('/ws');
+        expect(Object.keys(document.channels.agui.messages)).toEqual(['ChatInput', 'Input', 'Command', 'ChatOutput', 'Display', 'Error']);
+
+        const refs = (operation) => document.operations[operation].messages.map(message => message.$ref.split('/').pop());
+        expect(refs('receiveAGUIMessages')).toEqual(['ChatInput', 'Input', 'Command']);
+        expect(refs('sendAGUIMessages')).toEqual(['ChatOutput', 'Display', 'Error']);
+
+        expect(document.components.messages.AGUIInput).toMatchObject({ name: 'input', payload: { $ref: '#/components/schemas/AGUIInput' } });
+        expect(document.components.schemas.AGUIInput.properties.type).toEqual({ type: 'string', const: 'input' });
+        expect(AsyncAPIBuilder.validate(document)).toEqual([]);
+    });
+
+    test('adds a prefixed webhook channel per agent with standalone payloads', () => {
+        const document = builder.buildPlatform([AGENT_SPEC]);
+
+        expect(document.servers.agui).toMatchObject({ host: 'localhost:3000', protocol: 'ws' });
+        expect(document.channels['PodWatcher.podFailed']).toMatchObject({
+            address: null,
+            title: 'pod-watcher podFailed',
+            messages: { podFailed: { $ref: '#/components/messages/PodWatcherPodFailed' } },
+            bindings: { http: { method: 'POST' } }
+        });
+        expect(document.operations.sendPodWatcherPodFailed).toEqual({
+            action: 'send',
+            channel: { $ref: '#/channels/PodWatcher.podFailed' },
+            summary: 'A pod failed',
+            messages: [{ $ref: '#/channels/PodWatcher.podFailed/messages/podFailed' }]
+        });
+        expect(document.components.messages.PodWatcherPodFailed.payload).toEqual({
+            type: 'object',
+            properties: { pod: { type: 'object', properties: { name: { type: 'string' } } }, reason: { type: 'string', enum: ['OOMKilled', 'Error'] } },
+            required: ['pod']
+        });
+        expect(AsyncAPIBuilder.validate(document)).toEqual([]);
+    });
+
+    test('gives agents without webhooks the workflowCompleted callback', () => {
+        const document = builder.buildAgent({ ...AGENT_SPEC, webhooks: undefined });
+
+        expect(document.info).toMatchObject({ title: 'pod-watcher Agent Events', version: '2.1.0', 'x-agent-id': 'agent-1' });
+        expect(Object.keys(document.channels)).toEqual(['workflowCompleted']);
+        expect(document.components.messages.WorkflowCompleted.payload.required).toEqual(['runId', 'workflowId', 'status']);
+        expect(document.operations.sendWorkflowCompleted.channel).toEqual({ $ref: '#/channels/workflowCompleted' });
+        expect(AsyncAPIBuilder.validate(document)).toEqual([]);
+    });
+
+    test('reports broken documents', () => {
+        const document = builder.buildAgent(AGENT_SPEC);
+        document.asyncapi = '2.6.0';
+        document.channels.podFailed.messages.orphan = { $ref: '#/components/messages/Missing' };
+        document.operations.sendPodFailed.action = 'publish';
+        document.operations.sendPodFailed.messages.push({ $ref: '#/channels/other/messages/x' });
+        document.operations.listen = { action: 'receive', channel: { $ref: '#/channels/missing' } };
+
+        expect(AsyncAPIBuilder.validate(document)).toEqual([
+            { path: '/asyncapi', message: 'must be 3.0.0' },
+            { path: '/channels/podFailed/messages/orphan', message: 'unresolved reference #/components/messages/Missing' },
+            { path: '/operations/sendPodFailed/action', message: 'must be send or receive' },
+            { path: '/operations/sendPodFailed/messages', message: '#/channels/other/messages/x is not a message of #/channels/podFailed' },
+            { path: '/operations/listen/channel', message: 'unresolved reference #/channels/missing' }
+        ]);
+    });
+});
@@ -0,0 +1,73 @@
+const path = require('path');
+const { AgentWeaver } = require('../src/core/agent-weaver');
+const { Cassette, CassetteMissError } = require('../src/llm');
+const { DESCRIPTION } = require('./helpers/agent-weaver');
+
+const CASSETTE = path.join(__dirname, 'cassettes', 'llm.json');
+
+// The OpenAI provider is configured but never reached: every answer comes from the cassette
+async function createReplayingAgentWeaver() {
+    const agentWeaver = new AgentWeaver({
+        openaiApiKey: 'sk-replay-only',
+        model: 'gpt-4o-mini',
+        localMemory: { enabled: false },
+        cassette: { mode: 'replay', file: CASSETTE }
+    });
+
+    await agentWeaver.initialize();
+    return agentWeaver;
+}
+
+describe('cassette replay', () => {
+    test('replays a recorded workflow generation offline', async () => {
+        const agentWeaver = await createReplayingAgentWeaver();
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        expect(agentWeaver.mockMode).toBeFalsy();
+        expect(workflow.requiredModules).toEqual([
+            { name: 'kubernetes-module', type: 'kubernetes', description: 'Handles kubernetes operations' }
+        ]);
+        expect(agentWeaver.usageLedger.query({ operation: 'generate-workflow' })).toHaveLength(1);
+    });
+
+    test('replays a recorded chat answer as a stream', async () => {
+        const agentWeaver = await createReplayingAgentWeaver();
+        const response = await agentWeaver.processChatMessage('What can AutoWeave do?', {
+            memory: false,
+            tools: false,
+            stream: true
+        });
+
+        expect(response.content).toBe('Fake response to: "What can AutoWeave do?"');
+    });
+
+    test('throws CassetteMissError for requests that were never recorded', async () => {
+        const agentWeaver = await createReplayingAgentWeaver();
+
+        await expect(agentWeaver.processChatMessage('Something nobody asked', { memory: false, tools: false }))
+            .rejects.toThrow(CassetteMissError);
+    });
+});
+
+describe('Cassette keys', () => {
+    test('ignore whitespace, generated agent ids and timestamps', () => {
+        const base = { model: 'm', messages: [{ role: 'user', content: 'deploy agent-1700000000000-abc123def at 2024-01-01T00:00:00.000Z' }] };
+        const other = { model: 'm', messages: [{ role: 'user', content: 'deploy  agent-1800000000000-zzz999xyz at\n2025-06-01T12:30:00Z' }] };
+
+        expect(Cassette.keyOf(other)).toBe(Cassette.keyOf(base));
+        expect(Cassette.keyOf({ ...base, model: 'n' })).not.toBe(Cassette.keyOf(base));
+    });
+});
+
+describe('mock mode', () => {
+    test('derives the workflow modules from the description', async () => {
+        const agentWeaver = new AgentWeaver({ openaiApiKey: 'sk-test', localMemory: { enabled: false } });
+        await agentWeaver.initialize();
+
+        const workflow = await agentWeaver.generateWorkflow('Create an agent that reviews code in a repository and exposes it over mcp');
+
+        expect(agentWeaver.mockMode).toBe(true);
+        expect(workflow.requiredModules.map(module => module.type)).toEqual(['coding_assistant', 'mcp_server']);
+        expect(agentWeaver.validateWorkflowStructure(workflow)).toEqual([]);
+    });
+});
@@ -0,0 +1,91 @@
+const { createAgentWeaver } = require('./helpers/agent-weaver');
+
+const MESSAGE = 'list every agent running in the cluster right now';
+
+describe('chat streaming', () => {
+    let agentWeaver;
+
+    beforeEach(async () => {
+        agentWeaver = await createAgentWeaver();
+    });
+
+    test('streams deltas that add up to the final answer', async () => {
+        const chunks = [];
+
+        for await (const chunk of agentWeaver.streamChatMessage(MESSAGE, { memory: false })) {
+            chunks.push(chunk);
+        }
+
+        const deltas = chunks.filter(chunk => chunk.type === 'delta');
+        const done = chunks.at(-1);
+
+        expect(deltas.length).toBeGreaterThan(1);
+        expect(done.type).toBe('done');
+        expect(done.cancelled).toBe(false);
+        expect(deltas.map(chunk => chunk.content).join('')).toBe(done.content);
+        expect(done.totalTokens).toBeGreaterThan(0);
+    });
+
+    test('stops when the signal aborts and keeps the partial answer', async () => {
+        const controller = new AbortController();
+        const session = agentWeaver.conversations.create('alice');
+        const chunks = [];
+
+        for await (const chunk of agentWeaver.streamChatMessage(MESSAGE, {
+            memory: false,
+            signal: controller.signal,
+            sessionId: session.id
+        })) {
+            chunks.push(chunk);
+            if (chunk.type === 'delta' && chunks.length === 2) {
+                controller.abort();
+            }
+        }
+
+        const done = chunks.at(-1);
+
+        expect(chunks.filter(chunk => chunk.type === 'delta')).toHaveLength(2);
+        expect(done).toMatchObject({ type: 'done', cancelled: true, totalTokens: 0 });
+        expect(done.content).toBe(chunks[0].content + chunks[1].content);
+        expect(agentWeaver.conversations.get(session.id).messages.map(message => message.content))
+            .toEqual([MESSAGE, done.content]);
+    });
+
+    test('answers with the text of the last model round only', async () => {
+        agentWeaver = await createAgentWeaver({ fake: { toolCalls: [{ match: 'list every agent', calls: [{ name: 'listAgents' }] }] } });
+        agentWeaver.chatTools.register('listAgents', { permission: 'agents:read', handler: async () => [] });
+
+        // The model writes a preamble with its tool calls
+        const fake = agentWeaver.providers.get('fake');
+        const complete = fake.complete.bind(fake);
+        fake.complete = async (request) => {
+            const result = await complete(request);
+            return result.toolCalls?.length ? { ...result, content: 'Let me check. ' } : result;
+        };
+
+        const session = agentWeaver.conversations.create('alice');
+        const chunks = [];
+        for await (const chunk of agentWeaver.streamChatMessage(MESSAGE, { memory: false, userId: 'alice', sessionId: session.id })) {
+            chunks.push(chunk);
+        }
+
+        const done = chunks.at(-1);
+        const toolIndex = chunks.findIndex(chunk => chunk.type === 'tool');
+        expect(chunks.slice(0, toolIndex).map(chunk => chunk.content).join('')).toBe('Let me check. ');
+        expect(chunks[toolIndex].name).toBe('listAgents');
+        expect(done.content).not.toContain('Let me check.');
+        expect(agentWeaver.conversations.get(session.id).messages.at(-1).content).toBe(done.content);
+    });
+
+    test('processChatMessage with stream collects the deltas', async () => {
+        const deltas = [];
+        const response = await agentWeaver.processChatMessage(MESSAGE, {
+            memory: false,
+            stream: true,
+            onDelta: delta => deltas.push(delta)
+        });
+
+        expect(response.content).toBe(`Fake response to: "${MESSAGE}"`);
+        expect(deltas.join('')).toBe(response.content);
+    });
+});
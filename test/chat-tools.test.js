@@ -0,0 +1,185 @@
+const { AgentWeaver } = require('../src/core/agent-weaver');
+const { ChatToolbox, READ_ONLY_PERMISSIONS, INTERACTIVE_PERMISSIONS } = require('../src/services/chat-tools');
+const { createChatToolRoutes } = require('../src/routes/chat-tools');
+const { UserAuthenticator } = require('../src/services/user-auth');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+const { serve, client } = require('./helpers/http');
+
+const PERMISSIONS = { users: { alice: ['agents:*'], bob: ['agents:*'] } };
+
+/**
+ * Agent handlers scoped to the caller, as AutoWeave registers them
+ */
+function registerAgentTools(agentWeaver, deleted = []) {
+    const requireOwnAgent = (agentId, caller) => {
+        if (!agentWeaver.ownsAgent(agentId, caller.userId)) {
+            throw new Error(`Agent ${agentId} not found`);
+        }
+    };
+
+    agentWeaver.chatTools.registerAutoWeaveOperations({
+        createAgent: async ({ description }, caller) => {
+            const workflow = await agentWeaver.generateWorkflow(description, { userId: caller.userId });
+            return { id: workflow.id, name: workflow.name };
+        },
+        listAgents: async (args, caller) => Array.from(agentWeaver.revisions.histories.keys())
+            .filter(agentId => agentWeaver.ownsAgent(agentId, caller.userId)),
+        getAgent: async ({ agentId }, caller) => {
+            requireOwnAgent(agentId, caller);
+            return { id: agentId };
+        },
+        deleteAgent: async ({ agentId }, caller) => {
+            requireOwnAgent(agentId, caller);
+            deleted.push(agentId);
+            return { deleted: agentId };
+        }
+    });
+}
+
+describe('ChatToolbox permissions', () => {
+    const handler = async () => 'ok';
+
+    test('grants read-only tools unless the config grants more', () => {
+        const toolbox = new ChatToolbox({ permissions: PERMISSIONS })
+            .register('listAgents', { permission: 'agents:read', handler })
+            .register('createAgent', { permission: 'agents:write', handler })
+            .register('deleteAgent', { permission: 'agents:delete', handler });
+
+        expect(toolbox.grantedTo('mallory')).toEqual(READ_ONLY_PERMISSIONS);
+        expect(toolbox.definitions({ userId: 'mallory' }).map(tool => tool.name)).toEqual(['listAgents']);
+        expect(toolbox.definitions({ userId: 'alice' })).toHaveLength(3);
+        expect(toolbox.permits('mallory', 'createAgent')).toBe(false);
+    });
+
+    test('adds the interactive permissions to operations started from a form', () => {
+        const register = (toolbox) => toolbox
+            .register('createAgent', { permission: 'agents:write', handler })
+            .register('deleteAgent', { permission: 'agents:delete', handler });
+        const toolbox = register(new ChatToolbox());
+
+        expect(INTERACTIVE_PERMISSIONS).toEqual(['agents:write']);
+        expect(toolbox.permits('anonymous:1', 'createAgent', { interactive: true })).toBe(true);
+        expect(toolbox.permits('anonymous:1', 'deleteAgent', { interactive: true })).toBe(false);
+        expect(toolbox.definitions({ userId: 'anonymous:1' })).toEqual([]);
+
+        const disabled = register(new ChatToolbox({ permissions: { interactive: [] } }));
+        expect(disabled.permits('anonymous:1', 'createAgent', { interactive: true })).toBe(false);
+    });
+
+    test('refuses calls to tools the caller lacks the permission for', async () => {
+        const toolbox = new ChatToolbox().register('createAgent', { permission: 'agents:write', handler });
+
+        expect(await toolbox.execute({ name: 'createAgent', arguments: {} }, { userId: 'mallory' }))
+            .toMatchObject({ status: 'denied' });
+    });
+});
+
+describe('chat tools', () => {
+    let agentWeaver;
+    let deleted;
+
+    beforeEach(async () => {
+        deleted = [];
+        agentWeaver = await createAgentWeaver({
+            chatTools: { permissions: PERMISSIONS },
+            fake: { toolCalls: [{ match: /delete (\S+)/, calls: (request) => [{
+                name: 'deleteAgent',
+                arguments: { agentId: request.messages[request.messages.length - 1].content.match(/delete (\S+)/)[1] }
+            }] }] }
+        });
+        registerAgentTools(agentWeaver, deleted);
+    });
+
+    test('lets a read-only user create an agent from the AG-UI form and refine it', async () => {
+        // What handleAGUIUserInput and handleAGUIRefinement check for a connection's owner
+        const owner = 'anonymous:form';
+        expect(agentWeaver.chatTools.permits(owner, 'createAgent')).toBe(false);
+        expect(agentWeaver.chatTools.permits(owner, 'createAgent', { interactive: true })).toBe(true);
+
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: owner });
+        expect(agentWeaver.ownsAgent(workflow.id, owner)).toBe(true);
+
+        const { workflow: refined } = await agentWeaver.refineWorkflow(workflow, 'Also alert by email', { userId: owner });
+        expect(refined.owner).toBe(owner);
+    });
+
+    test('records the owner of generated and refined workflows', async () => {
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+        const { workflow: refined } = await agentWeaver.refineWorkflow({ ...workflow, owner: undefined }, 'Also alert by email');
+
+        expect(workflow.owner).toBe('alice');
+        expect(refined.owner).toBe('alice');
+        expect(agentWeaver.ownsAgent(workflow.id, 'alice')).toBe(true);
+        expect(agentWeaver.ownsAgent(workflow.id, 'bob')).toBe(false);
+    });
+
+    test('only lets the owner see and delete an agent', async () => {
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+        const call = (name, userId) => agentWeaver.chatTools.execute({ name, arguments: { agentId: workflow.id } }, { userId }, { confirmed: true });
+
+        expect(await agentWeaver.chatTools.execute({ name: 'listAgents' }, { userId: 'bob' })).toMatchObject({ result: [] });
+        expect(await call('getAgent', 'bob')).toMatchObject({ status: 'error', error: `Agent ${workflow.id} not found` });
+        expect(await call('deleteAgent', 'bob')).toMatchObject({ status: 'error' });
+        expect(await call('deleteAgent', 'alice')).toMatchObject({ status: 'ok' });
+        expect(deleted).toEqual([workflow.id]);
+    });
+
+    test('waits for the requesting user to confirm a deletion', async () => {
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+
+        const answer = await agentWeaver.processMessage(`delete ${workflow.id}`, { userId: 'alice' });
+        const [toolCall] = answer.toolCalls;
+
+        expect(toolCall).toMatchObject({ name: 'deleteAgent', status: 'confirmation-required' });
+        expect(deleted).toEqual([]);
+
+        await expect(agentWeaver.confirmChatTool(toolCall.confirmationId, { userId: 'bob' })).rejects.toMatchObject({ status: 403 });
+        expect(await agentWeaver.confirmChatTool(toolCall.confirmationId, { userId: 'alice' })).toMatchObject({ status: 'ok' });
+        expect(deleted).toEqual([workflow.id]);
+    });
+
+    test('offers no tools to read-only users', async () => {
+        const answer = await agentWeaver.processMessage('delete agent-1', { userId: 'mallory' });
+
+        expect(answer.toolCalls).toEqual([]);
+        expect(deleted).toEqual([]);
+    });
+
+    test('serves confirmations to the authenticated user only', async () => {
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+        const { toolCalls: [toolCall] } = await agentWeaver.processMessage(`delete ${workflow.id}`, { userId: 'alice' });
+        const authenticator = new UserAuthenticator({ tokens: { 'alice-token': 'alice', 'bob-token': 'bob' } });
+        const server = await serve('/api/chat-tools', createChatToolRoutes({ agentWeaver, authenticator }));
+        const path = `/api/chat-tools/confirmations/${toolCall.confirmationId}`;
+
+        try {
+            expect((await client(server)('/api/chat-tools/confirmations')).status).toBe(401);
+            expect((await (await client(server, 'bob-token')('/api/chat-tools/confirmations?userId=alice')).json()).confirmations).toEqual([]);
+            expect((await client(server, 'bob-token')(path, { method: 'POST', body: { userId: 'alice' } })).status).toBe(403);
+            expect((await client(server, 'alice-token')(path, { method: 'POST' })).status).toBe(200);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+describe('tool-capable providers', () => {
+    const local = (config) => new AgentWeaver({
+        providers: { local: { type: 'openai-compatible', model: 'llama3', baseURL: 'http://127.0.0.1:11434/v1', ...config } },
+        defaultProvider: 'local',
+        localMemory: { enabled: false }
+    });
+
+    test('are required to offer chat tools', async () => {
+        const plain = local();
+        const capable = local({ tools: true });
+        const mock = await createAgentWeaver();
+        [plain, capable, mock].forEach(agentWeaver => registerAgentTools(agentWeaver));
+        mock.mockMode = true;
+
+        expect(plain.canCallChatTools()).toBe(false);
+        expect(capable.canCallChatTools()).toBe(true);
+        expect(capable.canCallChatTools({ tools: false })).toBe(false);
+        expect(mock.canCallChatTools()).toBe(false);
+    });
+});
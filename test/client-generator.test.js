@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const { AgentApiGateway } = require('../src/openapi/agent-api-gateway');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+
+// Entry names of a .tgz: ustar headers are 512-byte blocks with the name in the first 100 bytes
+function tarEntries(tarball) {
+    const tar = zlib.gunzipSync(tarball);
+    const names = [];
+
+    for (let offset = 0; offset < tar.length && tar[offset] !== 0;) {
+        const name = tar.subarray(offset, offset + 100).toString('utf8').replace(/\0.*$/s, '');
+        const size = parseInt(tar.subarray(offset + 124, offset + 136).toString('utf8').trim(), 8);
+        names.push(name);
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+
+    return names;
+}
+
+describe('client package generation', () => {
+    let clientPackage;
+    let directory;
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        const agentWeaver = await createAgentWeaver();
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+        const spec = await agentWeaver.generateOpenAPISpec(workflow);
+
+        clientPackage = agentWeaver.generateClientPackage(spec, { packageName: 'pods-client' });
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autoweave-client-'));
+        clientPackage.files.forEach(file => fs.writeFileSync(path.join(directory, file.path), file.content));
+
+        const gateway = new AgentApiGateway({ apiKeys: ['key-1'] });
+        gateway.mount(workflow.id, spec, { mock: true });
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/agents/:agentId', gateway.middleware());
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/agents/${workflow.id}`;
+    });
+
+    afterAll(async () => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('packages the client as an npm tarball', () => {
+        expect(clientPackage).toMatchObject({ name: 'pods-client', version: '1.0.0' });
+        expect(tarEntries(clientPackage.tarball)).toEqual(['package/package.json', 'package/index.js', 'package/index.d.ts', 'package/README.md']);
+        expect(JSON.parse(clientPackage.files[0].content)).toMatchObject({ name: 'pods-client', main: 'index.js', types: 'index.d.ts' });
+    });
+
+    test('declares a typed method per operation', () => {
+        const types = clientPackage.files.find(file => file.path === 'index.d.ts').content;
+
+        expect(types).toContain('executeWorkflow(');
+        expect(types).toContain('getHealth(');
+    });
+
+    test('calls the agent API with the configured credentials', async () => {
+        const { CreateAnAgentClient, ApiError } = require(directory);
+
+        const client = new CreateAnAgentClient({ baseUrl, credentials: { apiKey: 'key-1' } });
+        await expect(client.executeWorkflow({ body: {} })).resolves.toHaveProperty('success');
+
+        const anonymous = new CreateAnAgentClient({ baseUrl });
+        await expect(anonymous.executeWorkflow({ body: {} })).rejects.toThrow('Missing credentials, one of: apiKey, bearerAuth');
+
+        const wrongKey = new CreateAnAgentClient({ baseUrl, credentials: { apiKey: 'wrong' } });
+        const error = await wrongKey.executeWorkflow({ body: {} }).catch(caught => caught);
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error).toMatchObject({ status: 401, code: 401, message: 'Missing or invalid credentials' });
+    });
+});
@@ -0,0 +1,158 @@
+const express = require('express');
+const { ContractTester } = require('../src/openapi/contract-tester');
+const { serve } = require('./helpers/http');
+
+const SPEC = {
+    openapi: '3.1.0',
+    info: { title: 'Pods', version: '1.2.0', 'x-agent-id': 'agent-pods' },
+    security: [{ apiKey: [] }],
+    paths: {
+        '/pods': {
+            get: {
+                operationId: 'listPods',
+                parameters: [{ name: 'namespace', in: 'query', required: true, schema: { type: 'string' }, example: 'prod' }],
+                responses: {
+                    200: {
+                        description: 'Pods',
+                        content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pod' } } } }
+                    }
+                }
+            },
+            post: {
+                operationId: 'createPod',
+                requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Pod' } } } },
+                responses: { 201: { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pod' } } } } }
+            }
+        },
+        '/health': {
+            get: { operationId: 'health', security: [], responses: { 200: { description: 'OK' } } }
+        }
+    },
+    components: {
+        securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+        schemas: {
+            Pod: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string', example: 'api-1' }, ready: { type: 'boolean' } }
+            }
+        }
+    }
+};
+
+// An agent following the contract; `broken` makes listPods answer the wrong shape
+function agent({ broken = false } = {}) {
+    return async ({ operationId, query, body, headers }) => {
+        if (operationId === 'health') {
+            return { status: 200, body: null };
+        }
+        if (headers['x-api-key'] !== 'key-1') {
+            return { status: 401, body: { error: 'Unauthorized' } };
+        }
+        if (operationId === 'listPods') {
+            return broken
+                ? { status: 200, body: { pods: [] } }
+                : { status: 200, body: [{ name: `${query.namespace}-api`, ready: true }] };
+        }
+        return body?.name ? { status: 201, body } : { status: 400, body: { error: 'name is required' } };
+    };
+}
+
+describe('ContractTester', () => {
+    const tester = new ContractTester({ credentials: { apiKey: 'key-1' } });
+
+    test('derives an example case per operation and a negative case for required body fields', () => {
+        const cases = tester.deriveCases(SPEC);
+
+        expect(cases.map(testCase => `${testCase.operationId}:${testCase.name}`)).toEqual([
+            'listPods:example',
+            'createPod:example',
+            'createPod:missing-required-fields',
+            'health:example'
+        ]);
+        expect(cases[0].request.query).toEqual({ namespace: 'prod' });
+        expect(cases[1].request.body).toEqual({ name: 'api-1', ready: true });
+        expect(cases[1].expect.statuses).toEqual(['201']);
+        expect(tester.deriveCases(SPEC, { negative: false, operations: ['createPod'] })).toHaveLength(1);
+    });
+
+    test('passes an agent that follows the contract', async () => {
+        const report = await tester.run(SPEC, { invoke: agent() });
+
+        expect(report).toMatchObject({
+            agentId: 'agent-pods',
+            specVersion: '1.2.0',
+            target: 'in-process',
+            total: 4,
+            passed: 4,
+            failed: 0,
+            success: true
+        });
+    });
+
+    test('reports response schema, status and credential violations', async () => {
+        const report = await new ContractTester().run(SPEC, { invoke: agent({ broken: true }), credentials: { apiKey: 'key-1' } });
+        const listPods = report.results.find(result => result.operationId === 'listPods');
+
+        expect(report).toMatchObject({ passed: 3, failed: 1, success: false });
+        expect(listPods).toMatchObject({ status: 'failed', httpStatus: 200, expected: '200' });
+        expect(listPods.violations).toEqual([{ path: '/', message: 'must be array' }]);
+
+        const unauthorized = await new ContractTester().run(SPEC, { invoke: agent() });
+        expect(unauthorized.results.find(result => result.case === 'example' && result.operationId === 'createPod').violations)
+            .toEqual([{ path: '/', message: 'expected status 201, got 401' }]);
+    });
+
+    test('fails negative cases the agent accepts and reports thrown errors', async () => {
+        const invoke = async ({ operationId }) => {
+            if (operationId === 'health') {
+                throw new Error('connection refused');
+            }
+            return { status: operationId === 'listPods' ? 200 : 201, body: operationId === 'listPods' ? [] : { name: 'x' } };
+        };
+
+        const report = await tester.run(SPEC, { invoke });
+
+        expect(report.results.find(result => result.case === 'missing-required-fields').violations)
+            .toEqual([{ path: '/', message: 'expected a 4xx status, got 201' }]);
+        expect(report.results.find(result => result.operationId === 'health').violations)
+            .toEqual([{ path: '/', message: 'connection refused' }]);
+    });
+
+    describe('over HTTP', () => {
+        let server;
+        let baseUrl;
+
+        beforeAll(async () => {
+            const invoke = agent();
+            const router = express.Router();
+            router.all('*', async (req, res) => {
+                const operationId = req.path === '/health' ? 'health' : req.method === 'GET' ? 'listPods' : 'createPod';
+                const response = await invoke({ operationId, query: req.query, body: req.body, headers: req.headers });
+                res.status(response.status).json(response.body);
+            });
+
+            server = await serve('/agent', router);
+            baseUrl = `http://127.0.0.1:${server.address().port}/agent`;
+        });
+
+        afterAll(() => new Promise(resolve => server.close(resolve)));
+
+        test('sends the credentials and checks the answers', async () => {
+            const report = await tester.run(SPEC, { baseUrl });
+
+            expect(report).toMatchObject({ target: baseUrl, passed: 4, failed: 0 });
+        });
+
+        test('skips operations it has no credentials for', async () => {
+            const report = await new ContractTester().run(SPEC, { baseUrl });
+
+            expect(report).toMatchObject({ passed: 1, skipped: 3, failed: 0, success: true });
+            expect(report.results[0].reason).toBe('No credentials for apiKey');
+        });
+
+        test('needs a target', async () => {
+            await expect(tester.run({ ...SPEC, servers: undefined })).rejects.toThrow('A baseUrl is required to run contract tests');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { createConversationRoutes } = require('../src/routes/conversations');
+const { UserAuthenticator } = require('../src/services/user-auth');
+const { createAgentWeaver } = require('./helpers/agent-weaver');
+const { serve, client } = require('./helpers/http');
+
+const AUTH = { tokens: { 'alice-token': 'alice', 'bob-token': 'bob' }, userHeader: 'X-Authenticated-User' };
+
+describe('UserAuthenticator', () => {
+    const authenticator = new UserAuthenticator(AUTH);
+
+    test('resolves tokens, WebSocket access tokens and the proxy header', async () => {
+        expect(await authenticator.identify({ headers: { authorization: 'Bearer bob-token' } })).toBe('bob');
+        expect(await authenticator.identify({ headers: {}, url: '/ws?access_token=alice-token' })).toBe('alice');
+        expect(await authenticator.identify({ headers: { 'x-authenticated-user': 'carol' } })).toBe('carol');
+    });
+
+    test('ignores unknown tokens and untrusted headers', async () => {
+        expect(await authenticator.identify({ headers: { authorization: 'Bearer nope' } })).toBeNull();
+        expect(await new UserAuthenticator({}).identify({ headers: { 'x-authenticated-user': 'carol' } })).toBeNull();
+        expect(await new UserAuthenticator({}).identify({ headers: {}, url: '/ws?userId=carol' })).toBeNull();
+    });
+});
+
+describe('conversation routes', () => {
+    let agentWeaver;
+    let server;
+    let alice;
+    let bob;
+
+    beforeAll(async () => {
+        agentWeaver = await createAgentWeaver({ fake: { responses: [{ match: /.*/, response: 'Noted.' }] } });
+        const authenticator = new UserAuthenticator(AUTH);
+        server = await serve('/api/conversations', createConversationRoutes({ agentWeaver, authenticator }));
+        alice = client(server, 'alice-token');
+        bob = client(server, 'bob-token');
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('requires an authenticated user', async () => {
+        expect((await client(server)('/api/conversations')).status).toBe(401);
+        expect((await client(server)('/api/conversations?owner=alice')).status).toBe(401);
+    });
+
+    test('creates sessions for the caller, whatever owner the body names', async () => {
+        const response = await alice('/api/conversations', { method: 'POST', body: { owner: 'bob', title: 'Pods' } });
+
+        expect(response.status).toBe(201);
+        expect((await response.json()).owner).toBe('alice');
+    });
+
+    test('lists, reads, answers in and deletes only the caller\'s sessions', async () => {
+        const session = agentWeaver.conversations.create('alice', { title: 'Private' });
+        const path = `/api/conversations/${session.id}`;
+
+        const listed = await (await bob('/api/conversations?owner=alice')).json();
+        expect(listed.sessions.map(entry => entry.id)).not.toContain(session.id);
+
+        expect((await bob(path)).status).toBe(404);
+        expect((await bob(`${path}/messages`, { method: 'POST', body: { message: 'hi' } })).status).toBe(404);
+        expect((await bob(`${path}/fork`, { method: 'POST', body: {} })).status).toBe(404);
+        expect((await bob(path, { method: 'DELETE' })).status).toBe(404);
+        expect(agentWeaver.conversations.has(session.id)).toBe(true);
+
+        expect((await alice(path)).status).toBe(200);
+        expect((await alice(`${path}/messages`, { method: 'POST', body: { message: 'hi' } })).status).toBe(200);
+        expect((await alice(path, { method: 'DELETE' })).status).toBe(200);
+        expect(agentWeaver.conversations.has(session.id)).toBe(false);
+    });
+
+    test('forks into a session of the caller', async () => {
+        const session = agentWeaver.conversations.create('alice');
+        const response = await alice(`/api/conversations/${session.id}/fork`, { method: 'POST', body: { owner: 'bob' } });
+
+        expect((await response.json()).owner).toBe('alice');
+    });
+});
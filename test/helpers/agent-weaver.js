@@ -0,0 +1,22 @@
+const { AgentWeaver } = require('../../src/core/agent-weaver');
+
+/**
+ * AgentWeaver on the in-process fake provider: no network, no mock mode,
+ * so tests run the real generation and chat code paths
+ */
+async function createAgentWeaver(config = {}) {
+    const { fake, ...rest } = config;
+    const agentWeaver = new AgentWeaver({
+        providers: { fake: { type: 'fake', ...fake } },
+        defaultProvider: 'fake',
+        localMemory: { enabled: false },
+        ...rest
+    });
+
+    await agentWeaver.initialize();
+    return agentWeaver;
+}
+
+const DESCRIPTION = 'Create an agent that monitors kubernetes pods and alerts on slack when one fails';
+
+module.exports = { createAgentWeaver, DESCRIPTION };
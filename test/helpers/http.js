@@ -0,0 +1,31 @@
+const express = require('express');
+
+/**
+ * Serves a router on an ephemeral local port; close the server after the tests
+ */
+function serve(path, router) {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+/**
+ * fetch() on the server, sending JSON with the given bearer token
+ */
+function client(server, token) {
+    return (path, options = {}) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        ...options,
+        body: options.body === undefined ? undefined : JSON.stringify(options.body),
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...options.headers
+        }
+    });
+}
+
+module.exports = { serve, client };
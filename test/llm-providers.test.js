@@ -0,0 +1,138 @@
+const { LLMProviderRegistry, FakeProvider, OpenAICompatibleProvider, AnthropicProvider } = require('../src/llm');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+
+describe('LLMProviderRegistry', () => {
+    test('creates named providers and picks the default', () => {
+        const registry = LLMProviderRegistry.fromConfig({
+            defaultProvider: 'ci',
+            providers: {
+                local: { type: 'ollama', baseURL: 'http://localhost:11434/v1', model: 'llama3' },
+                ci: { type: 'fake' }
+            }
+        });
+
+        expect(registry.getDefault()).toBeInstanceOf(FakeProvider);
+        expect(registry.get('local')).toBeInstanceOf(OpenAICompatibleProvider);
+        expect(registry.list()).toEqual([
+            { name: 'local', type: 'openai-compatible', model: 'llama3', default: false },
+            { name: 'ci', type: 'fake', model: 'fake-model', default: true }
+        ]);
+    });
+
+    test('rejects unknown provider types and missing defaults', () => {
+        expect(() => LLMProviderRegistry.fromConfig({ providers: { x: { type: 'nope' } } }))
+            .toThrow('Unknown LLM provider type: nope');
+        expect(() => LLMProviderRegistry.fromConfig({ defaultProvider: 'missing', providers: { ci: { type: 'fake' } } }))
+            .toThrow('Default LLM provider "missing" is not configured');
+        expect(() => LLMProviderRegistry.fromConfig({})).toThrow('OpenAI API key is required');
+    });
+});
+
+describe('FakeProvider', () => {
+    test('answers the same request with the same result', async () => {
+        const provider = new FakeProvider('ci');
+        const request = { messages: [{ role: 'user', content: 'hello' }] };
+
+        const first = await provider.complete(request);
+        const second = await provider.complete(request);
+
+        expect(second).toEqual(first);
+        expect(first.content).toBe('Fake response to: "hello"');
+        expect(first.usage.totalTokens).toBe(first.usage.promptTokens + first.usage.completionTokens);
+    });
+
+    test('uses configured response rules first', async () => {
+        const provider = new FakeProvider('ci', { responses: [{ match: /ping/, response: { pong: true } }] });
+        const result = await provider.complete({ messages: [{ role: 'user', content: 'ping' }] });
+
+        expect(JSON.parse(result.content)).toEqual({ pong: true });
+    });
+});
+
+describe('AnthropicProvider', () => {
+    const originalFetch = global.fetch;
+    const request = {
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'hello' }],
+        model: 'claude-test'
+    };
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('sends the system prompt apart and reads text, tool calls and usage', async () => {
+        global.fetch = jest.fn(async () => new Response(JSON.stringify({
+            content: [
+                { type: 'text', text: 'Hi' },
+                { type: 'tool_use', id: 'call-1', name: 'listAgents', input: { owner: 'alice' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 12, output_tokens: 3 }
+        }), { status: 200, headers: { 'Content-Type': 'application/json' } }));
+
+        const provider = new AnthropicProvider('claude', { apiKey: 'key', baseURL: 'https://llm.test/' });
+        const result = await provider.complete(request);
+
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://llm.test/v1/messages');
+        expect(init.headers['x-api-key']).toBe('key');
+        expect(JSON.parse(init.body)).toMatchObject({ system: 'Be brief', messages: [{ role: 'user', content: 'hello' }] });
+        expect(result).toMatchObject({
+            content: 'Hi',
+            finishReason: 'tool_use',
+            toolCalls: [{ id: 'call-1', name: 'listAgents', arguments: { owner: 'alice' } }]
+        });
+        expect(result.usage).toMatchObject({ promptTokens: 12, completionTokens: 3 });
+    });
+
+    test('reports the status and API message of a failed call', async () => {
+        global.fetch = jest.fn(async () => new Response(JSON.stringify({
+            error: { type: 'rate_limit_error', message: 'Too many requests' }
+        }), { status: 429 }));
+
+        const provider = new AnthropicProvider('claude', { apiKey: 'key' });
+
+        await expect(provider.complete(request)).rejects.toMatchObject({
+            message: 'Anthropic API error (429): Too many requests',
+            status: 429,
+            code: 'rate_limit_error'
+        });
+    });
+
+    test('keeps the status when a gateway answers with a non-JSON body', async () => {
+        global.fetch = jest.fn(async () => new Response('<html>502 Bad Gateway</html>', { status: 502 }));
+
+        const provider = new AnthropicProvider('claude', { apiKey: 'key' });
+
+        await expect(provider.complete(request)).rejects.toMatchObject({
+            message: 'Anthropic API error (502): <html>502 Bad Gateway</html>',
+            status: 502
+        });
+        await expect(provider.stream(request).next()).rejects.toMatchObject({ status: 502 });
+    });
+});
+
+describe('AgentWeaver providers', () => {
+    test('routes calls through the default provider', async () => {
+        const agentWeaver = await createAgentWeaver();
+        const provider = agentWeaver.providers.get('fake');
+
+        await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        expect(agentWeaver.mockMode).toBeFalsy();
+        expect(provider.calls).toHaveLength(1);
+        expect(provider.calls[0].responseFormat).toBe('json');
+    });
+
+    test('lets a call name another provider', async () => {
+        const agentWeaver = await createAgentWeaver({
+            providers: { fake: { type: 'fake' }, other: { type: 'fake', model: 'other-model' } }
+        });
+
+        const result = await agentWeaver.complete([{ role: 'user', content: 'hi' }], { provider: 'other' });
+
+        expect(result.provider).toBe('other');
+        expect(result.model).toBe('other-model');
+        expect(agentWeaver.providers.get('fake').calls).toHaveLength(0);
+    });
+});
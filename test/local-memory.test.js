@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalMemoryStore, LocalMemoryManager, DEFAULT_FILE } = require('../src/memory/local-memory');
+
+describe('LocalMemoryStore BM25 search', () => {
+    test('ranks the entries matching more of the query first and drops the others', async () => {
+        const store = new LocalMemoryStore({ file: null });
+        await store.addUserMemory('alice', 'Deploy the agent on kubernetes');
+        await store.addUserMemory('alice', 'Kubernetes pods alert on slack when one fails');
+        await store.addUserMemory('alice', 'Weekly report sent by email');
+
+        const results = await store.searchMemory('kubernetes slack alerts', 'alice');
+
+        expect(results.map(result => result.memory)).toEqual([
+            'Kubernetes pods alert on slack when one fails',
+            'Deploy the agent on kubernetes'
+        ]);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('weighs rare terms above terms every entry shares', () => {
+        const scores = LocalMemoryStore.bm25('kubernetes slack', [
+            'kubernetes cluster',
+            'kubernetes slack',
+            'kubernetes nodes'
+        ]);
+
+        expect(scores[1]).toBeGreaterThan(scores[0]);
+        expect(scores[0]).toBe(scores[2]);
+        expect(scores[0]).toBeGreaterThan(0);
+    });
+
+    test('ignores stopwords, single characters and case', () => {
+        expect(LocalMemoryStore.tokenize('The Agent of a Cluster, et la Mémoire')).toEqual(['agent', 'cluster', 'mémoire']);
+        expect(LocalMemoryStore.bm25('the of and', ['the agent of the cluster'])).toEqual([0]);
+    });
+
+    test('searches only the memories of the user, up to the limit', async () => {
+        const store = new LocalMemoryStore({ file: null });
+        for (let i = 0; i < 3; i++) {
+            await store.addUserMemory('alice', `monitoring note ${i}`);
+        }
+        await store.addUserMemory('bob', 'monitoring note of bob');
+
+        const results = await store.searchMemory('monitoring', 'alice', { limit: 2 });
+
+        expect(results).toHaveLength(2);
+        expect(results.every(result => result.user_id === 'alice')).toBe(true);
+    });
+});
+
+describe('LocalMemoryStore persistence', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autoweave-memory-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('writes to the data directory by default', () => {
+        expect(DEFAULT_FILE).toBe('./data/memory.json');
+        expect(new LocalMemoryStore({ file: null }).file).toBeNull();
+    });
+
+    test('reloads entries and keeps searching them after a restart', async () => {
+        const file = path.join(directory, 'nested', 'memory.json');
+        const manager = new LocalMemoryManager({ file });
+        const entry = await manager.contextualMemory.addUserMemory('alice', 'Prefers alerts on slack');
+        await manager.contextualMemory.updateMemory(entry.id, 'Prefers alerts on teams');
+        await manager.shutdown();
+
+        const reloaded = new LocalMemoryStore({ file });
+
+        expect(reloaded.size).toBe(1);
+        expect(await reloaded.getMemory(entry.id)).toMatchObject({ memory: 'Prefers alerts on teams', user_id: 'alice' });
+        expect((await reloaded.searchMemory('teams alerts', 'alice'))[0].id).toBe(entry.id);
+        expect(await reloaded.searchMemory('slack', 'alice')).toEqual([]);
+    });
+
+    test('starts empty from an unreadable file', () => {
+        const file = path.join(directory, 'memory.json');
+        fs.writeFileSync(file, 'not json');
+
+        expect(new LocalMemoryStore({ file }).size).toBe(0);
+    });
+});
@@ -0,0 +1,47 @@
+const { OpenAPIToolset } = require('../src/openapi/mcp-tools');
+const { AgentApiGateway } = require('../src/openapi/agent-api-gateway');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+
+describe('agent API operations as MCP tools', () => {
+    let spec;
+    let toolset;
+    let gateway;
+    let agentId;
+
+    beforeAll(async () => {
+        const agentWeaver = await createAgentWeaver();
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        spec = await agentWeaver.generateOpenAPISpec(workflow);
+        toolset = OpenAPIToolset.fromSpec(spec, { prefix: 'pods' });
+        gateway = new AgentApiGateway({ apiKeys: ['key-1'] });
+        agentId = workflow.id;
+        gateway.mount(agentId, spec, { mock: true });
+    });
+
+    test('defines one tool per operation with inlined schemas and method hints', () => {
+        const byName = Object.fromEntries(toolset.tools.map(tool => [tool.name, tool]));
+
+        expect(Object.keys(byName)).toEqual(expect.arrayContaining(['pods_getHealth', 'pods_executeWorkflow', 'pods_deleteK8sResources']));
+        expect(JSON.stringify(toolset.tools)).not.toContain('$ref');
+        expect(byName.pods_getHealth.annotations.readOnlyHint).toBe(true);
+        expect(byName.pods_deleteK8sResources.annotations.destructiveHint).toBe(true);
+    });
+
+    test('tool calls need the operation credentials like HTTP calls', async () => {
+        const request = toolset.toRequest('pods_executeWorkflow', {});
+
+        const anonymous = await gateway.invoke(agentId, request.operationId, request);
+        expect(anonymous.status).toBe(401);
+
+        const authorized = await gateway.invoke(agentId, request.operationId, {
+            ...request,
+            headers: { ...request.headers, 'x-api-key': 'key-1' }
+        });
+        expect(authorized.status).toBe(200);
+    });
+
+    test('rejects unknown tools', () => {
+        expect(() => toolset.toRequest('pods_missing')).toThrow('Unknown tool pods_missing');
+    });
+});
@@ -0,0 +1,94 @@
+const { createMemoryRoutes } = require('../src/routes/memories');
+const { UserAuthenticator } = require('../src/services/user-auth');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+const { serve, client } = require('./helpers/http');
+
+const AUTH = { tokens: { 'alice-token': 'alice', 'bob-token': 'bob' } };
+
+describe('memory ownership', () => {
+    let agentWeaver;
+    let contextual;
+
+    beforeEach(async () => {
+        agentWeaver = await createAgentWeaver({ localMemory: { file: null } });
+        contextual = agentWeaver.memoryManager.contextualMemory;
+    });
+
+    test('retrieves only the configurations generated for the user', async () => {
+        await contextual.addMemory('Configuration generated for: redis cache', 'system', { type: 'configuration', userId: 'alice' });
+        await contextual.addMemory('Configuration generated for: redis queue', 'system', { type: 'configuration', userId: 'bob' });
+
+        const memories = await agentWeaver.retrieveChatMemories('redis', { userId: 'alice' });
+
+        expect(memories.map(memory => memory.content)).toEqual(['Configuration generated for: redis cache']);
+    });
+
+    test('retrieves agent memories only for the owner of the agent', async () => {
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+        await contextual.addAgentMemory(workflow.id, 'Alerts go to the #pods slack channel');
+
+        const retrieve = (userId) => agentWeaver.retrieveChatMemories('slack channel', { userId, agentId: workflow.id });
+
+        expect((await retrieve('alice')).map(memory => memory.source)).toEqual(['agent']);
+        expect(await retrieve('bob')).toEqual([]);
+        expect(await contextual.searchMemory('slack channel', 'bob', { type: 'agent' })).toEqual([]);
+    });
+
+    test('lets users correct and forget their own entries only', async () => {
+        const note = await contextual.addUserMemory('alice', 'Prefers Slack alerts');
+        const configuration = await contextual.addMemory('Configuration for redis', 'system', { type: 'configuration', userId: 'alice' });
+
+        await expect(agentWeaver.correctMemory(note.id, 'Prefers email', 'bob')).rejects.toMatchObject({ status: 403 });
+        await expect(agentWeaver.forgetMemory(configuration.id, 'bob')).rejects.toMatchObject({ status: 403 });
+        await expect(agentWeaver.forgetMemory(note.id)).rejects.toMatchObject({ status: 403 });
+        await expect(agentWeaver.forgetMemory('mem-unknown', 'alice')).rejects.toMatchObject({ status: 404 });
+
+        await agentWeaver.correctMemory(note.id, 'Prefers email', 'alice');
+        expect((await contextual.getMemory(note.id)).memory).toBe('Prefers email');
+
+        await agentWeaver.forgetMemory(configuration.id, 'alice');
+        expect(await contextual.getMemory(configuration.id)).toBeNull();
+    });
+
+    describe('routes', () => {
+        let server;
+
+        beforeEach(async () => {
+            server = await serve('/api/memories', createMemoryRoutes({ agentWeaver, authenticator: new UserAuthenticator(AUTH) }));
+        });
+
+        afterEach(() => new Promise(resolve => server.close(resolve)));
+
+        test('answer 401, 403 and 404 before touching an entry', async () => {
+            const note = await contextual.addUserMemory('alice', 'Prefers Slack alerts');
+            const path = `/api/memories/${note.id}`;
+
+            expect((await client(server)(path, { method: 'DELETE' })).status).toBe(401);
+            expect((await client(server, 'bob-token')(path, { method: 'PUT', body: { content: 'x' } })).status).toBe(403);
+            expect((await client(server, 'bob-token')(path, { method: 'DELETE' })).status).toBe(403);
+            expect((await client(server, 'alice-token')('/api/memories/mem-unknown', { method: 'DELETE' })).status).toBe(404);
+            expect((await contextual.getMemory(note.id)).memory).toBe('Prefers Slack alerts');
+
+            expect((await client(server, 'alice-token')(path, { method: 'DELETE' })).status).toBe(200);
+        });
+
+        test('search the memories of the authenticated user', async () => {
+            await contextual.addUserMemory('alice', 'Prefers Slack alerts');
+
+            const search = (token) => client(server, token)('/api/memories/search?q=slack&userId=alice').then(response => response.json());
+
+            expect((await search('alice-token')).memories).toHaveLength(1);
+            expect((await search('bob-token')).memories).toHaveLength(0);
+        });
+
+        test('refuse to search the memories of an agent of another user', async () => {
+            const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+            await contextual.addAgentMemory(workflow.id, 'Alerts go to the #pods slack channel');
+
+            const search = (token) => client(server, token)(`/api/memories/search?q=slack&agentId=${workflow.id}`);
+
+            expect((await search('bob-token')).status).toBe(403);
+            expect((await (await search('alice-token')).json()).memories).toHaveLength(1);
+        });
+    });
+});
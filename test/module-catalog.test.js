@@ -0,0 +1,73 @@
+const { ModuleCatalog } = require('../src/core/module-catalog');
+
+const QUEUE_TYPE = {
+    description: 'For message queues',
+    capabilities: ['publish', 'consume'],
+    configSchema: {
+        type: 'object',
+        properties: { topic: { type: 'string' } },
+        required: ['topic']
+    },
+    openapi: { paths: { '/queue/messages': ['get', 'post'] } }
+};
+
+describe('ModuleCatalog', () => {
+    test('flags unknown module types as warnings, or as errors in strict mode', () => {
+        const modules = [{ name: 'q', type: 'message_queue' }];
+
+        expect(new ModuleCatalog().validateModules(modules)).toEqual({
+            errors: [],
+            warnings: ['Module q uses unknown type "message_queue"']
+        });
+        expect(new ModuleCatalog({ strict: true }).validateModules(modules)).toEqual({
+            errors: ['Module q uses unknown type "message_queue"'],
+            warnings: []
+        });
+    });
+
+    test('checks module configs against the schema of their type', () => {
+        const catalog = new ModuleCatalog({ types: { message_queue: QUEUE_TYPE } });
+
+        expect(catalog.validateModules([{ name: 'q', type: 'message_queue', config: { topic: 'alerts' } }]).errors)
+            .toEqual([]);
+
+        const { errors } = catalog.validateModules([
+            { name: 'q', type: 'message_queue', config: {} },
+            { name: 'k8s', type: 'kubernetes', config: { namespace: 3 } }
+        ]);
+        expect(errors).toEqual([
+            "Module q config is invalid: / must have required property 'topic'",
+            'Module k8s config is invalid: /namespace must be string'
+        ]);
+    });
+
+    test('registers custom types with derived defaults for the prompts and scopes', () => {
+        const catalog = new ModuleCatalog({ types: { message_queue: QUEUE_TYPE } });
+
+        expect(catalog.has('message_queue')).toBe(true);
+        expect(catalog.getScopes('message_queue')).toEqual({ read: 'message-queue:read', write: 'message-queue:write' });
+        expect(catalog.getScopes('kubernetes')).toEqual({ read: 'k8s:read', write: 'k8s:write' });
+        expect(catalog.getToolHints('message_queue')).toEqual(['message_queue']);
+        expect(catalog.describeTypes()).toContain('- message_queue: For message queues');
+        expect(catalog.describeEndpoints()).toContain('- message_queue: /queue/messages (GET, POST)');
+        expect(catalog.list().find(entry => entry.type === 'message_queue')).not.toHaveProperty('validateConfig');
+    });
+
+    test('rejects invalid type names, missing descriptions and invalid OpenAPI paths', () => {
+        const catalog = new ModuleCatalog();
+
+        expect(() => catalog.registerType('Message-Queue', QUEUE_TYPE)).toThrow('Invalid module type "Message-Queue"');
+        expect(() => catalog.registerType('queue', {})).toThrow('Module type "queue" requires a description');
+        expect(() => catalog.registerType('queue', { ...QUEUE_TYPE, openapi: { paths: { '/queue': ['fetch'] } } }))
+            .toThrow('Module type "queue" has an invalid OpenAPI path /queue');
+        expect(() => catalog.registerType('queue', { ...QUEUE_TYPE, openapi: { paths: { queue: ['get'] } } }))
+            .toThrow('invalid OpenAPI path queue');
+    });
+
+    test('lets a registered type override a built-in one', () => {
+        const catalog = new ModuleCatalog({ types: { kubernetes: { description: 'Cluster access', scopePrefix: 'cluster' } } });
+
+        expect(catalog.get('kubernetes').description).toBe('Cluster access');
+        expect(catalog.getScopes('kubernetes').read).toBe('cluster:read');
+    });
+});
@@ -0,0 +1,39 @@
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+
+describe('OpenAPI generation', () => {
+    let agentWeaver;
+    let workflow;
+
+    beforeAll(async () => {
+        agentWeaver = await createAgentWeaver();
+        workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+    });
+
+    test('builds a valid OpenAPI 3.1 spec from a generated workflow', async () => {
+        const spec = await agentWeaver.generateOpenAPISpec(workflow);
+
+        expect(spec.openapi).toBe('3.1.0');
+        expect(spec.paths).toHaveProperty('/health');
+        expect(spec.paths).toHaveProperty('/execute');
+        await expect(agentWeaver.validateOpenAPISpec(spec)).resolves.toBe(true);
+    });
+
+    test('is deterministic and keeps its $refs after validation', async () => {
+        const first = await agentWeaver.generateOpenAPISpec(workflow);
+        const second = await agentWeaver.generateOpenAPISpec(workflow);
+
+        expect(second).toEqual(first);
+        expect(JSON.stringify(first)).toContain('"$ref"');
+    });
+
+    test('rejects an invalid spec', async () => {
+        await expect(agentWeaver.validateOpenAPISpec({ openapi: '3.1.0', info: {} }))
+            .rejects.toThrow('Invalid OpenAPI specification');
+    });
+
+    test('reports the capabilities of a workflow', async () => {
+        const capabilities = await agentWeaver.getOpenAPICapabilities(workflow);
+
+        expect(capabilities).toBeDefined();
+    });
+});
@@ -0,0 +1,70 @@
+const path = require('path');
+const { OpenAPIImporter } = require('../src/openapi/openapi-importer');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'inventory-3.1.json');
+
+describe('OpenAPIImporter', () => {
+    const importer = new OpenAPIImporter();
+
+    test('imports an OpenAPI 3.1 document', async () => {
+        const workflow = await importer.import(require(FIXTURE));
+
+        expect(workflow.name).toBe('inventory-api');
+        expect(workflow.metadata.source).toMatchObject({ type: 'openapi', version: '2.3.0', serverUrl: 'https://inventory.example.com/v2' });
+        expect(workflow.requiredModules.map(module => module.name)).toEqual(['items-api', 'warehouses-api']);
+        expect(workflow.requiredModules[0].config.auth.schemes).toHaveProperty('apiKey');
+        expect(workflow.steps.map(step => step.id)).toEqual(['get-item', 'update-item', 'list-warehouses']);
+    });
+
+    test('types 3.1 nullable type arrays and dereferenced schemas', async () => {
+        const workflow = await importer.import(require(FIXTURE));
+        const [getItem, updateItem, listWarehouses] = workflow.steps;
+
+        expect(getItem.inputs.sku.type).toBe('string');
+        expect(getItem.outputs.response.type).toBe('object');
+        expect(updateItem.inputs.body.type).toBe('object');
+        expect(listWarehouses.inputs.region.type).toBe('string');
+        expect(listWarehouses.outputs.response.type).toBe('array');
+    });
+
+    test('reads a spec file path', async () => {
+        const workflow = await importer.import(FIXTURE);
+
+        expect(workflow.metadata.source.location).toBe(FIXTURE);
+    });
+
+    test('rejects Swagger 2.0 documents', async () => {
+        await expect(importer.import({ swagger: '2.0', info: { title: 'Old', version: '1' }, paths: {} }))
+            .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    describe('untrusted sources', () => {
+        test('accepts spec objects and ignores their external $refs', async () => {
+            const spec = JSON.parse(JSON.stringify(require(FIXTURE)));
+            spec.paths['/warehouses'].get.responses['200'].content['application/json'].schema = { $ref: '/etc/passwd' };
+
+            const workflow = await importer.import(spec, { untrusted: true });
+
+            expect(workflow.steps.map(step => step.id)).toContain('list-warehouses');
+        });
+
+        test.each([
+            [FIXTURE, 'The spec must be an object or an http(s) URL'],
+            [`file://${FIXTURE}`, 'Unsupported spec URL protocol: file:'],
+            ['http://127.0.0.1:8080/openapi.json', 'Host 127.0.0.1 is a private address'],
+            ['http://169.254.169.254/latest/meta-data', 'Host 169.254.169.254 is a private address'],
+            ['http://[::1]/openapi.json', 'Host ::1 is a private address'],
+            ['http://[::ffff:10.0.0.1]/openapi.json', 'is a private address'],
+            ['http://localhost/openapi.json', 'Host localhost is a private address']
+        ])('rejects %s', async (source, message) => {
+            await expect(importer.import(source, { untrusted: true })).rejects.toThrow(message);
+        });
+
+        test('only fetches from allowed hosts when a list is configured', async () => {
+            const restricted = new OpenAPIImporter({ allowedHosts: ['specs.example.com'] });
+
+            await expect(restricted.import('https://other.example.com/openapi.json', { untrusted: true }))
+                .rejects.toThrow('Host other.example.com is not allowed for spec imports');
+        });
+    });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptRegistry } = require('../src/core/prompt-registry');
+
+const PROMPT_FILE = `---
+{
+    "name": "greeting",
+    "version": "1.0.0",
+    "variables": {
+        "name": { "type": "string", "required": true },
+        "details": { "type": "object" },
+        "formal": { "type": "boolean", "default": false }
+    }
+}
+---
+## system
+You greet people.{{#if formal}} Be formal.{{/if}}
+
+## user
+Greet {{name}}.
+{{#if details}}Details: {{details}}{{/if}}
+`;
+
+function template(version, user = `version ${version}`) {
+    return { name: 'greeting', version, system: '', user, variables: {} };
+}
+
+describe('PromptRegistry', () => {
+    test('parses the JSON header and the system and user sections', () => {
+        const parsed = PromptRegistry.parse(PROMPT_FILE, 'greeting.prompt');
+
+        expect(parsed).toMatchObject({
+            name: 'greeting',
+            version: '1.0.0',
+            system: 'You greet people.{{#if formal}} Be formal.{{/if}}',
+            user: 'Greet {{name}}.\n{{#if details}}Details: {{details}}{{/if}}',
+            source: 'greeting.prompt'
+        });
+        expect(() => PromptRegistry.parse('## user\nHello', 'bare.prompt'))
+            .toThrow('Invalid prompt file bare.prompt: missing JSON header');
+    });
+
+    test('renders placeholders, conditional blocks and object variables', () => {
+        const registry = new PromptRegistry();
+        registry.register(PromptRegistry.parse(PROMPT_FILE));
+
+        const plain = registry.render('greeting', { name: 'Alice' });
+        expect(plain).toMatchObject({ id: 'greeting@1.0.0', system: 'You greet people.', user: 'Greet Alice.\n' });
+
+        const detailed = registry.render('greeting', { name: 'Alice', formal: true, details: { team: 'ops' } });
+        expect(detailed.system).toBe('You greet people. Be formal.');
+        expect(detailed.user).toContain('"team": "ops"');
+    });
+
+    test('checks required variables and their types', () => {
+        const registry = new PromptRegistry();
+        registry.register(PromptRegistry.parse(PROMPT_FILE));
+
+        expect(() => registry.render('greeting', {})).toThrow('requires variable name');
+        expect(() => registry.render('greeting', { name: 42 })).toThrow('must be of type string, got number');
+        expect(() => registry.register({ ...template('2.0.0'), variables: { x: { type: 'date' } } }))
+            .toThrow('unknown type "date" for variable x');
+    });
+
+    test('resolves the highest version numerically unless one is pinned or asked for', () => {
+        const registry = new PromptRegistry();
+        ['1.2.0', '1.10.0', '1.9.0'].forEach(version => registry.register(template(version)));
+
+        expect(registry.get('greeting').version).toBe('1.10.0');
+        expect(registry.render('greeting', {}, { version: '1.2.0' }).user).toBe('version 1.2.0');
+
+        registry.setVersion('greeting', '1.9.0');
+        expect(registry.get('greeting').version).toBe('1.9.0');
+        expect(registry.list().find(entry => entry.name === 'greeting')).toEqual({
+            name: 'greeting',
+            versions: ['1.2.0', '1.9.0', '1.10.0'],
+            active: '1.9.0'
+        });
+
+        expect(() => registry.get('greeting', '3.0.0')).toThrow('Prompt template version not found: greeting@3.0.0');
+        expect(() => registry.get('missing')).toThrow('Prompt template not found: missing');
+        expect(() => registry.setVersion('greeting', '3.0.0')).toThrow();
+    });
+
+    test('loads the built-in templates, then configured directories and their pins', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autoweave-prompts-'));
+
+        try {
+            fs.mkdirSync(path.join(directory, 'nested'));
+            fs.writeFileSync(path.join(directory, 'nested', 'greeting.v1.prompt'), PROMPT_FILE);
+            fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a prompt');
+
+            const registry = new PromptRegistry({
+                directories: [directory],
+                versions: { 'workflow-generation': '1.0.0' }
+            });
+
+            expect(registry.get('greeting').source).toBe(path.join(directory, 'nested', 'greeting.v1.prompt'));
+            expect(registry.get('workflow-generation').version).toBe('1.0.0');
+            expect(registry.get('workflow-repair').version).toBe('1.0.0');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,66 @@
+const { AgentApiGateway } = require('../src/openapi/agent-api-gateway');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+
+const OAUTH2 = { tokenUrl: 'https://auth.example.com/token' };
+
+describe('security profiles', () => {
+    let agentWeaver;
+    let workflow;
+
+    beforeAll(async () => {
+        agentWeaver = await createAgentWeaver({ openapi: { security: { oauth2: OAUTH2 } } });
+        workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+    });
+
+    const specFor = (securityProfile) => agentWeaver.generateOpenAPISpec(workflow, { securityProfile });
+
+    test('public-readonly keeps reads public and protects writes', async () => {
+        const spec = await specFor('public-readonly');
+
+        expect(spec.paths['/k8s/resources'].get.security).toEqual([]);
+        expect(spec.paths['/k8s/resources'].post.security).toEqual([{ apiKey: [] }]);
+        expect(spec.info['x-security-profile']).toBe('public-readonly');
+    });
+
+    test('oauth2-scoped derives scopes from the module type and method', async () => {
+        const spec = await specFor('oauth2-scoped');
+
+        expect(spec.paths['/health'].get.security).toEqual([]);
+        expect(spec.paths['/k8s/resources'].get.security).toEqual([{ oauth2: ['k8s:read'] }]);
+        expect(spec.paths['/k8s/resources'].delete.security).toEqual([{ oauth2: ['k8s:write'] }]);
+        expect(spec.paths['/execute'].post.security).toEqual([{ oauth2: ['agent:execute'] }]);
+        expect(Object.keys(spec.components.securitySchemes.oauth2.flows.clientCredentials.scopes))
+            .toEqual(expect.arrayContaining(['k8s:read', 'k8s:write', 'agent:execute']));
+        await expect(agentWeaver.validateOpenAPISpec(spec)).resolves.toBe(true);
+    });
+
+    test('the gateway enforces the scopes of an oauth2-scoped spec', async () => {
+        const spec = await specFor('oauth2-scoped');
+        const gateway = new AgentApiGateway({ oauth2Tokens: { reader: ['k8s:read'], operator: ['k8s:read', 'k8s:write'] } });
+        gateway.mount(workflow.id, spec, { mock: true });
+
+        const call = (operationId, token) => gateway.invoke(workflow.id, operationId, {
+            headers: { authorization: `Bearer ${token}` },
+            body: operationId === 'getK8sResources' ? undefined : {}
+        });
+
+        expect((await call('getK8sResources', 'reader')).status).toBe(200);
+        expect((await call('deleteK8sResources', 'reader')).status).toBe(401);
+        expect((await call('deleteK8sResources', 'operator')).status).not.toBe(401);
+    });
+
+    test('mtls requires a client certificate for every operation', async () => {
+        const spec = await specFor('mtls');
+
+        expect(spec.components.securitySchemes).toEqual({ mutualTLS: expect.objectContaining({ type: 'mutualTLS' }) });
+        expect(spec.paths['/execute'].post.security).toEqual([{ mutualTLS: [] }]);
+    });
+
+    test('rejects unknown profiles and oauth2 without a token URL', async () => {
+        await expect(specFor('open-bar')).rejects.toThrow('Unknown security profile "open-bar"');
+
+        const unconfigured = await createAgentWeaver();
+        await expect(unconfigured.generateOpenAPISpec(workflow, { securityProfile: 'oauth2-scoped' }))
+            .rejects.toThrow('requires openapi.security.oauth2.tokenUrl');
+    });
+});
@@ -0,0 +1,94 @@
+const { SpecDiff } = require('../src/openapi/spec-diff');
+const { BreakingChangeError } = require('../src/openapi/spec-store');
+const { Versions } = require('../src/utils/versions');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+
+const oauthSpec = (security, scopes = ['k8s:read', 'k8s:write']) => ({
+    openapi: '3.1.0',
+    info: { title: 'Pods', version: '1.0.0' },
+    components: {
+        securitySchemes: {
+            oauth2: {
+                type: 'oauth2',
+                flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: Object.fromEntries(scopes.map(scope => [scope, scope])) } }
+            },
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+    },
+    paths: { '/pods': { get: { operationId: 'listPods', security, responses: { '200': { description: 'ok' } } } } }
+});
+
+const codes = (changes) => changes.map(change => change.code);
+
+describe('Versions', () => {
+    test('compares dotted versions numerically, ignoring suffixes', () => {
+        expect(Versions.compare('1.10.0', '1.9.0')).toBeGreaterThan(0);
+        expect(Versions.compare('2.0', '2.0.0')).toBe(0);
+        expect(Versions.compare('2.0.0-beta', '2.0.0')).toBe(0);
+        expect(['1.2.0', '1.10.0', '1.1.0'].sort(Versions.compare)).toEqual(['1.1.0', '1.2.0', '1.10.0']);
+    });
+});
+
+describe('SpecDiff security', () => {
+    test('requiring an extra OAuth2 scope is breaking', () => {
+        const diff = SpecDiff.compare(oauthSpec([{ oauth2: ['k8s:read'] }]), oauthSpec([{ oauth2: ['k8s:read', 'k8s:write'] }]));
+
+        expect(codes(diff.breaking)).toEqual(['security-changed']);
+        expect(diff.breaking[0].message).toBe('GET /pods security changed from [oauth2(k8s:read)] to [oauth2(k8s:read k8s:write)]');
+    });
+
+    test('replacing a scope is breaking, requiring fewer is not', () => {
+        expect(SpecDiff.compare(oauthSpec([{ oauth2: ['k8s:read'] }]), oauthSpec([{ oauth2: ['k8s:write'] }])).hasBreakingChanges).toBe(true);
+
+        const relaxed = SpecDiff.compare(oauthSpec([{ oauth2: ['k8s:read', 'k8s:write'] }]), oauthSpec([{ oauth2: ['k8s:read'] }]));
+        expect(relaxed.hasBreakingChanges).toBe(false);
+        expect(codes(relaxed.nonBreaking)).toEqual(['security-changed']);
+    });
+
+    test('scopes a flow no longer offers are breaking', () => {
+        const diff = SpecDiff.compare(oauthSpec([{ oauth2: ['k8s:read'] }]), oauthSpec([{ oauth2: ['k8s:read'] }], ['k8s:read']));
+
+        expect(codes(diff.breaking)).toEqual(['oauth2-scope-removed']);
+        expect(diff.breaking[0].message).toContain('no longer offers k8s:write');
+    });
+
+    test('adding an alternative requirement or making an operation public is not breaking', () => {
+        const apiKeyOnly = oauthSpec([{ apiKey: [] }]);
+
+        expect(SpecDiff.compare(apiKeyOnly, oauthSpec([{ apiKey: [] }, { oauth2: ['k8s:read'] }])).hasBreakingChanges).toBe(false);
+        expect(SpecDiff.compare(apiKeyOnly, oauthSpec([])).hasBreakingChanges).toBe(false);
+        expect(SpecDiff.compare(oauthSpec([]), apiKeyOnly).hasBreakingChanges).toBe(true);
+    });
+});
+
+describe('spec publishing', () => {
+    let agentWeaver;
+    let workflow;
+
+    beforeEach(async () => {
+        agentWeaver = await createAgentWeaver();
+        workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+    });
+
+    test('publishes a first version and skips identical specs', async () => {
+        const first = await agentWeaver.publishOpenAPISpec(workflow);
+        const again = await agentWeaver.publishOpenAPISpec(workflow);
+
+        expect(first).toMatchObject({ published: true, revision: 1, diff: null });
+        expect(again).toMatchObject({ published: false, revision: 1 });
+    });
+
+    test('refuses a breaking change without a version bump', async () => {
+        await agentWeaver.publishOpenAPISpec(workflow);
+        const reduced = { ...workflow, steps: [] };
+
+        const error = await agentWeaver.publishOpenAPISpec(reduced).catch(caught => caught);
+        expect(error).toBeInstanceOf(BreakingChangeError);
+        expect(error.status).toBe(409);
+        expect(codes(error.diff.breaking)).toContain('path-removed');
+
+        const bumped = await agentWeaver.publishOpenAPISpec(reduced, { version: '2.0.0' });
+        expect(bumped).toMatchObject({ published: true, version: '2.0.0', revision: 2 });
+        expect(bumped.diff.hasBreakingChanges).toBe(true);
+    });
+});
@@ -0,0 +1,98 @@
+const { UsageLedger, BudgetExceededError } = require('../src/services/usage-ledger');
+const { UserAuthenticator } = require('../src/services/user-auth');
+const { createUsageRoutes } = require('../src/routes/usage');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+const { serve, client } = require('./helpers/http');
+
+describe('UsageLedger', () => {
+    test('prices calls by model, falling back to the family prefix', () => {
+        const ledger = new UsageLedger();
+
+        expect(ledger.record({ model: 'gpt-4o', promptTokens: 1000, completionTokens: 1000 }).cost).toBe(0.0125);
+        expect(ledger.record({ model: 'gpt-4o-2024-08-06', promptTokens: 1000, completionTokens: 0 }).cost).toBe(0.0025);
+        expect(ledger.record({ model: 'my-local-model', promptTokens: 1000 })).toMatchObject({ cost: 0, priced: false });
+    });
+
+    test('summarizes usage per user and model', () => {
+        const ledger = new UsageLedger();
+        ledger.record({ model: 'gpt-4o', promptTokens: 100, completionTokens: 50, userId: 'alice' });
+        ledger.record({ model: 'gpt-4o', promptTokens: 100, completionTokens: 50, userId: 'bob' });
+
+        const summary = ledger.summarize({ userId: 'alice' });
+
+        expect(summary).toMatchObject({ calls: 1, totalTokens: 150 });
+        expect(Object.keys(summary.byUser)).toEqual(['alice']);
+    });
+
+    test('rejects calls once a user budget is spent', () => {
+        const ledger = new UsageLedger({ budgets: { default: { daily: 1 }, users: { alice: { daily: 0.01 } } } });
+
+        expect(() => ledger.checkBudget('alice')).not.toThrow();
+        ledger.record({ model: 'gpt-4', promptTokens: 1000, userId: 'alice' });
+
+        expect(() => ledger.checkBudget('alice')).toThrow(BudgetExceededError);
+        expect(() => ledger.checkBudget('bob')).not.toThrow();
+        expect(ledger.getBudgetStatus('bob').daily).toEqual({ limit: 1, spent: 0, remaining: 1 });
+    });
+});
+
+describe('AgentWeaver budgets', () => {
+    test('records every LLM call and stops at the budget', async () => {
+        const agentWeaver = await createAgentWeaver({
+            usage: {
+                prices: { 'fake-model': { prompt: 1, completion: 1 } },
+                budgets: { users: { alice: { daily: 0.5 } } }
+            }
+        });
+
+        await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+
+        const [entry] = agentWeaver.usageLedger.query({ userId: 'alice' });
+        expect(entry).toMatchObject({ operation: 'generate-workflow', provider: 'fake', model: 'fake-model', priced: true });
+        expect(entry.agentId).toMatch(/^agent-/);
+
+        const error = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' }).catch(caught => caught);
+        expect(error).toBeInstanceOf(BudgetExceededError);
+        expect(error.status).toBe(429);
+        expect(agentWeaver.providers.get('fake').calls).toHaveLength(1);
+    });
+});
+
+describe('usage routes', () => {
+    let server;
+
+    beforeAll(async () => {
+        const ledger = new UsageLedger();
+        ledger.record({ model: 'gpt-4o', promptTokens: 100, userId: 'alice' });
+        ledger.record({ model: 'gpt-4o', promptTokens: 100, userId: 'bob' });
+
+        const authenticator = new UserAuthenticator({
+            tokens: { 'alice-token': 'alice', 'ops-token': 'ops' },
+            admins: ['ops']
+        });
+        server = await serve('/api/usage', createUsageRoutes({ usageLedger: ledger, authenticator }));
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('shows callers their own usage and budget only', async () => {
+        const alice = client(server, 'alice-token');
+
+        const usage = await (await alice('/api/usage')).json();
+        expect(usage.entries.map(entry => entry.userId)).toEqual(['alice']);
+        expect(Object.keys(usage.summary.byUser)).toEqual(['alice']);
+
+        expect((await alice('/api/usage?userId=bob')).status).toBe(403);
+        expect((await alice('/api/usage/budgets/bob')).status).toBe(403);
+        expect((await alice('/api/usage/budgets/alice')).status).toBe(200);
+        expect((await client(server)('/api/usage')).status).toBe(401);
+    });
+
+    test('shows admins the usage of every user', async () => {
+        const ops = client(server, 'ops-token');
+
+        const usage = await (await ops('/api/usage')).json();
+        expect(Object.keys(usage.summary.byUser).sort()).toEqual(['alice', 'bob']);
+        expect((await ops('/api/usage/budgets/bob')).status).toBe(200);
+    });
+});
@@ -0,0 +1,208 @@
+const { createUserDataRoutes } = require('../src/routes/user-data');
+const { UserAuthenticator } = require('../src/services/user-auth');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+const { serve, client } = require('./helpers/http');
+
+const AUTH = { tokens: { 'alice-token': 'alice', 'bob-token': 'bob' } };
+
+/**
+ * mem0-style backend: getAll/get/update/delete instead of the entry operations
+ */
+function mem0Backend() {
+    const entries = new Map();
+    let next = 1;
+    const add = (memory, userId, agentId, metadata) => {
+        const entry = { id: `m${next++}`, memory, user_id: userId, agent_id: agentId, metadata };
+        entries.set(entry.id, entry);
+        return entry;
+    };
+
+    return {
+        entries,
+        addMemory: async (content, userId, metadata = {}) => add(content, userId, null, metadata),
+        addUserMemory: async (userId, content, metadata = {}) => add(content, userId, null, { ...metadata, type: 'user' }),
+        addAgentMemory: async (agentId, content, metadata = {}) => add(content, null, agentId, { ...metadata, type: 'agent' }),
+        searchMemory: async () => [],
+        deleteUserMemory: async (userId) => {
+            Array.from(entries.values()).filter(entry => entry.user_id === userId).forEach(entry => entries.delete(entry.id));
+        },
+        getAll: async ({ user_id: userId, agent_id: agentId }) => ({
+            results: Array.from(entries.values()).filter(entry => (agentId ? entry.agent_id === agentId : entry.user_id === userId))
+        }),
+        get: async (id) => {
+            if (!entries.has(id)) {
+                throw new Error('Memory not found');
+            }
+            return entries.get(id);
+        },
+        update: async (id, content) => Object.assign(entries.get(id), { memory: content }),
+        delete: async (id) => entries.delete(id)
+    };
+}
+
+async function seed(agentWeaver, userId) {
+    const contextual = agentWeaver.memoryManager.contextualMemory;
+    const workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId });
+
+    await contextual.addUserMemory(userId, `${userId} prefers Slack alerts`);
+    await contextual.addAgentMemory(workflow.id, `Agent created for ${userId}`, { userId });
+    await contextual.addMemory(`Configuration for ${userId}`, 'system', { type: 'configuration', userId });
+    await agentWeaver.publishOpenAPISpec(workflow);
+
+    const session = agentWeaver.conversations.create(userId);
+    agentWeaver.conversations.append(session.id, 'user', 'Watch my pods');
+
+    return { workflow, session };
+}
+
+describe('user data', () => {
+    let agentWeaver;
+
+    beforeEach(async () => {
+        agentWeaver = await createAgentWeaver({ localMemory: { file: null }, chatTools: { permissions: { default: ['*'] } } });
+        agentWeaver.chatTools.registerAutoWeaveOperations({ deleteAgent: async ({ agentId }) => ({ deleted: agentId }) });
+    });
+
+    test('exports the stores of the user and the agents they own', async () => {
+        const { workflow } = await seed(agentWeaver, 'alice');
+        await seed(agentWeaver, 'bob');
+
+        const archive = await agentWeaver.exportUserData('alice');
+
+        expect(archive.agents).toEqual([workflow.id]);
+        expect(archive.memories.user.map(entry => entry.content)).toEqual(['alice prefers Slack alerts']);
+        expect(archive.memories.agent.map(entry => entry.content)).toEqual(['Agent created for alice']);
+        expect(archive.memories.configuration.map(entry => entry.content)).toEqual(['Configuration for alice']);
+        expect(archive.conversations).toHaveLength(1);
+        expect(archive.unavailable).toEqual([]);
+
+        const other = await createAgentWeaver({ localMemory: { file: null } });
+        const report = await other.importUserData(archive, { userId: 'carol' });
+
+        expect(report.imported).toEqual({ user: 1, agent: 1, configuration: 1, conversations: 1 });
+        expect(other.conversations.list({ owner: 'carol' })).toHaveLength(1);
+    });
+
+    test('erases every store and leaves other users alone', async () => {
+        const { workflow, session } = await seed(agentWeaver, 'alice');
+        const bob = await seed(agentWeaver, 'bob');
+        const fork = agentWeaver.conversations.fork(session.id, { owner: 'bob' });
+        await agentWeaver.chatTools.execute({ name: 'deleteAgent', arguments: { agentId: workflow.id } }, { userId: 'alice' });
+        agentWeaver.usageLedger.record({ model: 'fake-model', promptTokens: 10, userId: 'alice' });
+
+        const report = await agentWeaver.eraseUserData('alice');
+
+        expect(report.verified).toBe(true);
+        expect(Object.keys(report.stores)).toEqual(['user', 'agent', 'configuration', 'conversations', 'usage', 'revisions', 'specs', 'confirmations']);
+        expect(report.stores.conversations.deleted.sort()).toEqual([session.id, fork.id].sort());
+        expect(report.stores.usage.deleted.length).toBeGreaterThan(0);
+        expect(report.stores.revisions.deleted).toEqual([workflow.id]);
+        expect(report.stores.specs.deleted).toEqual([workflow.id]);
+        expect(report.stores.confirmations.deleted).toHaveLength(1);
+
+        expect(agentWeaver.usageLedger.query({ userId: 'alice' })).toEqual([]);
+        expect(agentWeaver.usageLedger.query({ agentId: workflow.id })).toEqual([]);
+        expect(agentWeaver.revisions.has(workflow.id)).toBe(false);
+        expect(agentWeaver.specVersions.has(workflow.id)).toBe(false);
+        expect(agentWeaver.chatTools.listPending('alice')).toEqual([]);
+
+        const left = await agentWeaver.exportUserData('bob');
+        expect(left.agents).toEqual([bob.workflow.id]);
+        expect(left.memories.user).toHaveLength(1);
+        expect(left.memories.configuration).toHaveLength(1);
+        expect(left.conversations.map(entry => entry.id)).toEqual([bob.session.id]);
+        expect(agentWeaver.specVersions.has(bob.workflow.id)).toBe(true);
+    });
+
+    test('clearMemory reports success as a boolean', async () => {
+        await agentWeaver.addToMemory('Prefers Slack alerts', 'alice');
+
+        expect(await agentWeaver.clearMemory('alice')).toBe(true);
+        expect(await agentWeaver.memoryManager.contextualMemory.listMemories('alice', { type: 'user' })).toEqual([]);
+    });
+
+    describe('routes', () => {
+        let server;
+
+        beforeEach(async () => {
+            server = await serve('/api/users', createUserDataRoutes({ agentWeaver, authenticator: new UserAuthenticator(AUTH) }));
+        });
+
+        afterEach(() => new Promise(resolve => server.close(resolve)));
+
+        test('only act on the data of the authenticated user', async () => {
+            const { workflow } = await seed(agentWeaver, 'alice');
+            const bob = await seed(agentWeaver, 'bob');
+
+            expect((await client(server)('/api/users/alice/archive')).status).toBe(401);
+            expect((await client(server, 'bob-token')('/api/users/alice/archive')).status).toBe(403);
+            expect((await client(server, 'bob-token')('/api/users/alice/archive', { method: 'POST', body: {} })).status).toBe(403);
+            expect((await client(server, 'bob-token')('/api/users/alice/data', { method: 'DELETE' })).status).toBe(403);
+
+            const response = await client(server, 'alice-token')('/api/users/alice/archive');
+            expect(response.status).toBe(200);
+            expect((await response.json()).agents).toEqual([workflow.id]);
+
+            // Agents named by the caller are ignored
+            const erased = await client(server, 'alice-token')(`/api/users/alice/data?agentIds=${bob.workflow.id}`, { method: 'DELETE' });
+            expect((await erased.json()).stores.revisions.deleted).toEqual([workflow.id]);
+            expect(agentWeaver.revisions.has(bob.workflow.id)).toBe(true);
+            expect(await agentWeaver.memoryManager.contextualMemory.listMemories(null, { type: 'agent', agentId: bob.workflow.id }))
+                .toHaveLength(1);
+        });
+    });
+});
+
+describe('hybrid memory backends', () => {
+    const hybrid = (contextualMemory) => ({
+        contextualMemory,
+        intelligentSearch: async () => ({ results: [] }),
+        createAgentWithMemory: async () => null
+    });
+
+    test('map the entry operations to the mem0 client', async () => {
+        const agentWeaver = await createAgentWeaver();
+        const backend = mem0Backend();
+        agentWeaver.setMemoryManager(hybrid(backend));
+        const { workflow } = await seed(agentWeaver, 'alice');
+
+        const archive = await agentWeaver.exportUserData('alice');
+        expect(archive.unavailable).toEqual([]);
+        expect(archive.memories.agent).toHaveLength(1);
+
+        const [note] = archive.memories.user;
+        await agentWeaver.correctMemory(note.id, 'Prefers email', 'alice');
+        expect(backend.entries.get(note.id).memory).toBe('Prefers email');
+        await expect(agentWeaver.forgetMemory('m404', 'alice')).rejects.toMatchObject({ status: 404 });
+
+        const report = await agentWeaver.eraseUserData('alice');
+        expect(report.verified).toBe(true);
+        expect(backend.entries.size).toBe(0);
+        expect(report.agents).toEqual([workflow.id]);
+    });
+
+    test('report the stores a backend cannot list', async () => {
+        const agentWeaver = await createAgentWeaver();
+        const backend = mem0Backend();
+        ['getAll', 'get', 'update', 'delete'].forEach(method => delete backend[method]);
+        agentWeaver.setMemoryManager(hybrid(backend));
+        await agentWeaver.addToMemory('Prefers Slack alerts', 'alice');
+
+        const archive = await agentWeaver.exportUserData('alice');
+        const report = await agentWeaver.eraseUserData('alice');
+
+        expect(archive.unavailable.map(entry => entry.store)).toEqual(['user', 'agent', 'configuration']);
+        expect(report.stores.user).toMatchObject({ verified: false });
+        expect(report.verified).toBe(false);
+        expect(backend.entries.size).toBe(0);
+        await expect(agentWeaver.correctMemory('m1', 'x', 'alice')).rejects.toThrow('does not support updateMemory');
+    });
+
+    test('leave complete backends unwrapped', async () => {
+        const agentWeaver = await createAgentWeaver({ localMemory: { file: null } });
+        const manager = agentWeaver.memoryManager;
+
+        agentWeaver.setMemoryManager(manager);
+        expect(agentWeaver.memoryManager).toBe(manager);
+    });
+});
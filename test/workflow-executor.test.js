@@ -0,0 +1,150 @@
+const { WorkflowExecutor } = require('../src/core/workflow-executor');
+
+const WORKFLOW = {
+    id: 'agent-pods',
+    name: 'pod-watcher',
+    requiredModules: [
+        { name: 'k8s', type: 'kubernetes' },
+        { name: 'chat', type: 'mcp_server' }
+    ],
+    inputs: { namespace: { type: 'string', required: true } },
+    steps: [
+        {
+            id: 'notify',
+            action: 'notify',
+            module: 'chat',
+            inputs: {
+                pods: { type: 'array', from: 'list-pods.outputs.failing' },
+                channel: { type: 'string', value: '#ops' }
+            },
+            condition: { ref: 'list-pods.outputs.failing', operator: 'exists' },
+            outputs: { sent: { type: 'boolean' } }
+        },
+        {
+            id: 'list-pods',
+            action: 'list_pods',
+            module: 'k8s',
+            inputs: { namespace: { type: 'string', from: 'inputs.namespace' } },
+            outputs: { failing: { type: 'array' } }
+        }
+    ]
+};
+
+describe('WorkflowExecutor', () => {
+    test('runs steps in dependency order and binds their references', async () => {
+        const calls = [];
+        const executor = new WorkflowExecutor({
+            handlers: {
+                kubernetes: async ({ inputs }) => {
+                    calls.push(['kubernetes', inputs]);
+                    return { failing: [`${inputs.namespace}/api`] };
+                },
+                mcp_server: async ({ inputs, module }) => {
+                    calls.push(['mcp_server', inputs, module.name]);
+                    return { sent: true };
+                }
+            }
+        });
+        const finished = [];
+
+        const run = await executor.run(WORKFLOW, { namespace: 'prod' }, { onStep: step => finished.push(step.id) });
+
+        expect(calls).toEqual([
+            ['kubernetes', { namespace: 'prod' }],
+            ['mcp_server', { pods: ['prod/api'], channel: '#ops' }, 'chat']
+        ]);
+        expect(finished).toEqual(['list-pods', 'notify']);
+        expect(run).toMatchObject({
+            workflowId: 'agent-pods',
+            status: 'completed',
+            input: { namespace: 'prod' },
+            outputs: { 'list-pods': { failing: ['prod/api'] }, notify: { sent: true } }
+        });
+        expect(run.steps.every(step => step.simulated === false)).toBe(true);
+    });
+
+    test('simulates steps without a handler and skips steps whose condition fails', async () => {
+        const run = await new WorkflowExecutor().run(WORKFLOW, { namespace: 'prod' });
+
+        expect(run.status).toBe('completed');
+        expect(run.steps[0]).toMatchObject({ id: 'list-pods', status: 'completed', simulated: true, outputs: { failing: [] } });
+        expect(run.steps[1]).toMatchObject({ id: 'notify', status: 'skipped', reason: 'condition on list-pods.outputs.failing not met' });
+    });
+
+    test('retries failed steps and skips the steps depending on a failure', async () => {
+        let attempts = 0;
+        const executor = new WorkflowExecutor({
+            simulateUnhandled: false,
+            handlers: {
+                kubernetes: async () => {
+                    attempts++;
+                    throw new Error('cluster unreachable');
+                }
+            }
+        });
+        const workflow = {
+            ...WORKFLOW,
+            steps: WORKFLOW.steps.map(step => step.id === 'list-pods'
+                ? { ...step, retry: { maxAttempts: 2, backoffMs: 0 } }
+                : step)
+        };
+
+        const run = await executor.run(workflow, { namespace: 'prod' });
+
+        expect(attempts).toBe(2);
+        expect(run.status).toBe('failed');
+        expect(run.steps[0]).toMatchObject({ status: 'failed', attempts: 2, error: 'cluster unreachable' });
+        expect(run.steps[1]).toMatchObject({ status: 'skipped', blocked: true, reason: 'dependency list-pods did not complete' });
+        expect(run.outputs).toEqual({});
+    });
+
+    test('fails steps without a handler when simulation is off', async () => {
+        const executor = new WorkflowExecutor({ simulateUnhandled: false });
+
+        const run = await executor.run(WORKFLOW, { namespace: 'prod' });
+
+        expect(run.steps[0]).toMatchObject({ status: 'failed', error: 'No step handler registered for module type kubernetes' });
+    });
+
+    test('skips the remaining steps once the run is cancelled', async () => {
+        const controller = new AbortController();
+        const executor = new WorkflowExecutor({
+            handlers: {
+                kubernetes: async ({ signal }) => {
+                    controller.abort();
+                    expect(signal.aborted).toBe(true);
+                    return { failing: ['prod/api'] };
+                }
+            }
+        });
+
+        const run = await executor.run(WORKFLOW, { namespace: 'prod' }, { signal: controller.signal });
+
+        expect(run.status).toBe('cancelled');
+        expect(run.steps.map(step => step.status)).toEqual(['completed', 'skipped']);
+        expect(run.steps[1].reason).toBe('run cancelled');
+    });
+
+    test('rejects invalid workflows and missing required inputs', async () => {
+        const executor = new WorkflowExecutor();
+
+        await expect(executor.run(WORKFLOW, {})).rejects.toThrow('Missing workflow input: namespace');
+        await expect(executor.run({ ...WORKFLOW, steps: [{ ...WORKFLOW.steps[0] }] }, { namespace: 'prod' }))
+            .rejects.toThrow('Cannot run workflow');
+        expect(() => executor.registerHandler('kubernetes', 'not a function')).toThrow('must be a function');
+    });
+
+    test('evaluates step conditions', () => {
+        const check = (operator, actual, value) => WorkflowExecutor.evaluateCondition({ operator, value }, actual);
+
+        expect(check('equals', { a: 1 }, { a: 1 })).toBe(true);
+        expect(check('notEquals', 'a', 'b')).toBe(true);
+        expect(check('greaterThan', '3', 2)).toBe(true);
+        expect(check('lessThan', 3, 2)).toBe(false);
+        expect(check('contains', ['api', 'db'], 'db')).toBe(true);
+        expect(check('contains', 42, 4)).toBe(false);
+        expect(check('exists', [], undefined)).toBe(false);
+        expect(check('exists', 0, undefined)).toBe(true);
+        expect(check('matches', 'a', 'a')).toBe(false);
+    });
+});
@@ -0,0 +1,114 @@
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+
+const VALID_WORKFLOW = {
+    name: 'pod-watcher',
+    description: DESCRIPTION,
+    requiredModules: [{ name: 'k8s', type: 'kubernetes', description: 'Reads pod status' }],
+    steps: [{ id: 'watch', action: 'watch_pods', description: 'Watch pods', module: 'k8s' }]
+};
+
+describe('workflow generation', () => {
+    test('generates a schema-valid workflow from a description', async () => {
+        const agentWeaver = await createAgentWeaver();
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        expect(agentWeaver.validateWorkflowStructure(workflow)).toEqual([]);
+        expect(workflow.requiredModules.map(module => module.type)).toContain('kubernetes');
+        expect(workflow.metadata.promptVersion).toMatch(/^workflow-generation@/);
+        expect(agentWeaver.revisions.list(workflow.id)).toHaveLength(1);
+    });
+
+    test('sends validation errors back and accepts the repaired workflow', async () => {
+        const agentWeaver = await createAgentWeaver({
+            fake: {
+                responses: [
+                    { match: 'does not match the required workflow schema', response: VALID_WORKFLOW },
+                    { match: 'requiredModules', response: { name: 'pod-watcher', requiredModules: [] } }
+                ]
+            }
+        });
+        const provider = agentWeaver.providers.get('fake');
+
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        expect(workflow.name).toBe('pod-watcher');
+        expect(provider.calls).toHaveLength(2);
+        expect(provider.calls[1].messages.at(-1).content).toContain('/requiredModules');
+    });
+
+    test('repairs output that is not JSON', async () => {
+        const agentWeaver = await createAgentWeaver({
+            fake: {
+                responses: [
+                    { match: 'does not match the required workflow schema', response: VALID_WORKFLOW },
+                    { match: 'requiredModules', response: 'Sure! Here is your agent.' }
+                ]
+            }
+        });
+
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        expect(workflow.name).toBe('pod-watcher');
+    });
+
+    test('fails once the repair attempts are used up', async () => {
+        const agentWeaver = await createAgentWeaver({
+            maxRepairAttempts: 1,
+            fake: { responses: [{ match: /./, response: { name: 'broken' } }] }
+        });
+
+        await expect(agentWeaver.generateWorkflow(DESCRIPTION)).rejects.toThrow('Invalid workflow structure generated');
+        expect(agentWeaver.providers.get('fake').calls).toHaveLength(2);
+    });
+
+    test('sends module catalog errors back for repair', async () => {
+        const agentWeaver = await createAgentWeaver({
+            modules: { strict: true },
+            fake: {
+                responses: [
+                    { match: 'does not match the required workflow schema', response: VALID_WORKFLOW },
+                    {
+                        match: 'requiredModules',
+                        response: {
+                            ...VALID_WORKFLOW,
+                            requiredModules: [{ name: 'k8s', type: 'quantum', description: 'Unknown type' }]
+                        }
+                    }
+                ]
+            }
+        });
+        const provider = agentWeaver.providers.get('fake');
+
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        expect(workflow.requiredModules[0].type).toBe('kubernetes');
+        expect(provider.calls[1].messages.at(-1).content).toContain('Module k8s uses unknown type "quantum"');
+    });
+
+    test('sends names that cannot become Kubernetes names back for repair', async () => {
+        const agentWeaver = await createAgentWeaver({
+            fake: {
+                responses: [
+                    { match: 'does not match the required workflow schema', response: VALID_WORKFLOW },
+                    { match: 'requiredModules', response: { ...VALID_WORKFLOW, name: '!!!' } }
+                ]
+            }
+        });
+        const provider = agentWeaver.providers.get('fake');
+
+        const workflow = await agentWeaver.generateWorkflow(DESCRIPTION);
+
+        expect(workflow.name).toBe('pod-watcher');
+        expect(provider.calls[1].messages.at(-1).content).toContain('/name');
+    });
+
+    test('rejects a step graph with unknown dependencies', async () => {
+        const agentWeaver = await createAgentWeaver();
+        const errors = agentWeaver.validateWorkflowStructure({
+            ...VALID_WORKFLOW,
+            steps: [{ ...VALID_WORKFLOW.steps[0], dependsOn: ['missing'] }]
+        });
+
+        expect(errors.length).toBeGreaterThan(0);
+    });
+});
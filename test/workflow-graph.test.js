@@ -0,0 +1,107 @@
+const { WorkflowGraph } = require('../src/core/workflow-graph');
+
+const MODULES = [{ name: 'k8s', type: 'kubernetes' }, { name: 'chat', type: 'mcp_server' }];
+
+function workflow(steps, inputs = { namespace: { type: 'string' } }) {
+    return { name: 'pod-watcher', requiredModules: MODULES, inputs, steps };
+}
+
+const LIST_PODS = {
+    id: 'list-pods',
+    action: 'list_pods',
+    module: 'k8s',
+    inputs: { namespace: { type: 'string', from: 'inputs.namespace' } },
+    outputs: { failing: { type: 'array' } }
+};
+
+const NOTIFY = {
+    id: 'notify',
+    action: 'notify',
+    module: 'chat',
+    inputs: { pods: { type: 'array', from: 'list-pods.outputs.failing' } },
+    condition: { ref: 'list-pods.outputs.failing', operator: 'exists' }
+};
+
+describe('WorkflowGraph', () => {
+    test('orders steps by their references and dependencies', () => {
+        const result = WorkflowGraph.validate(workflow([
+            NOTIFY,
+            { id: 'report', action: 'report', dependsOn: ['notify'] },
+            LIST_PODS
+        ]));
+
+        expect(result).toEqual({ valid: true, errors: [], order: ['list-pods', 'notify', 'report'] });
+    });
+
+    test('keys flat steps by their action', () => {
+        const result = WorkflowGraph.validate(workflow([
+            { action: 'scan', description: 'Scan' },
+            { action: 'report', description: 'Report', dependsOn: ['scan'] }
+        ]));
+
+        expect(result.valid).toBe(true);
+        expect(result.order).toEqual(['scan', 'report']);
+    });
+
+    test('reports dependency cycles with the steps involved', () => {
+        const result = WorkflowGraph.validate(workflow([
+            { id: 'a', action: 'a', dependsOn: ['c'] },
+            { id: 'b', action: 'b', dependsOn: ['a'] },
+            { id: 'c', action: 'c', inputs: { x: { from: 'b.outputs.x' } } },
+            { id: 'd', action: 'd' }
+        ].map(step => ({ ...step, outputs: { x: { type: 'string' } } }))));
+
+        expect(result.valid).toBe(false);
+        expect(result.order).toEqual(['d']);
+        expect(result.errors).toEqual([{ path: '/steps', message: 'dependency cycle between steps a, b, c' }]);
+    });
+
+    test('reports unbound, dangling and mistyped references', () => {
+        const { errors } = WorkflowGraph.validate(workflow([
+            LIST_PODS,
+            {
+                id: 'notify',
+                action: 'notify',
+                inputs: {
+                    channel: { from: 'inputs.channel' },
+                    pods: { type: 'array', from: 'scan.outputs.pods' },
+                    count: { type: 'number', from: 'list-pods.outputs.count' },
+                    failing: { type: 'string', from: 'list-pods.outputs.failing' },
+                    raw: { from: 'list-pods.failing' }
+                },
+                condition: { ref: 'list-pods.outputs.missing', operator: 'exists' }
+            }
+        ]));
+
+        expect(errors).toEqual([
+            { path: '/steps/1/inputs/channel/from', message: 'unbound reference "inputs.channel": workflow input "channel" is not declared' },
+            { path: '/steps/1/inputs/pods/from', message: 'unbound reference "scan.outputs.pods": unknown step "scan"' },
+            { path: '/steps/1/inputs/count/from', message: 'unbound reference "list-pods.outputs.count": step "list-pods" has no output "count"' },
+            { path: '/steps/1/inputs/failing/from', message: 'reference "list-pods.outputs.failing" is of type array, expected string' },
+            { path: '/steps/1/inputs/raw/from', message: 'invalid reference "list-pods.failing"' },
+            { path: '/steps/1/condition/ref', message: 'unbound reference "list-pods.outputs.missing": step "list-pods" has no output "missing"' }
+        ]);
+    });
+
+    test('reports duplicate ids, unknown dependencies and undeclared modules', () => {
+        const { errors } = WorkflowGraph.validate(workflow([
+            LIST_PODS,
+            { ...LIST_PODS, inputs: {} },
+            { id: 'notify', action: 'notify', module: 'slack', dependsOn: ['missing'] }
+        ]));
+
+        expect(errors).toEqual([
+            { path: '/steps/1/id', message: 'duplicate step id "list-pods"' },
+            { path: '/steps/2/module', message: 'module "slack" is not declared in requiredModules' },
+            { path: '/steps/2/dependsOn', message: 'depends on unknown step "missing"' }
+        ]);
+    });
+
+    test('parses input and step output references', () => {
+        expect(WorkflowGraph.parseReference('inputs.namespace')).toEqual({ source: 'inputs', step: null, name: 'namespace' });
+        expect(WorkflowGraph.parseReference('list-pods.outputs.failing')).toEqual({ source: 'step', step: 'list-pods', name: 'failing' });
+        expect(WorkflowGraph.parseReference('List.outputs.x')).toBeNull();
+        expect(WorkflowGraph.parseReference(42)).toBeNull();
+        expect(WorkflowGraph.dependenciesOf({ ...NOTIFY, dependsOn: ['setup'] })).toEqual(['setup', 'list-pods']);
+    });
+});
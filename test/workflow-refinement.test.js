@@ -0,0 +1,97 @@
+const { createWorkflowRoutes } = require('../src/routes/workflows');
+const { UserAuthenticator } = require('../src/services/user-auth');
+const { createAgentWeaver, DESCRIPTION } = require('./helpers/agent-weaver');
+const { serve, client } = require('./helpers/http');
+
+const AUTH = { tokens: { 'alice-token': 'alice', 'bob-token': 'bob' } };
+
+// Answers the refinement prompt with the current workflow plus a monitoring module
+const addMonitoring = (request) => {
+    const prompt = request.messages.at(-1).content;
+    const workflow = JSON.parse(prompt.match(/Current workflow:\n([\s\S]*?)\n\nCorrections:/)[1]);
+
+    return {
+        ...workflow,
+        requiredModules: [...workflow.requiredModules, { name: 'alerts', type: 'monitoring', description: 'Sends alerts' }],
+        steps: [...workflow.steps, { id: 'alert', action: 'send_alert', description: 'Alert on failures', module: 'alerts' }]
+    };
+};
+
+describe('workflow refinement', () => {
+    let agentWeaver;
+    let workflow;
+
+    beforeEach(async () => {
+        agentWeaver = await createAgentWeaver({
+            fake: { responses: [{ match: 'Corrections: "add monitoring"', response: addMonitoring }] }
+        });
+        workflow = await agentWeaver.generateWorkflow(DESCRIPTION, { userId: 'alice' });
+    });
+
+    test('applies the feedback and records a revision with its diff', async () => {
+        const result = await agentWeaver.refineWorkflow(workflow, 'add monitoring');
+
+        expect(result.revision).toBe(2);
+        expect(result.workflow.id).toBe(workflow.id);
+        expect(result.diff.summary).toEqual(['+ module alerts (monitoring)', '+ step send_alert']);
+        expect(agentWeaver.revisions.list(workflow.id).map(revision => revision.source)).toEqual(['generate', 'refine']);
+        expect(agentWeaver.providers.get('fake').calls.at(-1).messages.at(-1).content).toContain(workflow.id);
+    });
+
+    test('moves between revisions without losing later ones', async () => {
+        await agentWeaver.refineWorkflow(workflow, 'add monitoring');
+
+        expect(agentWeaver.revisions.stepBack(workflow.id).revision).toBe(1);
+        expect(agentWeaver.revisions.getCurrent(workflow.id).workflow.requiredModules).toHaveLength(1);
+        expect(agentWeaver.revisions.stepForward(workflow.id).revision).toBe(2);
+        expect(() => agentWeaver.revisions.stepForward(workflow.id)).toThrow('No next revision');
+    });
+
+    test('starts a history for workflows it has never seen', async () => {
+        const imported = { ...workflow, id: 'agent-imported' };
+        const result = await agentWeaver.refineWorkflow(imported, 'add monitoring');
+
+        expect(result.revision).toBe(2);
+        expect(agentWeaver.revisions.get('agent-imported', 1).source).toBe('import');
+    });
+
+    test('keeps the recorded owner whatever owner the workflow claims', async () => {
+        const result = await agentWeaver.refineWorkflow({ ...workflow, owner: 'bob' }, 'add monitoring', { userId: 'bob' });
+        const imported = await agentWeaver.refineWorkflow({ ...workflow, id: 'agent-imported', owner: 'alice' }, 'add monitoring', { userId: 'bob' });
+
+        expect(result.workflow.owner).toBe('alice');
+        expect(agentWeaver.getAgentOwner(workflow.id)).toBe('alice');
+        expect(imported.workflow.owner).toBe('bob');
+    });
+
+    test('requires feedback and a workflow id', async () => {
+        await expect(agentWeaver.refineWorkflow(workflow, '  ')).rejects.toThrow('Feedback is required');
+        await expect(agentWeaver.refineWorkflow({ name: 'x' }, 'add monitoring')).rejects.toThrow('Workflow with an id is required');
+    });
+
+    describe('routes', () => {
+        let server;
+
+        beforeEach(async () => {
+            server = await serve('/api/workflows', createWorkflowRoutes({ agentWeaver, authenticator: new UserAuthenticator(AUTH) }));
+        });
+
+        afterEach(() => new Promise(resolve => server.close(resolve)));
+
+        test('only let the owner refine and move between revisions', async () => {
+            const refine = (token, body) => client(server, token)('/api/workflows/refine', { method: 'POST', body });
+
+            expect((await refine(null, { workflowId: workflow.id, feedback: 'add monitoring' })).status).toBe(401);
+            expect((await refine('bob-token', { workflowId: workflow.id, feedback: 'add monitoring' })).status).toBe(403);
+            expect((await refine('bob-token', { workflow: { ...workflow, owner: 'bob' }, feedback: 'add monitoring' })).status).toBe(403);
+            expect((await client(server, 'bob-token')(`/api/workflows/${workflow.id}/revisions`)).status).toBe(403);
+            expect((await client(server, 'bob-token')(`/api/workflows/${workflow.id}/revisions/1/checkout`, { method: 'POST' })).status).toBe(403);
+
+            const response = await refine('alice-token', { workflowId: workflow.id, feedback: 'add monitoring' });
+            expect(response.status).toBe(200);
+            expect((await response.json()).workflow.owner).toBe('alice');
+            expect((await client(server, 'alice-token')(`/api/workflows/${workflow.id}/revisions/back`, { method: 'POST' })).status).toBe(200);
+            expect(agentWeaver.getAgentOwner(workflow.id)).toBe('alice');
+        });
+    });
+});